@@ -1,41 +1,138 @@
 import { useCallback, useEffect, useMemo, useState } from 'react';
 import './App.css';
+import {
+  APPLICATIONS_ENDPOINT,
+  BATCH_ENDPOINT,
+  JOB_ENDPOINT,
+  MATCH_ENDPOINT,
+  PROFILE_ENDPOINT,
+  RULES_ENDPOINT,
+  TECH_STACKS_ENDPOINT,
+  postDuplicates,
+  postIgnoreRule,
+  putRules,
+  readNdjsonStream,
+} from './api.js';
+import {
+  describeFetchFailure,
+  describeRule,
+  formatCacheStatus,
+  formatSalary,
+  formatSeniority,
+  formatYearsOfExperience,
+} from './format.js';
+import AccountModal from './components/AccountModal.jsx';
+import ApplicationTracker from './components/ApplicationTracker.jsx';
+import CareersPageFinder from './components/CareersPageFinder.jsx';
+import ComparisonModal from './components/ComparisonModal.jsx';
+import DescriptionPanel from './components/DescriptionPanel.jsx';
+import ExportMenu from './components/ExportMenu.jsx';
+import FileImport from './components/FileImport.jsx';
+import JobField from './components/JobField.jsx';
+import LibraryView from './components/LibraryView.jsx';
+import LocationDetails from './components/LocationDetails.jsx';
+import MatchPanel, { MatchScore } from './components/MatchPanel.jsx';
+import PipelineBoard from './components/PipelineBoard.jsx';
+import PostingSources from './components/PostingSources.jsx';
+import ProfileModal from './components/ProfileModal.jsx';
+import RulesModal from './components/RulesModal.jsx';
+import TechChips from './components/TechChips.jsx';
+import TechStackModal from './components/TechStackModal.jsx';
+import WatchlistsView from './components/WatchlistsView.jsx';
 
-const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL ?? '').replace(/\/$/, '');
-const JOB_ENDPOINT = `${API_BASE_URL}/api/job`;
-const TECH_STACKS_ENDPOINT = `${API_BASE_URL}/api/tech-stacks`;
+const PROGRESS_LABELS = {
+  queued: 'Queued',
+  fetching: 'Fetching…',
+  done: 'Done',
+  failed: 'Failed',
+};
+
+// The tech-stacks endpoint returns full taxonomy entries; older servers only
+// send a list of names.
+const readTaxonomy = (data) => {
+  if (Array.isArray(data?.taxonomy)) return data.taxonomy;
+  if (Array.isArray(data?.techStacks)) return data.techStacks.map((name) => ({ name }));
+  return [];
+};
 
-const buildJobFetchUrl = (sourceLink) => {
-  const encoded = encodeURIComponent(sourceLink.trim());
-  return `${JOB_ENDPOINT}?url=${encoded}`;
+const WORK_MODE_LABELS = {
+  remote: 'Remote',
+  hybrid: 'Hybrid',
+  onsite: 'On-site',
+  unknown: 'Not stated',
 };
 
+// Work mode and the countries/regions a job is open to, for filtering.
+const locationFacets = (location) => {
+  if (!location || typeof location !== 'object') {
+    return { workMode: location === 'Remote' ? 'remote' : 'unknown', places: [] };
+  }
+  return {
+    workMode: location.workMode ?? 'unknown',
+    places: [
+      ...(location.remoteRegions ?? []),
+      ...(location.offices ?? []).map((office) => office.country),
+    ].filter(Boolean),
+  };
+};
+
+// Skipped-link entry from a failed fetch: `failure` is the API error body
+// ({ code, message, retryable, retryAfter }).
+const toSkippedLink = (sourceLink, failure) => ({
+  sourceLink,
+  code: failure.code,
+  reason: describeFetchFailure(failure),
+});
+
+// What the scoring and duplicate endpoints read of a job. They only need
+// the description text, so the markup is left out to keep requests small.
+const toCompactJob = (job) => ({
+  ...job,
+  description: job.description ? { text: job.description.text } : undefined,
+});
+
 const isValidHttpUrl = (rawLink) => {
   if (!rawLink) return false;
   try {
     const parsed = new URL(rawLink.trim());
     return ['http:', 'https:'].includes(parsed.protocol);
-  } catch (_err) {
+  } catch {
     return false;
   }
 };
 
-const JobField = ({ label, children }) => (
-  <div className="job-field">
-    <p className="job-field-label">{label}</p>
-    <p className="job-field-value">{children ?? '—'}</p>
-  </div>
-);
-
-function App() {
+function App({ user, onSignOut }) {
+  const [view, setView] = useState('digest'); // digest | library | watchlists | pipeline
   const [jobs, setJobs] = useState([]);
   const [status, setStatus] = useState('idle'); // idle | loading | loaded | error
   const [error, setError] = useState('');
   const [linkInput, setLinkInput] = useState('');
   const [skippedLinks, setSkippedLinks] = useState([]);
+  const [linkProgress, setLinkProgress] = useState([]);
+  const [skipCache, setSkipCache] = useState(false);
   const [isTechModalOpen, setIsTechModalOpen] = useState(false);
-  const [savedTechStacks, setSavedTechStacks] = useState([]);
-  const [techModalInput, setTechModalInput] = useState('');
+  const [taxonomy, setTaxonomy] = useState([]);
+  const [techCategories, setTechCategories] = useState([]);
+  const [profile, setProfile] = useState(null);
+  const [isProfileModalOpen, setIsProfileModalOpen] = useState(false);
+  const [isAccountModalOpen, setIsAccountModalOpen] = useState(false);
+  const [rules, setRules] = useState([]);
+  const [isRulesModalOpen, setIsRulesModalOpen] = useState(false);
+  // Jobs hidden by the rules are left out unless this is on.
+  const [showHidden, setShowHidden] = useState(false);
+  const [duplicateGroups, setDuplicateGroups] = useState([]);
+  const [sortOrder, setSortOrder] = useState('batch'); // batch | score
+  const [minScore, setMinScore] = useState(0);
+  const [seniorityFilter, setSeniorityFilter] = useState('');
+  const [employmentTypeFilter, setEmploymentTypeFilter] = useState('');
+  const [salaryListedOnly, setSalaryListedOnly] = useState(false);
+  const [workModeFilter, setWorkModeFilter] = useState('');
+  const [placeFilter, setPlaceFilter] = useState('');
+  // Tracked applications keyed by library id, for the digest cards.
+  const [applications, setApplications] = useState({});
+  // Source links of the cards picked for the comparison table, in pick order.
+  const [comparedLinks, setComparedLinks] = useState([]);
+  const [isComparisonOpen, setIsComparisonOpen] = useState(false);
   const isLoading = status === 'loading';
   const hasError = status === 'error';
 
@@ -74,11 +171,104 @@ function App() {
   );
   const readyLinkCount = fetchableLinks.length;
 
+  const savedTechStacks = useMemo(() => taxonomy.map((entry) => entry.name), [taxonomy]);
   const savedTechStackSet = useMemo(
     () => new Set(savedTechStacks.map((entry) => entry.toLowerCase())),
     [savedTechStacks]
   );
 
+  // Filter options only list values that occur in the current results.
+  const seniorityOptions = useMemo(
+    () => Array.from(new Set(jobs.map((job) => job.seniority).filter(Boolean))),
+    [jobs]
+  );
+  const employmentTypeOptions = useMemo(
+    () => Array.from(new Set(jobs.flatMap((job) => job.employmentType ?? []))),
+    [jobs]
+  );
+  const workModeOptions = useMemo(
+    () => Array.from(new Set(jobs.map((job) => locationFacets(job.location).workMode))),
+    [jobs]
+  );
+  const placeOptions = useMemo(
+    () => Array.from(new Set(jobs.flatMap((job) => locationFacets(job.location).places))).sort(),
+    [jobs]
+  );
+
+  const ruleDescriptions = useMemo(
+    () => new Map(rules.map((rule) => [rule.id, describeRule(rule)])),
+    [rules]
+  );
+  // Cross-posted jobs share one card: the most complete copy, with every
+  // copy listed under `duplicates`.
+  const groupedJobs = useMemo(() => {
+    if (duplicateGroups.length === 0) return jobs;
+    const jobsByLink = new Map(jobs.map((job) => [job.sourceLink, job]));
+    const groupByLink = new Map(
+      duplicateGroups.flatMap((group) => group.members.map((member) => [member.sourceLink, group]))
+    );
+    return jobs.flatMap((job) => {
+      const group = groupByLink.get(job.sourceLink);
+      if (!group) return [job];
+      if (group.primaryLink !== job.sourceLink) return [];
+      const members = group.members
+        .map((member) => ({ ...member, job: jobsByLink.get(member.sourceLink) }))
+        .filter((member) => member.job);
+      return [{ ...job, duplicates: { ...group, members } }];
+    });
+  }, [jobs, duplicateGroups]);
+
+  const hiddenCount = useMemo(
+    () => groupedJobs.filter((job) => job.filter?.hidden).length,
+    [groupedJobs]
+  );
+
+  const visibleJobs = useMemo(() => {
+    const scoreOf = (job) => job.match?.score ?? -1;
+    const filtered = groupedJobs.filter(
+      (job) =>
+        (showHidden || !job.filter?.hidden) &&
+        (minScore === 0 || scoreOf(job) >= minScore) &&
+        (!seniorityFilter || job.seniority === seniorityFilter) &&
+        (!employmentTypeFilter || (job.employmentType ?? []).includes(employmentTypeFilter)) &&
+        (!salaryListedOnly || Boolean(job.baseSalary)) &&
+        (!workModeFilter || locationFacets(job.location).workMode === workModeFilter) &&
+        (!placeFilter ||
+          locationFacets(job.location).places.some(
+            (place) => place === placeFilter || place === 'Worldwide'
+          ))
+    );
+    return sortOrder === 'score'
+      ? [...filtered].sort((left, right) => scoreOf(right) - scoreOf(left))
+      : filtered;
+  }, [
+    groupedJobs,
+    showHidden,
+    minScore,
+    sortOrder,
+    seniorityFilter,
+    employmentTypeFilter,
+    salaryListedOnly,
+    workModeFilter,
+    placeFilter,
+  ]);
+
+  const comparedJobs = useMemo(
+    () =>
+      comparedLinks
+        .map((sourceLink) => jobs.find((job) => job.sourceLink === sourceLink))
+        .filter(Boolean),
+    [comparedLinks, jobs]
+  );
+
+  const toggleCompared = useCallback((sourceLink) => {
+    setComparedLinks((prev) =>
+      prev.includes(sourceLink)
+        ? prev.filter((link) => link !== sourceLink)
+        : [...prev, sourceLink]
+    );
+  }, []);
+
   useEffect(() => {
     setSkippedLinks([]);
   }, [linkInput]);
@@ -92,9 +282,8 @@ function App() {
           throw new Error('Failed to load tech stacks from server.');
         }
         const data = await response.json();
-        const stacks = Array.isArray(data.techStacks) ? data.techStacks : [];
-        setSavedTechStacks(stacks);
-        setTechModalInput(stacks.join('\n'));
+        setTaxonomy(readTaxonomy(data));
+        setTechCategories(Array.isArray(data.categories) ? data.categories : []);
       } catch {
         // If the server is unavailable, leave the modal empty so the user can start fresh.
       }
@@ -103,75 +292,248 @@ function App() {
     loadTechStacks();
   }, []);
 
-  const handleSaveTechStacks = useCallback(async () => {
-    const entries = techModalInput
-      .split(/[\n,]/)
-      .map((entry) => entry.trim())
-      .filter(Boolean);
+  useEffect(() => {
+    const loadProfile = async () => {
+      try {
+        const response = await fetch(PROFILE_ENDPOINT);
+        if (response.ok) {
+          setProfile(await response.json());
+        }
+      } catch {
+        // Without a profile the modal starts from its defaults.
+      }
+    };
+
+    loadProfile();
+  }, []);
+
+  useEffect(() => {
+    const loadRules = async () => {
+      try {
+        const response = await fetch(RULES_ENDPOINT);
+        if (response.ok) {
+          const data = await response.json();
+          setRules(Array.isArray(data.rules) ? data.rules : []);
+        }
+      } catch {
+        // Without saved rules the modal starts empty.
+      }
+    };
+
+    loadRules();
+  }, []);
+
+  // Reloaded whenever the digest is shown, since the pipeline board may have
+  // moved or removed applications in the meantime.
+  useEffect(() => {
+    if (view !== 'digest') return;
 
-    const unique = Array.from(new Set(entries));
-    setSavedTechStacks(unique);
+    const loadApplications = async () => {
+      try {
+        const response = await fetch(APPLICATIONS_ENDPOINT);
+        if (response.ok) {
+          const data = await response.json();
+          setApplications(
+            Object.fromEntries(
+              data.applications.map((application) => [application.libraryId, application])
+            )
+          );
+        }
+      } catch {
+        // Cards show "Not tracked" until the server is reachable.
+      }
+    };
+
+    loadApplications();
+  }, [view]);
+
+  const handleApplicationChange = useCallback((application) => {
+    setApplications((prev) => ({ ...prev, [application.libraryId]: application }));
+  }, []);
 
-    if (TECH_STACKS_ENDPOINT && unique.length > 0) {
+  // Scores depend on the profile and the saved tech stack, and hidden jobs
+  // on the rules, so jobs already on screen are re-checked whenever one of
+  // them changes.
+  const rescoreJobs = useCallback(async (currentJobs) => {
+    if (currentJobs.length === 0) return;
+    try {
+      const response = await fetch(MATCH_ENDPOINT, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ jobs: currentJobs.map(toCompactJob) }),
+      });
+      if (!response.ok) return;
+      const { matches = [], filters = [] } = await response.json();
+      const resultByLink = new Map(
+        currentJobs.map((job, index) => [
+          job.sourceLink,
+          { match: matches[index], filter: filters[index] },
+        ])
+      );
+      setJobs((prev) =>
+        prev.map((job) => {
+          const result = resultByLink.get(job.sourceLink);
+          return result?.match
+            ? { ...job, match: result.match, filter: result.filter ?? job.filter }
+            : job;
+        })
+      );
+    } catch {
+      // Keep the previous scores if the server could not be reached.
+    }
+  }, []);
+
+  // Groups the jobs on screen that are the same role cross-posted on several
+  // boards. Ties for the most complete copy go to the earliest link.
+  const refreshDuplicates = useCallback(async (currentJobs) => {
+    if (currentJobs.length < 2) {
+      setDuplicateGroups([]);
+      return;
+    }
+    const ordered = [...currentJobs].sort((left, right) => left.batchIndex - right.batchIndex);
+    const { groups = [], fieldCount } = await postDuplicates(ordered.map(toCompactJob));
+    setDuplicateGroups(
+      groups.map((group) => ({
+        members: group.members.map((member) => ({
+          sourceLink: ordered[member.index].sourceLink,
+          completeness: member.completeness,
+        })),
+        primaryLink: ordered[group.primary].sourceLink,
+        similarity: group.similarity,
+        fieldCount,
+      }))
+    );
+  }, []);
+
+  const handleSaveProfile = useCallback(
+    async (draft) => {
       try {
-        const response = await fetch(TECH_STACKS_ENDPOINT, {
+        const response = await fetch(PROFILE_ENDPOINT, {
           method: 'PUT',
           headers: {
             'Content-Type': 'application/json',
           },
-          body: JSON.stringify({ techStacks: unique }),
+          body: JSON.stringify(draft),
         });
-
         if (response.ok) {
-          const data = await response.json();
-          const stacks = Array.isArray(data.techStacks) ? data.techStacks : unique;
-          setSavedTechStacks(stacks);
-          setTechModalInput(stacks.join('\n'));
+          setProfile(await response.json());
+          await rescoreJobs(jobs);
         }
       } catch {
-        // If saving fails, we still keep the local state so the UI reflects the user's input.
+        // Leave the previous profile in place; the modal can be reopened to retry.
       }
-    }
 
-    setIsTechModalOpen(false);
-  }, [techModalInput]);
+      setIsProfileModalOpen(false);
+    },
+    [jobs, rescoreJobs]
+  );
+
+  const handleSaveRules = useCallback(
+    async (draftRules) => {
+      const result = await putRules(draftRules);
+      if (result.error) return result.error;
+
+      setRules(result.rules);
+      setIsRulesModalOpen(false);
+      await rescoreJobs(jobs);
+      return null;
+    },
+    [jobs, rescoreJobs]
+  );
+
+  const handleSaveTechStacks = useCallback(
+    async (entries) => {
+      setTaxonomy(entries);
+
+      if (TECH_STACKS_ENDPOINT && entries.length > 0) {
+        try {
+          const response = await fetch(TECH_STACKS_ENDPOINT, {
+            method: 'PUT',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ taxonomy: entries }),
+          });
+
+          if (response.ok) {
+            const data = await response.json();
+            const saved = readTaxonomy(data);
+            setTaxonomy(saved.length > 0 ? saved : entries);
+            await rescoreJobs(jobs);
+          }
+        } catch {
+          // If saving fails, we still keep the local state so the UI reflects the user's input.
+        }
+      }
+
+      setIsTechModalOpen(false);
+    },
+    [jobs, rescoreJobs]
+  );
 
   const handleFetchLinks = useCallback(
     async () => {
       if (fetchableLinks.length === 0 || isLoading) return;
 
+      const links = fetchableLinks;
       setStatus('loading');
       setError('');
+      setJobs([]);
+      setDuplicateGroups([]);
+      setComparedLinks([]);
+      setLinkProgress(links.map((sourceLink) => ({ sourceLink, status: 'queued' })));
+
+      const updateProgress = (index, patch) => {
+        setLinkProgress((prev) =>
+          prev.map((entry, entryIndex) => (entryIndex === index ? { ...entry, ...patch } : entry))
+        );
+      };
 
       try {
-        const successfulJobs = [];
         const rejectedLinks = [];
+        const fetchedJobs = [];
+
+        // The server fetches the links concurrently and streams each result
+        // back as soon as it is ready, so cards appear progressively.
+        const response = await fetch(BATCH_ENDPOINT, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ urls: links, fresh: skipCache }),
+        });
 
-        // Fetch one JD at a time, sequentially
-        for (const sourceLink of fetchableLinks) {
-          try {
-            const response = await fetch(buildJobFetchUrl(sourceLink));
+        if (!response.ok || !response.body) {
+          throw new Error(`Remote source responded with ${response.status}`);
+        }
 
-            if (!response.ok) {
-              throw new Error(`Remote source responded with ${response.status}`);
-            }
+        await readNdjsonStream(response, (event) => {
+          const sourceLink = links[event.index];
 
-            const data = await response.json();
-            successfulJobs.push({
+          if (event.type === 'progress') {
+            updateProgress(event.index, { status: 'fetching' });
+          } else if (event.type === 'result') {
+            const data = event.job ?? {};
+            const jobEntry = {
               ...data,
-              techStacks: Array.isArray(data.techStacks) ? data.techStacks : [data.techStacks],
+              techStacks: data.techStacks ?? [],
               sourceLink,
-            });
-          } catch (singleError) {
-            const reason =
-              singleError instanceof Error
-                ? singleError.message
-                : 'Unable to fetch this link.';
-            rejectedLinks.push({ sourceLink, reason });
+              batchIndex: event.index,
+            };
+            fetchedJobs.push(jobEntry);
+            setJobs((prev) =>
+              [...prev, jobEntry].sort((left, right) => left.batchIndex - right.batchIndex)
+            );
+            updateProgress(event.index, { status: 'done' });
+          } else if (event.type === 'error') {
+            const entry = toSkippedLink(sourceLink, event);
+            rejectedLinks.push(entry);
+            updateProgress(event.index, { status: 'failed', reason: entry.reason });
           }
-        }
+        });
 
-        setJobs(successfulJobs);
         setSkippedLinks((prev) => {
           if (rejectedLinks.length === 0) return prev;
           const merged = new Map(prev.map((entry) => [entry.sourceLink, entry]));
@@ -179,15 +541,113 @@ function App() {
           return Array.from(merged.values());
         });
         setStatus('loaded');
+        await refreshDuplicates(fetchedJobs);
       } catch (err) {
         setJobs([]);
         setStatus('error');
         setError(err.message ?? 'Something went wrong while fetching your jobs.');
       }
     },
-    [fetchableLinks, isLoading]
+    [fetchableLinks, isLoading, skipCache, refreshDuplicates]
   );
 
+  // Saves a false-positive report as an ignore rule, then re-extracts the
+  // cards that list the tech. Their pages usually come from the cache.
+  // Resolves to an error message or null.
+  const handleIgnoreTech = useCallback(
+    async (name, phrase) => {
+      const result = await postIgnoreRule(name, phrase);
+      if (result.error) return result.error;
+      setTaxonomy(readTaxonomy(result));
+
+      const affected = jobs.filter((job) =>
+        (job.techStacks ?? []).some((tech) => (tech.name ?? tech) === name)
+      );
+      for (const job of affected) {
+        try {
+          const params = new URLSearchParams({ url: job.sourceLink });
+          const response = await fetch(`${JOB_ENDPOINT}?${params}`);
+          if (!response.ok) continue;
+          const data = await response.json();
+          setJobs((prev) =>
+            prev.map((entry) =>
+              entry.sourceLink === job.sourceLink
+                ? {
+                    ...data,
+                    techStacks: data.techStacks ?? [],
+                    sourceLink: job.sourceLink,
+                    batchIndex: job.batchIndex,
+                  }
+                : entry
+            )
+          );
+        } catch {
+          // The card keeps its chips until the next fetch.
+        }
+      }
+      return null;
+    },
+    [jobs]
+  );
+
+  // Appends discovered or imported links to the collector, skipping ones
+  // already listed.
+  const handleAddLinks = useCallback((links) => {
+    setLinkInput((prev) => {
+      const existing = prev
+        .split('\n')
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+      const additions = links.filter((link) => !existing.includes(link));
+      return [...existing, ...additions].join('\n');
+    });
+  }, []);
+
+  // Fetches one previously failed link again; on success its card joins the
+  // results and the link leaves the skipped list.
+  const handleRetryLink = useCallback(
+    async (sourceLink) => {
+      const updateEntry = (patch) =>
+        setSkippedLinks((prev) =>
+          prev.map((entry) => (entry.sourceLink === sourceLink ? { ...entry, ...patch } : entry))
+        );
+      updateEntry({ isRetrying: true });
+
+      try {
+        const params = new URLSearchParams({ url: sourceLink });
+        if (skipCache) params.set('fresh', 'true');
+        const response = await fetch(`${JOB_ENDPOINT}?${params}`);
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+          updateEntry({ ...toSkippedLink(sourceLink, data), isRetrying: false });
+          return;
+        }
+
+        const jobEntry = {
+          ...data,
+          techStacks: data.techStacks ?? [],
+          sourceLink,
+          batchIndex: Math.max(-1, ...jobs.map((job) => job.batchIndex)) + 1,
+        };
+        setSkippedLinks((prev) => prev.filter((entry) => entry.sourceLink !== sourceLink));
+        setJobs((prev) => [...prev, jobEntry]);
+        setStatus('loaded');
+        await refreshDuplicates([...jobs, jobEntry]);
+      } catch (err) {
+        updateEntry({
+          isRetrying: false,
+          reason: err.message ?? 'Unable to reach the server.',
+        });
+      }
+    },
+    [jobs, skipCache, refreshDuplicates]
+  );
+
+  const settledCount = linkProgress.filter(
+    (entry) => entry.status === 'done' || entry.status === 'failed'
+  ).length;
+
   return (
     <main className="app-shell">
       <header className="page-header">
@@ -198,9 +658,30 @@ function App() {
             Paste multiple openings, fetch them, and scan the highlights in one glance.
           </p>
         </div>
-        <button type="button" onClick={() => setIsTechModalOpen(true)}>
-          Tech stack preferences
-        </button>
+        <div className="page-header-actions">
+          <button type="button" onClick={() => setIsProfileModalOpen(true)}>
+            Match profile
+          </button>
+          <button type="button" onClick={() => setIsTechModalOpen(true)}>
+            Tech stack preferences
+          </button>
+          <button type="button" onClick={() => setIsRulesModalOpen(true)}>
+            Deal-breakers{rules.length > 0 ? ` (${rules.length})` : ''}
+          </button>
+        </div>
+        <div className="page-header-account">
+          <span className="helper-text">Signed in as {user.username}</span>
+          <button
+            type="button"
+            className="link-button"
+            onClick={() => setIsAccountModalOpen(true)}
+          >
+            Account
+          </button>
+          <button type="button" className="link-button" onClick={onSignOut}>
+            Sign out
+          </button>
+        </div>
       </header>
 
       {savedTechStacks.length > 0 && (
@@ -211,196 +692,423 @@ function App() {
         </p>
       )}
 
+      <nav className="view-switcher" aria-label="Views">
+        <button
+          type="button"
+          className={view === 'digest' ? 'active' : ''}
+          onClick={() => setView('digest')}
+        >
+          Digest
+        </button>
+        <button
+          type="button"
+          className={view === 'library' ? 'active' : ''}
+          onClick={() => setView('library')}
+        >
+          Library
+        </button>
+        <button
+          type="button"
+          className={view === 'watchlists' ? 'active' : ''}
+          onClick={() => setView('watchlists')}
+        >
+          Watchlists
+        </button>
+        <button
+          type="button"
+          className={view === 'pipeline' ? 'active' : ''}
+          onClick={() => setView('pipeline')}
+        >
+          Pipeline
+        </button>
+      </nav>
+
       {isTechModalOpen && (
-        <div className="tech-modal-backdrop" role="dialog" aria-modal="true">
-          <div className="tech-modal">
-            <div className="tech-modal-header">
-              <p className="eyebrow">Tech stacks</p>
-              <h2>Tell us what you work with</h2>
+        <TechStackModal
+          taxonomy={taxonomy}
+          categories={techCategories}
+          onClose={() => setIsTechModalOpen(false)}
+          onSave={handleSaveTechStacks}
+        />
+      )}
+
+      {isAccountModalOpen && (
+        <AccountModal user={user} onClose={() => setIsAccountModalOpen(false)} />
+      )}
+
+      {isProfileModalOpen && (
+        <ProfileModal
+          profile={profile}
+          onClose={() => setIsProfileModalOpen(false)}
+          onSave={handleSaveProfile}
+        />
+      )}
+
+      {isRulesModalOpen && (
+        <RulesModal
+          rules={rules}
+          techNames={savedTechStacks}
+          onClose={() => setIsRulesModalOpen(false)}
+          onSave={handleSaveRules}
+        />
+      )}
+
+      {isComparisonOpen && comparedJobs.length > 0 && (
+        <ComparisonModal
+          jobs={comparedJobs}
+          onRemove={toggleCompared}
+          onClose={() => setIsComparisonOpen(false)}
+        />
+      )}
+
+      {view === 'library' && <LibraryView />}
+
+      {view === 'watchlists' && <WatchlistsView suggestedLinks={validLinks} />}
+
+      {view === 'pipeline' && <PipelineBoard />}
+
+      {view === 'digest' && (
+        <>
+          <CareersPageFinder existingLinks={validLinks} onAddLinks={handleAddLinks} />
+
+          <section className="link-collector">
+            <div className="link-collector-heading">
+              <p className="job-field-label">Provide your own links</p>
               <p className="helper-text">
-                Add each technology on a new line or separate them with commas. We&apos;ll
-                highlight any matches we find in job descriptions.
+                Paste each URL on a new line. When you are ready, fetch the set and we&apos;ll
+                gather the essentials.
               </p>
             </div>
+
             <textarea
-              value={techModalInput}
-              onChange={(event) => setTechModalInput(event.target.value)}
-              placeholder={'React\nTypeScript\nNode.js'}
+              id="job-links"
+              placeholder="https://example.com/job-one&#10;https://example.com/job-two"
+              value={linkInput}
+              onChange={(event) => setLinkInput(event.target.value)}
             />
-            <div className="tech-modal-actions">
+
+            <FileImport onAddLinks={handleAddLinks} />
+
+            {(hasInvalidLinks || hasSkippedLinks) && (
+              <div className="invalid-links" aria-live="polite">
+                {hasInvalidLinks && (
+                  <>
+                    <p className="invalid-links-title">Malformed URLs</p>
+                    <ul className="invalid-links-list">
+                      {invalidLinks.map((badLink, index) => (
+                        <li key={`${badLink}-${index}`}>
+                          <span>{badLink}</span>
+                          <span className="invalid-link-reason">Fix the formatting and try again.</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+
+                {hasSkippedLinks && (
+                  <>
+                    <p className="invalid-links-title">Links we couldn&apos;t fetch</p>
+                    <ul className="invalid-links-list">
+                      {skippedLinks.map((entry, index) => (
+                        <li key={`${entry.sourceLink}-${index}`}>
+                          <span>{entry.sourceLink}</span>
+                          <span className="invalid-link-reason">
+                            {entry.reason ?? 'Remote source refused the request.'}
+                          </span>
+                          <button
+                            type="button"
+                            className="invalid-link-retry"
+                            onClick={() => handleRetryLink(entry.sourceLink)}
+                            disabled={entry.isRetrying || isLoading}
+                          >
+                            {entry.isRetrying ? 'Retrying…' : 'Retry'}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+                <p className="invalid-links-footnote">
+                  These links are excluded from the next fetch unless you edit or retry them.
+                </p>
+              </div>
+            )}
+
+            <div className="link-collector-actions">
+              <p className="helper-text">
+                {hasLinks
+                  ? `Detected ${totalLinks} link${totalLinks === 1 ? '' : 's'}${
+                      invalidCount ? ` (${invalidCount} filtered out)` : ''
+                    } · ${readyLinkCount} ready`
+                  : 'No links added yet'}
+              </p>
+              <label className="link-collector-checkbox">
+                <input
+                  type="checkbox"
+                  checked={skipCache}
+                  onChange={(event) => setSkipCache(event.target.checked)}
+                />
+                <span>Skip cache</span>
+              </label>
               <button
                 type="button"
-                className="secondary"
-                onClick={() => setIsTechModalOpen(false)}
+                onClick={handleFetchLinks}
+                disabled={!hasLinks || readyLinkCount === 0 || isLoading}
+                aria-busy={isLoading}
               >
-                Close
-              </button>
-              <button type="button" onClick={handleSaveTechStacks}>
-                Save tech stacks
+                {isLoading ? 'Fetching…' : 'Fetch details'}
               </button>
             </div>
-          </div>
-        </div>
-      )}
+          </section>
 
-      <section className="link-collector">
-        <div className="link-collector-heading">
-          <p className="job-field-label">Provide your own links</p>
-          <p className="helper-text">
-            Paste each URL on a new line. When you are ready, fetch the set and we&apos;ll
-            gather the essentials.
-          </p>
-        </div>
+          <section className="job-results">
+            {hasError && (
+              <div className="status status-error">
+                <p>{error}</p>
+                <button type="button" onClick={handleFetchLinks}>
+                  Try again
+                </button>
+              </div>
+            )}
 
-        <textarea
-          id="job-links"
-          placeholder="https://example.com/job-one&#10;https://example.com/job-two"
-          value={linkInput}
-          onChange={(event) => setLinkInput(event.target.value)}
-        />
+            {!hasError && status === 'idle' && (
+              <p className="helper-text">Add links above and fetch to see the digest.</p>
+            )}
 
-        {(hasInvalidLinks || hasSkippedLinks) && (
-          <div className="invalid-links" aria-live="polite">
-            {hasInvalidLinks && (
-              <>
-                <p className="invalid-links-title">Malformed URLs</p>
-                <ul className="invalid-links-list">
-                  {invalidLinks.map((badLink, index) => (
-                    <li key={`${badLink}-${index}`}>
-                      <span>{badLink}</span>
-                      <span className="invalid-link-reason">Fix the formatting and try again.</span>
+            {!hasError && status === 'loading' && (
+              <div className="fetch-progress" aria-live="polite">
+                <p className="helper-text">
+                  Fetched {settledCount} of {linkProgress.length} link
+                  {linkProgress.length === 1 ? '' : 's'}…
+                </p>
+                <ul className="fetch-progress-list">
+                  {linkProgress.map((entry, index) => (
+                    <li key={`${entry.sourceLink}-${index}`} className={`is-${entry.status}`}>
+                      <span className="fetch-progress-link">{entry.sourceLink}</span>
+                      <span className="fetch-progress-status">{PROGRESS_LABELS[entry.status]}</span>
                     </li>
                   ))}
                 </ul>
-              </>
+              </div>
             )}
 
-            {hasSkippedLinks && (
-              <>
-                <p className="invalid-links-title">Links we couldn&apos;t fetch</p>
-                <ul className="invalid-links-list">
-                  {skippedLinks.map((entry, index) => (
-                    <li key={`${entry.sourceLink}-${index}`}>
-                      <span>{entry.sourceLink}</span>
-                      <span className="invalid-link-reason">
-                        {entry.reason ?? 'Remote source refused the request.'}
-                      </span>
-                    </li>
-                  ))}
-                </ul>
-              </>
+            {!hasError && status === 'loaded' && jobs.length === 0 && (
+              <p className="helper-text">No results found for the provided links.</p>
             )}
-            <p className="invalid-links-footnote">
-              These links are excluded from the next fetch unless you edit them.
-            </p>
-          </div>
-        )}
-
-        <div className="link-collector-actions">
-          <p className="helper-text">
-            {hasLinks
-              ? `Detected ${totalLinks} link${totalLinks === 1 ? '' : 's'}${
-                  invalidCount ? ` (${invalidCount} filtered out)` : ''
-                } · ${readyLinkCount} ready`
-              : 'No links added yet'}
-          </p>
-          <button
-            type="button"
-            onClick={handleFetchLinks}
-            disabled={!hasLinks || readyLinkCount === 0 || isLoading}
-            aria-busy={isLoading}
-          >
-            {isLoading ? 'Fetching…' : 'Fetch details'}
-          </button>
-        </div>
-      </section>
-
-      <section className="job-results">
-        {hasError && (
-          <div className="status status-error">
-            <p>{error}</p>
-            <button type="button" onClick={handleFetchLinks}>
-              Try again
-            </button>
-          </div>
-        )}
-
-        {!hasError && status === 'idle' && (
-          <p className="helper-text">Add links above and fetch to see the digest.</p>
-        )}
-
-        {!hasError && status === 'loading' && (
-          <p className="helper-text">Crunching the details for your links…</p>
-        )}
-
-        {!hasError && status === 'loaded' && jobs.length === 0 && (
-          <p className="helper-text">No results found for the provided links.</p>
-        )}
-
-        {!hasError &&
-          jobs.map((jobEntry, index) => (
-            <article className="job-card" key={`${jobEntry.sourceLink}-${index}`}>
-              <div className="job-heading">
-                <p className="job-platform">{jobEntry.jobPlatform ?? 'Remote job board'}</p>
-                <h2>{jobEntry.title ?? 'Untitled role'}</h2>
-                {jobEntry.company && <p className="job-company">{jobEntry.company}</p>}
+
+            {!hasError && jobs.length > 0 && (
+              <div className="job-toolbar">
+                <label>
+                  <span>Sort by</span>
+                  <select value={sortOrder} onChange={(event) => setSortOrder(event.target.value)}>
+                    <option value="batch">Link order</option>
+                    <option value="score">Match score</option>
+                  </select>
+                </label>
+                <label>
+                  <span>Minimum score: {minScore}</span>
+                  <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    step="5"
+                    value={minScore}
+                    onChange={(event) => setMinScore(Number(event.target.value))}
+                  />
+                </label>
+                <label>
+                  <span>Work mode</span>
+                  <select
+                    value={workModeFilter}
+                    onChange={(event) => setWorkModeFilter(event.target.value)}
+                  >
+                    <option value="">Any</option>
+                    {workModeOptions.map((mode) => (
+                      <option key={mode} value={mode}>
+                        {WORK_MODE_LABELS[mode] ?? mode}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  <span>Country / region</span>
+                  <select
+                    value={placeFilter}
+                    onChange={(event) => setPlaceFilter(event.target.value)}
+                  >
+                    <option value="">Any</option>
+                    {placeOptions.map((place) => (
+                      <option key={place} value={place}>
+                        {place}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  <span>Seniority</span>
+                  <select
+                    value={seniorityFilter}
+                    onChange={(event) => setSeniorityFilter(event.target.value)}
+                  >
+                    <option value="">Any</option>
+                    {seniorityOptions.map((level) => (
+                      <option key={level} value={level}>
+                        {formatSeniority(level)}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  <span>Employment type</span>
+                  <select
+                    value={employmentTypeFilter}
+                    onChange={(event) => setEmploymentTypeFilter(event.target.value)}
+                  >
+                    <option value="">Any</option>
+                    {employmentTypeOptions.map((type) => (
+                      <option key={type} value={type}>
+                        {type}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="job-toolbar-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={salaryListedOnly}
+                    onChange={(event) => setSalaryListedOnly(event.target.checked)}
+                  />
+                  <span>Salary listed</span>
+                </label>
+                {hiddenCount > 0 && (
+                  <label className="job-toolbar-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={showHidden}
+                      onChange={(event) => setShowHidden(event.target.checked)}
+                    />
+                    <span>Show hidden ({hiddenCount})</span>
+                  </label>
+                )}
+                <p className="helper-text">
+                  Showing {visibleJobs.length} of {groupedJobs.length}
+                </p>
+                <button
+                  type="button"
+                  className="job-toolbar-compare"
+                  onClick={() => setIsComparisonOpen(true)}
+                  disabled={comparedJobs.length < 2}
+                  title="Tick “Compare” on two or more cards"
+                >
+                  Compare ({comparedJobs.length})
+                </button>
+                <ExportMenu
+                  jobIds={visibleJobs.map((jobEntry) => jobEntry.library?.id).filter(Boolean)}
+                />
               </div>
+            )}
 
-              <div className="job-details">
-                <JobField label="Location">
-                  {jobEntry.location ?? (isLoading ? 'Fetching location…' : 'Not disclosed')}
-                </JobField>
-                <JobField label="Job Platform">{jobEntry.jobPlatform ?? 'RemoteOK'}</JobField>
-                <JobField label="Link">
-                  {jobEntry.sourceLink ? (
-                    <a href={jobEntry.sourceLink} target="_blank" rel="noreferrer">
-                      View posting ↗
-                    </a>
-                  ) : (
-                    'Not provided'
+            {!hasError &&
+              visibleJobs.map((jobEntry, index) => (
+                <article
+                  className={`job-card${jobEntry.filter?.hidden ? ' is-hidden' : ''}`}
+                  key={`${jobEntry.sourceLink}-${index}`}
+                >
+                  {jobEntry.filter?.hidden && (
+                    <div className="job-hidden-reasons">
+                      <p className="job-field-label">Hidden by your deal-breakers</p>
+                      <ul>
+                        {jobEntry.filter.reasons.map((reason) => (
+                          <li key={reason.ruleId}>
+                            {ruleDescriptions.get(reason.ruleId) ?? 'Rule'}: {reason.detail}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
                   )}
-                </JobField>
-              </div>
+                  <div className="job-heading">
+                    {jobEntry.match && <MatchScore match={jobEntry.match} />}
+                    <p className="job-platform">{jobEntry.jobPlatform ?? 'Remote job board'}</p>
+                    <h2>{jobEntry.title ?? 'Untitled role'}</h2>
+                    {jobEntry.company && <p className="job-company">{jobEntry.company}</p>}
+                    <label className="job-compare-toggle">
+                      <input
+                        type="checkbox"
+                        checked={comparedLinks.includes(jobEntry.sourceLink)}
+                        onChange={() => toggleCompared(jobEntry.sourceLink)}
+                      />
+                      <span>Compare</span>
+                    </label>
+                    {jobEntry.cache && (
+                      <p className="job-cache">{formatCacheStatus(jobEntry.cache)}</p>
+                    )}
+                    {Object.keys(jobEntry.library?.changes ?? {}).length > 0 && (
+                      <div className="library-badges">
+                        <span className="badge badge-changed">Changed since last check</span>
+                      </div>
+                    )}
+                  </div>
 
-              <div className="job-tech">
-                <p className="job-field-label">Tech Stacks</p>
-                {savedTechStacks.length > 0 && (
-                  <p className="helper-text job-tech-helper">
-                    {jobEntry.techStacks?.some((tech) =>
-                      savedTechStackSet.has(String(tech).toLowerCase())
-                    )
-                      ? 'We found matches with your saved tech stack.'
-                      : 'No matches with your saved tech stack for this role.'}
-                  </p>
-                )}
-                <div className="chip-row">
-                  {(!jobEntry.techStacks || jobEntry.techStacks.length === 0) && (
-                    <span className="chip muted">Not listed</span>
+                  <div className="job-details">
+                    <JobField label="Location">
+                      <LocationDetails location={jobEntry.location} />
+                    </JobField>
+                    <JobField label="Salary">
+                      {formatSalary(jobEntry.baseSalary) ?? 'Not disclosed'}
+                    </JobField>
+                    <JobField label="Seniority">
+                      {formatSeniority(jobEntry.seniority) ?? 'Not stated'}
+                    </JobField>
+                    <JobField label="Employment type">
+                      {jobEntry.employmentType?.length > 0
+                        ? jobEntry.employmentType.join(', ')
+                        : 'Not stated'}
+                    </JobField>
+                    {jobEntry.yearsOfExperience && (
+                      <JobField label="Experience">
+                        {formatYearsOfExperience(jobEntry.yearsOfExperience)}
+                      </JobField>
+                    )}
+                    <JobField label="Job Platform">{jobEntry.jobPlatform ?? 'RemoteOK'}</JobField>
+                    <JobField label="Link">
+                      {jobEntry.sourceLink ? (
+                        <a href={jobEntry.sourceLink} target="_blank" rel="noreferrer">
+                          View posting ↗
+                        </a>
+                      ) : (
+                        'Not provided'
+                      )}
+                    </JobField>
+                  </div>
+
+                  {jobEntry.duplicates && <PostingSources duplicates={jobEntry.duplicates} />}
+
+                  <div className="job-tech">
+                    <p className="job-field-label">Tech Stacks</p>
+                    <TechChips
+                      techStacks={jobEntry.techStacks}
+                      savedTechStackSet={savedTechStackSet}
+                      chipKeyPrefix={jobEntry.sourceLink}
+                      onIgnore={handleIgnoreTech}
+                    />
+                  </div>
+
+                  <DescriptionPanel job={jobEntry} taxonomy={taxonomy} />
+
+                  <MatchPanel match={jobEntry.match} />
+
+                  {jobEntry.library?.id && (
+                    <ApplicationTracker
+                      libraryId={jobEntry.library.id}
+                      application={applications[jobEntry.library.id]}
+                      onChange={handleApplicationChange}
+                    />
                   )}
-                  {jobEntry.techStacks?.map((tech) => {
-                    const isMatch = savedTechStackSet.has(String(tech).toLowerCase());
-                    const hasAnyMatches = jobEntry.techStacks?.some((item) =>
-                      savedTechStackSet.has(String(item).toLowerCase())
-                    );
-                    const classes = [
-                      'chip',
-                      isMatch ? 'match' : '',
-                      hasAnyMatches && !isMatch ? 'dimmed' : '',
-                    ]
-                      .filter(Boolean)
-                      .join(' ');
-
-                    return (
-                      <span className={classes} key={`${jobEntry.sourceLink}-${tech}`}>
-                        {tech}
-                      </span>
-                    );
-                  })}
-                </div>
-              </div>
-            </article>
-          ))}
-      </section>
+                </article>
+              ))}
+          </section>
+        </>
+      )}
     </main>
   );
 }
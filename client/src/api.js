@@ -0,0 +1,104 @@
+export const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL ?? '').replace(/\/$/, '');
+export const TECH_STACKS_ENDPOINT = `${API_BASE_URL}/api/tech-stacks`;
+export const JOB_ENDPOINT = `${API_BASE_URL}/api/job`;
+export const BATCH_ENDPOINT = `${API_BASE_URL}/api/jobs/batch`;
+export const LIBRARY_ENDPOINT = `${API_BASE_URL}/api/library`;
+export const PROFILE_ENDPOINT = `${API_BASE_URL}/api/profile`;
+export const MATCH_ENDPOINT = `${API_BASE_URL}/api/match`;
+export const WATCHLISTS_ENDPOINT = `${API_BASE_URL}/api/watchlists`;
+export const DISCOVER_ENDPOINT = `${API_BASE_URL}/api/discover`;
+export const EXPORT_ENDPOINT = `${API_BASE_URL}/api/export`;
+export const IMPORT_ENDPOINT = `${API_BASE_URL}/api/import`;
+export const APPLICATIONS_ENDPOINT = `${API_BASE_URL}/api/applications`;
+export const AUTH_ENDPOINT = `${API_BASE_URL}/api/auth`;
+export const RULES_ENDPOINT = `${API_BASE_URL}/api/rules`;
+export const DUPLICATES_ENDPOINT = `${API_BASE_URL}/api/duplicates`;
+
+// Records an application status change for a library job. Returns
+// `{ application }`, or `{ error }` with a message to show.
+export const postApplicationUpdate = async (libraryId, update) => {
+  try {
+    const response = await fetch(`${APPLICATIONS_ENDPOINT}/${libraryId}/updates`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(update),
+    });
+    const data = await response.json();
+    return response.ok
+      ? { application: data }
+      : { error: data.message ?? 'Unable to save the update.' };
+  } catch {
+    return { error: 'Unable to reach the server.' };
+  }
+};
+
+// Reads a newline-delimited JSON response body and hands each event to
+// `onEvent` as soon as its line is complete.
+export const readNdjsonStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter((line) => line.trim()).forEach((line) => onEvent(JSON.parse(line)));
+  }
+
+  if (buffer.trim()) {
+    onEvent(JSON.parse(buffer));
+  }
+};
+
+// Marks a tech match as a false positive: `phrase` becomes a negative
+// context of the tech `name`. Returns the updated tech stacks
+// (`{ techStacks, taxonomy, categories }`), or `{ error }`.
+export const postIgnoreRule = async (name, phrase) => {
+  try {
+    const response = await fetch(`${TECH_STACKS_ENDPOINT}/ignore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, phrase }),
+    });
+    const data = await response.json();
+    return response.ok ? data : { error: data.message ?? 'Unable to save the rule.' };
+  } catch {
+    return { error: 'Unable to reach the server.' };
+  }
+};
+
+// Replaces the saved exclusion rules. Returns `{ rules }` as saved, or
+// `{ error }` naming the rule the server rejected.
+export const putRules = async (rules) => {
+  try {
+    const response = await fetch(RULES_ENDPOINT, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rules }),
+    });
+    const data = await response.json();
+    return response.ok ? data : { error: data.message ?? 'Unable to save the rules.' };
+  } catch {
+    return { error: 'Unable to reach the server.' };
+  }
+};
+
+// Asks the server which of `jobs` are the same role cross-posted on several
+// boards. Returns `{ groups, fieldCount }` with indexes into `jobs`, or no
+// groups when the server could not be reached.
+export const postDuplicates = async (jobs) => {
+  try {
+    const response = await fetch(DUPLICATES_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jobs }),
+    });
+    return response.ok ? await response.json() : { groups: [] };
+  } catch {
+    return { groups: [] };
+  }
+};
@@ -0,0 +1,128 @@
+import { formatSalary, formatSeniority } from './format.js';
+
+// Helpers for the side-by-side comparison of selected digest jobs.
+
+const TECH_IMPORTANCE_LABELS = {
+  required: 'Required',
+  preferred: 'Nice to have',
+  mentioned: 'Mentioned',
+};
+
+// Tech entries as `{ name, importance }`; older servers report bare names.
+// Company-blurb mentions are left out, since the role does not ask for them.
+const techEntries = (job) =>
+  (job.techStacks ?? [])
+    .filter((tech) => tech && tech !== 'Not provided')
+    .map((tech) => (typeof tech === 'string' ? { name: tech, importance: 'mentioned' } : tech))
+    .filter((tech) => tech.importance !== 'boilerplate');
+
+const techNames = (job, importances) =>
+  techEntries(job)
+    .filter((tech) => importances.includes(tech.importance ?? 'mentioned'))
+    .map((tech) => tech.name);
+
+const describeLocation = (location) => {
+  if (!location) return null;
+  return typeof location === 'string' ? location.replace(/\s*\n\s*/g, ' · ') : location.summary;
+};
+
+// Each row turns a job into display text, or null when the posting does
+// not say.
+export const COMPARISON_ROWS = [
+  { id: 'title', label: 'Title', value: (job) => job.title },
+  { id: 'company', label: 'Company', value: (job) => job.company },
+  { id: 'location', label: 'Location model', value: (job) => describeLocation(job.location) },
+  { id: 'salary', label: 'Salary', value: (job) => formatSalary(job.baseSalary) },
+  { id: 'seniority', label: 'Seniority', value: (job) => formatSeniority(job.seniority) },
+  {
+    id: 'requiredTech',
+    label: 'Required stack',
+    value: (job) => techNames(job, ['required']).join(', ') || null,
+  },
+  {
+    id: 'optionalTech',
+    label: 'Optional stack',
+    value: (job) => techNames(job, ['preferred', 'mentioned']).join(', ') || null,
+  },
+  {
+    id: 'matchScore',
+    label: 'Match score',
+    value: (job) =>
+      job.match?.score === null || job.match?.score === undefined
+        ? null
+        : `${job.match.score}/100`,
+  },
+];
+
+// `[{ id, label, values, isDifferent }]`, one entry per row. A row differs
+// when the jobs do not all show the same text.
+export const buildComparisonRows = (jobs) =>
+  COMPARISON_ROWS.map((row) => {
+    const values = jobs.map((job) => row.value(job) ?? null);
+    const distinct = new Set(values.map((value) => (value ?? '').toLowerCase()));
+    return { id: row.id, label: row.label, values, isDifferent: distinct.size > 1 };
+  });
+
+// Which techs each job wants: `[{ name, cells, sharedBy }]` with one cell
+// per job (the importance label, or null), techs wanted by the most jobs
+// first.
+export const buildTechMatrix = (jobs) => {
+  const byName = new Map();
+  jobs.forEach((job, jobIndex) => {
+    techEntries(job).forEach((tech) => {
+      const key = tech.name.toLowerCase();
+      if (!byName.has(key)) {
+        byName.set(key, { name: tech.name, cells: jobs.map(() => null) });
+      }
+      byName.get(key).cells[jobIndex] =
+        TECH_IMPORTANCE_LABELS[tech.importance] ?? TECH_IMPORTANCE_LABELS.mentioned;
+    });
+  });
+
+  return Array.from(byName.values())
+    .map((entry) => ({ ...entry, sharedBy: entry.cells.filter(Boolean).length }))
+    .sort((left, right) => right.sharedBy - left.sharedBy || left.name.localeCompare(right.name));
+};
+
+export const comparisonColumnLabel = (job, index) =>
+  [job.title, job.company].filter(Boolean).join(' · ') || `Job ${index + 1}`;
+
+const markdownCell = (value) =>
+  String(value ?? '—')
+    .replace(/\|/g, '\\|')
+    .replace(/\s*[\r\n]+\s*/g, ' ');
+
+const markdownTable = (header, rows) =>
+  [
+    `| ${header.map(markdownCell).join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${row.map(markdownCell).join(' | ')} |`),
+  ].join('\n');
+
+// The comparison table and the tech overlap matrix as one Markdown
+// document. Rows that differ between the jobs are marked with "≠".
+export const comparisonToMarkdown = (jobs) => {
+  const header = ['', ...jobs.map(comparisonColumnLabel)];
+  const rows = buildComparisonRows(jobs).map((row) => [
+    row.isDifferent ? `**${row.label}** ≠` : `**${row.label}**`,
+    ...row.values,
+  ]);
+  const links = jobs
+    .map((job, index) => {
+      if (!job.sourceLink) return null;
+      return `- [${markdownCell(comparisonColumnLabel(job, index))}](${job.sourceLink})`;
+    })
+    .filter(Boolean);
+  const matrix = buildTechMatrix(jobs).map((entry) => [
+    `${entry.name} (${entry.sharedBy}/${jobs.length})`,
+    ...entry.cells.map((cell) => cell ?? ''),
+  ]);
+
+  return [
+    '# Job comparison',
+    markdownTable(header, rows),
+    '## Tech stack overlap',
+    matrix.length > 0 ? markdownTable(['Tech', ...header.slice(1)], matrix) : 'No tech listed.',
+    ...(links.length > 0 ? ['## Postings', links.join('\n')] : []),
+  ].join('\n\n') + '\n';
+};
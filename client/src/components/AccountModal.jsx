@@ -0,0 +1,178 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AUTH_ENDPOINT } from '../api.js';
+
+const formatDate = (isoDate) => (isoDate ? new Date(isoDate).toLocaleDateString() : 'never');
+
+// Account settings: change the password and manage personal access tokens
+// for scripts (sent as `Authorization: Bearer <token>`).
+function AccountModal({ user, onClose }) {
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '' });
+  const [passwordMessage, setPasswordMessage] = useState(null); // { tone, text }
+  const [tokens, setTokens] = useState([]);
+  const [tokenLabel, setTokenLabel] = useState('');
+  const [newToken, setNewToken] = useState(null);
+  const [tokenError, setTokenError] = useState('');
+
+  const loadTokens = useCallback(async () => {
+    try {
+      const response = await fetch(`${AUTH_ENDPOINT}/tokens`);
+      if (response.ok) {
+        setTokens((await response.json()).tokens);
+      }
+    } catch {
+      setTokenError('Unable to load your access tokens.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTokens();
+  }, [loadTokens]);
+
+  const handleChangePassword = async (event) => {
+    event.preventDefault();
+    setPasswordMessage(null);
+    try {
+      const response = await fetch(`${AUTH_ENDPOINT}/password`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(passwords),
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        setPasswordMessage({ tone: 'error', text: data.message ?? 'Unable to change it.' });
+        return;
+      }
+      setPasswords({ currentPassword: '', newPassword: '' });
+      setPasswordMessage({
+        tone: 'ok',
+        text: 'Password changed. Your other sessions were signed out.',
+      });
+    } catch {
+      setPasswordMessage({ tone: 'error', text: 'Unable to reach the server.' });
+    }
+  };
+
+  const handleCreateToken = async (event) => {
+    event.preventDefault();
+    setTokenError('');
+    try {
+      const response = await fetch(`${AUTH_ENDPOINT}/tokens`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ label: tokenLabel }),
+      });
+      if (!response.ok) {
+        throw new Error('Failed to create the token.');
+      }
+      setNewToken(await response.json());
+      setTokenLabel('');
+      await loadTokens();
+    } catch {
+      setTokenError('Unable to create an access token.');
+    }
+  };
+
+  const handleRevokeToken = async (id) => {
+    try {
+      const response = await fetch(`${AUTH_ENDPOINT}/tokens/${id}`, { method: 'DELETE' });
+      if (response.ok || response.status === 404) {
+        setTokens((prev) => prev.filter((token) => token.id !== id));
+        setNewToken((prev) => (prev?.id === id ? null : prev));
+      }
+    } catch {
+      setTokenError('Unable to revoke the token.');
+    }
+  };
+
+  return (
+    <div className="tech-modal-backdrop" role="dialog" aria-modal="true">
+      <div className="tech-modal">
+        <div className="tech-modal-header">
+          <p className="eyebrow">Account</p>
+          <h2>{user.username}</h2>
+          <p className="helper-text">
+            Your tech stacks, match profile, job library and pipeline belong to this account.
+          </p>
+        </div>
+
+        <form className="account-section" onSubmit={handleChangePassword}>
+          <p className="job-field-label">Change password</p>
+          <input
+            type="password"
+            placeholder="Current password"
+            autoComplete="current-password"
+            value={passwords.currentPassword}
+            onChange={(event) =>
+              setPasswords((prev) => ({ ...prev, currentPassword: event.target.value }))
+            }
+            required
+          />
+          <input
+            type="password"
+            placeholder="New password (at least 8 characters)"
+            autoComplete="new-password"
+            value={passwords.newPassword}
+            onChange={(event) =>
+              setPasswords((prev) => ({ ...prev, newPassword: event.target.value }))
+            }
+            required
+          />
+          <div className="tech-modal-actions">
+            <button type="submit">Change password</button>
+          </div>
+          {passwordMessage && (
+            <p className={passwordMessage.tone === 'error' ? 'invalid-link-reason' : 'helper-text'}>
+              {passwordMessage.text}
+            </p>
+          )}
+        </form>
+
+        <form className="account-section" onSubmit={handleCreateToken}>
+          <p className="job-field-label">Personal access tokens</p>
+          {tokens.length === 0 && <p className="helper-text">No access tokens yet.</p>}
+          <ul className="account-tokens">
+            {tokens.map((token) => (
+              <li key={token.id}>
+                <span>
+                  {token.label}
+                  <span className="helper-text">
+                    {' '}
+                    · created {formatDate(token.createdAt)} · last used{' '}
+                    {formatDate(token.lastUsedAt)}
+                  </span>
+                </span>
+                <button type="button" onClick={() => handleRevokeToken(token.id)}>
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+          {newToken && (
+            <p className="account-new-token">
+              Copy your new token now; it won&apos;t be shown again:
+              <code>{newToken.token}</code>
+            </p>
+          )}
+          <input
+            type="text"
+            placeholder="Label, e.g. Export script"
+            value={tokenLabel}
+            onChange={(event) => setTokenLabel(event.target.value)}
+          />
+          <div className="tech-modal-actions">
+            <button type="submit">Create token</button>
+          </div>
+          {tokenError && <p className="invalid-link-reason">{tokenError}</p>}
+        </form>
+
+        <div className="tech-modal-actions">
+          <button type="button" className="secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AccountModal;
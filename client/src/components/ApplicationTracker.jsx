@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import { postApplicationUpdate } from '../api.js';
+import { APPLICATION_STAGE_LABELS } from '../format.js';
+import ApplicationUpdateForm from './ApplicationUpdateForm.jsx';
+
+// Pipeline status for a digest job card: the current stage, and a form to
+// start tracking the job or move it along.
+function ApplicationTracker({ libraryId, application, onChange }) {
+  const [isEditing, setIsEditing] = useState(false);
+
+  const handleSubmit = async (update) => {
+    const { application: updated, error } = await postApplicationUpdate(libraryId, update);
+    if (error) return error;
+    onChange(updated);
+    setIsEditing(false);
+    return null;
+  };
+
+  const latest = application?.history[application.history.length - 1];
+
+  return (
+    <div className="application-tracker">
+      <div className="application-tracker-status">
+        <p className="job-field-label">Application</p>
+        {application ? (
+          <>
+            <span className={`badge application-stage stage-${application.status}`}>
+              {APPLICATION_STAGE_LABELS[application.status]}
+            </span>
+            <span className="helper-text">since {latest.date}</span>
+          </>
+        ) : (
+          <span className="helper-text">Not tracked</span>
+        )}
+        {!isEditing && (
+          <button type="button" onClick={() => setIsEditing(true)}>
+            {application ? 'Update status' : 'Track application'}
+          </button>
+        )}
+      </div>
+
+      {isEditing && (
+        <ApplicationUpdateForm
+          initialStatus={application?.status ?? 'saved'}
+          onSubmit={handleSubmit}
+          onCancel={() => setIsEditing(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default ApplicationTracker;
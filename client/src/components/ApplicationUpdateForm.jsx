@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { APPLICATION_STAGE_LABELS, parseContacts } from '../format.js';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Status change form shared by the digest cards and the pipeline board.
+// `onSubmit(update)` resolves to an error message, or nothing on success.
+function ApplicationUpdateForm({
+  initialStatus = 'saved',
+  submitLabel = 'Save',
+  onSubmit,
+  onCancel,
+}) {
+  const [draft, setDraft] = useState({
+    status: initialStatus,
+    date: today(),
+    notes: '',
+    contactsText: '',
+  });
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateDraft = (field) => (event) =>
+    setDraft((prev) => ({ ...prev, [field]: event.target.value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError('');
+    const message = await onSubmit({
+      status: draft.status,
+      date: draft.date,
+      notes: draft.notes,
+      contacts: parseContacts(draft.contactsText),
+    });
+    setIsSaving(false);
+    if (message) {
+      setError(message);
+    } else {
+      setDraft((prev) => ({ ...prev, notes: '', contactsText: '' }));
+    }
+  };
+
+  return (
+    <form className="application-form" onSubmit={handleSubmit}>
+      <div className="application-form-row">
+        <label>
+          <span className="job-field-label">Stage</span>
+          <select value={draft.status} onChange={updateDraft('status')}>
+            {Object.entries(APPLICATION_STAGE_LABELS).map(([stage, label]) => (
+              <option key={stage} value={stage}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="job-field-label">Date</span>
+          <input type="date" value={draft.date} onChange={updateDraft('date')} required />
+        </label>
+      </div>
+      <label>
+        <span className="job-field-label">Notes</span>
+        <textarea
+          value={draft.notes}
+          onChange={updateDraft('notes')}
+          placeholder="Referral from Sam, sent portfolio link…"
+        />
+      </label>
+      <label>
+        <span className="job-field-label">Contacts</span>
+        <textarea
+          value={draft.contactsText}
+          onChange={updateDraft('contactsText')}
+          placeholder="One per line: Jane Doe, Recruiter, jane@example.com"
+        />
+      </label>
+      <div className="library-actions">
+        <button type="submit" disabled={isSaving}>
+          {isSaving ? 'Saving…' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" className="secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+      {error && <p className="invalid-link-reason">{error}</p>}
+    </form>
+  );
+}
+
+export default ApplicationUpdateForm;
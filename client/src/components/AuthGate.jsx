@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AUTH_ENDPOINT } from '../api.js';
+import SignIn from './SignIn.jsx';
+
+// Shows the sign-in screen until there is a session, then renders
+// `children({ user, onSignOut })`.
+function AuthGate({ children }) {
+  const [session, setSession] = useState(null); // { user, signupEnabled }
+  const [status, setStatus] = useState('loading'); // loading | loaded | error
+
+  const loadSession = useCallback(async () => {
+    setStatus('loading');
+    try {
+      const response = await fetch(`${AUTH_ENDPOINT}/session`);
+      if (!response.ok) {
+        throw new Error('Failed to load the session.');
+      }
+      setSession(await response.json());
+      setStatus('loaded');
+    } catch {
+      setStatus('error');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSession();
+  }, [loadSession]);
+
+  const handleSignOut = async () => {
+    try {
+      await fetch(`${AUTH_ENDPOINT}/logout`, { method: 'POST' });
+    } catch {
+      // The cookie expires on its own; drop the local session either way.
+    }
+    setSession((prev) => ({ ...prev, user: null }));
+  };
+
+  if (status === 'loading') {
+    return (
+      <main className="app-shell">
+        <p className="helper-text">Loading…</p>
+      </main>
+    );
+  }
+
+  if (status === 'error') {
+    return (
+      <main className="app-shell">
+        <div className="status status-error">
+          <p>We couldn&apos;t reach the server.</p>
+          <button type="button" onClick={loadSession}>
+            Try again
+          </button>
+        </div>
+      </main>
+    );
+  }
+
+  if (!session.user) {
+    return (
+      <SignIn
+        signupEnabled={session.signupEnabled}
+        onSignedIn={(user) => setSession((prev) => ({ ...prev, user }))}
+      />
+    );
+  }
+
+  return children({ user: session.user, onSignOut: handleSignOut });
+}
+
+export default AuthGate;
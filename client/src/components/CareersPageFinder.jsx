@@ -0,0 +1,187 @@
+import { useMemo, useState } from 'react';
+import { DISCOVER_ENDPOINT } from '../api.js';
+import { describeFetchFailure } from '../format.js';
+
+const DEPTH_OPTIONS = [
+  { value: 0, label: 'This page only' },
+  { value: 1, label: 'Follow listing links (1 level)' },
+  { value: 2, label: '2 levels' },
+  { value: 3, label: '3 levels' },
+];
+
+// Same rule as the server's `q` parameter: comma-separated keywords, any of
+// which may appear in the title.
+const matchesKeywords = (title, keywords) => {
+  const terms = keywords
+    .split(',')
+    .map((term) => term.trim().toLowerCase())
+    .filter(Boolean);
+  return terms.length === 0 || terms.some((term) => (title || '').toLowerCase().includes(term));
+};
+
+// Looks up every posting on a careers page or ATS board and lets the user
+// pick which ones go into the link collector.
+function CareersPageFinder({ existingLinks, onAddLinks }) {
+  const [pageUrl, setPageUrl] = useState('');
+  const [depth, setDepth] = useState(1);
+  const [status, setStatus] = useState('idle'); // idle | loading | loaded | error
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+  const [keywords, setKeywords] = useState('');
+  const [selected, setSelected] = useState(() => new Set());
+
+  const existingSet = useMemo(() => new Set(existingLinks), [existingLinks]);
+  const visibleCandidates = useMemo(
+    () =>
+      (result?.candidates ?? []).filter((candidate) => matchesKeywords(candidate.title, keywords)),
+    [result, keywords]
+  );
+  const selectedVisible = visibleCandidates.filter((candidate) => selected.has(candidate.url));
+
+  const handleDiscover = async (event) => {
+    event.preventDefault();
+    setStatus('loading');
+    setError('');
+
+    try {
+      const params = new URLSearchParams({ url: pageUrl.trim(), depth: String(depth) });
+      const response = await fetch(`${DISCOVER_ENDPOINT}?${params}`);
+      const data = await response.json();
+      if (!response.ok) {
+        setError(
+          data.code === 'POSTING_CLOSED'
+            ? 'That page does not exist (404/410). Check the link.'
+            : describeFetchFailure(data)
+        );
+        setStatus('error');
+        return;
+      }
+      setResult(data);
+      setSelected(new Set(data.candidates.map((candidate) => candidate.url)));
+      setStatus('loaded');
+    } catch {
+      setError('Unable to reach the server.');
+      setStatus('error');
+    }
+  };
+
+  const toggleCandidate = (url) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(url)) {
+        next.delete(url);
+      } else {
+        next.add(url);
+      }
+      return next;
+    });
+
+  const setAllVisible = (isSelected) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      visibleCandidates.forEach((candidate) =>
+        isSelected ? next.add(candidate.url) : next.delete(candidate.url)
+      );
+      return next;
+    });
+
+  const handleAdd = () => {
+    onAddLinks(selectedVisible.map((candidate) => candidate.url));
+  };
+
+  return (
+    <section className="link-collector careers-finder">
+      <div className="link-collector-heading">
+        <p className="job-field-label">Find jobs on a careers page</p>
+        <p className="helper-text">
+          Greenhouse, Lever, Ashby and Workday boards are listed in full; other careers pages are
+          crawled on the same site.
+        </p>
+      </div>
+
+      <form className="careers-finder-form" onSubmit={handleDiscover}>
+        <input
+          type="url"
+          placeholder="https://example.com/careers"
+          value={pageUrl}
+          onChange={(event) => setPageUrl(event.target.value)}
+          required
+        />
+        <select value={depth} onChange={(event) => setDepth(Number(event.target.value))}>
+          {DEPTH_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <button type="submit" disabled={!pageUrl.trim() || status === 'loading'}>
+          {status === 'loading' ? 'Searching…' : 'Find jobs'}
+        </button>
+      </form>
+
+      {status === 'error' && <p className="invalid-link-reason">{error}</p>}
+
+      {status === 'loaded' && result && (
+        <>
+          <p className="helper-text">
+            Found {result.total} posting{result.total === 1 ? '' : 's'}
+            {result.boards.length > 0 ? ` on ${result.boards.join(', ')}` : ''} after checking{' '}
+            {result.pagesVisited || 1} page{result.pagesVisited === 1 ? '' : 's'}
+            {result.truncated ? ' (stopped at the crawl limit)' : ''}.
+            {result.failures.length > 0 ? ` ${result.failures.length} page(s) failed to load.` : ''}
+          </p>
+
+          {result.total > 0 && (
+            <>
+              <div className="careers-finder-filter">
+                <input
+                  type="text"
+                  placeholder="Filter titles, e.g. backend, platform"
+                  value={keywords}
+                  onChange={(event) => setKeywords(event.target.value)}
+                />
+                <button type="button" onClick={() => setAllVisible(true)}>
+                  Select all
+                </button>
+                <button type="button" onClick={() => setAllVisible(false)}>
+                  Select none
+                </button>
+              </div>
+
+              <ul className="careers-finder-list">
+                {visibleCandidates.map((candidate) => (
+                  <li key={candidate.url}>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={selected.has(candidate.url)}
+                        onChange={() => toggleCandidate(candidate.url)}
+                      />
+                      <span>{candidate.title || candidate.url}</span>
+                    </label>
+                    <span className="helper-text">
+                      {[candidate.location, existingSet.has(candidate.url) && 'already added']
+                        .filter(Boolean)
+                        .join(' · ')}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+
+              <div className="link-collector-actions">
+                <p className="helper-text">
+                  {selectedVisible.length} of {visibleCandidates.length} shown selected
+                </p>
+                <button type="button" onClick={handleAdd} disabled={selectedVisible.length === 0}>
+                  Add to links
+                </button>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default CareersPageFinder;
@@ -0,0 +1,127 @@
+import { useMemo } from 'react';
+import {
+  buildComparisonRows,
+  buildTechMatrix,
+  comparisonColumnLabel,
+  comparisonToMarkdown,
+} from '../compare.js';
+
+// Side-by-side table of the jobs selected in the digest. Rows whose values
+// differ are highlighted; the overlap matrix shows which techs each job
+// wants.
+function ComparisonModal({ jobs, onRemove, onClose }) {
+  const rows = useMemo(() => buildComparisonRows(jobs), [jobs]);
+  const techMatrix = useMemo(() => buildTechMatrix(jobs), [jobs]);
+
+  const handleDownload = () => {
+    const blob = new Blob([comparisonToMarkdown(jobs)], { type: 'text/markdown' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'job-comparison.md';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="tech-modal-backdrop" role="dialog" aria-modal="true">
+      <div className="tech-modal comparison-modal">
+        <div className="tech-modal-header">
+          <p className="eyebrow">Compare</p>
+          <h2>
+            {jobs.length} job{jobs.length === 1 ? '' : 's'} side by side
+          </h2>
+          <p className="helper-text">Highlighted rows differ between the jobs.</p>
+        </div>
+
+        <div className="comparison-scroll">
+          <table className="comparison-table">
+            <thead>
+              <tr>
+                <th scope="col" />
+                {jobs.map((job, index) => (
+                  <th scope="col" key={job.sourceLink}>
+                    <span>{comparisonColumnLabel(job, index)}</span>
+                    <button
+                      type="button"
+                      className="link-button"
+                      onClick={() => onRemove(job.sourceLink)}
+                    >
+                      Remove
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.id} className={row.isDifferent ? 'is-different' : ''}>
+                  <th scope="row">{row.label}</th>
+                  {row.values.map((value, index) => (
+                    <td key={jobs[index].sourceLink} className={value ? '' : 'is-missing'}>
+                      {value ?? 'Not stated'}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <p className="job-field-label">Tech stack overlap</p>
+        {techMatrix.length === 0 ? (
+          <p className="helper-text">None of these jobs list any tech.</p>
+        ) : (
+          <div className="comparison-scroll">
+            <table className="comparison-table comparison-matrix">
+              <thead>
+                <tr>
+                  <th scope="col">Tech</th>
+                  {jobs.map((job, index) => (
+                    <th scope="col" key={job.sourceLink}>
+                      {comparisonColumnLabel(job, index)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {techMatrix.map((entry) => (
+                  <tr
+                    key={entry.name}
+                    className={entry.sharedBy < jobs.length ? 'is-different' : ''}
+                  >
+                    <th scope="row">
+                      {entry.name}{' '}
+                      <small>
+                        {entry.sharedBy}/{jobs.length}
+                      </small>
+                    </th>
+                    {entry.cells.map((cell, index) => (
+                      <td
+                        key={jobs[index].sourceLink}
+                        className={cell ? 'is-wanted' : 'is-missing'}
+                      >
+                        {cell ?? '—'}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="tech-modal-actions">
+          <button type="button" onClick={handleDownload}>
+            Export as Markdown
+          </button>
+          <button type="button" className="secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ComparisonModal;
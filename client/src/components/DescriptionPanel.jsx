@@ -0,0 +1,96 @@
+import { useMemo, useState } from 'react';
+import { descriptionHighlights, findHighlightRanges } from '../highlight.js';
+
+const HIGHLIGHT_LABELS = {
+  tech: 'Your tech stack',
+  salary: 'Salary',
+  location: 'Location',
+};
+
+// Parses the description markup (already sanitized by the server) in an
+// inert document, so nothing in it loads or runs, and wraps every
+// highlighted phrase in a <mark>. Phrases are matched within one text
+// node, so a phrase split by markup is left alone. Descriptions without
+// markup become one paragraph per line.
+const renderHighlighted = (description, highlights) => {
+  const doc = document.implementation.createHTMLDocument('');
+  const root = doc.createElement('div');
+  if (description.html) {
+    root.innerHTML = description.html;
+  } else {
+    (description.text ?? '').split('\n').forEach((line) => {
+      const paragraph = doc.createElement('p');
+      paragraph.textContent = line;
+      root.append(paragraph);
+    });
+  }
+
+  const textNodes = [];
+  const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  const counts = { tech: 0, salary: 0, location: 0 };
+  textNodes.forEach((node) => {
+    const ranges = findHighlightRanges(node.data, highlights);
+    if (ranges.length === 0) return;
+
+    const fragment = doc.createDocumentFragment();
+    let cursor = 0;
+    ranges.forEach(({ start, end, highlight }) => {
+      fragment.append(node.data.slice(cursor, start));
+      const mark = doc.createElement('mark');
+      mark.className = `highlight highlight-${highlight.type}`;
+      mark.title = highlight.label;
+      mark.textContent = node.data.slice(start, end);
+      fragment.append(mark);
+      counts[highlight.type] += 1;
+      cursor = end;
+    });
+    fragment.append(node.data.slice(cursor));
+    node.replaceWith(fragment);
+  });
+
+  return { html: root.innerHTML, counts };
+};
+
+// Expandable full description of one job, with saved techs, salary and
+// location phrases highlighted inline. Nothing is rendered until the panel
+// is opened.
+function DescriptionPanel({ job, taxonomy }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const description = job.description;
+  const rendered = useMemo(
+    () =>
+      isOpen && description
+        ? renderHighlighted(description, descriptionHighlights(job, taxonomy))
+        : null,
+    [isOpen, description, job, taxonomy]
+  );
+
+  if (!description?.html && !description?.text) return null;
+
+  return (
+    <details className="job-description" onToggle={(event) => setIsOpen(event.target.open)}>
+      <summary>Full description</summary>
+      {rendered && (
+        <>
+          <div className="job-description-legend">
+            {Object.entries(HIGHLIGHT_LABELS)
+              .filter(([type]) => rendered.counts[type] > 0)
+              .map(([type, label]) => (
+                <span key={type} className={`highlight highlight-${type}`}>
+                  {label} ({rendered.counts[type]})
+                </span>
+              ))}
+          </div>
+          <div
+            className="job-description-body"
+            dangerouslySetInnerHTML={{ __html: rendered.html }}
+          />
+        </>
+      )}
+    </details>
+  );
+}
+
+export default DescriptionPanel;
@@ -0,0 +1,122 @@
+import { useEffect, useState } from 'react';
+import { EXPORT_ENDPOINT } from '../api.js';
+
+const FORMAT_LABELS = {
+  csv: 'CSV',
+  json: 'JSON',
+  md: 'Markdown table',
+  xlsx: 'Excel (XLSX)',
+};
+
+// Export button for the digest toolbar. Downloads the jobs currently shown
+// (by library id) or the whole library in the chosen format and columns.
+function ExportMenu({ jobIds }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [options, setOptions] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [format, setFormat] = useState('csv');
+  const [columns, setColumns] = useState([]);
+  const [scope, setScope] = useState('shown'); // shown | library
+
+  useEffect(() => {
+    if (!isOpen || options) return;
+
+    const loadColumns = async () => {
+      try {
+        const response = await fetch(`${EXPORT_ENDPOINT}/columns`);
+        if (!response.ok) {
+          throw new Error('Failed to load export columns.');
+        }
+        const data = await response.json();
+        setOptions(data);
+        setColumns(data.defaultColumns);
+      } catch {
+        setLoadError('Unable to load the export options.');
+      }
+    };
+
+    loadColumns();
+  }, [isOpen, options]);
+
+  // Selected columns keep the server's column order.
+  const toggleColumn = (id) =>
+    setColumns((prev) => {
+      const next = prev.includes(id) ? prev.filter((column) => column !== id) : [...prev, id];
+      return options.columns.map((column) => column.id).filter((column) => next.includes(column));
+    });
+
+  const params = new URLSearchParams({ format, columns: columns.join(',') });
+  if (scope === 'shown') {
+    params.set('ids', jobIds.join(','));
+  }
+  const isEmpty = columns.length === 0 || (scope === 'shown' && jobIds.length === 0);
+
+  return (
+    <div className="export-menu">
+      <button type="button" onClick={() => setIsOpen((prev) => !prev)} aria-expanded={isOpen}>
+        Export
+      </button>
+
+      {isOpen && (
+        <div className="export-panel">
+          {loadError && <p className="invalid-link-reason">{loadError}</p>}
+          {!options && !loadError && <p className="helper-text">Loading export options…</p>}
+
+          {options && (
+            <>
+              <div className="export-row">
+                <label>
+                  <span>Jobs</span>
+                  <select value={scope} onChange={(event) => setScope(event.target.value)}>
+                    <option value="shown">Shown in the digest ({jobIds.length})</option>
+                    <option value="library">Everything in the library</option>
+                  </select>
+                </label>
+                <label>
+                  <span>Format</span>
+                  <select value={format} onChange={(event) => setFormat(event.target.value)}>
+                    {options.formats.map((id) => (
+                      <option key={id} value={id}>
+                        {FORMAT_LABELS[id] ?? id}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <p className="job-field-label">Columns</p>
+              <div className="export-columns">
+                {options.columns.map((column) => (
+                  <label key={column.id} className="job-toolbar-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={columns.includes(column.id)}
+                      onChange={() => toggleColumn(column.id)}
+                    />
+                    <span>{column.label}</span>
+                  </label>
+                ))}
+              </div>
+
+              <div className="library-actions">
+                <a
+                  className={`export-download${isEmpty ? ' disabled' : ''}`}
+                  href={isEmpty ? undefined : `${EXPORT_ENDPOINT}?${params}`}
+                  aria-disabled={isEmpty}
+                  download
+                >
+                  Download
+                </a>
+                <button type="button" className="secondary" onClick={() => setIsOpen(false)}>
+                  Close
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { IMPORT_ENDPOINT } from '../api.js';
+
+const ACCEPTED_FILES = '.csv,.tsv,.txt,.html,.htm,.eml,.mbox,.mbx';
+
+const FORMAT_LABELS = {
+  csv: 'CSV',
+  text: 'text file',
+  html: 'bookmarks file',
+  email: 'email',
+};
+
+// Drop zone and file picker for the link collector. The server pulls the
+// job links out of the file, and they are handed to `onAddLinks`.
+function FileImport({ onAddLinks }) {
+  const [status, setStatus] = useState('idle'); // idle | loading | loaded | error
+  const [isDragging, setIsDragging] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+
+  const importFile = async (file) => {
+    if (!file) return;
+    setStatus('loading');
+    setError('');
+
+    try {
+      const params = new URLSearchParams({ fileName: file.name });
+      const response = await fetch(`${IMPORT_ENDPOINT}?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: file,
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.message ?? 'Unable to import that file.');
+        setStatus('error');
+        return;
+      }
+      onAddLinks(data.links);
+      setSummary({ ...data, fileName: file.name });
+      setStatus('loaded');
+    } catch {
+      setError('Unable to reach the server.');
+      setStatus('error');
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    importFile(event.dataTransfer.files?.[0]);
+  };
+
+  const handleAddOtherLinks = () => {
+    onAddLinks(summary.otherLinks);
+    setSummary((prev) => ({ ...prev, otherLinks: [] }));
+  };
+
+  return (
+    <div
+      className={`file-import${isDragging ? ' dragging' : ''}`}
+      onDragOver={(event) => {
+        event.preventDefault();
+        setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+    >
+      <p className="helper-text">
+        {status === 'loading'
+          ? 'Reading the file…'
+          : 'Drop a CSV, bookmarks export, text file or job-alert email (.eml, .mbox) here, or'}
+      </p>
+      <label className="file-import-picker">
+        <input
+          type="file"
+          accept={ACCEPTED_FILES}
+          onChange={(event) => {
+            importFile(event.target.files?.[0]);
+            event.target.value = '';
+          }}
+          disabled={status === 'loading'}
+        />
+        <span>Choose a file</span>
+      </label>
+
+      {status === 'error' && <p className="invalid-link-reason">{error}</p>}
+
+      {status === 'loaded' && summary && (
+        <div className="file-import-summary">
+          <p className="helper-text">
+            Added {summary.links.length} job link{summary.links.length === 1 ? '' : 's'} from the{' '}
+            {FORMAT_LABELS[summary.format] ?? 'file'} {summary.fileName}
+            {summary.duplicates > 0 ? ` (${summary.duplicates} duplicates merged)` : ''}.
+          </p>
+          {summary.otherLinks.length > 0 && (
+            <button type="button" onClick={handleAddOtherLinks}>
+              Also add {summary.otherLinks.length} other link
+              {summary.otherLinks.length === 1 ? '' : 's'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FileImport;
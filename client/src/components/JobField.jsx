@@ -0,0 +1,8 @@
+const JobField = ({ label, children }) => (
+  <div className="job-field">
+    <p className="job-field-label">{label}</p>
+    <p className="job-field-value">{children ?? '—'}</p>
+  </div>
+);
+
+export default JobField;
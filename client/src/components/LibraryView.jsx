@@ -0,0 +1,169 @@
+import { useCallback, useEffect, useState } from 'react';
+import { LIBRARY_ENDPOINT } from '../api.js';
+import { CHANGE_FIELD_LABELS, formatChangeValue } from '../format.js';
+import JobField from './JobField.jsx';
+import LocationDetails from './LocationDetails.jsx';
+
+const formatDate = (isoDate) => (isoDate ? new Date(isoDate).toLocaleString() : '—');
+
+function LibraryView() {
+  const [records, setRecords] = useState([]);
+  const [status, setStatus] = useState('loading'); // loading | loaded | error
+  const [busyIds, setBusyIds] = useState([]);
+
+  const loadLibrary = useCallback(async () => {
+    try {
+      const response = await fetch(LIBRARY_ENDPOINT);
+      if (!response.ok) {
+        throw new Error('Failed to load the job library.');
+      }
+      const data = await response.json();
+      setRecords(Array.isArray(data.jobs) ? data.jobs : []);
+      setStatus('loaded');
+    } catch {
+      setStatus('error');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLibrary();
+  }, [loadLibrary]);
+
+  const withBusy = useCallback(async (id, action) => {
+    setBusyIds((prev) => [...prev, id]);
+    try {
+      await action();
+    } finally {
+      setBusyIds((prev) => prev.filter((entry) => entry !== id));
+    }
+  }, []);
+
+  const handleRecheck = (id) =>
+    withBusy(id, async () => {
+      try {
+        const response = await fetch(`${LIBRARY_ENDPOINT}/${id}/recheck`, { method: 'POST' });
+        if (response.ok) {
+          const updated = await response.json();
+          setRecords((prev) => prev.map((record) => (record.id === id ? updated : record)));
+          return;
+        }
+      } catch {
+        // Fall through to a reload so the UI shows the server's last known state.
+      }
+      await loadLibrary();
+    });
+
+  const handleDelete = (id) =>
+    withBusy(id, async () => {
+      try {
+        const response = await fetch(`${LIBRARY_ENDPOINT}/${id}`, { method: 'DELETE' });
+        if (response.ok || response.status === 404) {
+          setRecords((prev) => prev.filter((record) => record.id !== id));
+        }
+      } catch {
+        // Keep the record visible if the server could not be reached.
+      }
+    });
+
+  if (status === 'loading') {
+    return <p className="helper-text">Loading your job library…</p>;
+  }
+
+  if (status === 'error') {
+    return (
+      <div className="status status-error">
+        <p>We couldn&apos;t load the job library.</p>
+        <button type="button" onClick={loadLibrary}>
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  if (records.length === 0) {
+    return (
+      <p className="helper-text">
+        Nothing saved yet. Every job you fetch from the digest lands here automatically.
+      </p>
+    );
+  }
+
+  return (
+    <section className="job-results library">
+      <p className="helper-text">
+        {records.length} saved job{records.length === 1 ? '' : 's'}
+      </p>
+
+      {records.map((record) => {
+        const job = record.job ?? {};
+        const changedFields = Object.keys(record.changes ?? {});
+        const isBusy = busyIds.includes(record.id);
+        const isRemoved = record.status === 'removed';
+
+        return (
+          <article className={`job-card library-card${isRemoved ? ' is-removed' : ''}`} key={record.id}>
+            <div className="job-heading">
+              <p className="job-platform">{job.jobPlatform ?? 'Job board'}</p>
+              <h2>{job.title ?? 'Untitled role'}</h2>
+              {job.company && <p className="job-company">{job.company}</p>}
+              <div className="library-badges">
+                {isRemoved && <span className="badge badge-removed">Taken down</span>}
+                {!isRemoved && changedFields.length > 0 && (
+                  <span className="badge badge-changed">Changed on last check</span>
+                )}
+                {record.lastError && !isRemoved && (
+                  <span className="badge badge-error">Last check failed</span>
+                )}
+              </div>
+            </div>
+
+            <div className="job-details">
+              <JobField label="Location">
+                <LocationDetails location={job.location} />
+              </JobField>
+              <JobField label="First seen">{formatDate(record.firstSeenAt)}</JobField>
+              <JobField label="Last checked">{formatDate(record.lastCheckedAt)}</JobField>
+              <JobField label="Link">
+                <a href={record.canonicalUrl} target="_blank" rel="noreferrer">
+                  View posting ↗
+                </a>
+              </JobField>
+            </div>
+
+            {changedFields.length > 0 && (
+              <ul className="library-changes">
+                {changedFields.map((field) => (
+                  <li key={field}>
+                    <span className="job-field-label">{CHANGE_FIELD_LABELS[field] ?? field}</span>
+                    <span>
+                      {formatChangeValue(record.changes[field].before)} →{' '}
+                      {formatChangeValue(record.changes[field].after)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {record.lastError && <p className="helper-text">Last error: {record.lastError}</p>}
+
+            <div className="library-actions">
+              <button type="button" onClick={() => handleRecheck(record.id)} disabled={isBusy}>
+                {isBusy ? 'Working…' : 'Re-check'}
+              </button>
+              <button
+                type="button"
+                className="secondary"
+                onClick={() => handleDelete(record.id)}
+                disabled={isBusy}
+              >
+                Delete
+              </button>
+            </div>
+          </article>
+        );
+      })}
+    </section>
+  );
+}
+
+export default LibraryView;
@@ -0,0 +1,42 @@
+const MODE_LABELS = {
+  remote: 'Remote',
+  hybrid: 'Hybrid',
+  onsite: 'On-site',
+  unknown: 'Not stated',
+};
+
+const formatOffice = ({ city, region, country } = {}) =>
+  [city, region, country].filter(Boolean).join(', ');
+
+const formatDays = ({ min, max }) =>
+  min === max ? `${min} days/week in office` : `${min}–${max} days/week in office`;
+
+// Renders the structured location from /api/job. Older library records
+// still carry the plain "Remote" / "Not Remote\n…" string.
+function LocationDetails({ location }) {
+  if (!location) return 'Not disclosed';
+  if (typeof location === 'string') return location;
+
+  const offices = (location.offices ?? []).map(formatOffice).filter(Boolean);
+  const rows = [
+    location.remoteRegions?.length > 0 && ['Open to', location.remoteRegions.join(', ')],
+    offices.length > 0 && [offices.length === 1 ? 'Office' : 'Offices', offices.join(' / ')],
+    location.daysInOffice && ['In office', formatDays(location.daysInOffice)],
+    location.timezones?.length > 0 && ['Time zones', location.timezones.join(', ')],
+  ].filter(Boolean);
+
+  return (
+    <>
+      <span className={`badge work-mode work-mode-${location.workMode ?? 'unknown'}`}>
+        {MODE_LABELS[location.workMode] ?? MODE_LABELS.unknown}
+      </span>
+      {rows.map(([label, value]) => (
+        <span className="location-row" key={label}>
+          <span className="location-row-label">{label}:</span> {value}
+        </span>
+      ))}
+    </>
+  );
+}
+
+export default LocationDetails;
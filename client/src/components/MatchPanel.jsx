@@ -0,0 +1,55 @@
+const STATUS_ICONS = {
+  pass: '✓',
+  partial: '≈',
+  fail: '✗',
+  unknown: '?',
+  skipped: '–',
+};
+
+const scoreTone = (score) => {
+  if (score === null || score === undefined) return 'none';
+  if (score >= 70) return 'high';
+  if (score >= 40) return 'medium';
+  return 'low';
+};
+
+export function MatchScore({ match }) {
+  const score = match?.score;
+  return (
+    <span className={`match-score match-${scoreTone(score)}`} title="Match score">
+      {score === null || score === undefined ? '—' : score}
+      <small>/100</small>
+    </span>
+  );
+}
+
+// Lists which profile criteria passed or failed for one job.
+function MatchPanel({ match }) {
+  if (!match?.breakdown) return null;
+
+  return (
+    <details className="match-panel">
+      <summary>
+        Why {match.score === null ? 'no score' : `a score of ${match.score}`}?
+      </summary>
+      <ul>
+        {match.breakdown.map((criterion) => (
+          <li key={criterion.id} className={`match-${criterion.status}`}>
+            <span className="match-icon" aria-label={criterion.status}>
+              {STATUS_ICONS[criterion.status] ?? '?'}
+            </span>
+            <span className="match-label">
+              {criterion.label}
+              {criterion.score !== null && criterion.weight > 0 && (
+                <small> · weight {criterion.weight}</small>
+              )}
+            </span>
+            <span className="match-detail">{criterion.detail}</span>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+export default MatchPanel;
@@ -0,0 +1,280 @@
+import { useCallback, useEffect, useState } from 'react';
+import { APPLICATIONS_ENDPOINT, postApplicationUpdate } from '../api.js';
+import { APPLICATION_STAGE_LABELS, formatContact } from '../format.js';
+import ApplicationUpdateForm from './ApplicationUpdateForm.jsx';
+
+const POSTING_STATUS_LABELS = {
+  removed: 'Posting taken down',
+  deleted: 'Removed from library',
+};
+
+const formatWeek = (weekStart) =>
+  new Date(`${weekStart}T00:00:00`).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+  });
+
+function PipelineStats({ stats }) {
+  const busiestWeek = Math.max(1, ...stats.applicationsPerWeek.map((week) => week.count));
+
+  return (
+    <div className="pipeline-stats">
+      <div className="pipeline-stat">
+        <span className="job-field-label">Tracked</span>
+        <strong>{stats.total}</strong>
+      </div>
+      <div className="pipeline-stat">
+        <span className="job-field-label">Applied</span>
+        <strong>{stats.applied}</strong>
+      </div>
+      <div className="pipeline-stat">
+        <span className="job-field-label">Response rate</span>
+        <strong>
+          {stats.responseRate === null ? '—' : `${Math.round(stats.responseRate * 100)}%`}
+        </strong>
+        <span className="helper-text">
+          {stats.responded} of {stats.applied} heard back
+        </span>
+      </div>
+      <div className="pipeline-stat">
+        <span className="job-field-label">Interviews</span>
+        <strong>{stats.interviewed}</strong>
+      </div>
+      <div className="pipeline-stat pipeline-weeks">
+        <span className="job-field-label">Applications per week</span>
+        <div className="pipeline-week-bars">
+          {stats.applicationsPerWeek.map((week) => (
+            <div
+              key={week.weekStart}
+              className="pipeline-week-bar"
+              title={`Week of ${formatWeek(week.weekStart)}: ${week.count}`}
+            >
+              <span style={{ height: `${(week.count / busiestWeek) * 100}%` }} />
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Kanban board of tracked applications, one column per stage. Cards can be
+// dragged to another column (recorded with today's date) or opened to add
+// a dated update with notes and contacts.
+function PipelineBoard() {
+  const [pipeline, setPipeline] = useState(null);
+  const [status, setStatus] = useState('loading'); // loading | loaded | error
+  const [openId, setOpenId] = useState(null);
+  const [dropStage, setDropStage] = useState(null);
+  const [moveError, setMoveError] = useState('');
+
+  const loadPipeline = useCallback(async () => {
+    try {
+      const response = await fetch(APPLICATIONS_ENDPOINT);
+      if (!response.ok) {
+        throw new Error('Failed to load applications.');
+      }
+      setPipeline(await response.json());
+      setStatus('loaded');
+    } catch {
+      setStatus('error');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPipeline();
+  }, [loadPipeline]);
+
+  const handleUpdate = async (libraryId, update) => {
+    const { error } = await postApplicationUpdate(libraryId, update);
+    if (error) return error;
+    await loadPipeline();
+    return null;
+  };
+
+  const handleDrop = async (event, stage) => {
+    event.preventDefault();
+    setDropStage(null);
+    const libraryId = event.dataTransfer.getData('text/plain');
+    const application = pipeline.applications.find((entry) => entry.libraryId === libraryId);
+    if (!application || application.status === stage) return;
+    setMoveError((await handleUpdate(libraryId, { status: stage })) ?? '');
+  };
+
+  const handleDeleteEntry = async (libraryId, entryId) => {
+    try {
+      await fetch(`${APPLICATIONS_ENDPOINT}/${libraryId}/updates/${entryId}`, {
+        method: 'DELETE',
+      });
+    } catch {
+      // The reload below shows whatever the server still has.
+    }
+    await loadPipeline();
+  };
+
+  const handleStopTracking = async (libraryId) => {
+    try {
+      await fetch(`${APPLICATIONS_ENDPOINT}/${libraryId}`, { method: 'DELETE' });
+    } catch {
+      // The reload below shows whatever the server still has.
+    }
+    setOpenId(null);
+    await loadPipeline();
+  };
+
+  if (status === 'loading') {
+    return <p className="helper-text">Loading your application pipeline…</p>;
+  }
+
+  if (status === 'error') {
+    return (
+      <div className="status status-error">
+        <p>We couldn&apos;t load the application pipeline.</p>
+        <button type="button" onClick={loadPipeline}>
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  const openApplication = pipeline.applications.find((entry) => entry.libraryId === openId);
+
+  return (
+    <section className="pipeline">
+      <PipelineStats stats={pipeline.stats} />
+
+      {pipeline.applications.length === 0 && (
+        <p className="helper-text">
+          No applications yet. Use &quot;Track application&quot; on a job in the digest to add one.
+        </p>
+      )}
+      {moveError && <p className="invalid-link-reason">{moveError}</p>}
+
+      <div className="pipeline-board">
+        {pipeline.stages.map((stage) => {
+          const cards = pipeline.applications.filter((entry) => entry.status === stage);
+          return (
+            <div
+              key={stage}
+              className={`pipeline-column${dropStage === stage ? ' is-drop-target' : ''}`}
+              onDragOver={(event) => {
+                event.preventDefault();
+                setDropStage(stage);
+              }}
+              onDragLeave={() => setDropStage(null)}
+              onDrop={(event) => handleDrop(event, stage)}
+            >
+              <p className="pipeline-column-heading">
+                <span className={`badge application-stage stage-${stage}`}>
+                  {APPLICATION_STAGE_LABELS[stage] ?? stage}
+                </span>
+                <span className="helper-text">{cards.length}</span>
+              </p>
+              {cards.map((application) => {
+                const latest = application.history[application.history.length - 1];
+                return (
+                  <button
+                    type="button"
+                    key={application.libraryId}
+                    className={`pipeline-card${openId === application.libraryId ? ' active' : ''}`}
+                    draggable
+                    onDragStart={(event) =>
+                      event.dataTransfer.setData('text/plain', application.libraryId)
+                    }
+                    onClick={() =>
+                      setOpenId((prev) =>
+                        prev === application.libraryId ? null : application.libraryId
+                      )
+                    }
+                  >
+                    <strong>{application.job.title ?? 'Untitled role'}</strong>
+                    {application.job.company && (
+                      <span className="job-company">{application.job.company}</span>
+                    )}
+                    <span className="helper-text">since {latest.date}</span>
+                    {POSTING_STATUS_LABELS[application.postingStatus] && (
+                      <span className="badge badge-removed">
+                        {POSTING_STATUS_LABELS[application.postingStatus]}
+                      </span>
+                    )}
+                  </button>
+                );
+              })}
+            </div>
+          );
+        })}
+      </div>
+
+      {openApplication && (
+        <article className="job-card pipeline-detail">
+          <div className="job-heading">
+            <p className="job-platform">
+              {APPLICATION_STAGE_LABELS[openApplication.status] ?? openApplication.status}
+            </p>
+            <h2>{openApplication.job.title ?? 'Untitled role'}</h2>
+            {openApplication.job.company && (
+              <p className="job-company">{openApplication.job.company}</p>
+            )}
+            {openApplication.job.location && (
+              <p className="helper-text">{openApplication.job.location}</p>
+            )}
+            {openApplication.job.url && (
+              <a href={openApplication.job.url} target="_blank" rel="noreferrer">
+                View posting ↗
+              </a>
+            )}
+          </div>
+
+          <p className="job-field-label">History</p>
+          <ul className="pipeline-history">
+            {[...openApplication.history].reverse().map((entry) => (
+              <li key={entry.id}>
+                <div className="watchlist-entry-heading">
+                  <span className={`badge application-stage stage-${entry.status}`}>
+                    {APPLICATION_STAGE_LABELS[entry.status] ?? entry.status}
+                  </span>
+                  <span className="helper-text">{entry.date}</span>
+                  <button
+                    type="button"
+                    className="pipeline-history-delete"
+                    onClick={() => handleDeleteEntry(openApplication.libraryId, entry.id)}
+                    aria-label="Delete this update"
+                  >
+                    ×
+                  </button>
+                </div>
+                {entry.notes && <p className="pipeline-notes">{entry.notes}</p>}
+                {entry.contacts.length > 0 && (
+                  <ul className="pipeline-contacts">
+                    {entry.contacts.map((contact, index) => (
+                      <li key={`${entry.id}-${index}`}>{formatContact(contact)}</li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          <p className="job-field-label">Add an update</p>
+          <ApplicationUpdateForm
+            key={openApplication.libraryId}
+            initialStatus={openApplication.status}
+            submitLabel="Add update"
+            onSubmit={(update) => handleUpdate(openApplication.libraryId, update)}
+          />
+          <div className="library-actions">
+            <button
+              type="button"
+              className="secondary"
+              onClick={() => handleStopTracking(openApplication.libraryId)}
+            >
+              Stop tracking
+            </button>
+          </div>
+        </article>
+      )}
+    </section>
+  );
+}
+
+export default PipelineBoard;
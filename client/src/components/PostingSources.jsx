@@ -0,0 +1,43 @@
+const hostnameOf = (link) => {
+  try {
+    return new URL(link).hostname.replace(/^www\./, '');
+  } catch {
+    return link;
+  }
+};
+
+// Lists every board a cross-posted job was found on. The card shows the
+// `primaryLink` copy, the one with the most details filled in.
+function PostingSources({ duplicates }) {
+  const { members, primaryLink, fieldCount, similarity } = duplicates;
+
+  return (
+    <div className="job-sources">
+      <p className="job-field-label" title={`Matched at ${Math.round(similarity * 100)}%`}>
+        Posted on {members.length} boards
+      </p>
+      <ul>
+        {members.map((member) => (
+          <li key={member.sourceLink}>
+            <a href={member.sourceLink} target="_blank" rel="noreferrer">
+              {member.job.jobPlatform ?? hostnameOf(member.sourceLink)} ↗
+            </a>
+            {member.job.jobPlatform && (
+              <span className="job-sources-host">{hostnameOf(member.sourceLink)}</span>
+            )}
+            {member.sourceLink === primaryLink && (
+              <span className="badge badge-complete">Most complete</span>
+            )}
+            {fieldCount > 0 && (
+              <span className="helper-text">
+                {member.completeness} of {fieldCount} details
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default PostingSources;
@@ -0,0 +1,148 @@
+import { useState } from 'react';
+
+const REMOTE_OPTIONS = [
+  { value: 'any', label: 'No preference' },
+  { value: 'remote', label: 'Remote' },
+  { value: 'hybrid', label: 'Hybrid' },
+  { value: 'onsite', label: 'On-site' },
+];
+
+const SENIORITY_OPTIONS = ['intern', 'junior', 'mid', 'senior', 'lead', 'staff', 'principal'];
+
+const WEIGHT_LABELS = {
+  tech: 'Tech overlap',
+  location: 'Location',
+  seniority: 'Seniority',
+  salary: 'Salary',
+};
+
+// Form state keeps every field as editable text; the server normalizes the
+// saved profile.
+const toDraft = (profile = {}) => ({
+  remotePreference: profile.remotePreference ?? 'any',
+  locationsText: (profile.locations ?? []).join(', '),
+  seniority: profile.seniority ?? '',
+  salaryMin: profile.salary?.min ? String(profile.salary.min) : '',
+  currency: profile.salary?.currency ?? 'USD',
+  weights: Object.fromEntries(
+    Object.keys(WEIGHT_LABELS).map((key) => [key, String(profile.weights?.[key] ?? '')])
+  ),
+});
+
+const fromDraft = (draft) => ({
+  remotePreference: draft.remotePreference,
+  locations: draft.locationsText
+    .split(',')
+    .map((location) => location.trim())
+    .filter(Boolean),
+  seniority: draft.seniority || null,
+  salary: { min: draft.salaryMin || null, currency: draft.currency.trim() },
+  weights: draft.weights,
+});
+
+function ProfileModal({ profile, onClose, onSave }) {
+  const [draft, setDraft] = useState(() => toDraft(profile));
+
+  const update = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+  const updateWeight = (key, value) =>
+    setDraft((prev) => ({ ...prev, weights: { ...prev.weights, [key]: value } }));
+
+  return (
+    <div className="tech-modal-backdrop" role="dialog" aria-modal="true">
+      <div className="tech-modal">
+        <div className="tech-modal-header">
+          <p className="eyebrow">Match profile</p>
+          <h2>What are you looking for?</h2>
+          <p className="helper-text">
+            Every fetched job gets a 0–100 score from your tech stack, location, seniority and
+            salary floor. Leave a field empty to ignore it.
+          </p>
+        </div>
+
+        <div className="profile-form">
+          <label>
+            <span>Work arrangement</span>
+            <select
+              value={draft.remotePreference}
+              onChange={(event) => update({ remotePreference: event.target.value })}
+            >
+              {REMOTE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span>Preferred locations</span>
+            <input
+              type="text"
+              value={draft.locationsText}
+              placeholder="Berlin, London"
+              onChange={(event) => update({ locationsText: event.target.value })}
+            />
+          </label>
+          <label>
+            <span>Seniority</span>
+            <select
+              value={draft.seniority}
+              onChange={(event) => update({ seniority: event.target.value })}
+            >
+              <option value="">Any</option>
+              {SENIORITY_OPTIONS.map((level) => (
+                <option key={level} value={level}>
+                  {level}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span>Yearly salary floor</span>
+            <span className="profile-salary">
+              <input
+                type="number"
+                min="0"
+                value={draft.salaryMin}
+                placeholder="120000"
+                onChange={(event) => update({ salaryMin: event.target.value })}
+              />
+              <input
+                type="text"
+                aria-label="Currency"
+                maxLength={3}
+                value={draft.currency}
+                onChange={(event) => update({ currency: event.target.value.toUpperCase() })}
+              />
+            </span>
+          </label>
+        </div>
+
+        <fieldset className="profile-weights">
+          <legend>Weights</legend>
+          {Object.entries(WEIGHT_LABELS).map(([key, label]) => (
+            <label key={key}>
+              <span>{label}</span>
+              <input
+                type="number"
+                min="0"
+                value={draft.weights[key]}
+                onChange={(event) => updateWeight(key, event.target.value)}
+              />
+            </label>
+          ))}
+        </fieldset>
+
+        <div className="tech-modal-actions">
+          <button type="button" className="secondary" onClick={onClose}>
+            Close
+          </button>
+          <button type="button" onClick={() => onSave(fromDraft(draft))}>
+            Save profile
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ProfileModal;
@@ -0,0 +1,286 @@
+import { useState } from 'react';
+import { describeRule } from '../format.js';
+
+const CONDITION_OPTIONS = [
+  { value: 'keyword', label: 'mention keywords' },
+  { value: 'tech', label: 'list a tech' },
+  { value: 'location', label: 'are based' },
+  { value: 'salary', label: 'pay at least' },
+  { value: 'company', label: 'are from a company' },
+];
+
+const IMPORTANCE_OPTIONS = [
+  { value: 'required', label: 'as required' },
+  { value: 'preferred', label: 'as required or nice to have' },
+  { value: 'mentioned', label: 'anywhere in the role' },
+];
+
+const WORK_MODE_OPTIONS = [
+  { value: 'remote', label: 'Remote' },
+  { value: 'hybrid', label: 'Hybrid' },
+  { value: 'onsite', label: 'On-site' },
+];
+
+const splitList = (text) =>
+  text
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+// New rules get their id from the server; until then a local key tells
+// the rows apart.
+let nextDraftKey = 0;
+
+// Form state keeps list fields as comma-separated text and every type's
+// fields side by side, so switching the condition type loses nothing.
+const toDraft = (rule = {}) => {
+  const condition = rule.condition ?? {};
+  nextDraftKey += 1;
+  return {
+    key: rule.id ?? `new-${nextDraftKey}`,
+    id: rule.id,
+    action: rule.action ?? 'exclude',
+    enabled: rule.enabled !== false,
+    type: condition.type ?? 'keyword',
+    keywordsText: (condition.keywords ?? []).join(', '),
+    techName: condition.name ?? '',
+    importance: condition.importance ?? 'required',
+    workModes: condition.workModes ?? [],
+    placesText: (condition.places ?? []).join(', '),
+    scope: condition.scope ?? 'inside',
+    salaryMin: condition.min ? String(condition.min) : '',
+    currency: condition.currency ?? 'USD',
+    namesText: (condition.names ?? []).join(', '),
+  };
+};
+
+const CONDITION_FROM_DRAFT = {
+  keyword: (draft) => ({ type: 'keyword', keywords: splitList(draft.keywordsText) }),
+  tech: (draft) => ({ type: 'tech', name: draft.techName.trim(), importance: draft.importance }),
+  location: (draft) => ({
+    type: 'location',
+    workModes: draft.workModes,
+    places: splitList(draft.placesText),
+    scope: draft.scope,
+  }),
+  salary: (draft) => ({ type: 'salary', min: draft.salaryMin, currency: draft.currency.trim() }),
+  company: (draft) => ({ type: 'company', names: splitList(draft.namesText) }),
+};
+
+const fromDraft = (draft) => ({
+  id: draft.id,
+  action: draft.action,
+  enabled: draft.enabled,
+  condition: CONDITION_FROM_DRAFT[draft.type](draft),
+});
+
+function ConditionFields({ draft, techNames, onChange }) {
+  if (draft.type === 'keyword' || draft.type === 'company') {
+    const field = draft.type === 'keyword' ? 'keywordsText' : 'namesText';
+    return (
+      <input
+        type="text"
+        aria-label={draft.type === 'keyword' ? 'Keywords' : 'Companies'}
+        value={draft[field]}
+        placeholder={draft.type === 'keyword' ? 'security clearance, TS/SCI' : 'Initech, Hooli'}
+        onChange={(event) => onChange({ [field]: event.target.value })}
+      />
+    );
+  }
+
+  if (draft.type === 'tech') {
+    return (
+      <>
+        <input
+          type="text"
+          aria-label="Tech"
+          list="rule-tech-names"
+          value={draft.techName}
+          placeholder="PHP"
+          onChange={(event) => onChange({ techName: event.target.value })}
+        />
+        <datalist id="rule-tech-names">
+          {techNames.map((name) => (
+            <option key={name} value={name} />
+          ))}
+        </datalist>
+        <select
+          aria-label="Importance"
+          value={draft.importance}
+          onChange={(event) => onChange({ importance: event.target.value })}
+        >
+          {IMPORTANCE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </>
+    );
+  }
+
+  if (draft.type === 'location') {
+    const toggleMode = (mode) =>
+      onChange({
+        workModes: draft.workModes.includes(mode)
+          ? draft.workModes.filter((entry) => entry !== mode)
+          : [...draft.workModes, mode],
+      });
+    return (
+      <>
+        <span className="rule-modes">
+          {WORK_MODE_OPTIONS.map((option) => (
+            <label key={option.value}>
+              <input
+                type="checkbox"
+                checked={draft.workModes.includes(option.value)}
+                onChange={() => toggleMode(option.value)}
+              />
+              {option.label}
+            </label>
+          ))}
+        </span>
+        <select
+          aria-label="Inside or outside"
+          value={draft.scope}
+          onChange={(event) => onChange({ scope: event.target.value })}
+        >
+          <option value="inside">in</option>
+          <option value="outside">outside</option>
+        </select>
+        <input
+          type="text"
+          aria-label="Places"
+          value={draft.placesText}
+          placeholder="EU, United Kingdom"
+          onChange={(event) => onChange({ placesText: event.target.value })}
+        />
+      </>
+    );
+  }
+
+  return (
+    <span className="profile-salary">
+      <input
+        type="number"
+        min="0"
+        aria-label="Yearly salary"
+        value={draft.salaryMin}
+        placeholder="120000"
+        onChange={(event) => onChange({ salaryMin: event.target.value })}
+      />
+      <input
+        type="text"
+        aria-label="Currency"
+        maxLength={3}
+        value={draft.currency}
+        onChange={(event) => onChange({ currency: event.target.value.toUpperCase() })}
+      />
+    </span>
+  );
+}
+
+// Edits the saved deal-breakers. `onSave(rules)` resolves to an error
+// message, or null once the rules are saved.
+function RulesModal({ rules, techNames, onClose, onSave }) {
+  const [drafts, setDrafts] = useState(() => rules.map(toDraft));
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateDraft = (index, patch) =>
+    setDrafts((prev) => prev.map((draft, at) => (at === index ? { ...draft, ...patch } : draft)));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError('');
+    const message = await onSave(drafts.map(fromDraft));
+    setIsSaving(false);
+    if (message) setError(message);
+  };
+
+  return (
+    <div className="tech-modal-backdrop" role="dialog" aria-modal="true">
+      <div className="tech-modal">
+        <div className="tech-modal-header">
+          <p className="eyebrow">Deal-breakers</p>
+          <h2>Which jobs should never show up?</h2>
+          <p className="helper-text">
+            Every fetched job is checked against these rules. Hidden jobs stay one click away
+            with “Show hidden”. A rule the posting gives no answer to, such as a salary floor
+            when no salary is listed, never hides a job.
+          </p>
+        </div>
+
+        {drafts.length === 0 && <p className="helper-text">No rules yet.</p>}
+        <ul className="rule-list">
+          {drafts.map((draft, index) => (
+            <li key={draft.key} className={draft.enabled ? '' : 'is-disabled'}>
+              <div className="rule-row">
+                <input
+                  type="checkbox"
+                  aria-label="Rule enabled"
+                  checked={draft.enabled}
+                  onChange={(event) => updateDraft(index, { enabled: event.target.checked })}
+                />
+                <select
+                  aria-label="Action"
+                  value={draft.action}
+                  onChange={(event) => updateDraft(index, { action: event.target.value })}
+                >
+                  <option value="exclude">Hide</option>
+                  <option value="include">Only show</option>
+                </select>
+                <span>jobs that</span>
+                <select
+                  aria-label="Condition"
+                  value={draft.type}
+                  onChange={(event) => updateDraft(index, { type: event.target.value })}
+                >
+                  {CONDITION_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={() => setDrafts((prev) => prev.filter((_, at) => at !== index))}
+                >
+                  Remove
+                </button>
+              </div>
+              <div className="rule-row">
+                <ConditionFields
+                  draft={draft}
+                  techNames={techNames}
+                  onChange={(patch) => updateDraft(index, patch)}
+                />
+              </div>
+              <p className="helper-text">{describeRule(fromDraft(draft))}</p>
+            </li>
+          ))}
+        </ul>
+        <button
+          type="button"
+          className="secondary"
+          onClick={() => setDrafts((prev) => [...prev, toDraft()])}
+        >
+          Add rule
+        </button>
+
+        {error && <p className="invalid-link-reason">{error}</p>}
+        <div className="tech-modal-actions">
+          <button type="button" className="secondary" onClick={onClose}>
+            Close
+          </button>
+          <button type="button" onClick={handleSave} disabled={isSaving}>
+            {isSaving ? 'Saving…' : 'Save rules'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RulesModal;
@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { AUTH_ENDPOINT } from '../api.js';
+
+const MODES = {
+  signIn: { label: 'Sign in', path: 'login' },
+  register: { label: 'Create account', path: 'register' },
+  token: { label: 'Access token', path: 'login' },
+};
+
+// Sign-in screen: username and password, a new account (when the server
+// allows sign-ups) or a personal access token.
+function SignIn({ signupEnabled, onSignedIn }) {
+  const [mode, setMode] = useState('signIn');
+  const [draft, setDraft] = useState({ username: '', password: '', token: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateDraft = (field) => (event) =>
+    setDraft((prev) => ({ ...prev, [field]: event.target.value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const response = await fetch(`${AUTH_ENDPOINT}/${MODES[mode].path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(
+          mode === 'token'
+            ? { token: draft.token }
+            : { username: draft.username, password: draft.password }
+        ),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.message ?? 'Unable to sign in.');
+        return;
+      }
+      onSignedIn(data.user);
+    } catch {
+      setError('Unable to reach the server.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const modes = Object.keys(MODES).filter((id) => id !== 'register' || signupEnabled);
+
+  return (
+    <main className="app-shell">
+      <header className="page-header">
+        <div>
+          <p className="eyebrow">Job digest</p>
+          <h1>Online Job Description Filter</h1>
+          <p className="lede">
+            Sign in to see your own tech stacks, job library and application pipeline.
+          </p>
+        </div>
+      </header>
+
+      <form className="link-collector auth-form" onSubmit={handleSubmit}>
+        <nav className="view-switcher" aria-label="Sign-in method">
+          {modes.map((id) => (
+            <button
+              key={id}
+              type="button"
+              className={mode === id ? 'active' : ''}
+              onClick={() => {
+                setMode(id);
+                setError('');
+              }}
+            >
+              {MODES[id].label}
+            </button>
+          ))}
+        </nav>
+
+        {mode === 'token' ? (
+          <label>
+            <span className="job-field-label">Personal access token</span>
+            <input
+              type="password"
+              value={draft.token}
+              onChange={updateDraft('token')}
+              autoComplete="off"
+              required
+            />
+          </label>
+        ) : (
+          <>
+            <label>
+              <span className="job-field-label">Username</span>
+              <input
+                type="text"
+                value={draft.username}
+                onChange={updateDraft('username')}
+                autoComplete="username"
+                required
+              />
+            </label>
+            <label>
+              <span className="job-field-label">Password</span>
+              <input
+                type="password"
+                value={draft.password}
+                onChange={updateDraft('password')}
+                autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+                required
+              />
+            </label>
+          </>
+        )}
+
+        <div className="link-collector-actions">
+          <button type="submit" disabled={isSubmitting}>
+            {isSubmitting ? 'Signing in…' : MODES[mode].label}
+          </button>
+        </div>
+        {error && <p className="invalid-link-reason">{error}</p>}
+      </form>
+    </main>
+  );
+}
+
+export default SignIn;
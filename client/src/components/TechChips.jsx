@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import TechEvidencePopover from './TechEvidencePopover.jsx';
+
+const IMPORTANCE_LABELS = {
+  required: 'Required',
+  preferred: 'Nice to have',
+  mentioned: 'Mentioned',
+  boilerplate: 'Company blurb',
+};
+
+const SECTION_LABELS = {
+  requirements: 'requirements',
+  preferred: 'nice-to-haves',
+  responsibilities: 'responsibilities',
+  about: 'company description',
+  benefits: 'benefits',
+  metadata: 'page metadata',
+  other: 'description',
+};
+
+// Older servers (and library records) report bare names.
+const toTechList = (techStacks) =>
+  (Array.isArray(techStacks) ? techStacks : [techStacks])
+    .filter((tech) => tech && tech !== 'Not provided')
+    .map((tech) => (typeof tech === 'string' ? { name: tech, importance: 'mentioned' } : tech));
+
+const describeTech = (tech) => {
+  const label = IMPORTANCE_LABELS[tech.importance] ?? IMPORTANCE_LABELS.mentioned;
+  const section = SECTION_LABELS[tech.section];
+  return section ? `${label} — found in ${section}` : label;
+};
+
+// Clicking a chip shows why it was detected. `onIgnore(name, phrase)` is
+// offered for techs in the saved tech stack (see TechEvidencePopover).
+function TechChips({ techStacks, savedTechStackSet, chipKeyPrefix, onIgnore }) {
+  const [openName, setOpenName] = useState(null);
+  const techs = toTechList(techStacks);
+  const openTech = techs.find((tech) => tech.name === openName);
+  const isMatch = (tech) => savedTechStackSet.has(tech.name.toLowerCase());
+  const hasAnyMatches = techs.some(isMatch);
+  const importances = Object.keys(IMPORTANCE_LABELS).filter((importance) =>
+    techs.some((tech) => (tech.importance ?? 'mentioned') === importance)
+  );
+
+  return (
+    <>
+      {savedTechStackSet.size > 0 && (
+        <p className="helper-text job-tech-helper">
+          {hasAnyMatches
+            ? 'We found matches with your saved tech stack.'
+            : 'No matches with your saved tech stack for this role.'}
+        </p>
+      )}
+      <div className="chip-row">
+        {techs.length === 0 && <span className="chip muted">Not listed</span>}
+        {techs.map((tech) => {
+          const matched = isMatch(tech);
+          const classes = [
+            'chip',
+            `importance-${tech.importance ?? 'mentioned'}`,
+            matched ? 'match' : '',
+            hasAnyMatches && !matched ? 'dimmed' : '',
+          ]
+            .filter(Boolean)
+            .join(' ');
+
+          return (
+            <button
+              type="button"
+              className={classes}
+              key={`${chipKeyPrefix}-${tech.name}`}
+              title={describeTech(tech)}
+              aria-expanded={openName === tech.name}
+              onClick={() => setOpenName((prev) => (prev === tech.name ? null : tech.name))}
+            >
+              {tech.name}
+            </button>
+          );
+        })}
+      </div>
+      {openTech && (
+        <TechEvidencePopover
+          tech={openTech}
+          heading={describeTech(openTech)}
+          onIgnore={
+            onIgnore && savedTechStackSet.has(openTech.name.toLowerCase()) ? onIgnore : undefined
+          }
+          onClose={() => setOpenName(null)}
+        />
+      )}
+      {importances.length > 1 && (
+        <ul className="chip-legend" aria-label="Tech importance legend">
+          {importances.map((importance) => (
+            <li key={importance}>
+              <span className={`chip-swatch importance-${importance}`} aria-hidden="true" />
+              {IMPORTANCE_LABELS[importance]}
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+}
+
+export default TechChips;
@@ -0,0 +1,144 @@
+import { useEffect, useState } from 'react';
+
+const SOURCE_LABELS = {
+  body: 'Page text',
+  'json-ld': 'Structured job data',
+  'meta-description': 'Meta description',
+  script: 'Page script',
+  'meta-keywords': 'Meta keywords',
+  'article-tag': 'article:tag',
+  'greenhouse-api': 'Greenhouse API',
+  'lever-api': 'Lever API',
+  'ashby-api': 'Ashby API',
+  'workday-api': 'Workday API',
+};
+
+// Keyword evidence is the whole tag, so there is no context to ignore.
+const KEYWORD_SOURCES = ['meta-keywords', 'article-tag'];
+
+const stripEllipses = (value = '') => value.replace(/^…|…$/g, '');
+
+// The mention plus one word on either side, as a starting point for the
+// ignore rule.
+const suggestPhrase = (snippet) => {
+  if (!snippet.match) return stripEllipses(snippet.text);
+  const before = stripEllipses(snippet.before).split(/\s+/).slice(-1)[0] ?? '';
+  const after = stripEllipses(snippet.after).split(/\s+/)[0] ?? '';
+  return `${before}${snippet.match}${after}`.trim();
+};
+
+function Snippet({ snippet }) {
+  if (!snippet.match) return snippet.text;
+  return (
+    <>
+      {snippet.before}
+      <mark>{snippet.match}</mark>
+      {snippet.after}
+    </>
+  );
+}
+
+// Evidence for one detected tech: each snippet with its source and the
+// match highlighted. When `onIgnore` is given, a snippet can be reported as
+// a false positive; `onIgnore(name, phrase)` resolves to an error message
+// or null.
+function TechEvidencePopover({ tech, heading, onIgnore, onClose }) {
+  const [draft, setDraft] = useState(null); // { index, phrase }
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const snippets = tech.snippets ?? [];
+
+  const handleIgnore = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError('');
+    const message = await onIgnore(tech.name, draft.phrase);
+    setIsSaving(false);
+    if (message) {
+      setError(message);
+    } else {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="tech-evidence" role="dialog" aria-label={`Why ${tech.name}?`}>
+      <div className="tech-evidence-header">
+        <p className="job-field-label">{tech.name}</p>
+        <button type="button" className="link-button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      <p className="helper-text">{heading}</p>
+
+      {snippets.length === 0 && (
+        <p className="helper-text">No snippet was kept for this match.</p>
+      )}
+      <ul className="tech-evidence-list">
+        {snippets.map((snippet, index) => {
+          const isKeyword = KEYWORD_SOURCES.includes(snippet.source);
+          return (
+            <li key={`${snippet.source}-${index}`}>
+              <span className="tech-evidence-source">
+                {SOURCE_LABELS[snippet.source] ?? snippet.source ?? 'Description'}
+              </span>
+              <q>
+                <Snippet snippet={snippet} />
+              </q>
+              {onIgnore && !isKeyword && draft?.index !== index && (
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={() => {
+                    setDraft({ index, phrase: suggestPhrase(snippet) });
+                    setError('');
+                  }}
+                >
+                  Not a match
+                </button>
+              )}
+              {draft?.index === index && (
+                <form className="tech-evidence-ignore" onSubmit={handleIgnore}>
+                  <label>
+                    <span className="helper-text">
+                      Ignore {tech.name} wherever this text appears:
+                    </span>
+                    <input
+                      type="text"
+                      value={draft.phrase}
+                      onChange={(event) => setDraft({ index, phrase: event.target.value })}
+                      required
+                    />
+                  </label>
+                  <div className="tech-evidence-actions">
+                    <button type="submit" disabled={isSaving}>
+                      {isSaving ? 'Saving…' : 'Ignore'}
+                    </button>
+                    <button type="button" className="secondary" onClick={() => setDraft(null)}>
+                      Cancel
+                    </button>
+                  </div>
+                  {error && <p className="invalid-link-reason">{error}</p>}
+                </form>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      {onIgnore && snippets.some((snippet) => KEYWORD_SOURCES.includes(snippet.source)) && (
+        <p className="helper-text">Page keywords and tags can&apos;t be ignored.</p>
+      )}
+    </div>
+  );
+}
+
+export default TechEvidencePopover;
@@ -0,0 +1,155 @@
+import { useState } from 'react';
+
+const DEFAULT_CATEGORIES = ['language', 'framework', 'cloud', 'database', 'other'];
+
+let nextRowKey = 0;
+
+// Draft rows keep aliases as editable comma-separated text; everything else
+// (patterns, negative contexts, case sensitivity) is carried through untouched,
+// except that ignore rules (negative contexts) can be removed.
+// An empty category lets the server pick the preset's category.
+const toDraftRow = (entry = {}) => {
+  nextRowKey += 1;
+  return {
+    ...entry,
+    key: nextRowKey,
+    name: entry.name ?? '',
+    category: entry.category ?? '',
+    aliasesText: (entry.aliases ?? []).join(', '),
+  };
+};
+
+const fromDraftRow = (row) => ({
+  name: row.name.trim(),
+  category: row.category || undefined,
+  aliases: row.aliasesText
+    .split(',')
+    .map((alias) => alias.trim())
+    .filter(Boolean),
+  patterns: row.patterns,
+  negativeContexts: row.negativeContexts,
+  caseSensitive: row.caseSensitive,
+});
+
+function TechStackModal({ taxonomy, categories, onClose, onSave }) {
+  const [rows, setRows] = useState(() => taxonomy.map(toDraftRow));
+  const categoryOptions = categories?.length > 0 ? categories : DEFAULT_CATEGORIES;
+
+  const updateRow = (key, patch) => {
+    setRows((prev) => prev.map((row) => (row.key === key ? { ...row, ...patch } : row)));
+  };
+
+  const removeRow = (key) => {
+    setRows((prev) => prev.filter((row) => row.key !== key));
+  };
+
+  const addRow = () => {
+    setRows((prev) => [...prev, toDraftRow()]);
+  };
+
+  const handleSave = () => {
+    const entries = rows.filter((row) => row.name.trim()).map(fromDraftRow);
+    onSave(entries);
+  };
+
+  return (
+    <div className="tech-modal-backdrop" role="dialog" aria-modal="true">
+      <div className="tech-modal">
+        <div className="tech-modal-header">
+          <p className="eyebrow">Tech stacks</p>
+          <h2>Tell us what you work with</h2>
+          <p className="helper-text">
+            Give each technology a category and any alternative spellings (comma separated).
+            Well-known names such as C#, .NET or Go pick up sensible matching rules
+            automatically. We&apos;ll highlight any matches we find in job descriptions.
+          </p>
+        </div>
+
+        <div className="tech-rows">
+          <div className="tech-row tech-row-heading" aria-hidden="true">
+            <span>Name</span>
+            <span>Category</span>
+            <span>Aliases</span>
+            <span />
+          </div>
+          {rows.map((row) => (
+            <div className="tech-row" key={row.key}>
+              <input
+                type="text"
+                aria-label="Tech name"
+                value={row.name}
+                placeholder="React"
+                onChange={(event) => updateRow(row.key, { name: event.target.value })}
+              />
+              <select
+                aria-label="Category"
+                value={row.category}
+                onChange={(event) => updateRow(row.key, { category: event.target.value })}
+              >
+                <option value="">auto</option>
+                {categoryOptions.map((category) => (
+                  <option key={category} value={category}>
+                    {category}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="text"
+                aria-label="Aliases"
+                value={row.aliasesText}
+                placeholder="ReactJS, React.js"
+                onChange={(event) => updateRow(row.key, { aliasesText: event.target.value })}
+              />
+              <button
+                type="button"
+                className="tech-row-remove"
+                aria-label={`Remove ${row.name || 'row'}`}
+                onClick={() => removeRow(row.key)}
+              >
+                ×
+              </button>
+              {row.negativeContexts?.length > 0 && (
+                <div className="tech-row-ignores">
+                  <span>Ignored:</span>
+                  {row.negativeContexts.map((context) => (
+                    <span className="chip muted" key={context}>
+                      {context}
+                      <button
+                        type="button"
+                        aria-label={`Stop ignoring “${context}”`}
+                        onClick={() =>
+                          updateRow(row.key, {
+                            negativeContexts: row.negativeContexts.filter(
+                              (candidate) => candidate !== context
+                            ),
+                          })
+                        }
+                      >
+                        ×
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <button type="button" className="tech-add-row" onClick={addRow}>
+          + Add tech
+        </button>
+
+        <div className="tech-modal-actions">
+          <button type="button" className="secondary" onClick={onClose}>
+            Close
+          </button>
+          <button type="button" onClick={handleSave}>
+            Save tech stacks
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TechStackModal;
@@ -0,0 +1,372 @@
+import { useCallback, useEffect, useState } from 'react';
+import { WATCHLISTS_ENDPOINT } from '../api.js';
+import { CHANGE_FIELD_LABELS, formatChangeValue } from '../format.js';
+
+const INTERVAL_OPTIONS = [
+  { value: 60, label: 'Every hour' },
+  { value: 360, label: 'Every 6 hours' },
+  { value: 1440, label: 'Once a day' },
+];
+
+const ENTRY_LABELS = {
+  added: { label: 'Now watching', badge: 'badge-changed' },
+  changed: { label: 'Changed', badge: 'badge-changed' },
+  reopened: { label: 'Back online', badge: 'badge-changed' },
+  removed: { label: 'Taken down', badge: 'badge-removed' },
+  failed: { label: 'Check failed', badge: 'badge-error' },
+};
+
+const POSTING_STATUS_LABELS = {
+  active: 'Live',
+  removed: 'Taken down',
+};
+
+const formatDate = (isoDate) => (isoDate ? new Date(isoDate).toLocaleString() : '—');
+
+const splitLinks = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+function ChangeEntry({ entry }) {
+  const { label, badge } = ENTRY_LABELS[entry.type] ?? ENTRY_LABELS.changed;
+  const changedFields = Object.keys(entry.changes ?? {});
+
+  return (
+    <li className="watchlist-entry">
+      <div className="watchlist-entry-heading">
+        <span className={`badge ${badge}`}>{label}</span>
+        <a href={entry.url} target="_blank" rel="noreferrer">
+          {entry.title ?? entry.url}
+        </a>
+        {entry.company && <span className="job-company">{entry.company}</span>}
+        <span className="helper-text">{formatDate(entry.at)}</span>
+      </div>
+      {changedFields.length > 0 && (
+        <ul className="library-changes">
+          {changedFields.map((field) => (
+            <li key={field}>
+              <span className="job-field-label">{CHANGE_FIELD_LABELS[field] ?? field}</span>
+              <span>
+                {formatChangeValue(entry.changes[field].before)} →{' '}
+                {formatChangeValue(entry.changes[field].after)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {entry.message && <p className="helper-text">{entry.message}</p>}
+    </li>
+  );
+}
+
+// Named watchlists that the server re-checks on a schedule: the user's own
+// and the ones teammates share. Opening one shows what changed since the
+// previous visit, then marks it as seen.
+function WatchlistsView({ suggestedLinks = [] }) {
+  const [watchlists, setWatchlists] = useState([]);
+  const [status, setStatus] = useState('loading'); // loading | loaded | error
+  const [selected, setSelected] = useState(null);
+  // lastVisitedAt as it was before this visit; newer entries are "new".
+  const [visitCutoff, setVisitCutoff] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [draft, setDraft] = useState({
+    name: '',
+    linksText: '',
+    intervalMinutes: 360,
+    shared: false,
+  });
+  const [formError, setFormError] = useState('');
+
+  const loadWatchlists = useCallback(async () => {
+    try {
+      const response = await fetch(WATCHLISTS_ENDPOINT);
+      if (!response.ok) {
+        throw new Error('Failed to load watchlists.');
+      }
+      const data = await response.json();
+      setWatchlists(Array.isArray(data.watchlists) ? data.watchlists : []);
+      setStatus('loaded');
+    } catch {
+      setStatus('error');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWatchlists();
+  }, [loadWatchlists]);
+
+  const replaceSummary = (summary) =>
+    setWatchlists((prev) =>
+      prev.map((watchlist) =>
+        watchlist.id === summary.id ? { ...watchlist, ...summary } : watchlist
+      )
+    );
+
+  const openWatchlist = async (id) => {
+    try {
+      const response = await fetch(`${WATCHLISTS_ENDPOINT}/${id}`);
+      if (!response.ok) return;
+      const detail = await response.json();
+      setSelected(detail);
+      setVisitCutoff(detail.lastVisitedAt);
+
+      const visit = await fetch(`${WATCHLISTS_ENDPOINT}/${id}/visit`, { method: 'POST' });
+      if (visit.ok) {
+        replaceSummary(await visit.json());
+      }
+    } catch {
+      // Leave the current selection in place if the server is unreachable.
+    }
+  };
+
+  const handleCheckNow = async () => {
+    if (!selected) return;
+    setIsChecking(true);
+    try {
+      const response = await fetch(`${WATCHLISTS_ENDPOINT}/${selected.id}/check`, {
+        method: 'POST',
+      });
+      if (response.ok) {
+        const detail = await response.json();
+        setSelected(detail);
+        replaceSummary(detail);
+      }
+    } catch {
+      // The scheduled check will catch up later.
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selected) return;
+    try {
+      const response = await fetch(`${WATCHLISTS_ENDPOINT}/${selected.id}`, { method: 'DELETE' });
+      if (response.ok || response.status === 404) {
+        setWatchlists((prev) => prev.filter((watchlist) => watchlist.id !== selected.id));
+        setSelected(null);
+      }
+    } catch {
+      // Keep the watchlist visible if the server could not be reached.
+    }
+  };
+
+  const handleToggleShared = async () => {
+    if (!selected) return;
+    try {
+      const response = await fetch(`${WATCHLISTS_ENDPOINT}/${selected.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ shared: !selected.shared }),
+      });
+      if (response.ok) {
+        const detail = await response.json();
+        setSelected(detail);
+        replaceSummary(detail);
+      }
+    } catch {
+      // Keep the current sharing state if the server could not be reached.
+    }
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setFormError('');
+    try {
+      const response = await fetch(WATCHLISTS_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: draft.name,
+          urls: splitLinks(draft.linksText),
+          intervalMinutes: draft.intervalMinutes,
+          shared: draft.shared,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setFormError(data.message ?? 'Unable to create the watchlist.');
+        return;
+      }
+      setDraft({ name: '', linksText: '', intervalMinutes: 360, shared: false });
+      await loadWatchlists();
+      setSelected(data);
+      setVisitCutoff(data.lastVisitedAt);
+    } catch {
+      setFormError('Unable to reach the server.');
+    }
+  };
+
+  if (status === 'loading') {
+    return <p className="helper-text">Loading your watchlists…</p>;
+  }
+
+  if (status === 'error') {
+    return (
+      <div className="status status-error">
+        <p>We couldn&apos;t load your watchlists.</p>
+        <button type="button" onClick={loadWatchlists}>
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  const changeLog = selected?.changeLog ?? [];
+  const newEntries = changeLog.filter((entry) => !visitCutoff || entry.at > visitCutoff);
+  const olderEntries = changeLog.filter((entry) => visitCutoff && entry.at <= visitCutoff);
+
+  return (
+    <section className="watchlists">
+      <div className="watchlist-list">
+        {watchlists.length === 0 && (
+          <p className="helper-text">No watchlists yet. Create one below to track postings.</p>
+        )}
+        {watchlists.map((watchlist) => (
+          <button
+            type="button"
+            key={watchlist.id}
+            className={`watchlist-tab${selected?.id === watchlist.id ? ' active' : ''}`}
+            onClick={() => openWatchlist(watchlist.id)}
+          >
+            <span>{watchlist.name}</span>
+            <span className="helper-text">
+              {watchlist.urlCount} link{watchlist.urlCount === 1 ? '' : 's'}
+            </span>
+            {!watchlist.isOwner && <span className="helper-text">by {watchlist.owner}</span>}
+            {watchlist.unseenCount > 0 && (
+              <span className="badge badge-changed">{watchlist.unseenCount} new</span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      {selected && (
+        <article className="job-card watchlist-detail">
+          <div className="job-heading">
+            <p className="job-platform">
+              {selected.isOwner
+                ? `Watchlist${selected.shared ? ' · shared with the team' : ''}`
+                : `Shared by ${selected.owner}`}
+            </p>
+            <h2>{selected.name}</h2>
+            <p className="helper-text">
+              Last checked {formatDate(selected.lastCheckedAt)} · next check{' '}
+              {formatDate(selected.nextCheckAt)}
+            </p>
+          </div>
+
+          <ul className="watchlist-postings">
+            {selected.postings.map((posting) => (
+              <li key={posting.url}>
+                <a href={posting.url} target="_blank" rel="noreferrer">
+                  {posting.title ?? posting.url}
+                </a>
+                <span className="helper-text">
+                  {POSTING_STATUS_LABELS[posting.status] ?? 'Not checked yet'}
+                  {posting.lastError && posting.status !== 'removed' ? ' · last check failed' : ''}
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          <p className="job-field-label">Since your last visit</p>
+          {newEntries.length > 0 ? (
+            <ul className="watchlist-feed">
+              {newEntries.map((entry) => (
+                <ChangeEntry entry={entry} key={entry.id} />
+              ))}
+            </ul>
+          ) : (
+            <p className="helper-text">Nothing changed since your last visit.</p>
+          )}
+
+          {olderEntries.length > 0 && (
+            <details className="watchlist-history">
+              <summary>Earlier changes ({olderEntries.length})</summary>
+              <ul className="watchlist-feed">
+                {olderEntries.map((entry) => (
+                  <ChangeEntry entry={entry} key={entry.id} />
+                ))}
+              </ul>
+            </details>
+          )}
+
+          <div className="library-actions">
+            <button type="button" onClick={handleCheckNow} disabled={isChecking}>
+              {isChecking ? 'Checking…' : 'Check now'}
+            </button>
+            {selected.isOwner && (
+              <>
+                <button type="button" className="secondary" onClick={handleToggleShared}>
+                  {selected.shared ? 'Stop sharing' : 'Share with the team'}
+                </button>
+                <button
+                  type="button"
+                  className="secondary"
+                  onClick={handleDelete}
+                  disabled={isChecking}
+                >
+                  Delete watchlist
+                </button>
+              </>
+            )}
+          </div>
+        </article>
+      )}
+
+      <form className="link-collector watchlist-form" onSubmit={handleCreate}>
+        <p className="job-field-label">New watchlist</p>
+        <input
+          type="text"
+          placeholder="Name, e.g. Berlin backend roles"
+          value={draft.name}
+          onChange={(event) => setDraft((prev) => ({ ...prev, name: event.target.value }))}
+        />
+        <textarea
+          placeholder="https://example.com/job-one&#10;https://example.com/job-two"
+          value={draft.linksText}
+          onChange={(event) => setDraft((prev) => ({ ...prev, linksText: event.target.value }))}
+        />
+        <div className="link-collector-actions">
+          <select
+            value={draft.intervalMinutes}
+            onChange={(event) =>
+              setDraft((prev) => ({ ...prev, intervalMinutes: Number(event.target.value) }))
+            }
+          >
+            {INTERVAL_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {suggestedLinks.length > 0 && (
+            <button
+              type="button"
+              onClick={() =>
+                setDraft((prev) => ({ ...prev, linksText: suggestedLinks.join('\n') }))
+              }
+            >
+              Use digest links ({suggestedLinks.length})
+            </button>
+          )}
+          <label className="watchlist-share">
+            <input
+              type="checkbox"
+              checked={draft.shared}
+              onChange={(event) => setDraft((prev) => ({ ...prev, shared: event.target.checked }))}
+            />
+            <span>Share with the team</span>
+          </label>
+          <button type="submit">Create watchlist</button>
+        </div>
+        {formError && <p className="invalid-link-reason">{formError}</p>}
+      </form>
+    </section>
+  );
+}
+
+export default WatchlistsView;
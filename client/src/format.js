@@ -0,0 +1,193 @@
+const SALARY_PERIOD_LABELS = {
+  HOUR: 'hour',
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  YEAR: 'year',
+};
+
+const formatMoney = (amount, currency) => {
+  const options = {
+    minimumFractionDigits: 0,
+    maximumFractionDigits: amount >= 10000 ? 1 : 0,
+    notation: amount >= 10000 ? 'compact' : 'standard',
+  };
+  try {
+    return new Intl.NumberFormat('en-US', { ...options, style: 'currency', currency }).format(
+      amount
+    );
+  } catch {
+    // Unknown or missing currency code.
+    const formatted = new Intl.NumberFormat('en-US', options).format(amount);
+    return currency ? `${formatted} ${currency}` : formatted;
+  }
+};
+
+// { currency: 'USD', min: 120000, max: 150000, unit: 'YEAR' } -> "$120K–$150K / year"
+export const formatSalary = (salary) => {
+  if (!salary || (salary.min === undefined && salary.max === undefined)) return null;
+  const low = salary.min ?? salary.max;
+  const high = salary.max ?? salary.min;
+  const range =
+    low === high
+      ? formatMoney(low, salary.currency)
+      : `${formatMoney(low, salary.currency)}–${formatMoney(high, salary.currency)}`;
+  const period = SALARY_PERIOD_LABELS[salary.unit];
+  return period ? `${range} / ${period}` : range;
+};
+
+// { min: 3, max: 5 } -> "3–5 years", { min: 5 } -> "5+ years"
+export const formatYearsOfExperience = (years) => {
+  if (!years?.min) return null;
+  return years.max ? `${years.min}–${years.max} years` : `${years.min}+ years`;
+};
+
+export const formatSeniority = (level) =>
+  level ? level.charAt(0).toUpperCase() + level.slice(1) : null;
+
+const CACHE_STATUS_LABELS = {
+  hit: 'Cached copy',
+  revalidated: 'Cached copy, still current',
+  miss: 'Fetched',
+  bypass: 'Fetched (cache skipped)',
+};
+
+// { status: 'hit', fetchedAt } -> "Cached copy from 14:05"
+export const formatCacheStatus = (cache) => {
+  const label = CACHE_STATUS_LABELS[cache?.status];
+  if (!label) return null;
+  const fetchedAt = new Date(cache.fetchedAt);
+  if (Number.isNaN(fetchedAt.getTime())) return label;
+  const sameDay = fetchedAt.toDateString() === new Date().toDateString();
+  const time = sameDay
+    ? fetchedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : fetchedAt.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  return `${label} from ${time}`;
+};
+
+const formatWait = (seconds) =>
+  seconds >= 90 ? `${Math.round(seconds / 60)} minutes` : `${Math.max(1, seconds)} seconds`;
+
+// What the user can do about each server error code (see server/errors.js).
+const FETCH_FAILURE_HINTS = {
+  POSTING_CLOSED: 'The posting is gone (404/410), so it was probably filled or taken down.',
+  UPSTREAM_BLOCKED: 'The site refused our request. Open the link in your browser or retry later.',
+  UPSTREAM_ERROR: 'The site had a server error. Retry in a moment.',
+  TIMEOUT: 'The site took too long to respond. Retry, or check the link in your browser.',
+  DNS_LOOKUP_FAILED: 'The domain does not resolve. Check the link for typos.',
+  NETWORK_ERROR: 'We could not connect to the site. Retry in a moment.',
+  UNSUPPORTED_CONTENT_TYPE:
+    'The link is not a web page (a PDF or an image?). Link to the posting page instead.',
+  RESPONSE_TOO_LARGE: 'The page is too large to process.',
+  EMPTY_EXTRACTION:
+    'No job details were found on the page. It may sit behind a login; try the direct posting link.',
+  UNSUPPORTED_PROTOCOL: 'Only http(s) links can be fetched.',
+  PRIVATE_ADDRESS: 'Links to local or private network addresses are not allowed.',
+  HOST_BLOCKED: 'This site is blocked by the server configuration.',
+  HOST_NOT_ALLOWED: 'This site is not on the server allow list.',
+  TOO_MANY_REDIRECTS: 'The link redirects too many times. Open it and copy the final URL.',
+  RENDERER_UNAVAILABLE: 'Browser rendering is not set up on the server.',
+};
+
+// { code, message, retryAfter } from the API -> a sentence for the user.
+export const describeFetchFailure = (failure = {}) => {
+  if (failure.code === 'RATE_LIMITED') {
+    return failure.retryAfter
+      ? `The site is rate-limiting requests. Retry in about ${formatWait(failure.retryAfter)}.`
+      : 'The site is rate-limiting requests. Wait a minute, then retry.';
+  }
+  return FETCH_FAILURE_HINTS[failure.code] ?? failure.message ?? 'Unable to fetch this link.';
+};
+
+// Labels for the fields the job library diffs between fetches.
+export const CHANGE_FIELD_LABELS = {
+  title: 'Title',
+  company: 'Company',
+  location: 'Location',
+  techStacks: 'Tech stacks',
+  employmentType: 'Employment type',
+  baseSalary: 'Salary',
+  validThrough: 'Valid through',
+};
+
+export const formatChangeValue = (value) => {
+  if (value === null || value === undefined) return 'none';
+  if (Array.isArray(value)) return value.join(', ') || 'none';
+  if (typeof value === 'object') return formatSalary(value) ?? JSON.stringify(value);
+  return String(value);
+};
+
+// Application pipeline stages, in pipeline order.
+export const APPLICATION_STAGE_LABELS = {
+  saved: 'Saved',
+  applied: 'Applied',
+  screening: 'Screening',
+  interview: 'Interview',
+  offer: 'Offer',
+  rejected: 'Rejected',
+};
+
+// One contact per line: "Name, role, email or phone". Fields are matched
+// by shape, so "Jane Doe, jane@acme.com" works too.
+export const parseContacts = (text) =>
+  text
+    .split('\n')
+    .map((line) =>
+      line
+        .split(',')
+        .map((part) => part.trim())
+        .filter(Boolean)
+    )
+    .filter((parts) => parts.length > 0)
+    .map(([name, ...rest]) => {
+      const contact = { name };
+      rest.forEach((part) => {
+        if (part.includes('@')) contact.email = part;
+        else if (/^\+?[\d\s().-]{6,}$/.test(part)) contact.phone = part;
+        else contact.role = contact.role ? `${contact.role}, ${part}` : part;
+      });
+      return contact;
+    });
+
+export const formatContact = (contact) =>
+  [contact.name, contact.role, contact.email, contact.phone].filter(Boolean).join(' · ');
+
+const RULE_MODE_LABELS = { remote: 'remote', hybrid: 'hybrid', onsite: 'on-site' };
+const RULE_IMPORTANCE_LABELS = {
+  required: 'as required',
+  preferred: 'as required or nice to have',
+  mentioned: 'anywhere in the role',
+  boilerplate: 'at all',
+};
+
+const quoteList = (values) => values.map((value) => `“${value}”`).join(', ');
+
+// One line per exclusion rule: "Hide jobs that mention “clearance”",
+// "Only show jobs that pay at least USD 120,000 a year".
+export const describeRule = (rule) => {
+  const { condition = {} } = rule;
+  let what;
+  if (condition.type === 'keyword') {
+    what = `mention ${quoteList(condition.keywords ?? [])}`;
+  } else if (condition.type === 'tech') {
+    what = `list ${condition.name} ${RULE_IMPORTANCE_LABELS[condition.importance] ?? ''}`.trim();
+  } else if (condition.type === 'location') {
+    const modes = (condition.workModes ?? []).map((mode) => RULE_MODE_LABELS[mode] ?? mode);
+    const places = condition.places ?? [];
+    const scope = condition.scope === 'outside' ? 'outside' : 'in';
+    what = [
+      `are ${modes.length > 0 ? modes.join(' or ') : 'based'}`,
+      places.length > 0 && `${scope} ${places.join(', ')}`,
+    ]
+      .filter(Boolean)
+      .join(' ');
+  } else if (condition.type === 'salary') {
+    const amount = Number(condition.min).toLocaleString('en-US');
+    what = `pay at least ${condition.currency} ${amount} a year`;
+  } else if (condition.type === 'company') {
+    what = `are from ${quoteList(condition.names ?? [])}`;
+  } else {
+    what = 'match an unknown condition';
+  }
+  return `${rule.action === 'include' ? 'Only show' : 'Hide'} jobs that ${what}`;
+};
@@ -0,0 +1,65 @@
+// Inline highlights for the full job description: saved techs the server
+// detected, plus the salary and location phrases it found in the text.
+
+// Keyword evidence is a page tag, not text inside the description.
+const KEYWORD_SOURCES = ['meta-keywords', 'article-tag'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// `[{ type, text, label }]` for one job. Techs are highlighted by the text
+// that matched on the server plus the names and aliases of the saved entry,
+// and only when they were detected in this posting.
+export const descriptionHighlights = (job, taxonomy = []) => {
+  const entriesByName = new Map(taxonomy.map((entry) => [entry.name.toLowerCase(), entry]));
+  const techPhrases = (job.techStacks ?? [])
+    .filter((tech) => tech && typeof tech === 'object')
+    .filter((tech) => entriesByName.has(tech.name.toLowerCase()))
+    .flatMap((tech) => {
+      const entry = entriesByName.get(tech.name.toLowerCase());
+      const matches = (tech.snippets ?? [])
+        .filter((snippet) => snippet.match && !KEYWORD_SOURCES.includes(snippet.source))
+        .map((snippet) => snippet.match);
+      return [...matches, entry.name, ...(entry.aliases ?? [])].map((text) => ({
+        type: 'tech',
+        text,
+        label: entry.name,
+        caseSensitive: Boolean(entry.caseSensitive),
+      }));
+    });
+
+  const found = (job.description?.highlights ?? []).map((highlight) => ({
+    ...highlight,
+    label: highlight.type === 'salary' ? 'Salary' : 'Location',
+  }));
+  return [...techPhrases, ...found].filter((highlight) => highlight.text?.trim());
+};
+
+// Non-overlapping `{ start, end, highlight }` ranges in `text`, in order.
+// Longer phrases win where two overlap ("3 days a week in the office" over
+// "in the office"). Matching ignores case unless the highlight is
+// `caseSensitive` ("Go", "R"), and never starts or ends inside a word.
+export const findHighlightRanges = (text, highlights) => {
+  const candidates = [];
+  highlights.forEach((highlight) => {
+    const phrase = highlight.text.trim();
+    const pattern = new RegExp(
+      `(?<![\\w])${escapeRegex(phrase)}(?![\\w])`,
+      highlight.caseSensitive ? 'g' : 'gi'
+    );
+    for (const match of text.matchAll(pattern)) {
+      candidates.push({ start: match.index, end: match.index + match[0].length, highlight });
+    }
+  });
+
+  candidates.sort(
+    (left, right) => right.end - right.start - (left.end - left.start) || left.start - right.start
+  );
+  const ranges = [];
+  candidates.forEach((candidate) => {
+    const overlaps = ranges.some(
+      (range) => candidate.start < range.end && range.start < candidate.end
+    );
+    if (!overlaps) ranges.push(candidate);
+  });
+  return ranges.sort((left, right) => left.start - right.start);
+};
@@ -2,9 +2,12 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import AuthGate from './components/AuthGate.jsx'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <AuthGate>
+      {({ user, onSignOut }) => <App key={user.id} user={user} onSignOut={onSignOut} />}
+    </AuthGate>
   </StrictMode>,
 )
@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  buildComparisonRows,
+  buildTechMatrix,
+  comparisonColumnLabel,
+  comparisonToMarkdown,
+} from '../src/compare.js';
+
+const BACKEND = {
+  title: 'Backend Engineer',
+  company: 'Acme',
+  location: { workMode: 'remote', summary: 'Remote · Europe' },
+  seniority: 'senior',
+  baseSalary: { currency: 'EUR', min: 70000, max: 90000, unit: 'YEAR' },
+  techStacks: [
+    { name: 'Go', importance: 'required' },
+    { name: 'PostgreSQL', importance: 'preferred' },
+    { name: 'Kafka', importance: 'boilerplate' },
+  ],
+  match: { score: 80 },
+  sourceLink: 'https://jobs.example/acme/1',
+};
+
+const PLATFORM = {
+  title: 'Platform Engineer',
+  company: 'Acme',
+  location: 'Remote\nEurope',
+  seniority: 'Senior',
+  techStacks: ['go', 'Terraform', 'Not provided'],
+  match: { score: 0 },
+};
+
+const rowsById = (jobs) =>
+  Object.fromEntries(buildComparisonRows(jobs).map((row) => [row.id, row]));
+
+test('marks rows whose text differs between the jobs', () => {
+  const rows = rowsById([BACKEND, PLATFORM]);
+  assert.deepEqual(rows.title.values, ['Backend Engineer', 'Platform Engineer']);
+  assert.equal(rows.title.isDifferent, true);
+  assert.equal(rows.company.isDifferent, false);
+  // Location strings and summaries read the same; seniority ignores case.
+  assert.deepEqual(rows.location.values, ['Remote · Europe', 'Remote · Europe']);
+  assert.equal(rows.location.isDifferent, false);
+  assert.equal(rows.seniority.isDifferent, false);
+  // A posting that does not say counts as different from one that does.
+  assert.equal(rows.salary.values[1], null);
+  assert.equal(rows.salary.isDifferent, true);
+
+  assert.deepEqual(rows.requiredTech.values, ['Go', null]);
+  assert.deepEqual(rows.optionalTech.values, ['PostgreSQL', 'go, Terraform']);
+  assert.deepEqual(rows.matchScore.values, ['80/100', '0/100']);
+});
+
+test('builds the tech overlap matrix, shared techs first', () => {
+  assert.deepEqual(buildTechMatrix([BACKEND, PLATFORM, { title: 'Designer' }]), [
+    { name: 'Go', cells: ['Required', 'Mentioned', null], sharedBy: 2 },
+    { name: 'PostgreSQL', cells: ['Nice to have', null, null], sharedBy: 1 },
+    { name: 'Terraform', cells: [null, 'Mentioned', null], sharedBy: 1 },
+  ]);
+  assert.deepEqual(buildTechMatrix([{ techStacks: ['Not provided'] }]), []);
+});
+
+test('exports the comparison as Markdown', () => {
+  const jobs = [BACKEND, { ...PLATFORM, title: 'Platform | Infra' }];
+  const markdown = comparisonToMarkdown(jobs);
+  const lines = markdown.split('\n');
+
+  assert.equal(lines[0], '# Job comparison');
+  assert.ok(lines.includes('|  | Backend Engineer · Acme | Platform \\| Infra · Acme |'));
+  assert.ok(lines.includes('| **Title** ≠ | Backend Engineer | Platform \\| Infra |'));
+  assert.ok(lines.includes('| **Company** | Acme | Acme |'));
+  assert.ok(lines.some((line) => /^\| \*\*Salary\*\* ≠ \| .+ \| — \|$/.test(line)));
+  assert.ok(lines.includes('| Go (2/2) | Required | Mentioned |'));
+  assert.ok(lines.includes('| Terraform (1/2) |  | Mentioned |'));
+  assert.ok(lines.includes('- [Backend Engineer · Acme](https://jobs.example/acme/1)'));
+  assert.ok(markdown.endsWith('\n'));
+
+  const bare = comparisonToMarkdown([{}, {}]);
+  assert.match(bare, /\| {2}\| Job 1 \| Job 2 \|/);
+  assert.match(bare, /No tech listed\./);
+  assert.doesNotMatch(bare, /## Postings/);
+  assert.equal(comparisonColumnLabel({ company: 'Acme' }, 0), 'Acme');
+});
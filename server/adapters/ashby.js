@@ -0,0 +1,96 @@
+const { formatEmploymentType, htmlToText } = require('../extraction');
+const { buildAdapterPayload, humanizeSlug, toIsoDate } = require('./base');
+
+// Handles jobs.ashbyhq.com postings. Ashby's public posting API is per board,
+// so we fetch the whole board and pick the posting by id.
+const normalizeUrl = (sourceUrl) => {
+  const parsed = new URL(sourceUrl);
+  const match = parsed.pathname.match(/^\/([^/]+)\/([0-9a-f-]{36})(?:\/application)?\/?$/i);
+  if (!match) return null;
+
+  const [, organization, postingId] = match;
+
+  return {
+    organization,
+    postingId,
+    canonicalUrl: `https://jobs.ashbyhq.com/${organization}/${postingId}`,
+    apiUrl: `https://api.ashbyhq.com/posting-api/job-board/${encodeURIComponent(
+      organization
+    )}?includeCompensation=true`,
+  };
+};
+
+const fetchPosting = (target, { fetchJson }) => fetchJson(target.apiUrl);
+
+const WORKPLACE_TYPES = {
+  Remote: 'remote',
+  Hybrid: 'hybrid',
+  OnSite: 'onsite',
+};
+
+const parse = (raw, { target, sourceUrl, techStacks }) => {
+  const posting = (raw.jobs || []).find(
+    (job) => String(job.id).toLowerCase() === target.postingId.toLowerCase()
+  );
+
+  if (!posting) {
+    throw new Error(`Posting ${target.postingId} is not listed on the Ashby board`);
+  }
+
+  const secondaryLocations = (posting.secondaryLocations || []).map((entry) => entry.location);
+
+  return buildAdapterPayload(
+    'ashby-api',
+    {
+      title: htmlToText(posting.title || ''),
+      company: humanizeSlug(target.organization),
+      workMode: posting.isRemote === true ? 'remote' : WORKPLACE_TYPES[posting.workplaceType],
+      places: [posting.location, ...secondaryLocations].map((place) => htmlToText(place || '')),
+      descriptionHtml: posting.descriptionHtml || posting.descriptionPlain || '',
+      // "FullTime" -> "Full-time"
+      employmentType: posting.employmentType
+        ? [formatEmploymentType(posting.employmentType.replace(/([a-z])([A-Z])/g, '$1_$2'))]
+        : [],
+      datePosted: toIsoDate(posting.publishedAt),
+      url: posting.jobUrl || target.canonicalUrl,
+    },
+    { sourceUrl, techStacks }
+  );
+};
+
+// jobs.ashbyhq.com/<organization> is listed through the same board
+// endpoint the posting fetch uses.
+const normalizeBoardUrl = (sourceUrl) => {
+  const match = new URL(sourceUrl).pathname.match(/^\/([^/]+)\/?$/);
+  if (!match) return null;
+
+  const [, organization] = match;
+  return {
+    organization,
+    canonicalUrl: `https://jobs.ashbyhq.com/${organization}`,
+    apiUrl: `https://api.ashbyhq.com/posting-api/job-board/${encodeURIComponent(organization)}`,
+  };
+};
+
+const fetchBoard = async (board, { fetchJson }) => [await fetchJson(board.apiUrl)];
+
+const parseBoard = (pages, { board }) =>
+  pages
+    .flatMap((page) => page.jobs || [])
+    .map((posting) => ({
+      url: posting.jobUrl || `${board.canonicalUrl}/${posting.id}`,
+      title: htmlToText(posting.title || ''),
+      location: htmlToText(posting.location || '') || undefined,
+    }));
+
+module.exports = {
+  id: 'ashby',
+  name: 'Ashby',
+  hostPattern: /^jobs\.ashbyhq\.com$/i,
+  normalizeUrl,
+  fetch: fetchPosting,
+  parse,
+  normalizeBoardUrl,
+  fetchBoard,
+  parseBoard,
+};
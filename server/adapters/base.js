@@ -0,0 +1,81 @@
+const { buildDescription } = require('../content');
+const { withTextAttributes } = require('../extraction');
+const { buildLocation } = require('../location');
+const { descriptionToText, detectTechStacks } = require('../sections');
+
+// "acme-corp" -> "Acme Corp". ATS APIs rarely include the company name, but
+// the board slug in the URL is usually close enough.
+const humanizeSlug = (slug = '') =>
+  slug
+    .split(/[-_]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+// Maps the fields an adapter pulled out of a platform API into the same
+// payload shape the generic extractor returns. `source` is reported for
+// every field the adapter filled in.
+const buildAdapterPayload = (source, fields, { sourceUrl, techStacks = [] }) => {
+  const {
+    title,
+    company,
+    workMode,
+    places = [],
+    descriptionHtml = '',
+    employmentType = [],
+    datePosted,
+    url,
+  } = fields;
+
+  const descriptionText = descriptionToText(descriptionHtml);
+  const detectedStacks = detectTechStacks({ html: descriptionHtml, source, taxonomy: techStacks });
+  const hostname = new URL(sourceUrl).hostname.replace(/^www\./, '');
+
+  const optional = {
+    employmentType: employmentType.length > 0 ? employmentType : undefined,
+    datePosted: datePosted || undefined,
+  };
+
+  const sources = {
+    title: title ? source : 'default',
+    company: company ? source : undefined,
+    location: source,
+    techStacks: source,
+  };
+  Object.entries(optional).forEach(([field, value]) => {
+    if (value !== undefined) {
+      sources[field] = source;
+    }
+  });
+
+  const attributes = withTextAttributes(optional, {
+    title,
+    text: descriptionText,
+    sources,
+    source: 'description-text',
+  });
+
+  return {
+    title: title || 'Untitled role',
+    location: buildLocation({ workMode, places, text: `${title || ''}\n${descriptionText}` }),
+    techStacks: detectedStacks,
+    jobPlatform: hostname,
+    company: company || undefined,
+    url: url || sourceUrl,
+    description: buildDescription({ html: descriptionHtml, source, baseUrl: url || sourceUrl }),
+    ...attributes,
+    sources,
+  };
+};
+
+const toIsoDate = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString().slice(0, 10);
+};
+
+module.exports = {
+  humanizeSlug,
+  buildAdapterPayload,
+  toIsoDate,
+};
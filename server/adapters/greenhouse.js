@@ -0,0 +1,90 @@
+const { decodeEscapedHtml, htmlToText } = require('../extraction');
+const { buildAdapterPayload, humanizeSlug, toIsoDate } = require('./base');
+
+// Handles boards.greenhouse.io / job-boards.greenhouse.io postings via the
+// public Job Board API instead of scraping the rendered page.
+const normalizeUrl = (sourceUrl) => {
+  const parsed = new URL(sourceUrl);
+  let board;
+  let jobId;
+
+  const pathMatch = parsed.pathname.match(/^\/([^/]+)\/jobs\/(\d+)/);
+  if (pathMatch) {
+    [, board, jobId] = pathMatch;
+  } else if (/^\/embed\/job_app/.test(parsed.pathname)) {
+    board = parsed.searchParams.get('for');
+    jobId = parsed.searchParams.get('token');
+  }
+
+  if (!board || !/^\d+$/.test(jobId || '')) return null;
+
+  return {
+    board,
+    jobId,
+    canonicalUrl: `https://job-boards.greenhouse.io/${board}/jobs/${jobId}`,
+    apiUrl: `https://boards-api.greenhouse.io/v1/boards/${board}/jobs/${jobId}`,
+  };
+};
+
+const fetchPosting = (target, { fetchJson }) => fetchJson(target.apiUrl);
+
+const parse = (raw, { target, sourceUrl, techStacks }) => {
+  const locationName = htmlToText(raw.location?.name || '');
+  const officeNames = (raw.offices || []).map((office) => htmlToText(office.name || ''));
+
+  return buildAdapterPayload(
+    'greenhouse-api',
+    {
+      title: htmlToText(raw.title || ''),
+      company: htmlToText(raw.company_name || '') || humanizeSlug(target.board),
+      places: [locationName, ...officeNames],
+      // `content` is entity-escaped HTML.
+      descriptionHtml: decodeEscapedHtml(raw.content || ''),
+      datePosted: toIsoDate(raw.first_published || raw.updated_at),
+      url: raw.absolute_url || target.canonicalUrl,
+    },
+    { sourceUrl, techStacks }
+  );
+};
+
+// Board pages (boards.greenhouse.io/<board>, or the embed/job_board
+// iframe) are listed through the board's jobs endpoint, which returns every
+// open posting in one response.
+const normalizeBoardUrl = (sourceUrl) => {
+  const parsed = new URL(sourceUrl);
+  const pathMatch = parsed.pathname.match(/^\/([^/]+)\/?$/);
+  const board = /^\/embed\/job_board\/?$/.test(parsed.pathname)
+    ? parsed.searchParams.get('for')
+    : pathMatch && pathMatch[1] !== 'embed' && pathMatch[1];
+
+  if (!board) return null;
+
+  return {
+    board,
+    canonicalUrl: `https://job-boards.greenhouse.io/${board}`,
+    apiUrl: `https://boards-api.greenhouse.io/v1/boards/${board}/jobs`,
+  };
+};
+
+const fetchBoard = async (board, { fetchJson }) => [await fetchJson(board.apiUrl)];
+
+const parseBoard = (pages, { board }) =>
+  pages
+    .flatMap((page) => page.jobs || [])
+    .map((job) => ({
+      url: job.absolute_url || `https://job-boards.greenhouse.io/${board.board}/jobs/${job.id}`,
+      title: htmlToText(job.title || ''),
+      location: htmlToText(job.location?.name || '') || undefined,
+    }));
+
+module.exports = {
+  id: 'greenhouse',
+  name: 'Greenhouse',
+  hostPattern: /(?:^|\.)greenhouse\.io$/i,
+  normalizeUrl,
+  fetch: fetchPosting,
+  parse,
+  normalizeBoardUrl,
+  fetchBoard,
+  parseBoard,
+};
@@ -0,0 +1,127 @@
+const { createFetchError } = require('../errors');
+const { createFetcher } = require('../fetcher');
+const { extractJobFromHtml, hasThinDescription } = require('../extraction');
+const renderer = require('../renderer');
+const { canonicalizeUrl } = require('../urls');
+const greenhouse = require('./greenhouse');
+const lever = require('./lever');
+const ashby = require('./ashby');
+const workday = require('./workday');
+
+// Platform adapters keyed by hostname pattern. Each adapter owns URL
+// normalization (`normalizeUrl`), fetching (`fetch`) and mapping the raw
+// platform payload into the job shape (`parse`). `parse` is a pure function
+// so it can be exercised against saved API responses. Board listings work
+// the same way: `normalizeBoardUrl` recognises a board or career-site URL,
+// `fetchBoard` reads every page of it and `parseBoard` maps the pages to
+// `{ url, title, location }` postings.
+const ADAPTERS = [greenhouse, lever, ashby, workday];
+
+const findAdapter = (sourceUrl) => {
+  const { hostname } = new URL(sourceUrl);
+  return ADAPTERS.find((adapter) => adapter.hostPattern.test(hostname)) || null;
+};
+
+// The adapter whose board listing covers `sourceUrl`, with the normalized
+// board, or null for posting URLs and unknown hosts.
+const findBoard = (sourceUrl) => {
+  const adapter = findAdapter(sourceUrl);
+  const board = adapter ? adapter.normalizeBoardUrl(sourceUrl) : null;
+  return board ? { adapter, board } : null;
+};
+
+// Adapters know the canonical posting URL for their platform (e.g. a
+// Greenhouse embed link maps to the job-boards URL); everything else uses
+// the generic URL canonicalization.
+const canonicalUrlFor = (sourceUrl) => {
+  const adapter = findAdapter(sourceUrl);
+  const target = adapter ? adapter.normalizeUrl(sourceUrl) : null;
+  return target ? target.canonicalUrl : canonicalizeUrl(sourceUrl);
+};
+
+// A page with no title, company or tech mentions is not a posting we could
+// read (a login wall, a cookie interstitial, an empty app shell).
+const assertExtractedSomething = (job) => {
+  if (job.sources.title === 'default' && !job.company && job.techStacks.length === 0) {
+    throw createFetchError(
+      'EMPTY_EXTRACTION',
+      `Nothing resembling a job posting could be extracted from ${job.url}.`
+    );
+  }
+  return job;
+};
+
+const extractRendered = async (sourceUrl, techStacks) => {
+  const html = await renderer.renderPage(sourceUrl);
+  return {
+    ...extractJobFromHtml(html, { url: sourceUrl, techStacks }),
+    adapter: 'generic',
+    rendered: true,
+  };
+};
+
+// `render` is 'auto' (render only when the static HTML looks like an app
+// shell), true (always render) or false (never). Automatic rendering is
+// best-effort: without a browser, or when rendering fails, the static
+// extraction is returned as is.
+const extractWithGenericPath = async (sourceUrl, { techStacks, render, fetcher }) => {
+  if (render === true) {
+    return extractRendered(sourceUrl, techStacks);
+  }
+
+  const html = await fetcher.fetchText(sourceUrl);
+  const job = { ...extractJobFromHtml(html, { url: sourceUrl, techStacks }), adapter: 'generic' };
+  if (render === false || !hasThinDescription(html) || !renderer.isRenderingAvailable()) {
+    return job;
+  }
+
+  try {
+    return await extractRendered(sourceUrl, techStacks);
+  } catch (error) {
+    console.warn(`Rendering ${sourceUrl} failed; keeping the static extraction:`, error.message);
+    return job;
+  }
+};
+
+// Loads a single posting: a matching adapter goes first, and the generic
+// cheerio path covers unknown hosts and adapter failures. `cache` is the
+// fetch cache mode (see fetcher.js); the result's `cache` field says how the
+// underlying document was served.
+const loadJob = async (
+  sourceUrl,
+  { techStacks = [], render = 'auto', cache = 'default' } = {}
+) => {
+  const adapter = findAdapter(sourceUrl);
+  const target = adapter ? adapter.normalizeUrl(sourceUrl) : null;
+  const fetcher = createFetcher({ cache });
+
+  if (adapter && target) {
+    try {
+      const raw = await adapter.fetch(target, fetcher);
+      return {
+        ...adapter.parse(raw, { target, sourceUrl, techStacks }),
+        adapter: adapter.id,
+        cache: fetcher.lastCache,
+      };
+    } catch (error) {
+      console.warn(
+        `${adapter.name} adapter failed for ${sourceUrl}; falling back to generic extraction:`,
+        error.message
+      );
+    }
+  }
+
+  const job = assertExtractedSomething(
+    await extractWithGenericPath(sourceUrl, { techStacks, render, fetcher })
+  );
+  // Rendered pages come from the browser, not from the cached document.
+  return job.rendered ? job : { ...job, cache: fetcher.lastCache };
+};
+
+module.exports = {
+  ADAPTERS,
+  findAdapter,
+  findBoard,
+  canonicalUrlFor,
+  loadJob,
+};
@@ -0,0 +1,101 @@
+const { formatEmploymentType, htmlToText } = require('../extraction');
+const { buildAdapterPayload, humanizeSlug, toIsoDate } = require('./base');
+
+// Handles jobs.lever.co (and the EU instance) via the public Postings API.
+const normalizeUrl = (sourceUrl) => {
+  const parsed = new URL(sourceUrl);
+  const match = parsed.pathname.match(/^\/([^/]+)\/([0-9a-f-]{36})(?:\/apply)?\/?$/i);
+  if (!match) return null;
+
+  const [, site, postingId] = match;
+  const isEu = /(?:^|\.)eu\.lever\.co$/i.test(parsed.hostname);
+  const apiHost = isEu ? 'api.eu.lever.co' : 'api.lever.co';
+
+  return {
+    site,
+    postingId,
+    canonicalUrl: `https://${parsed.hostname}/${site}/${postingId}`,
+    apiUrl: `https://${apiHost}/v0/postings/${site}/${postingId}`,
+  };
+};
+
+const fetchPosting = (target, { fetchJson }) => fetchJson(target.apiUrl);
+
+const parse = (raw, { target, sourceUrl, techStacks }) => {
+  const categories = raw.categories || {};
+  // Lever keeps requirement lists separate from the description body; give
+  // each one its heading back so section detection can classify it.
+  const lists = (raw.lists || []).map(
+    (list) => `<h3>${list.text || ''}</h3><ul>${list.content || ''}</ul>`
+  );
+
+  return buildAdapterPayload(
+    'lever-api',
+    {
+      title: htmlToText(raw.text || ''),
+      company: humanizeSlug(target.site),
+      // "remote", "hybrid", "onsite" or "unspecified"
+      workMode: raw.workplaceType,
+      places: [categories.location, ...(categories.allLocations || [])].map((place) =>
+        htmlToText(place || '')
+      ),
+      descriptionHtml: [raw.description, ...lists, raw.additional].filter(Boolean).join('\n'),
+      employmentType: categories.commitment
+        ? [formatEmploymentType(htmlToText(categories.commitment))]
+        : [],
+      datePosted: toIsoDate(raw.createdAt),
+      url: raw.hostedUrl || target.canonicalUrl,
+    },
+    { sourceUrl, techStacks }
+  );
+};
+
+// jobs.lever.co/<site> lists every posting; the postings endpoint is read
+// in pages of BOARD_PAGE_SIZE.
+const BOARD_PAGE_SIZE = 100;
+
+const normalizeBoardUrl = (sourceUrl) => {
+  const parsed = new URL(sourceUrl);
+  const match = parsed.pathname.match(/^\/([^/]+)\/?$/);
+  if (!match) return null;
+
+  const isEu = /(?:^|\.)eu\.lever\.co$/i.test(parsed.hostname);
+  const apiHost = isEu ? 'api.eu.lever.co' : 'api.lever.co';
+
+  return {
+    site: match[1],
+    canonicalUrl: `https://${parsed.hostname}/${match[1]}`,
+    apiUrl: `https://${apiHost}/v0/postings/${match[1]}?mode=json`,
+  };
+};
+
+const fetchBoard = async (board, { fetchJson }, { maxPostings }) => {
+  const pages = [];
+  for (let skip = 0; skip < maxPostings; skip += BOARD_PAGE_SIZE) {
+    const page = await fetchJson(`${board.apiUrl}&skip=${skip}&limit=${BOARD_PAGE_SIZE}`);
+    pages.push(page);
+    if (!Array.isArray(page) || page.length < BOARD_PAGE_SIZE) break;
+  }
+  return pages;
+};
+
+const parseBoard = (pages, { board }) =>
+  pages
+    .flatMap((page) => (Array.isArray(page) ? page : []))
+    .map((posting) => ({
+      url: posting.hostedUrl || `${board.canonicalUrl}/${posting.id}`,
+      title: htmlToText(posting.text || ''),
+      location: htmlToText(posting.categories?.location || '') || undefined,
+    }));
+
+module.exports = {
+  id: 'lever',
+  name: 'Lever',
+  hostPattern: /^jobs\.(?:eu\.)?lever\.co$/i,
+  normalizeUrl,
+  fetch: fetchPosting,
+  parse,
+  normalizeBoardUrl,
+  fetchBoard,
+  parseBoard,
+};
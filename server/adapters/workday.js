@@ -0,0 +1,125 @@
+const { formatEmploymentType, htmlToText } = require('../extraction');
+const { buildAdapterPayload, humanizeSlug, toIsoDate } = require('./base');
+
+// Handles *.myworkdayjobs.com career sites through the JSON endpoint the
+// Workday SPA itself calls (`/wday/cxs/<tenant>/<site>/job/...`).
+const normalizeUrl = (sourceUrl) => {
+  const parsed = new URL(sourceUrl);
+  const tenant = parsed.hostname.split('.')[0];
+  const segments = parsed.pathname.split('/').filter(Boolean);
+
+  // Optional locale prefix, e.g. /en-US/External/job/...
+  if (segments.length > 0 && /^[a-z]{2}-[A-Z]{2}$/.test(segments[0])) {
+    segments.shift();
+  }
+
+  const [site, marker, ...rest] = segments;
+  if (!tenant || !site || marker !== 'job' || rest.length === 0) return null;
+
+  const jobPath = ['job', ...rest].join('/');
+
+  return {
+    tenant,
+    site,
+    canonicalUrl: `${parsed.origin}/${site}/${jobPath}`,
+    apiUrl: `${parsed.origin}/wday/cxs/${tenant}/${site}/${jobPath}`,
+  };
+};
+
+const fetchPosting = (target, { fetchJson }) => fetchJson(target.apiUrl);
+
+const REMOTE_TYPES = {
+  remote: 'remote',
+  hybrid: 'hybrid',
+};
+
+const parse = (raw, { target, sourceUrl, techStacks }) => {
+  const info = raw.jobPostingInfo;
+  if (!info) {
+    throw new Error('Workday response did not include jobPostingInfo');
+  }
+
+  const places = [info.location, ...(info.additionalLocations || [])].map((place) =>
+    htmlToText(place || '')
+  );
+
+  return buildAdapterPayload(
+    'workday-api',
+    {
+      title: htmlToText(info.title || ''),
+      company: htmlToText(raw.hiringOrganization?.name || '') || humanizeSlug(target.tenant),
+      // Remote and hybrid are flagged in `remoteType`; the places list still
+      // carries "Remote - US" style labels for the allowed regions.
+      workMode: REMOTE_TYPES[(info.remoteType || '').toLowerCase()],
+      places,
+      descriptionHtml: info.jobDescription || '',
+      employmentType: info.timeType ? [formatEmploymentType(htmlToText(info.timeType))] : [],
+      datePosted: toIsoDate(info.startDate),
+      url: info.externalUrl || target.canonicalUrl,
+    },
+    { sourceUrl, techStacks }
+  );
+};
+
+// A career site root (<tenant>.wdN.myworkdayjobs.com/<site>) is listed
+// through the search endpoint the SPA posts to, which pages by offset and
+// returns at most BOARD_PAGE_SIZE postings per request.
+const BOARD_PAGE_SIZE = 20;
+
+const normalizeBoardUrl = (sourceUrl) => {
+  const parsed = new URL(sourceUrl);
+  const tenant = parsed.hostname.split('.')[0];
+  const segments = parsed.pathname.split('/').filter(Boolean);
+
+  if (segments.length > 0 && /^[a-z]{2}-[A-Z]{2}$/.test(segments[0])) {
+    segments.shift();
+  }
+  if (!tenant || segments.length !== 1) return null;
+
+  const [site] = segments;
+  return {
+    tenant,
+    site,
+    canonicalUrl: `${parsed.origin}/${site}`,
+    apiUrl: `${parsed.origin}/wday/cxs/${tenant}/${site}/jobs`,
+  };
+};
+
+const fetchBoard = async (board, { postJson }, { maxPostings }) => {
+  const pages = [];
+  for (let offset = 0; offset < maxPostings; offset += BOARD_PAGE_SIZE) {
+    const page = await postJson(board.apiUrl, {
+      appliedFacets: {},
+      limit: BOARD_PAGE_SIZE,
+      offset,
+      searchText: '',
+    });
+    pages.push(page);
+    const postings = page.jobPostings || [];
+    // `total` is only reliable on the first page.
+    if (postings.length < BOARD_PAGE_SIZE || offset + postings.length >= pages[0].total) break;
+  }
+  return pages;
+};
+
+const parseBoard = (pages, { board }) =>
+  pages
+    .flatMap((page) => page.jobPostings || [])
+    .filter((posting) => posting.externalPath)
+    .map((posting) => ({
+      url: `${board.canonicalUrl}${posting.externalPath}`,
+      title: htmlToText(posting.title || ''),
+      location: htmlToText(posting.locationsText || '') || undefined,
+    }));
+
+module.exports = {
+  id: 'workday',
+  name: 'Workday',
+  hostPattern: /\.myworkdayjobs\.com$/i,
+  normalizeUrl,
+  fetch: fetchPosting,
+  parse,
+  normalizeBoardUrl,
+  fetchBoard,
+  parseBoard,
+};
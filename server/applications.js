@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const path = require('path');
+const { perUserStore, readJsonFile, writeJsonFile } = require('./jsonStore');
+
+// Application pipeline for a user's saved jobs, keyed by job library id. Every
+// status change is kept as a history entry with its own date, notes and
+// contacts. Entries stay in the order they were recorded and the last one
+// decides the current status, so back-dating an update (say, an application
+// sent last week) does not reorder the pipeline.
+const APPLICATIONS_FILE_NAME = 'applications.json';
+
+const STAGES = ['saved', 'applied', 'screening', 'interview', 'offer', 'rejected'];
+// Anything after "applied" means the company answered, rejections included.
+const RESPONSE_STAGES = ['screening', 'interview', 'offer', 'rejected'];
+
+const MAX_NOTES_LENGTH = 5000;
+const MAX_CONTACTS = 20;
+const STATS_WEEKS = 12;
+
+const readApplicationsFromFile = (filePath) => {
+  const parsed = readJsonFile(filePath, null);
+  if (parsed && parsed.applications && typeof parsed.applications === 'object') {
+    return parsed;
+  }
+  return { applications: {} };
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Date parsing rolls days like 02-30 over into the next month, so the date
+// has to survive a round trip.
+const isIsoDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+};
+
+const cleanContact = (contact) => {
+  if (!contact || typeof contact !== 'object') return null;
+  const cleaned = {};
+  ['name', 'role', 'email', 'phone'].forEach((field) => {
+    if (typeof contact[field] === 'string' && contact[field].trim()) {
+      cleaned[field] = contact[field].trim();
+    }
+  });
+  return Object.keys(cleaned).length > 0 ? cleaned : null;
+};
+
+// Validates a status update body `{ status, date?, notes?, contacts? }`.
+// Returns `{ value }` or `{ error }` for the 400 response.
+const validateUpdate = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'Expected a JSON status update.' };
+  }
+  if (!STAGES.includes(raw.status)) {
+    return { error: `"status" must be one of: ${STAGES.join(', ')}.` };
+  }
+
+  const date = raw.date ?? today();
+  if (typeof date !== 'string' || !isIsoDate(date)) {
+    return { error: '"date" must be a YYYY-MM-DD date.' };
+  }
+
+  const notes = raw.notes ?? '';
+  if (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH) {
+    return { error: `"notes" must be a string of at most ${MAX_NOTES_LENGTH} characters.` };
+  }
+
+  const contacts = raw.contacts ?? [];
+  if (!Array.isArray(contacts) || contacts.length > MAX_CONTACTS) {
+    return { error: `"contacts" must be an array of at most ${MAX_CONTACTS} contacts.` };
+  }
+
+  return {
+    value: {
+      status: raw.status,
+      date,
+      notes: notes.trim(),
+      contacts: contacts.map(cleanContact).filter(Boolean),
+    },
+  };
+};
+
+// Monday of the week containing `date` (YYYY-MM-DD), in UTC.
+const weekStart = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+};
+
+// One user's pipeline; `forUser(userId)` below creates and caches it.
+const createApplications = (dataDir) => {
+  const filePath = path.join(dataDir, APPLICATIONS_FILE_NAME);
+  const store = readApplicationsFromFile(filePath);
+
+  const persist = () => writeJsonFile(filePath, store);
+
+  const listApplications = () =>
+    Object.values(store.applications).sort((left, right) =>
+      right.updatedAt.localeCompare(left.updatedAt)
+    );
+
+  const getApplication = (libraryId) => store.applications[libraryId] || null;
+
+  // Adds a history entry. The first update creates the application and keeps
+  // a snapshot of the job so the pipeline survives library deletions.
+  const recordUpdate = (libraryId, update, jobSnapshot) => {
+    const now = new Date().toISOString();
+    const existing = store.applications[libraryId];
+    const entry = { id: crypto.randomUUID(), ...update, recordedAt: now };
+    const history = [...(existing?.history || []), entry];
+
+    const application = {
+      libraryId,
+      job: jobSnapshot || existing?.job || {},
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      status: history[history.length - 1].status,
+      history,
+    };
+    store.applications[libraryId] = application;
+    persist();
+    return application;
+  };
+
+  const deleteEntry = (libraryId, entryId) => {
+    const existing = store.applications[libraryId];
+    if (!existing || !existing.history.some((entry) => entry.id === entryId)) return null;
+
+    const history = existing.history.filter((entry) => entry.id !== entryId);
+    if (history.length === 0) {
+      delete store.applications[libraryId];
+      persist();
+      return { deleted: true };
+    }
+
+    const application = {
+      ...existing,
+      updatedAt: new Date().toISOString(),
+      status: history[history.length - 1].status,
+      history,
+    };
+    store.applications[libraryId] = application;
+    persist();
+    return { application };
+  };
+
+  const deleteApplication = (libraryId) => {
+    if (!store.applications[libraryId]) return false;
+    delete store.applications[libraryId];
+    persist();
+    return true;
+  };
+
+  // Pipeline counts, applications per week for the last STATS_WEEKS weeks
+  // and the response rate: the share of submitted applications that moved
+  // past "applied" (rejections count as a response).
+  const computeStats = (now = new Date()) => {
+    const applications = listApplications();
+    const byStatus = Object.fromEntries(STAGES.map((stage) => [stage, 0]));
+    applications.forEach((application) => {
+      byStatus[application.status] += 1;
+    });
+
+    const submitted = applications
+      .map((application) => ({
+        appliedOn: application.history
+          .filter((entry) => entry.status !== 'saved')
+          .map((entry) => entry.date)
+          .sort()[0],
+        responded: application.history.some((entry) => RESPONSE_STAGES.includes(entry.status)),
+        interviewed: application.history.some((entry) =>
+          ['interview', 'offer'].includes(entry.status)
+        ),
+      }))
+      .filter((application) => application.appliedOn);
+
+    const currentWeek = weekStart(now.toISOString().slice(0, 10));
+    const weeks = Array.from({ length: STATS_WEEKS }, (_, index) => {
+      const start = new Date(`${currentWeek}T00:00:00Z`);
+      start.setUTCDate(start.getUTCDate() - 7 * (STATS_WEEKS - 1 - index));
+      return start.toISOString().slice(0, 10);
+    });
+    const perWeek = Object.fromEntries(weeks.map((week) => [week, 0]));
+    submitted.forEach(({ appliedOn }) => {
+      const week = weekStart(appliedOn);
+      if (week in perWeek) perWeek[week] += 1;
+    });
+
+    const responded = submitted.filter((application) => application.responded).length;
+    return {
+      total: applications.length,
+      byStatus,
+      applied: submitted.length,
+      responded,
+      responseRate: submitted.length > 0 ? responded / submitted.length : null,
+      interviewed: submitted.filter((application) => application.interviewed).length,
+      applicationsPerWeek: weeks.map((week) => ({ weekStart: week, count: perWeek[week] })),
+    };
+  };
+
+  return {
+    listApplications,
+    getApplication,
+    recordUpdate,
+    deleteEntry,
+    deleteApplication,
+    computeStats,
+  };
+};
+
+module.exports = {
+  APPLICATIONS_FILE_NAME,
+  STAGES,
+  validateUpdate,
+  forUser: perUserStore(createApplications),
+};
@@ -0,0 +1,247 @@
+// Structured facts parsed out of job description text: salary range,
+// seniority, employment type and required years of experience. Used when
+// the posting has no JSON-LD or platform API field for them.
+
+// Ordered from least to most senior; profile scoring compares positions.
+const SENIORITY_LEVELS = ['intern', 'junior', 'mid', 'senior', 'lead', 'staff', 'principal'];
+
+// Checked in order, so "Senior Staff Engineer" counts as staff and
+// "Lead Senior Developer" as lead.
+const SENIORITY_PATTERNS = [
+  ['intern', /\b(?:intern|internship|trainee|apprentice|werkstudent)\b/i],
+  ['principal', /\b(?:principal|distinguished|fellow)\b/i],
+  ['staff', /\bstaff\b/i],
+  ['lead', /\blead\b/i],
+  ['senior', /\b(?:senior|sr\.?)(?![\w-])/i],
+  ['junior', /\b(?:junior|jr\.?|entry[-\s]level|graduate|new grad)(?![\w-])/i],
+  ['mid', /\b(?:mid[-\s]?level|mid[-\s]senior|intermediate)\b|\b(?:engineer|developer)\s+(?:ii|2)\b/i],
+];
+
+// Canonical employment types with the spellings that map onto them
+// (schema.org constants, Lever commitments, Ashby enums, page text).
+const EMPLOYMENT_TYPES = [
+  ['Full-time', /\bfull[-\s_]?time\b|\bpermanent\b/i],
+  ['Part-time', /\bpart[-\s_]?time\b/i],
+  ['Contract', /\bcontract(?:or)?\b|\bfreelance\b|\bfixed[-\s]term\b|\bB2B\b/i],
+  ['Temporary', /\btemporary\b|\btemp\b/i],
+  ['Internship', /\bintern(?:ship)?\b/i],
+];
+
+// The same types in running text, where the bare words are too loose
+// ("permanent contract", "temp agency"): contracts and temporary work only
+// count in employment phrasing.
+const CONTRACT_NOUNS = 'role|position|job|basis|engagement|assignment|opportunity|contract|work';
+const EMPLOYMENT_TYPE_PHRASES = [
+  [
+    'Full-time',
+    /\bfull[-\s]?time\b|\bpermanent\s+(?:role|position|job|contract|employment|post|hire)\b/i,
+  ],
+  ['Part-time', /\bpart[-\s]?time\b/i],
+  [
+    'Contract',
+    new RegExp(
+      `\\b(?:contract(?:or)?|freelance|B2B)\\s+(?:${CONTRACT_NOUNS})\\b|` +
+        '\\bfixed[-\\s]term\\b|\\bcontract[-\\s]to[-\\s]hire\\b|' +
+        '\\b(?:\\d+[-\\s]months?|short[-\\s]term|long[-\\s]term|freelance)\\s+contract\\b',
+      'i'
+    ),
+  ],
+  [
+    'Temporary',
+    new RegExp(
+      `\\btemporary\\s+(?:${CONTRACT_NOUNS}|post|hire|employment)\\b|` +
+        '\\btemp(?:orary)?[-\\s]to[-\\s](?:perm|permanent|hire)\\b',
+      'i'
+    ),
+  ],
+];
+
+const CURRENCY_SYMBOLS = {
+  'US$': 'USD',
+  'CA$': 'CAD',
+  C$: 'CAD',
+  'AU$': 'AUD',
+  A$: 'AUD',
+  $: 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+};
+
+const CURRENCY_CODES = [
+  'USD',
+  'EUR',
+  'GBP',
+  'CAD',
+  'AUD',
+  'CHF',
+  'SEK',
+  'NOK',
+  'DKK',
+  'PLN',
+  'INR',
+  'JPY',
+];
+
+// Same unit names JSON-LD uses (QuantitativeValue.unitText).
+const SALARY_PERIODS = [
+  ['HOUR', /^(?:hour|hr|h)$/i],
+  ['DAY', /^(?:day|d)$/i],
+  ['WEEK', /^(?:week|wk)$/i],
+  ['MONTH', /^(?:month|mo)$/i],
+  ['YEAR', /^(?:year|yr|annum|annual(?:ly)?|p\.?\s?a\.?|pa)$/i],
+];
+
+const CURRENCY = `(?:US\\$|CA\\$|C\\$|AU\\$|A\\$|\\$|€|£|¥|₹|\\b(?:${CURRENCY_CODES.join('|')})\\b)`;
+const AMOUNT = '\\d{1,3}(?:[.,\\s]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d+)?';
+// "k" thousands, but not "5M funding" or "10% equity".
+const SIDE = (n) =>
+  `(?<cur${n}>${CURRENCY})?\\s?(?<amount${n}>${AMOUNT})(?!\\s?(?:m|mm|bn?|million|billion|%)\\b)\\s?(?<k${n}>[kK]\\b)?\\s?(?<curAfter${n}>${CURRENCY})?`;
+const PERIOD =
+  '(?:\\s*(?:/|per|an?|each)\\s*(?<period>hour|hr|h|day|d|week|wk|month|mo|year|yr|annum)\\b|\\s*(?<periodAlt>p\\.?\\s?a\\.?|annually|yearly|hourly|daily|monthly|weekly)(?![\\w]))?';
+const SALARY_PATTERN = new RegExp(`${SIDE(1)}(?:\\s*(?:-|–|—|to)\\s*${SIDE(2)})?${PERIOD}`, 'g');
+
+const PERIOD_ADVERBS = {
+  annually: 'YEAR',
+  yearly: 'YEAR',
+  hourly: 'HOUR',
+  daily: 'DAY',
+  monthly: 'MONTH',
+  weekly: 'WEEK',
+};
+
+const toCurrencyCode = (raw) => {
+  if (!raw) return undefined;
+  const trimmed = raw.trim();
+  return CURRENCY_SYMBOLS[trimmed] || trimmed.toUpperCase();
+};
+
+const toPeriod = (groups) => {
+  if (groups.periodAlt) {
+    const adverb = PERIOD_ADVERBS[groups.periodAlt.toLowerCase()];
+    return adverb || 'YEAR';
+  }
+  if (!groups.period) return undefined;
+  const match = SALARY_PERIODS.find(([, pattern]) => pattern.test(groups.period));
+  return match ? match[0] : undefined;
+};
+
+// "120,000", "70.000", "1.5" or "95 000"; a separator followed by exactly
+// three digits is a thousands separator, anything else is a decimal point.
+const parseAmount = (raw) => {
+  const compact = raw.replace(/\s/g, '');
+  const lastSeparator = Math.max(compact.lastIndexOf('.'), compact.lastIndexOf(','));
+  if (lastSeparator !== -1 && compact.length - lastSeparator - 1 !== 3) {
+    const whole = compact.slice(0, lastSeparator).replace(/[.,]/g, '');
+    return Number(`${whole}.${compact.slice(lastSeparator + 1)}`);
+  }
+  return Number(compact.replace(/[.,]/g, ''));
+};
+
+const salaryFromMatch = (groups) => {
+  const currency = toCurrencyCode(groups.cur1 || groups.curAfter1 || groups.cur2 || groups.curAfter2);
+  if (!currency) return null;
+
+  const hasSecond = groups.amount2 !== undefined;
+  // "$120-150k": the trailing k applies to both ends.
+  const sharedK = hasSecond && !groups.k1 && groups.k2;
+  let min = parseAmount(groups.amount1) * (groups.k1 || sharedK ? 1000 : 1);
+  let max = hasSecond ? parseAmount(groups.amount2) * (groups.k2 ? 1000 : 1) : min;
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min <= 0) return null;
+  if (max < min) [min, max] = [max, min];
+
+  let unit = toPeriod(groups);
+  if (!unit) {
+    // Without a stated period, small figures are more likely a price or a
+    // funding round than a salary.
+    if (max < 10000) return null;
+    unit = 'YEAR';
+  }
+
+  return { currency, min, max, unit };
+};
+
+// Returns the first salary-looking range in the text as
+// { currency, min, max, unit }, or undefined.
+const parseSalary = (text = '') => {
+  for (const match of text.matchAll(SALARY_PATTERN)) {
+    const salary = salaryFromMatch(match.groups);
+    if (salary) return salary;
+  }
+  return undefined;
+};
+
+// Every salary-looking phrase in the text, as written ("$120k–$150k a
+// year"), for highlighting.
+const findSalaryPhrases = (text = '') =>
+  Array.from(
+    new Set(
+      Array.from(text.matchAll(SALARY_PATTERN))
+        .filter((match) => salaryFromMatch(match.groups))
+        .map((match) => match[0].trim())
+    )
+  );
+
+const detectSeniority = (title = '') => {
+  const match = SENIORITY_PATTERNS.find(([, pattern]) => pattern.test(title));
+  return match ? match[0] : undefined;
+};
+
+// Maps a raw label ("FULL_TIME", "FullTime", "Contractor") onto one of the
+// canonical employment types, or returns undefined when it is none of them.
+const canonicalEmploymentType = (label = '') => {
+  const spaced = String(label).replace(/([a-z])([A-Z])/g, '$1 $2');
+  const match = EMPLOYMENT_TYPES.find(([, pattern]) => pattern.test(spaced));
+  return match ? match[0] : undefined;
+};
+
+const detectEmploymentTypes = (text = '') =>
+  EMPLOYMENT_TYPE_PHRASES.filter(([, pattern]) => pattern.test(text)).map(([name]) => name);
+
+const YEARS_PATTERNS = [
+  // "3-5 years", "3 to 5 years"
+  /(?<min>\d{1,2})\s*(?:-|–|to)\s*(?<max>\d{1,2})\+?\s*(?:years?|yrs?)\b/i,
+  // "5+ years", "at least 4 years", "minimum of 3 years", "4 or more years"
+  /(?:at least|minimum(?: of)?|min\.?)?\s*(?<min>\d{1,2})\s*(?:\+|or more|plus)?\s*(?:years?|yrs?)\b/i,
+];
+
+// Only counts figures in a sentence that mentions experience, so "founded
+// 10 years ago" is ignored.
+const parseYearsOfExperience = (text = '') => {
+  const sentences = text.split(/(?<=[.!?\n])\s+/);
+  for (const sentence of sentences) {
+    if (!/experience|expérience|erfahrung/i.test(sentence)) continue;
+    for (const pattern of YEARS_PATTERNS) {
+      const match = sentence.match(pattern);
+      if (match) {
+        const min = Number(match.groups.min);
+        const max = match.groups.max ? Number(match.groups.max) : undefined;
+        if (min > 0 && min <= 30) {
+          return max && max >= min ? { min, max } : { min };
+        }
+      }
+    }
+  }
+  return undefined;
+};
+
+// Parses every attribute from the title and plain description text.
+const extractJobAttributes = ({ title = '', text = '' }) => ({
+  baseSalary: parseSalary(text),
+  seniority: detectSeniority(title),
+  employmentType: detectEmploymentTypes(text),
+  yearsOfExperience: parseYearsOfExperience(text),
+});
+
+module.exports = {
+  SENIORITY_LEVELS,
+  EMPLOYMENT_TYPES: EMPLOYMENT_TYPES.map(([name]) => name),
+  parseSalary,
+  findSalaryPhrases,
+  detectSeniority,
+  canonicalEmploymentType,
+  detectEmploymentTypes,
+  parseYearsOfExperience,
+  extractJobAttributes,
+};
@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonStore');
+
+// Local user accounts. Passwords are stored as scrypt hashes. Signing in
+// creates a session whose random token travels in an HttpOnly cookie (or
+// as a bearer token); personal access tokens let scripts call the API
+// directly. Only SHA-256 hashes of session and access tokens are stored.
+const USERS_DB_PATH = path.join(DATA_DIR, 'users.json');
+const SESSIONS_DB_PATH = path.join(DATA_DIR, 'sessions.json');
+
+const SESSION_COOKIE = 'jd_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const ACCESS_TOKEN_PREFIX = 'jdf_';
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+// Access tokens record when they were last used, at most this often.
+const TOKEN_USE_RESOLUTION_MS = 60 * 60 * 1000;
+
+// Sign-ups are off unless the operator turns them on: every account sees
+// the team's shared watchlists.
+const SIGNUP_ENABLED = process.env.AUTH_ALLOW_SIGNUP === 'true';
+
+const readUsersFromFile = () => {
+  const parsed = readJsonFile(USERS_DB_PATH, null);
+  if (parsed && parsed.users && typeof parsed.users === 'object') {
+    return parsed;
+  }
+  return { users: {} };
+};
+
+const readSessionsFromFile = () => {
+  const parsed = readJsonFile(SESSIONS_DB_PATH, null);
+  if (parsed && parsed.sessions && typeof parsed.sessions === 'object') {
+    return parsed;
+  }
+  return { sessions: {} };
+};
+
+const userStore = readUsersFromFile();
+const sessionStore = readSessionsFromFile();
+
+const persistUsers = () => writeJsonFile(USERS_DB_PATH, userStore);
+const persistSessions = () => writeJsonFile(SESSIONS_DB_PATH, sessionStore);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createToken = (prefix = '') => `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Checked against on sign-ins for unknown usernames, so they take as long
+// as a wrong password and timing does not tell which usernames exist.
+const DUMMY_PASSWORD_HASH = hashPassword(createToken());
+
+// What the API returns for a user; never the password hash or tokens.
+const publicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  createdAt: user.createdAt,
+});
+
+const listUsers = () =>
+  Object.values(userStore.users).sort((left, right) => left.username.localeCompare(right.username));
+
+const getUser = (id) => userStore.users[id] || null;
+
+const findUserByName = (username) =>
+  listUsers().find((user) => user.username === String(username).trim().toLowerCase()) || null;
+
+const validateUsername = (username) =>
+  USERNAME_PATTERN.test(username)
+    ? null
+    : 'Usernames are 2-32 characters: letters, digits, dots, dashes and underscores, ' +
+      'starting with a letter or digit.';
+
+const validatePassword = (password) =>
+  typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH
+    ? null
+    : `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`;
+
+// Validates a sign-up body `{ username, password }`. Returns `{ value }` or
+// `{ error }` for the 400 response.
+const validateRegistration = (raw) => {
+  const username = typeof raw?.username === 'string' ? raw.username.trim().toLowerCase() : '';
+  const usernameError = validateUsername(username);
+  if (usernameError) {
+    return { error: usernameError };
+  }
+  if (findUserByName(username)) {
+    return { error: 'That username is taken.' };
+  }
+  const passwordError = validatePassword(raw.password);
+  if (passwordError) {
+    return { error: passwordError };
+  }
+  return { value: { username, password: raw.password } };
+};
+
+const createUser = ({ username, password }) => {
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    passwordHash: hashPassword(password),
+    createdAt: new Date().toISOString(),
+    accessTokens: [],
+  };
+  userStore.users[user.id] = user;
+  persistUsers();
+  return user;
+};
+
+const setPassword = (userId, password) => {
+  const user = getUser(userId);
+  if (!user) return null;
+  userStore.users[userId] = { ...user, passwordHash: hashPassword(password) };
+  persistUsers();
+  return userStore.users[userId];
+};
+
+// Failed sign-ins per client and username; after MAX_FAILED_LOGINS that
+// client is locked out of the account for LOCKOUT_MS. Keying on the client
+// too means nobody can lock a user out just by knowing the username. Kept
+// in memory only.
+const failedLogins = new Map();
+
+const isLockedOut = (key) => {
+  const entry = failedLogins.get(key);
+  if (!entry) return false;
+  if (Date.now() - entry.firstFailedAt > LOCKOUT_MS) {
+    failedLogins.delete(key);
+    return false;
+  }
+  return entry.count >= MAX_FAILED_LOGINS;
+};
+
+const recordFailedLogin = (key) => {
+  if (failedLogins.size > 1000) {
+    failedLogins.forEach((entry, staleKey) => {
+      if (Date.now() - entry.firstFailedAt > LOCKOUT_MS) failedLogins.delete(staleKey);
+    });
+  }
+  const entry = failedLogins.get(key);
+  if (!entry || Date.now() - entry.firstFailedAt > LOCKOUT_MS) {
+    failedLogins.set(key, { count: 1, firstFailedAt: Date.now() });
+  } else {
+    entry.count += 1;
+  }
+};
+
+// Returns `{ user }`, or `{ error, status }` for a failed or locked-out
+// sign-in. `client` identifies the caller (its IP address) for the lockout.
+// Unknown usernames and wrong passwords get the same message and take the
+// same time.
+const authenticatePassword = (username, password, { client = '' } = {}) => {
+  const name = typeof username === 'string' ? username.trim().toLowerCase() : '';
+  const lockoutKey = `${client} ${name}`;
+  if (isLockedOut(lockoutKey)) {
+    return { status: 429, error: 'Too many failed sign-ins. Try again in a few minutes.' };
+  }
+
+  const user = name ? findUserByName(name) : null;
+  const isValid = verifyPassword(
+    typeof password === 'string' ? password : '',
+    user ? user.passwordHash : DUMMY_PASSWORD_HASH
+  );
+  if (!user || typeof password !== 'string' || !isValid) {
+    recordFailedLogin(lockoutKey);
+    return { status: 401, error: 'Unknown username or wrong password.' };
+  }
+  failedLogins.delete(lockoutKey);
+  return { user };
+};
+
+// --- Sessions ------------------------------------------------------------
+
+const pruneSessions = () => {
+  const now = new Date().toISOString();
+  Object.entries(sessionStore.sessions).forEach(([hash, session]) => {
+    if (session.expiresAt <= now) {
+      delete sessionStore.sessions[hash];
+    }
+  });
+};
+
+const createSession = (userId) => {
+  const token = createToken();
+  const now = Date.now();
+  pruneSessions();
+  sessionStore.sessions[hashToken(token)] = {
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString(),
+  };
+  persistSessions();
+  return token;
+};
+
+const deleteSession = (token) => {
+  const hash = hashToken(token);
+  if (!sessionStore.sessions[hash]) return false;
+  delete sessionStore.sessions[hash];
+  persistSessions();
+  return true;
+};
+
+// Signs a user out everywhere, e.g. after a password change. `keepToken`
+// keeps the session that made the change.
+const deleteUserSessions = (userId, keepToken) => {
+  const keepHash = keepToken ? hashToken(keepToken) : null;
+  Object.entries(sessionStore.sessions).forEach(([hash, session]) => {
+    if (session.userId === userId && hash !== keepHash) {
+      delete sessionStore.sessions[hash];
+    }
+  });
+  persistSessions();
+};
+
+const resolveSession = (token) => {
+  const session = sessionStore.sessions[hashToken(token)];
+  if (!session || session.expiresAt <= new Date().toISOString()) return null;
+  return getUser(session.userId);
+};
+
+// --- Personal access tokens ----------------------------------------------
+
+const describeAccessToken = ({ id, label, createdAt, lastUsedAt }) => ({
+  id,
+  label,
+  createdAt,
+  lastUsedAt: lastUsedAt || null,
+});
+
+const listAccessTokens = (userId) => (getUser(userId)?.accessTokens || []).map(describeAccessToken);
+
+// Returns the token itself along with its description; only its hash is
+// kept, so this is the one time it can be shown.
+const createAccessToken = (userId, label) => {
+  const user = getUser(userId);
+  if (!user) return null;
+
+  const token = createToken(ACCESS_TOKEN_PREFIX);
+  const entry = {
+    id: crypto.randomUUID(),
+    label: typeof label === 'string' && label.trim() ? label.trim().slice(0, 80) : 'Access token',
+    tokenHash: hashToken(token),
+    createdAt: new Date().toISOString(),
+  };
+  userStore.users[userId] = { ...user, accessTokens: [...(user.accessTokens || []), entry] };
+  persistUsers();
+  return { ...describeAccessToken(entry), token };
+};
+
+const deleteAccessToken = (userId, tokenId) => {
+  const user = getUser(userId);
+  if (!user || !(user.accessTokens || []).some((entry) => entry.id === tokenId)) return false;
+  userStore.users[userId] = {
+    ...user,
+    accessTokens: user.accessTokens.filter((entry) => entry.id !== tokenId),
+  };
+  persistUsers();
+  return true;
+};
+
+const resolveAccessToken = (token) => {
+  const hash = hashToken(token);
+  const user = listUsers().find((candidate) =>
+    (candidate.accessTokens || []).some((entry) => entry.tokenHash === hash)
+  );
+  if (!user) return null;
+
+  const entry = user.accessTokens.find((candidate) => candidate.tokenHash === hash);
+  const lastUsed = entry.lastUsedAt ? Date.parse(entry.lastUsedAt) : 0;
+  if (Date.now() - lastUsed > TOKEN_USE_RESOLUTION_MS) {
+    entry.lastUsedAt = new Date().toISOString();
+    persistUsers();
+  }
+  return user;
+};
+
+// --- Request handling ----------------------------------------------------
+
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator > 0 && part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch (_err) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+// The caller's user and credentials: a bearer token (session or access
+// token) wins over the session cookie. Returns null when neither is valid.
+const authenticateRequest = (req) => {
+  const bearer = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (bearer) {
+    const isAccessToken = bearer.startsWith(ACCESS_TOKEN_PREFIX);
+    const user = isAccessToken ? resolveAccessToken(bearer) : resolveSession(bearer);
+    return user ? { user, sessionToken: isAccessToken ? null : bearer } : null;
+  }
+
+  const cookie = readCookie(req, SESSION_COOKIE);
+  const user = cookie ? resolveSession(cookie) : null;
+  return user ? { user, sessionToken: cookie } : null;
+};
+
+// Express middleware for signed-in routes: sets `req.user` (and
+// `req.sessionToken` for cookie and session-token requests) or answers 401.
+const requireUser = (req, res, next) => {
+  const auth = authenticateRequest(req);
+  if (!auth) {
+    return res.status(401).json({ code: 'UNAUTHENTICATED', message: 'Please sign in.' });
+  }
+  req.user = auth.user;
+  req.sessionToken = auth.sessionToken;
+  next();
+};
+
+const setSessionCookie = (req, res, token) =>
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/',
+    maxAge: SESSION_TTL_MS,
+  });
+
+const clearSessionCookie = (res) => res.clearCookie(SESSION_COOKIE, { path: '/' });
+
+module.exports = {
+  SIGNUP_ENABLED,
+  publicUser,
+  listUsers,
+  getUser,
+  validateUsername,
+  validatePassword,
+  validateRegistration,
+  createUser,
+  setPassword,
+  verifyPassword,
+  authenticatePassword,
+  createSession,
+  deleteSession,
+  deleteUserSessions,
+  resolveAccessToken,
+  listAccessTokens,
+  createAccessToken,
+  deleteAccessToken,
+  authenticateRequest,
+  requireUser,
+  setSessionCookie,
+  clearSessionCookie,
+};
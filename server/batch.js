@@ -0,0 +1,98 @@
+// Batch job fetching with bounded concurrency and a per-host rate limit
+// shared by every batch in the process, so concurrent batches and watchlist
+// checks do not hit one site side by side. Results are reported through
+// `onEvent` as soon as each link settles, which lets the HTTP layer stream
+// them back to the client.
+
+const { createFetchError, describeFetchError, toFetchError } = require('./errors');
+
+const DEFAULT_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 4;
+const MAX_CONCURRENCY = 8;
+const DEFAULT_HOST_INTERVAL_MS = Number(process.env.BATCH_HOST_INTERVAL_MS) || 1000;
+const MAX_BATCH_SIZE = 100;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const clampConcurrency = (value) => {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 1) return DEFAULT_CONCURRENCY;
+  return Math.min(parsed, MAX_CONCURRENCY);
+};
+
+// Hands out start times so that requests to the same host are spaced at
+// least `intervalMs` apart, regardless of how many workers are running.
+// Hosts whose last slot has passed are forgotten.
+const createHostThrottle = (intervalMs) => {
+  const nextSlotByHost = new Map();
+
+  return async (hostname) => {
+    const now = Date.now();
+    nextSlotByHost.forEach((nextSlot, host) => {
+      if (nextSlot <= now) nextSlotByHost.delete(host);
+    });
+    const slot = Math.max(now, nextSlotByHost.get(hostname) || 0);
+    nextSlotByHost.set(hostname, slot + intervalMs);
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  };
+};
+
+const waitForHost = createHostThrottle(DEFAULT_HOST_INTERVAL_MS);
+
+// The host of an http(s) link; anything else is rejected before it takes
+// up a slot.
+const hostnameOf = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (_err) {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw createFetchError('UNSUPPORTED_PROTOCOL', 'Not a valid http(s) URL.');
+  }
+  return parsed.hostname;
+};
+
+const runBatch = async (
+  urls,
+  { loadJob, onEvent, concurrency = DEFAULT_CONCURRENCY, isCancelled = () => false }
+) => {
+  const summary = { total: urls.length, succeeded: 0, failed: 0 };
+  let cursor = 0;
+
+  onEvent({ type: 'start', total: urls.length });
+
+  const worker = async () => {
+    while (cursor < urls.length && !isCancelled()) {
+      const index = cursor;
+      cursor += 1;
+      const url = urls[index];
+
+      try {
+        await waitForHost(hostnameOf(url));
+        if (isCancelled()) return;
+
+        onEvent({ type: 'progress', index, url, status: 'fetching' });
+        const job = await loadJob(url);
+        summary.succeeded += 1;
+        onEvent({ type: 'result', index, url, job });
+      } catch (error) {
+        summary.failed += 1;
+        onEvent({ type: 'error', index, url, ...describeFetchError(toFetchError(error)) });
+      }
+    }
+  };
+
+  const workerCount = Math.min(clampConcurrency(concurrency), urls.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  onEvent({ type: 'done', ...summary });
+  return summary;
+};
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  runBatch,
+};
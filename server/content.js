@@ -0,0 +1,284 @@
+const cheerio = require('cheerio');
+const { findSalaryPhrases } = require('./attributes');
+const { findLocationPhrases } = require('./location');
+const { BOILERPLATE_SELECTOR, toHtml } = require('./sections');
+
+// Main job-description content, returned with every posting as
+// `{ html, text, source, highlights }`: sanitized markup, plain text (one
+// line per block), where it came from ("json-ld", "main-content", "body" or
+// the adapter's API) and the salary and location phrases found in it.
+
+// Banners and widgets that sit inside the page body but are never part of
+// the JD, on top of the chrome sections.js already ignores.
+const CLUTTER_SELECTOR = [
+  BOILERPLATE_SELECTOR,
+  'iframe',
+  'svg',
+  'canvas',
+  'button',
+  'select',
+  'input',
+  'textarea',
+  'dialog',
+  '[role="dialog"]',
+  '[role="alertdialog"]',
+  '[aria-hidden="true"]',
+  '[hidden]',
+  '[class*="consent" i]',
+  '[id*="consent" i]',
+  '[class*="gdpr" i]',
+  '[class*="newsletter" i]',
+  '[class*="share" i]',
+  '[class*="social" i]',
+  '[class*="breadcrumb" i]',
+].join(', ');
+
+// Class and id hints, in the spirit of Readability.
+const POSITIVE_HINT =
+  /article|body|content|description|details|job|main|posting|post|text|vacancy/i;
+const NEGATIVE_HINT =
+  /banner|comment|cookie|footer|header|menu|modal|nav|popup|promo|related|share|sidebar|similar/i;
+
+// Elements whose text is scored; the score goes to their containers.
+const SCORED_SELECTOR = 'p, pre, td, li, h2, h3, h4, div, section';
+const BLOCK_CHILD_SELECTOR = 'p, div, section, article, ul, ol, table, pre, blockquote, h1, h2, h3';
+
+const MIN_SCORED_TEXT = 25;
+// Below this the picked block is probably a teaser; the cleaned body is
+// returned instead.
+const MIN_MAIN_CONTENT = 200;
+
+const collapse = (value = '') => value.replace(/\s+/g, ' ').trim();
+
+const hintWeight = (element) => {
+  const hints = `${element.attribs?.class || ''} ${element.attribs?.id || ''}`;
+  let weight = 0;
+  if (POSITIVE_HINT.test(hints)) weight += 25;
+  if (NEGATIVE_HINT.test(hints)) weight -= 25;
+  return weight;
+};
+
+const linkDensity = ($, $element) => {
+  const textLength = collapse($element.text()).length;
+  if (textLength === 0) return 0;
+  const linkLength = $element
+    .find('a')
+    .map((_, link) => collapse($(link).text()).length)
+    .get()
+    .reduce((sum, length) => sum + length, 0);
+  return linkLength / textLength;
+};
+
+// Readability-style pick of the element holding the JD: every paragraph-like
+// block scores by length and commas, and passes that score to its parent and
+// (halved) grandparent. List items score for the list's container, so a JD
+// made of headings and bullet lists adds up in one place.
+const findMainContent = ($, $root) => {
+  const scores = new Map();
+  const addScore = (element, score) => {
+    if (!element || element.type !== 'tag' || element.name === 'body') return;
+    if (!scores.has(element)) scores.set(element, hintWeight(element));
+    scores.set(element, scores.get(element) + score);
+  };
+
+  $root.find(SCORED_SELECTOR).each((_, element) => {
+    const $element = $(element);
+    if (['div', 'section'].includes(element.name) && $element.find(BLOCK_CHILD_SELECTOR).length) {
+      return;
+    }
+    const text = collapse($element.text());
+    if (text.length < MIN_SCORED_TEXT) return;
+
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    let parent = element.parent;
+    if (element.name === 'li' && parent && ['ul', 'ol'].includes(parent.name)) {
+      parent = parent.parent;
+    }
+    addScore(parent, score);
+    addScore(parent?.parent, score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, element) => {
+    const adjusted = score * (1 - linkDensity($, $(element)));
+    if (adjusted > bestScore) {
+      best = element;
+      bestScore = adjusted;
+    }
+  });
+  if (!best) return null;
+
+  // Sections split across sibling wrappers ("Requirements" in one div,
+  // "Benefits" in the next) are pulled in when they score close enough.
+  const threshold = Math.max(10, bestScore * 0.2);
+  const $siblings = $(best)
+    .parent()
+    .children()
+    .filter((_, sibling) => {
+      if (sibling === best) return true;
+      const score = (scores.get(sibling) ?? 0) * (1 - linkDensity($, $(sibling)));
+      return score >= threshold;
+    });
+  return $siblings
+    .map((_, element) => $.html(element))
+    .get()
+    .join('');
+};
+
+// Tags kept in the sanitized markup; anything else is unwrapped to its
+// children. Only `href` on links survives, and only for http(s) URLs.
+const ALLOWED_TAGS = new Set([
+  'a',
+  'b',
+  'blockquote',
+  'br',
+  'code',
+  'dd',
+  'div',
+  'dl',
+  'dt',
+  'em',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'hr',
+  'i',
+  'li',
+  'ol',
+  'p',
+  'pre',
+  'strong',
+  'table',
+  'tbody',
+  'td',
+  'th',
+  'thead',
+  'tr',
+  'u',
+  'ul',
+]);
+// Page titles are already shown on the card; description headings start at h3.
+const RENAMED_TAGS = { h1: 'h3', h2: 'h3', section: 'div', article: 'div', main: 'div' };
+const DROPPED_TAGS = 'script, style, noscript, template, iframe, object, embed, svg, img, picture';
+
+const MAX_DESCRIPTION_HTML = 60000;
+
+const sanitizeDescriptionHtml = (html = '', baseUrl) => {
+  const $ = cheerio.load(html, null, false);
+  $(DROPPED_TAGS).remove();
+  $.root()
+    .find('*')
+    .addBack()
+    .contents()
+    .filter((_, node) => node.type === 'comment')
+    .remove();
+
+  // Children before parents, so unwrapping never skips a nested element.
+  $('*')
+    .get()
+    .reverse()
+    .forEach((element) => {
+      const $element = $(element);
+      const name = RENAMED_TAGS[element.name] || element.name;
+      if (!ALLOWED_TAGS.has(name)) {
+        $element.replaceWith($element.contents());
+        return;
+      }
+
+      const href = $element.attr('href');
+      element.name = name;
+      element.attribs = {};
+      if (name === 'a' && href) {
+        try {
+          const resolved = new URL(href, baseUrl);
+          if (/^https?:$/.test(resolved.protocol)) {
+            element.attribs = {
+              href: resolved.href,
+              target: '_blank',
+              rel: 'noopener noreferrer',
+            };
+          }
+        } catch (_err) {
+          // Unresolvable links keep their text only (below).
+        }
+      }
+      if (name === 'a' && !element.attribs.href) {
+        $element.replaceWith($element.contents());
+      }
+    });
+
+  // Wrappers left empty once images and widgets are gone.
+  $('p, div, li, h3, h4, h5, h6')
+    .get()
+    .reverse()
+    .forEach((element) => {
+      const $element = $(element);
+      if (!collapse($element.text()) && $element.find('br, hr').length === 0) $element.remove();
+    });
+
+  const sanitized = $.html().trim();
+  return sanitized.length > MAX_DESCRIPTION_HTML
+    ? cheerio.load(sanitized.slice(0, MAX_DESCRIPTION_HTML), null, false).html()
+    : sanitized;
+};
+
+const TEXT_BLOCKS = 'p, div, li, h2, h3, h4, h5, h6, tr, pre, blockquote, dt, dd, hr';
+
+// Plain text of sanitized markup, one line per block; list items keep a
+// bullet.
+const toPlainText = (html) => {
+  const $ = cheerio.load(html, null, false);
+  $('br').replaceWith('\n');
+  $('li').prepend('• ');
+  $(TEXT_BLOCKS).each((_, element) => {
+    $(element).before('\n').after('\n');
+  });
+  return $.root()
+    .text()
+    .split('\n')
+    .map((line) => collapse(line))
+    .filter(Boolean)
+    .join('\n');
+};
+
+const findHighlights = (text) => [
+  ...findSalaryPhrases(text).map((phrase) => ({ type: 'salary', text: phrase })),
+  ...findLocationPhrases(text).map((phrase) => ({ type: 'location', text: phrase })),
+];
+
+// Builds the description of a posting. `html` is a description the source
+// already isolated (JSON-LD, a platform API); otherwise `page` is the full
+// page and its main content is detected.
+const buildDescription = ({ html, page, source, baseUrl }) => {
+  let content = html ? toHtml(html) : '';
+  let contentSource = source;
+
+  if (!content && page) {
+    const $ = cheerio.load(page);
+    const $body = $('body');
+    $body.find(CLUTTER_SELECTOR).remove();
+    const main = findMainContent($, $body);
+    const mainText = main ? collapse(cheerio.load(main, null, false).root().text()) : '';
+    if (mainText.length >= MIN_MAIN_CONTENT) {
+      content = main;
+      contentSource = 'main-content';
+    } else {
+      content = $body.html() || '';
+      contentSource = 'body';
+    }
+  }
+
+  const sanitized = sanitizeDescriptionHtml(content, baseUrl);
+  const text = toPlainText(sanitized);
+  return { html: sanitized, text, source: contentSource, highlights: findHighlights(text) };
+};
+
+module.exports = {
+  findMainContent,
+  sanitizeDescriptionHtml,
+  toPlainText,
+  buildDescription,
+};
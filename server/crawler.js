@@ -0,0 +1,228 @@
+// Discovers job posting links from a careers page or ATS board. Known
+// boards (Greenhouse, Lever, Ashby, Workday) are listed through their
+// adapter's board API. Any other page is crawled breadth-first: links that
+// look like postings become candidates, and listing pages on the same site
+// are followed up to `depth` levels deep. Pagination links do not count
+// against the depth.
+const cheerio = require('cheerio');
+const { findAdapter, findBoard } = require('./adapters');
+const { toFetchError } = require('./errors');
+const { createFetcher } = require('./fetcher');
+const { canonicalizeUrl } = require('./urls');
+
+const DEFAULT_DEPTH = 1;
+const MAX_DEPTH = 3;
+const MAX_PAGES = 25;
+const MAX_CANDIDATES = 500;
+
+// Path segments that introduce job content: /careers/..., /jobs/..., etc.
+const JOB_SEGMENT_PATTERN =
+  /^(?:jobs?|careers?|positions?|openings?|vacanc(?:y|ies)|roles?|opportunit(?:y|ies)|postings?)$/i;
+// Query parameters that identify a single posting.
+const POSTING_PARAM_PATTERN = /^(?:gh_jid|jk|job_?id|posting_?id|requisition_?id|req_?id)$/i;
+const LISTING_TEXT_PATTERN =
+  /\b(?:careers?|jobs|open (?:roles|positions)|openings|vacancies|join us|work with us)\b/i;
+const PAGINATION_TEXT_PATTERN =
+  /^(?:next|more|older|load more|show more|next page|\d+|›|»|→)$/i;
+const PAGINATION_PARAM_PATTERN = /^(?:page|p|offset|start|from)$/i;
+
+// Two-letter country TLDs with a generic second level ("acme.co.uk").
+const SECOND_LEVEL_PATTERN = /^(?:co|com|org|net|gov|ac|edu)$/i;
+
+// Approximates the registrable domain, so careers.acme.com and
+// www.acme.com count as the same site.
+const siteOf = (hostname) => {
+  const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+  const keep =
+    labels.length > 2 && labels.at(-1).length === 2 && SECOND_LEVEL_PATTERN.test(labels.at(-2))
+      ? 3
+      : 2;
+  return labels.slice(-keep).join('.');
+};
+
+const collapseText = (value = '') => value.replace(/\s+/g, ' ').trim();
+
+// A posting URL has a job segment followed by something that looks like an
+// id or a slug ("/jobs/1234", "/careers/senior-backend-engineer"), or a
+// posting id in the query string. Slugs behind "See all jobs" style link
+// text are listings ("/careers/open-roles").
+const looksLikePosting = (link) => {
+  const { parsed } = link;
+  if (Array.from(parsed.searchParams.keys()).some((key) => POSTING_PARAM_PATTERN.test(key))) {
+    return true;
+  }
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  const jobIndex = segments.findLastIndex((segment) => JOB_SEGMENT_PATTERN.test(segment));
+  if (jobIndex === -1) {
+    return false;
+  }
+  const rest = segments.slice(jobIndex + 1);
+  return (
+    rest.some((segment) => /\d/.test(segment)) ||
+    (rest.some((segment) => /[a-z]-[a-z]/i.test(segment)) && !LISTING_TEXT_PATTERN.test(link.text))
+  );
+};
+
+const isPaginationLink = (link) =>
+  link.rel.includes('next') ||
+  PAGINATION_TEXT_PATTERN.test(link.text) ||
+  Array.from(link.parsed.searchParams.keys()).some((key) => PAGINATION_PARAM_PATTERN.test(key));
+
+const isListingLink = (link) =>
+  LISTING_TEXT_PATTERN.test(link.text) ||
+  link.parsed.pathname.split('/').some((segment) => JOB_SEGMENT_PATTERN.test(segment));
+
+// Every http(s) link on the page, resolved against the page URL. Iframes
+// are included because careers pages often embed their ATS board.
+const extractLinks = (html, pageUrl) => {
+  const $ = cheerio.load(html);
+  const links = [];
+
+  $('a[href], iframe[src]').each((_, element) => {
+    const node = $(element);
+    try {
+      const parsed = new URL(node.attr('href') || node.attr('src'), pageUrl);
+      if (!['http:', 'https:'].includes(parsed.protocol)) return;
+      parsed.hash = '';
+      links.push({
+        parsed,
+        url: parsed.toString(),
+        text: collapseText(node.text() || node.attr('aria-label') || node.attr('title')),
+        rel: (node.attr('rel') || '').toLowerCase().split(/\s+/),
+      });
+    } catch (_err) {
+      // Malformed hrefs are skipped.
+    }
+  });
+
+  return links;
+};
+
+// Comma-separated keywords; a candidate matches when its title contains any
+// of them. An empty filter matches everything.
+const matchesKeywords = (title, keywords) => {
+  const terms = keywords
+    .split(',')
+    .map((term) => term.trim().toLowerCase())
+    .filter(Boolean);
+  return terms.length === 0 || terms.some((term) => (title || '').toLowerCase().includes(term));
+};
+
+const clampDepth = (value) => {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 0) return DEFAULT_DEPTH;
+  return Math.min(parsed, MAX_DEPTH);
+};
+
+// Returns `{ url, candidates, total, truncated, pagesVisited, boards,
+// failures }`. `candidates` are `{ url, title, location, source, foundOn }`
+// after the keyword filter; `total` counts them before it. A failure to
+// load the starting page is thrown; later pages are reported in `failures`.
+const discoverJobs = async (startUrl, { depth, keywords = '', cache = 'default' } = {}) => {
+  const maxDepth = clampDepth(depth);
+  const fetcher = createFetcher({ cache });
+  const startSite = siteOf(new URL(startUrl).hostname);
+
+  const candidates = new Map();
+  const listedBoards = new Set();
+  const visited = new Set();
+  const failures = [];
+  let truncated = false;
+
+  const recordFailure = (url, error) => {
+    const { code, message } = toFetchError(error);
+    failures.push({ url, code, message });
+  };
+
+  const addCandidate = (url, fields) => {
+    const key = canonicalizeUrl(url);
+    if (candidates.has(key)) return;
+    if (candidates.size >= MAX_CANDIDATES) {
+      truncated = true;
+      return;
+    }
+    candidates.set(key, { url, ...fields });
+  };
+
+  const listBoard = async ({ adapter, board }, foundOn) => {
+    if (listedBoards.has(board.canonicalUrl)) return;
+    listedBoards.add(board.canonicalUrl);
+
+    const pages = await adapter.fetchBoard(board, fetcher, { maxPostings: MAX_CANDIDATES });
+    adapter.parseBoard(pages, { board }).forEach((posting) => {
+      addCandidate(posting.url, { ...posting, source: adapter.id, foundOn });
+    });
+  };
+
+  const startBoard = findBoard(startUrl);
+  if (startBoard) {
+    await listBoard(startBoard, startUrl);
+  } else {
+    const queue = [{ url: startUrl, depth: 0 }];
+
+    while (queue.length > 0 && visited.size < MAX_PAGES) {
+      const page = queue.shift();
+      const pageKey = canonicalizeUrl(page.url);
+      if (visited.has(pageKey)) continue;
+      visited.add(pageKey);
+
+      let html;
+      try {
+        html = await fetcher.fetchText(page.url);
+      } catch (error) {
+        if (page.url === startUrl) throw error;
+        recordFailure(page.url, error);
+        continue;
+      }
+
+      for (const link of extractLinks(html, page.url)) {
+        const adapter = findAdapter(link.url);
+        if (adapter?.normalizeUrl(link.url)) {
+          addCandidate(link.url, { title: link.text, source: adapter.id, foundOn: page.url });
+          continue;
+        }
+
+        const board = findBoard(link.url);
+        if (board) {
+          try {
+            await listBoard(board, page.url);
+          } catch (error) {
+            recordFailure(link.url, error);
+          }
+          continue;
+        }
+
+        if (siteOf(link.parsed.hostname) !== startSite) continue;
+
+        if (isPaginationLink(link)) {
+          queue.push({ url: link.url, depth: page.depth });
+        } else if (looksLikePosting(link)) {
+          addCandidate(link.url, { title: link.text, source: 'generic', foundOn: page.url });
+        } else if (page.depth < maxDepth && isListingLink(link)) {
+          queue.push({ url: link.url, depth: page.depth + 1 });
+        }
+      }
+
+      if (queue.length > 0 && visited.size >= MAX_PAGES) {
+        truncated = true;
+      }
+    }
+  }
+
+  const all = Array.from(candidates.values());
+  return {
+    url: startUrl,
+    candidates: all.filter((candidate) => matchesKeywords(candidate.title, keywords)),
+    total: all.length,
+    truncated,
+    pagesVisited: visited.size,
+    boards: Array.from(listedBoards),
+    failures,
+  };
+};
+
+module.exports = {
+  MAX_DEPTH,
+  looksLikePosting,
+  discoverJobs,
+};
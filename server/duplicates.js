@@ -0,0 +1,278 @@
+const { describeJobLocation } = require('./scoring');
+
+// Finds the same role posted on several boards (LinkedIn, the company's ATS,
+// aggregators). Two postings are duplicates when their normalized titles
+// mostly agree, nothing contradicts them (company, location, seniority) and
+// their descriptions are near-identical. Description similarity is
+// estimated with MinHash over word 3-shingles, so long postings compare in
+// constant time.
+const SHINGLE_SIZE = 3;
+const SIGNATURE_SIZE = 64;
+const MAX_WORDS = 3000;
+// Too few shingles make the estimate meaningless; such postings are compared
+// by title and company alone.
+const MIN_SHINGLES = 20;
+
+const MIN_TITLE_SIMILARITY = 0.6;
+const MIN_DESCRIPTION_SIMILARITY = 0.5;
+// Scraped pages label the same posting differently ("Sr." vs "Senior"),
+// so a near-identical description outweighs a looser title match.
+const STRONG_DESCRIPTION_SIMILARITY = 0.8;
+const MIN_REWORDED_TITLE_SIMILARITY = 0.4;
+
+const TITLE_ABBREVIATIONS = {
+  sr: 'senior',
+  jr: 'junior',
+  eng: 'engineer',
+  engr: 'engineer',
+  dev: 'developer',
+  mgr: 'manager',
+  swe: 'software engineer',
+};
+
+// Title words that make two otherwise identical titles different roles.
+const TITLE_LEVELS = ['intern', 'junior', 'senior', 'staff', 'principal', 'lead', 'head'];
+
+// Legal forms and filler words dropped from company names.
+const COMPANY_SUFFIXES = new Set([
+  ...'inc incorporated llc ltd limited gmbh ag se sa sas bv plc'.split(' '),
+  ...'corp corporation co company oy ab pty srl the'.split(' '),
+]);
+
+// Fields a posting can fill in; the most complete copy of a duplicate group
+// is the one with the most of them.
+const COMPLETENESS_CHECKS = [
+  (job) => Boolean(job.company),
+  (job) => describeJobLocation(job.location).workMode !== 'unknown',
+  (job) => {
+    const { places, regions } = describeJobLocation(job.location);
+    return places.length + regions.length > 0;
+  },
+  (job) => Boolean(job.baseSalary),
+  (job) => Boolean(job.seniority),
+  (job) => Array.isArray(job.employmentType) && job.employmentType.length > 0,
+  (job) => Boolean(job.datePosted),
+  (job) =>
+    Array.isArray(job.techStacks) && job.techStacks.some((tech) => tech && tech !== 'Not provided'),
+  (job) => (job.description?.text || '').length >= 500,
+  (job) => Boolean(job.description?.source && job.description.source !== 'body'),
+];
+
+// "Senior Backend Engineer (m/w/d) - Remote" -> "senior backend engineer".
+const normalizeTitle = (title) =>
+  String(title || '')
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/\s[-–—|@]\s.*$/, '')
+    .replace(/[^\p{L}\p{N}+#]+/gu, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map((word) => TITLE_ABBREVIATIONS[word] || word)
+    .join(' ');
+
+// "Acme, Inc.", "ACME GmbH" and "Acme B.V." -> "acme".
+const normalizeCompany = (company) =>
+  String(company || '')
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .split(' ')
+    .filter((word) => word && !COMPANY_SUFFIXES.has(word))
+    .join(' ');
+
+const jaccard = (left, right) => {
+  if (left.size === 0 && right.size === 0) return 1;
+  let shared = 0;
+  left.forEach((value) => {
+    if (right.has(value)) shared += 1;
+  });
+  return shared / (left.size + right.size - shared);
+};
+
+// FNV-1a, 32-bit.
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < value.length; index += 1) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Murmur3's finalizer; mixing the shingle hash with a different seed per
+// slot stands in for independent hash functions.
+const mix = (value) => {
+  let hash = value;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, index) => mix(index + 1));
+
+const shinglesOf = (text) => {
+  const words = String(text || '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}+#]+/gu);
+  const shingles = new Set();
+  if (!words) return shingles;
+  const limited = words.slice(0, MAX_WORDS);
+  for (let index = 0; index + SHINGLE_SIZE <= limited.length; index += 1) {
+    shingles.add(hashString(limited.slice(index, index + SHINGLE_SIZE).join(' ')));
+  }
+  return shingles;
+};
+
+// A MinHash signature of the text's shingles, or null when the text is too
+// short to compare.
+const minHashSignature = (text) => {
+  const shingles = shinglesOf(text);
+  if (shingles.size < MIN_SHINGLES) return null;
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  shingles.forEach((shingle) => {
+    SEEDS.forEach((seed, slot) => {
+      const value = mix(shingle ^ seed);
+      if (value < signature[slot]) signature[slot] = value;
+    });
+  });
+  return signature;
+};
+
+// The share of equal slots estimates the Jaccard similarity of the shingle
+// sets.
+const estimateSimilarity = (left, right) => {
+  let equal = 0;
+  for (let slot = 0; slot < SIGNATURE_SIZE; slot += 1) {
+    if (left[slot] === right[slot]) equal += 1;
+  }
+  return equal / SIGNATURE_SIZE;
+};
+
+const placeKeys = (location) => {
+  const { places, regions } = describeJobLocation(location);
+  return new Set(
+    [...places, ...regions].flatMap((place) =>
+      place
+        .toLowerCase()
+        .split(',')
+        .map((part) => part.trim())
+        .filter(Boolean)
+    )
+  );
+};
+
+const fingerprint = (job) => {
+  const title = normalizeTitle(job.title);
+  return {
+    title,
+    titleWords: new Set(title.split(' ').filter(Boolean)),
+    titleLevels: TITLE_LEVELS.filter((level) => title.split(' ').includes(level)).join(' '),
+    company: normalizeCompany(job.company),
+    workMode: describeJobLocation(job.location).workMode,
+    places: placeKeys(job.location),
+    seniority: job.seniority || null,
+    signature: minHashSignature(job.description?.text),
+  };
+};
+
+// Whether two fingerprints disagree on something a cross-post keeps.
+const contradicts = (left, right) => {
+  if (left.company && right.company && left.company !== right.company) return true;
+  if (left.seniority && right.seniority && left.seniority !== right.seniority) return true;
+  if (left.titleLevels && right.titleLevels && left.titleLevels !== right.titleLevels) return true;
+  if (left.workMode !== 'unknown' && right.workMode !== 'unknown') {
+    if (left.workMode !== right.workMode) return true;
+  }
+  if (left.places.size > 0 && right.places.size > 0) {
+    return ![...left.places].some((place) => right.places.has(place));
+  }
+  return false;
+};
+
+// Returns the similarity (0-1) of two postings when they look like the same
+// role, otherwise null.
+const compareFingerprints = (left, right) => {
+  if (!left.title || !right.title || contradicts(left, right)) return null;
+
+  const titleSimilarity = jaccard(left.titleWords, right.titleWords);
+  if (!left.signature || !right.signature) {
+    // Without descriptions only an identical title at a known company counts.
+    const sameCompany = Boolean(left.company) && left.company === right.company;
+    return sameCompany && left.title === right.title ? titleSimilarity : null;
+  }
+
+  const descriptionSimilarity = estimateSimilarity(left.signature, right.signature);
+  const isDuplicate =
+    (titleSimilarity >= MIN_TITLE_SIMILARITY &&
+      descriptionSimilarity >= MIN_DESCRIPTION_SIMILARITY) ||
+    (titleSimilarity >= MIN_REWORDED_TITLE_SIMILARITY &&
+      descriptionSimilarity >= STRONG_DESCRIPTION_SIMILARITY);
+  return isDuplicate ? 0.4 * titleSimilarity + 0.6 * descriptionSimilarity : null;
+};
+
+// How many of the COMPLETENESS_CHECKS a job passes.
+const completenessOf = (job) => COMPLETENESS_CHECKS.filter((check) => check(job)).length;
+
+// Groups cross-posted jobs. Returns `{ groups, fieldCount }`, each group as
+// `{ members: [{ index, completeness }], primary, similarity }` where
+// `index` points into `jobs`, `primary` is the most complete member and
+// `similarity` the lowest score between two members found to match. Jobs
+// without a duplicate are left out. `fieldCount` is the most a job's
+// completeness can be.
+const groupDuplicates = (jobs) => {
+  const fingerprints = jobs.map(fingerprint);
+  // Each job starts in a group of its own. Two groups merge when one pair
+  // across them matches and no pair contradicts, so a posting that leaves a
+  // detail out cannot chain two different roles together.
+  const groupOf = jobs.map((_, index) => ({ indexes: [index], similarity: 1 }));
+
+  for (let left = 0; left < jobs.length; left += 1) {
+    for (let right = left + 1; right < jobs.length; right += 1) {
+      const [leftGroup, rightGroup] = [groupOf[left], groupOf[right]];
+      if (leftGroup === rightGroup) continue;
+      const similarity = compareFingerprints(fingerprints[left], fingerprints[right]);
+      if (similarity === null) continue;
+      const conflicting = leftGroup.indexes.some((leftIndex) =>
+        rightGroup.indexes.some((rightIndex) =>
+          contradicts(fingerprints[leftIndex], fingerprints[rightIndex])
+        )
+      );
+      if (conflicting) continue;
+
+      leftGroup.indexes.push(...rightGroup.indexes);
+      leftGroup.similarity = Math.min(leftGroup.similarity, rightGroup.similarity, similarity);
+      rightGroup.indexes.forEach((index) => {
+        groupOf[index] = leftGroup;
+      });
+    }
+  }
+
+  const groups = Array.from(new Set(groupOf))
+    .filter((group) => group.indexes.length > 1)
+    .map((group) => {
+      const members = group.indexes
+        .sort((left, right) => left - right)
+        .map((index) => ({ index, completeness: completenessOf(jobs[index]) }));
+      return {
+        members,
+        // Ties go to the earliest link.
+        primary: members.reduce((best, member) =>
+          member.completeness > best.completeness ? member : best
+        ).index,
+        similarity: Math.round(group.similarity * 100) / 100,
+      };
+    });
+  return { groups, fieldCount: COMPLETENESS_CHECKS.length };
+};
+
+module.exports = {
+  normalizeTitle,
+  normalizeCompany,
+  minHashSignature,
+  estimateSimilarity,
+  completenessOf,
+  groupDuplicates,
+};
@@ -0,0 +1,118 @@
+// Error taxonomy for job fetching. Every failure that reaches the API is
+// reported as `{ code, message, retryable, retryAfter? }` with the HTTP
+// status listed here, so clients can tell a closed posting from a blocked
+// host or a flaky upstream.
+const FETCH_ERRORS = {
+  // The upstream answered, but not with the posting.
+  POSTING_CLOSED: { status: 404, retryable: false },
+  UPSTREAM_BLOCKED: { status: 502, retryable: false },
+  RATE_LIMITED: { status: 429, retryable: true },
+  UPSTREAM_ERROR: { status: 502, retryable: true },
+  // The upstream could not be reached.
+  TIMEOUT: { status: 408, retryable: true },
+  DNS_LOOKUP_FAILED: { status: 422, retryable: false },
+  NETWORK_ERROR: { status: 502, retryable: true },
+  // The response is not something we can read.
+  UNSUPPORTED_CONTENT_TYPE: { status: 415, retryable: false },
+  RESPONSE_TOO_LARGE: { status: 413, retryable: false },
+  EMPTY_EXTRACTION: { status: 422, retryable: false },
+  // Outbound policy rejections (see fetchPolicy.js).
+  UNSUPPORTED_PROTOCOL: { status: 400, retryable: false },
+  PRIVATE_ADDRESS: { status: 403, retryable: false },
+  HOST_BLOCKED: { status: 403, retryable: false },
+  HOST_NOT_ALLOWED: { status: 403, retryable: false },
+  TOO_MANY_REDIRECTS: { status: 422, retryable: false },
+  // Server-side problems.
+  RENDERER_UNAVAILABLE: { status: 501, retryable: false },
+  INTERNAL: { status: 500, retryable: false },
+};
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+const createFetchError = (code, message, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  error.responseStatus = FETCH_ERRORS[code].status;
+  error.retryable = FETCH_ERRORS[code].retryable;
+  return Object.assign(error, extra);
+};
+
+// Retry-After is either delay-seconds or an HTTP date.
+const parseRetryAfter = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, Math.round(seconds));
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, Math.round((date - Date.now()) / 1000));
+};
+
+// Maps a non-2xx upstream response onto the taxonomy. `upstreamStatus`
+// keeps the original status for logs and the job library.
+const errorForResponse = (response, targetUrl) => {
+  const { status } = response;
+  const detail = `Remote source responded with ${status} while fetching ${targetUrl}`;
+  const extra = { upstreamStatus: status };
+
+  if (status === 404 || status === 410) {
+    return createFetchError('POSTING_CLOSED', `${detail}; the posting looks closed.`, extra);
+  }
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    return createFetchError('RATE_LIMITED', `${detail}; the site is rate-limiting us.`, {
+      ...extra,
+      retryAfter,
+    });
+  }
+  if (status === 401 || status === 403) {
+    return createFetchError('UPSTREAM_BLOCKED', `${detail}; the site refused the request.`, extra);
+  }
+  if (status >= 500) {
+    return createFetchError('UPSTREAM_ERROR', detail, extra);
+  }
+  return createFetchError('UPSTREAM_BLOCKED', detail, extra);
+};
+
+// Normalizes anything thrown while loading a job into a taxonomy error.
+// Errors that already carry a known code pass through unchanged.
+const toFetchError = (error) => {
+  if (error && FETCH_ERRORS[error.code]) {
+    return error;
+  }
+  // fetch() wraps socket errors in `cause`; dual-stack connects wrap them
+  // once more in an AggregateError.
+  const causeCode = error?.cause?.code ?? error?.cause?.errors?.[0]?.code;
+  if (causeCode === 'ENOTFOUND' || causeCode === 'EAI_AGAIN') {
+    return createFetchError('DNS_LOOKUP_FAILED', 'Could not resolve the host.');
+  }
+  if (causeCode === 'ETIMEDOUT' || causeCode === 'UND_ERR_CONNECT_TIMEOUT') {
+    return createFetchError('TIMEOUT', 'The remote source did not respond in time.');
+  }
+  if (NETWORK_ERROR_CODES.includes(causeCode) || error?.message === 'fetch failed') {
+    return createFetchError(
+      'NETWORK_ERROR',
+      `Could not connect to the remote source${causeCode ? ` (${causeCode})` : ''}.`
+    );
+  }
+  return createFetchError('INTERNAL', 'Unable to fetch job data at the moment.', { cause: error });
+};
+
+// The JSON body the API sends for a failed job fetch.
+const describeFetchError = (error) => ({
+  code: error.code,
+  message: error.message,
+  retryable: error.retryable,
+  retryAfter: error.retryAfter,
+});
+
+module.exports = {
+  FETCH_ERRORS,
+  createFetchError,
+  parseRetryAfter,
+  errorForResponse,
+  toFetchError,
+  describeFetchError,
+};
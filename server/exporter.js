@@ -0,0 +1,189 @@
+// Serializes job library records for GET /api/export. Every column maps a
+// record to a plain value; list values (tech stacks, employment types) stay
+// arrays in JSON and are joined with "; " in the tabular formats.
+const { buildWorkbook } = require('./xlsx');
+
+const techNames = (job, importance) =>
+  (job.techStacks || [])
+    .filter((tech) => tech !== 'Not provided')
+    .filter((tech) => !importance || (typeof tech === 'object' && tech.importance === importance))
+    .map((tech) => (typeof tech === 'string' ? tech : tech.name));
+
+const SALARY_PERIODS = { HOUR: 'hour', DAY: 'day', WEEK: 'week', MONTH: 'month', YEAR: 'year' };
+
+// { currency: 'EUR', min: 70000, max: 90000, unit: 'YEAR' } -> "70000-90000 EUR / year"
+const describeSalary = (salary) => {
+  if (!salary || (salary.min === undefined && salary.max === undefined)) return null;
+  const range =
+    salary.min !== undefined && salary.max !== undefined && salary.min !== salary.max
+      ? `${salary.min}-${salary.max}`
+      : String(salary.min ?? salary.max);
+  const period = SALARY_PERIODS[salary.unit];
+  return [range, salary.currency].filter(Boolean).join(' ') + (period ? ` / ${period}` : '');
+};
+
+const COLUMNS = [
+  { id: 'title', label: 'Title', value: ({ job }) => job.title },
+  { id: 'company', label: 'Company', value: ({ job }) => job.company },
+  { id: 'url', label: 'URL', value: ({ job, canonicalUrl }) => job.url || canonicalUrl },
+  { id: 'platform', label: 'Platform', value: ({ job }) => job.jobPlatform },
+  {
+    id: 'location',
+    label: 'Location',
+    value: ({ job }) =>
+      job.location && typeof job.location === 'object' ? job.location.summary : job.location,
+  },
+  { id: 'workMode', label: 'Work mode', value: ({ job }) => job.location?.workMode },
+  { id: 'seniority', label: 'Seniority', value: ({ job }) => job.seniority },
+  { id: 'employmentType', label: 'Employment type', value: ({ job }) => job.employmentType },
+  { id: 'salary', label: 'Salary', value: ({ job }) => describeSalary(job.baseSalary) },
+  { id: 'salaryMin', label: 'Salary min', value: ({ job }) => job.baseSalary?.min },
+  { id: 'salaryMax', label: 'Salary max', value: ({ job }) => job.baseSalary?.max },
+  { id: 'salaryCurrency', label: 'Salary currency', value: ({ job }) => job.baseSalary?.currency },
+  {
+    id: 'salaryPeriod',
+    label: 'Salary period',
+    value: ({ job }) => SALARY_PERIODS[job.baseSalary?.unit],
+  },
+  {
+    id: 'yearsOfExperience',
+    label: 'Years of experience',
+    value: ({ job }) => job.yearsOfExperience?.min,
+  },
+  { id: 'techStacks', label: 'Tech stacks', value: ({ job }) => techNames(job) },
+  { id: 'requiredTech', label: 'Required tech', value: ({ job }) => techNames(job, 'required') },
+  {
+    id: 'preferredTech',
+    label: 'Nice-to-have tech',
+    value: ({ job }) => techNames(job, 'preferred'),
+  },
+  {
+    id: 'matchScore',
+    label: 'Match score',
+    value: ({ job }, { scoreJob }) => (scoreJob ? scoreJob(job) : undefined),
+  },
+  { id: 'datePosted', label: 'Date posted', value: ({ job }) => job.datePosted },
+  { id: 'validThrough', label: 'Valid through', value: ({ job }) => job.validThrough },
+  { id: 'status', label: 'Status', value: ({ status }) => status },
+  { id: 'firstSeenAt', label: 'First seen', value: ({ firstSeenAt }) => firstSeenAt },
+  { id: 'lastCheckedAt', label: 'Last checked', value: ({ lastCheckedAt }) => lastCheckedAt },
+];
+
+const DEFAULT_COLUMNS = [
+  'title',
+  'company',
+  'location',
+  'salary',
+  'seniority',
+  'techStacks',
+  'matchScore',
+  'url',
+];
+
+const flatten = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join('; ');
+  return value;
+};
+
+// Spreadsheet apps run cells starting with these as formulas.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  const flat = flatten(value);
+  if (typeof flat === 'number') return String(flat);
+  const text = FORMULA_PREFIX.test(flat) ? `'${flat}` : flat;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const markdownCell = (value) =>
+  String(flatten(value))
+    .replace(/\|/g, '\\|')
+    .replace(/\s*[\r\n]+\s*/g, ' ');
+
+// Each format turns `{ columns, rows }` (rows of raw values) into a body.
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // The byte-order mark makes Excel read the file as UTF-8.
+    serialize: ({ columns, rows }) =>
+      `\uFEFF${[columns.map((column) => column.label), ...rows]
+        .map((row) => row.map(csvCell).join(','))
+        .join('\r\n')}\r\n`,
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    serialize: ({ columns, rows }) =>
+      JSON.stringify(
+        rows.map((row) =>
+          Object.fromEntries(columns.map((column, index) => [column.id, row[index] ?? null]))
+        ),
+        null,
+        2
+      ),
+  },
+  md: {
+    contentType: 'text/markdown; charset=utf-8',
+    extension: 'md',
+    serialize: ({ columns, rows }) =>
+      [
+        `| ${columns.map((column) => markdownCell(column.label)).join(' | ')} |`,
+        `| ${columns.map(() => '---').join(' | ')} |`,
+        ...rows.map((row) => `| ${row.map(markdownCell).join(' | ')} |`),
+      ].join('\n') + '\n',
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    serialize: ({ columns, rows }) =>
+      buildWorkbook(
+        [columns.map((column) => column.label), ...rows.map((row) => row.map(flatten))],
+        { sheetName: 'Jobs' }
+      ),
+  },
+};
+
+// Validates the `format` and comma-separated `columns` query values.
+// Returns `{ format, columns }` or `{ error }`.
+const parseExportOptions = ({ format = 'csv', columns } = {}) => {
+  if (!FORMATS[format]) {
+    return {
+      error: `Unknown export format "${format}". Use ${Object.keys(FORMATS).join(', ')}.`,
+    };
+  }
+
+  const ids =
+    typeof columns === 'string' && columns.trim()
+      ? columns
+          .split(',')
+          .map((id) => id.trim())
+          .filter(Boolean)
+      : DEFAULT_COLUMNS;
+  const unknown = ids.filter((id) => !COLUMNS.some((column) => column.id === id));
+  if (unknown.length > 0) {
+    return { error: `Unknown export column(s): ${unknown.join(', ')}` };
+  }
+
+  return {
+    format,
+    columns: ids.map((id) => COLUMNS.find((column) => column.id === id)),
+  };
+};
+
+// `scoreJob(job)` returns the match score for the matchScore column.
+// Returns `{ body, contentType, extension }`.
+const exportJobs = (records, { format, columns, scoreJob }) => {
+  const rows = records.map((record) => columns.map((column) => column.value(record, { scoreJob })));
+  const { contentType, extension, serialize } = FORMATS[format];
+  return { body: serialize({ columns, rows }), contentType, extension };
+};
+
+module.exports = {
+  COLUMNS,
+  DEFAULT_COLUMNS,
+  FORMATS,
+  parseExportOptions,
+  exportJobs,
+};
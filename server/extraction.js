@@ -0,0 +1,419 @@
+const cheerio = require('cheerio');
+const { canonicalEmploymentType, extractJobAttributes } = require('./attributes');
+const { buildDescription } = require('./content');
+const { buildLocation } = require('./location');
+const { BOILERPLATE_SELECTOR, descriptionToText, detectTechStacks } = require('./sections');
+
+const extractText = (node) => (node ? node.trim() : '');
+
+// Free-form labels publishers attach to the page, as `{ source, keyword }`
+// with `source` "meta-keywords" or "article-tag".
+const collectMetaKeywords = ($) => {
+  const keywords = new Map();
+  const addKeyword = (source, keyword) => {
+    if (keyword && !keywords.has(keyword)) {
+      keywords.set(keyword, { source, keyword });
+    }
+  };
+
+  ($('meta[name="keywords"]').attr('content') || '')
+    .split(',')
+    .forEach((keyword) => addKeyword('meta-keywords', keyword.trim()));
+
+  $('meta[property="article:tag"]').each((_, element) => {
+    addKeyword('article-tag', ($(element).attr('content') || '').trim());
+  });
+
+  return Array.from(keywords.values());
+};
+
+// Many modern job boards (including Workday-hosted pages) embed the full job
+// description inside JSON blobs in <script> tags, so script contents are
+// scanned as a last resort.
+const collectScriptText = ($) =>
+  $('script')
+    .map((_, element) => $(element).text() || '')
+    .get()
+    .join('\n');
+
+// Elements ATS templates use for the job location.
+const LOCATION_SELECTOR = [
+  '[itemprop="jobLocation"]',
+  '[class*="location" i]',
+  '[id*="location" i]',
+  '[data-qa*="location" i]',
+  '[data-testid*="location" i]',
+].join(', ');
+
+// "Location: Berlin, Germany", "Standort: München", "Lieu : Paris".
+const LOCATION_LABEL =
+  /^(?:job\s+)?(?:locations?|office(?: location)?|work location|based in|standort|arbeitsort|lieu|ubicación|sede)\s*[:：\-–]\s*(.{2,100})$/i;
+
+// Candidate location labels on a page without JSON-LD: location-tagged
+// elements outside page chrome, plus labelled lines in the description.
+const extractLocationHints = ($, descriptionText = '') => {
+  const hints = new Set();
+
+  $(LOCATION_SELECTOR).each((_, element) => {
+    const $element = $(element);
+    // Innermost matches only, and never "similar jobs" teasers or footers.
+    if ($element.find(LOCATION_SELECTOR).length > 0) return;
+    if ($element.closest(BOILERPLATE_SELECTOR).length > 0) return;
+
+    const text = $element.text().replace(/\s+/g, ' ').trim();
+    if (text.length >= 2 && text.length <= 100) {
+      hints.add(text.replace(/^locations?\s*[:\-–]\s*/i, ''));
+    }
+  });
+
+  descriptionText.split('\n').forEach((line) => {
+    const match = line.trim().match(LOCATION_LABEL);
+    if (match) {
+      hints.add(match[1].trim());
+    }
+  });
+
+  return Array.from(hints).filter(Boolean);
+};
+
+// --- schema.org JobPosting (JSON-LD) extraction ---------------------------
+// Most ATS pages embed a JobPosting blob for search engines. When present it
+// is far more reliable than the h1/og:* heuristics, so we read it first and
+// only fall back to the heuristics for fields it does not provide.
+
+const htmlToText = (value) => {
+  if (typeof value !== 'string') return '';
+  return cheerio.load(value, null, false).root().text().replace(/\s+/g, ' ').trim();
+};
+
+// Some publishers entity-escape the markup (`&lt;p&gt;...`); decode it once.
+const decodeEscapedHtml = (value) => {
+  if (typeof value !== 'string') return '';
+  if (value.includes('<') || !value.includes('&lt;')) return value;
+  return cheerio.load(value, null, false).root().text();
+};
+
+const parseJsonLdBlock = (raw) => {
+  if (!raw) return null;
+
+  // Some CMSs wrap the payload in HTML comments or CDATA markers.
+  const cleaned = raw
+    .trim()
+    .replace(/^<!--/, '')
+    .replace(/-->$/, '')
+    .replace(/^\/\/\s*<!\[CDATA\[/, '')
+    .replace(/\/\/\s*\]\]>$/, '')
+    .trim();
+
+  try {
+    return JSON.parse(cleaned);
+  } catch (_err) {
+    return null;
+  }
+};
+
+// Flattens top-level arrays and `@graph` containers into a list of nodes.
+const flattenJsonLdNodes = (value) => {
+  if (Array.isArray(value)) {
+    return value.flatMap(flattenJsonLdNodes);
+  }
+  if (!value || typeof value !== 'object') {
+    return [];
+  }
+  return [value, ...flattenJsonLdNodes(value['@graph'])];
+};
+
+const isJobPostingNode = (node) =>
+  [].concat(node['@type'] || []).some((type) => /(?:^|[/:])JobPosting$/.test(String(type)));
+
+const toList = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+const pickName = (value) => {
+  if (!value) return '';
+  if (typeof value === 'string') return htmlToText(value);
+  if (Array.isArray(value)) return pickName(value[0]);
+  return htmlToText(value.name || '');
+};
+
+const formatJsonLdPlace = (place) => {
+  if (!place) return '';
+  if (typeof place === 'string') return htmlToText(place);
+
+  const address = place.address;
+  if (typeof address === 'string') return htmlToText(address);
+
+  if (address && typeof address === 'object') {
+    const parts = [
+      address.addressLocality,
+      address.addressRegion,
+      pickName(address.addressCountry),
+    ]
+      .map((part) => (typeof part === 'string' ? htmlToText(part) : ''))
+      .filter(Boolean);
+
+    if (parts.length > 0) {
+      return Array.from(new Set(parts)).join(', ');
+    }
+  }
+
+  return pickName(place.name);
+};
+
+// FULL_TIME -> Full-time, CONTRACTOR -> Contract; labels outside the
+// canonical set are just tidied up (VOLUNTEER -> Volunteer).
+const formatEmploymentType = (value) => {
+  const canonical = canonicalEmploymentType(value);
+  if (canonical) return canonical;
+  const normalized = String(value).trim().toLowerCase().replace(/[_\s]+/g, '-');
+  return normalized ? normalized.charAt(0).toUpperCase() + normalized.slice(1) : '';
+};
+
+// Fills salary, seniority, employment type and years of experience from the
+// title and description text wherever the structured source left a gap.
+// `sources` is updated in place for every field taken from the text.
+const withTextAttributes = (fields, { title, text, sources, source }) => {
+  const parsed = extractJobAttributes({ title, text });
+  const merged = { ...fields };
+
+  Object.entries(parsed).forEach(([field, value]) => {
+    const isEmpty = value === undefined || (Array.isArray(value) && value.length === 0);
+    if (merged[field] === undefined && !isEmpty) {
+      merged[field] = value;
+      sources[field] = source;
+    }
+  });
+
+  return merged;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const parsed = Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(parsed) ? parsed : undefined;
+};
+
+const parseJsonLdSalary = (salary) => {
+  const amount = Array.isArray(salary) ? salary[0] : salary;
+  if (!amount) return undefined;
+
+  if (typeof amount !== 'object') {
+    const value = toNumber(amount);
+    return value === undefined ? undefined : { min: value, max: value };
+  }
+
+  const quantity = amount.value;
+  let min;
+  let max;
+  let unit;
+
+  if (quantity && typeof quantity === 'object') {
+    min = toNumber(quantity.minValue ?? quantity.value);
+    max = toNumber(quantity.maxValue ?? quantity.value);
+    unit = quantity.unitText;
+  } else {
+    min = toNumber(quantity);
+    max = min;
+  }
+
+  if (min === undefined && max === undefined) return undefined;
+
+  return {
+    currency: amount.currency || quantity?.currency || undefined,
+    min,
+    max,
+    unit: unit ? String(unit).toUpperCase() : undefined,
+  };
+};
+
+const extractJobPostingJsonLd = ($) => {
+  const nodes = $('script[type="application/ld+json"]')
+    .map((_, element) => parseJsonLdBlock($(element).text()))
+    .get()
+    .flatMap(flattenJsonLdNodes);
+
+  const posting = nodes.find(isJobPostingNode);
+  if (!posting) return null;
+
+  const locations = toList(posting.jobLocation).map(formatJsonLdPlace).filter(Boolean);
+  const applicantLocationRequirements = toList(posting.applicantLocationRequirements)
+    .map(pickName)
+    .filter(Boolean);
+  const employmentType = toList(posting.employmentType)
+    .map(formatEmploymentType)
+    .filter(Boolean);
+
+  return {
+    title: htmlToText(posting.title || posting.name || ''),
+    company: pickName(posting.hiringOrganization),
+    description: htmlToText(posting.description || ''),
+    descriptionHtml: decodeEscapedHtml(posting.description),
+    isRemote: toList(posting.jobLocationType).some((type) => /telecommute/i.test(String(type))),
+    locations: Array.from(new Set(locations)),
+    employmentType,
+    datePosted: typeof posting.datePosted === 'string' ? posting.datePosted.trim() : '',
+    validThrough: typeof posting.validThrough === 'string' ? posting.validThrough.trim() : '',
+    baseSalary: parseJsonLdSalary(posting.baseSalary),
+    applicantLocationRequirements: Array.from(new Set(applicantLocationRequirements)),
+  };
+};
+
+// Returns the first non-empty candidate together with the source it came from.
+const pickFirstWithSource = (...candidates) => {
+  const match = candidates.find(([, value]) => !!value && value.length > 0);
+  return match ? { source: match[0], value: match[1] } : { source: null, value: '' };
+};
+
+// Shorter JSON-LD descriptions are usually teasers rather than the full JD.
+const MIN_JSON_LD_DESCRIPTION = 200;
+
+// Generic extraction path: works on any HTML page by combining JSON-LD with
+// h1/og:* tags and page-text heuristics. Platform adapters fall back to it.
+const extractJobFromHtml = (html, { url: targetUrl, techStacks = [] }) => {
+  const $ = cheerio.load(html);
+
+  const jsonLd = extractJobPostingJsonLd($) || {};
+
+  const ogTitle = $('meta[property="og:title"]').attr('content');
+  const h1Title = $('h1').first().text();
+  const pageTitle = $('title').first().text();
+  const titleField = pickFirstWithSource(
+    ['json-ld', jsonLd.title],
+    ['h1', extractText(h1Title)],
+    ['og:title', extractText(ogTitle || '')],
+    ['title', extractText(pageTitle)]
+  );
+  const title = titleField.value || 'Untitled role';
+
+  const companyField = pickFirstWithSource(
+    ['json-ld', jsonLd.company],
+    ['og:site_name', extractText($('meta[property="og:site_name"]').attr('content') || '')],
+    ['data-company-name', extractText($('[data-company-name]').first().text())]
+  );
+
+  const metaDescription = $('meta[name="description"]').attr('content');
+  const ogDescription = $('meta[property="og:description"]').attr('content');
+
+  const scriptText = collectScriptText($);
+
+  // The description is the JSON-LD one when it carries the full JD,
+  // otherwise the page body; section splitting drops navigation, footers
+  // and teasers for other jobs either way.
+  const useJsonLdDescription = (jsonLd.description || '').length >= MIN_JSON_LD_DESCRIPTION;
+  const descriptionHtml = useJsonLdDescription ? jsonLd.descriptionHtml : $('body').html() || '';
+  const descriptionText = descriptionToText(descriptionHtml);
+
+  // Location: JSON-LD places and applicant requirements when present,
+  // otherwise location-tagged elements and "Location:" lines. Work mode,
+  // days in office and time zones come from the title and description only,
+  // never from scripts or footers.
+  const hasJsonLdLocation = jsonLd.isRemote || jsonLd.locations?.length > 0;
+  const location = buildLocation({
+    isRemote: jsonLd.isRemote,
+    places: hasJsonLdLocation ? jsonLd.locations : extractLocationHints($, descriptionText),
+    regions: jsonLd.applicantLocationRequirements,
+    text: [title, metaDescription, ogDescription, descriptionText].filter(Boolean).join('\n'),
+  });
+  const locationSource = hasJsonLdLocation ? 'json-ld' : 'page-text';
+
+  // Tech stacks are detected section by section on the description. Meta
+  // descriptions and script blobs still count, but only as weak "mentioned"
+  // evidence, so JDs rendered via client-side frameworks have a chance to be
+  // parsed.
+  const detectedStacks = detectTechStacks({
+    html: descriptionHtml,
+    source: useJsonLdDescription ? 'json-ld' : 'body',
+    extraTexts: [
+      {
+        source: 'meta-description',
+        text: [metaDescription, ogDescription].filter(Boolean).join('\n'),
+      },
+      { source: 'script', text: scriptText },
+    ],
+    extraKeywords: collectMetaKeywords($),
+    taxonomy: techStacks,
+  });
+  const hostname = new URL(targetUrl).hostname.replace(/^www\./, '');
+
+  // The description shown to the user: the JSON-LD one under the same rule,
+  // otherwise the main content block of the page.
+  const description = buildDescription({
+    html: useJsonLdDescription ? jsonLd.descriptionHtml : '',
+    page: html,
+    source: 'json-ld',
+    baseUrl: targetUrl,
+  });
+
+  // Fields that only JSON-LD provides are reported when present.
+  const jsonLdFields = {
+    employmentType: jsonLd.employmentType?.length > 0 ? jsonLd.employmentType : undefined,
+    datePosted: jsonLd.datePosted || undefined,
+    validThrough: jsonLd.validThrough || undefined,
+    baseSalary: jsonLd.baseSalary,
+    applicantLocationRequirements:
+      jsonLd.applicantLocationRequirements?.length > 0
+        ? jsonLd.applicantLocationRequirements
+        : undefined,
+  };
+
+  const sources = {
+    title: titleField.source || 'default',
+    company: companyField.source || undefined,
+    location: locationSource,
+    techStacks: useJsonLdDescription ? 'json-ld' : 'page-text',
+  };
+  Object.entries(jsonLdFields).forEach(([field, value]) => {
+    if (value !== undefined) {
+      sources[field] = 'json-ld';
+    }
+  });
+
+  const attributes = withTextAttributes(jsonLdFields, {
+    title,
+    text: descriptionText,
+    sources,
+    source: 'page-text',
+  });
+
+  return {
+    title,
+    location,
+    techStacks: detectedStacks,
+    jobPlatform: hostname,
+    company: companyField.value || undefined,
+    url: targetUrl,
+    description,
+    ...attributes,
+    sources,
+  };
+};
+
+// Client-side-rendered boards ship little more than an app shell: no
+// JSON-LD description and hardly any readable body text. The generic path
+// re-renders such pages in a headless browser when one is available.
+const MIN_STATIC_DESCRIPTION = 300;
+
+const hasThinDescription = (html) => {
+  const $ = cheerio.load(html);
+  const jsonLd = extractJobPostingJsonLd($) || {};
+  if ((jsonLd.description || '').length >= MIN_JSON_LD_DESCRIPTION) {
+    return false;
+  }
+  return descriptionToText($('body').html() || '').length < MIN_STATIC_DESCRIPTION;
+};
+
+module.exports = {
+  extractText,
+  htmlToText,
+  decodeEscapedHtml,
+  toList,
+  toNumber,
+  formatEmploymentType,
+  collectMetaKeywords,
+  collectScriptText,
+  extractLocationHints,
+  extractJobPostingJsonLd,
+  pickFirstWithSource,
+  withTextAttributes,
+  extractJobFromHtml,
+  hasThinDescription,
+};
@@ -0,0 +1,288 @@
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+const { createFetchError } = require('./errors');
+
+// Outbound request policy for every URL the server fetches on a user's
+// behalf: only public http(s) hosts, checked again on every redirect hop and
+// again when the connection resolves the name, with a timeout, a redirect
+// cap and a response size limit. Violations are thrown as taxonomy errors
+// (see errors.js).
+
+const parseHostList = (value = '') =>
+  value
+    .split(',')
+    .map((host) => host.trim().toLowerCase().replace(/^\*\./, ''))
+    .filter(Boolean);
+
+const readNumber = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Host lists match the host itself and its subdomains ("example.com" and
+// "*.example.com" both cover jobs.example.com). When an allow list is set,
+// nothing else may be fetched.
+const POLICY = {
+  allowedHosts: parseHostList(process.env.FETCH_ALLOWED_HOSTS),
+  blockedHosts: parseHostList(process.env.FETCH_BLOCKED_HOSTS),
+  // Only for local development against fixtures served from this machine.
+  allowPrivateAddresses: process.env.FETCH_ALLOW_PRIVATE_ADDRESSES === 'true',
+  maxBytes: readNumber(process.env.FETCH_MAX_BYTES, 5 * 1024 * 1024),
+  maxRedirects: readNumber(process.env.FETCH_MAX_REDIRECTS, 5),
+  timeoutMs: readNumber(process.env.FETCH_TIMEOUT_MS, 15000),
+};
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT,
+// documentation, multicast and reserved ranges. One list per family: a
+// BlockList matches IPv4 addresses against IPv4-mapped IPv6 rules, so a
+// shared list would block every IPv4 address.
+const BLOCKED_RANGES = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) => BLOCKED_RANGES.ipv4.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  // IPv4-mapped and NAT64 addresses can point anywhere in IPv4.
+  ['::ffff:0:0', 96],
+  ['64:ff9b::', 96],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => BLOCKED_RANGES.ipv6.addSubnet(network, prefix, 'ipv6'));
+
+const hostMatches = (hostname, pattern) =>
+  hostname === pattern || hostname.endsWith(`.${pattern}`);
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  return BLOCKED_RANGES[type].check(address, type);
+};
+
+const privateAddressError = (host) =>
+  createFetchError(
+    'PRIVATE_ADDRESS',
+    `${host} points to a private, loopback or link-local address, which cannot be fetched.`
+  );
+
+const resolveAddresses = async (hostname) => {
+  if (net.isIP(hostname)) {
+    return [hostname];
+  }
+  try {
+    const entries = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    return entries.map((entry) => entry.address);
+  } catch (_err) {
+    throw createFetchError('DNS_LOOKUP_FAILED', `Could not resolve the host ${hostname}.`);
+  }
+};
+
+// dns.lookup for outbound sockets that refuses private addresses. The name
+// can resolve differently between assertAllowedUrl and the connect (DNS
+// rebinding), so the address the socket uses is checked too.
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, entries) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    if (!POLICY.allowPrivateAddresses && entries.some(({ address }) => isPrivateAddress(address))) {
+      callback(privateAddressError(hostname));
+      return;
+    }
+    if (options.all) {
+      callback(null, entries);
+    } else {
+      callback(null, entries[0].address, entries[0].family);
+    }
+  });
+};
+
+const agent = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+// Throws unless `targetUrl` is an http(s) URL on a permitted host that
+// resolves to public addresses only. fetchWithPolicy connects through
+// lookupPublicAddress, so a name that resolves differently by then is
+// refused as well.
+const assertAllowedUrl = async (targetUrl) => {
+  const { protocol, hostname } = new URL(targetUrl);
+  if (!['http:', 'https:'].includes(protocol)) {
+    throw createFetchError('UNSUPPORTED_PROTOCOL', 'Only http(s) URLs can be fetched.');
+  }
+
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (POLICY.blockedHosts.some((pattern) => hostMatches(host, pattern))) {
+    throw createFetchError('HOST_BLOCKED', `Fetching from ${host} is blocked by configuration.`);
+  }
+  if (
+    POLICY.allowedHosts.length > 0 &&
+    !POLICY.allowedHosts.some((pattern) => hostMatches(host, pattern))
+  ) {
+    throw createFetchError('HOST_NOT_ALLOWED', `${host} is not on the list of allowed hosts.`);
+  }
+  if (POLICY.allowPrivateAddresses) {
+    return;
+  }
+
+  const addresses = await resolveAddresses(host);
+  if (addresses.some(isPrivateAddress)) {
+    throw privateAddressError(host);
+  }
+};
+
+const isTimeout = (error) =>
+  error?.name === 'TimeoutError' || error?.cause?.name === 'TimeoutError';
+
+const timeoutError = (targetUrl) =>
+  createFetchError(
+    'TIMEOUT',
+    `${new URL(targetUrl).hostname} did not respond within ${POLICY.timeoutMs / 1000}s.`
+  );
+
+// Like browsers, a 303 (or a 301/302 answering a POST) continues as a GET
+// without the body and its Content-* headers.
+const switchesToGet = (status, method) =>
+  (status === 303 && method !== 'HEAD') || ([301, 302].includes(status) && method === 'POST');
+
+const withoutContentHeaders = (headers = {}) =>
+  Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !name.toLowerCase().startsWith('content-'))
+  );
+
+// fetch() with the policy applied to the initial URL and every redirect
+// hop. One deadline covers the whole chain, including reading the body.
+const fetchWithPolicy = async (targetUrl, options = {}) => {
+  const signal = AbortSignal.timeout(POLICY.timeoutMs);
+  let { method = 'GET', headers, body } = options;
+  let currentUrl = targetUrl;
+
+  for (let redirects = 0; ; redirects += 1) {
+    await assertAllowedUrl(currentUrl);
+
+    let response;
+    try {
+      response = await fetch(currentUrl, {
+        method,
+        headers,
+        body,
+        redirect: 'manual',
+        signal,
+        dispatcher: agent,
+      });
+    } catch (error) {
+      if (error?.cause?.code === 'PRIVATE_ADDRESS') {
+        throw error.cause;
+      }
+      throw isTimeout(error) ? timeoutError(targetUrl) : error;
+    }
+
+    const location = response.headers.get('location');
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return response;
+    }
+
+    await response.body?.cancel();
+    if (redirects >= POLICY.maxRedirects) {
+      throw createFetchError(
+        'TOO_MANY_REDIRECTS',
+        `${targetUrl} redirected more than ${POLICY.maxRedirects} times.`
+      );
+    }
+    if (switchesToGet(response.status, method)) {
+      method = 'GET';
+      body = undefined;
+      headers = withoutContentHeaders(headers);
+    }
+    currentUrl = new URL(location, currentUrl).toString();
+  }
+};
+
+const mediaTypeOf = (contentType = '') => contentType.split(';')[0].trim().toLowerCase();
+
+// `allowedTypes` holds media types; "+json" style entries match suffixes.
+// Responses without a Content-Type are let through.
+const assertContentType = (response, allowedTypes, targetUrl) => {
+  const mediaType = mediaTypeOf(response.headers.get('content-type') || '');
+  if (!mediaType) {
+    return;
+  }
+  const isAllowed = allowedTypes.some((type) =>
+    type.startsWith('+') ? mediaType.endsWith(type) : mediaType === type
+  );
+  if (!isAllowed) {
+    throw createFetchError(
+      'UNSUPPORTED_CONTENT_TYPE',
+      `${targetUrl} returned ${mediaType}, which is not a job posting page.`
+    );
+  }
+};
+
+const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024 ? `${Number((bytes / (1024 * 1024)).toFixed(1))} MB` : `${bytes} bytes`;
+
+const tooLargeError = (targetUrl) =>
+  createFetchError(
+    'RESPONSE_TOO_LARGE',
+    `${targetUrl} returned more than ${formatBytes(POLICY.maxBytes)}.`
+  );
+
+// Reads the body as UTF-8 text, giving up as soon as it exceeds the size
+// limit.
+const readBody = async (response, targetUrl) => {
+  const tooLarge = () => tooLargeError(targetUrl);
+
+  if (Number(response.headers.get('content-length')) > POLICY.maxBytes) {
+    await response.body?.cancel();
+    throw tooLarge();
+  }
+  if (!response.body) {
+    return '';
+  }
+
+  const chunks = [];
+  let size = 0;
+  try {
+    for await (const chunk of response.body) {
+      size += chunk.byteLength;
+      if (size > POLICY.maxBytes) {
+        throw tooLarge();
+      }
+      chunks.push(chunk);
+    }
+  } catch (error) {
+    throw isTimeout(error) ? timeoutError(targetUrl) : error;
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+module.exports = {
+  POLICY,
+  isPrivateAddress,
+  lookupPublicAddress,
+  assertAllowedUrl,
+  fetchWithPolicy,
+  assertContentType,
+  readBody,
+  tooLargeError,
+};
@@ -0,0 +1,183 @@
+// Outbound HTTP helpers shared by the generic extractor and platform adapters.
+
+const httpCache = require('./httpCache');
+const { errorForResponse, toFetchError } = require('./errors');
+const {
+  assertAllowedUrl,
+  assertContentType,
+  fetchWithPolicy,
+  readBody,
+} = require('./fetchPolicy');
+
+const USER_AGENT = 'JD-Filter/1.0 Mozilla/5.0';
+const HTML_ACCEPT = 'text/html,application/xhtml+xml,application/xml;q=0.9';
+const JSON_ACCEPT = 'application/json';
+
+// Response types accepted for each kind of request.
+const CONTENT_TYPES = {
+  [HTML_ACCEPT]: [
+    'text/html',
+    'application/xhtml+xml',
+    'application/xml',
+    'text/xml',
+    'text/plain',
+  ],
+  [JSON_ACCEPT]: ['application/json', '+json', 'text/json', 'text/plain'],
+};
+
+// Cached bodies younger than this are served without touching the network;
+// older ones are revalidated with If-None-Match / If-Modified-Since.
+const CACHE_TTL_MS = Number(process.env.FETCH_CACHE_TTL_MS) || 10 * 60 * 1000;
+
+// FETCH_RETRIES is clamped to 0-5; anything that is not a number keeps the
+// default, so a typo cannot make transient errors retry forever.
+const DEFAULT_RETRIES = 2;
+const RETRY_LIMIT = 5;
+const parseRetries = (value) => {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 0) return DEFAULT_RETRIES;
+  return Math.min(parsed, RETRY_LIMIT);
+};
+
+const MAX_RETRIES = parseRetries(process.env.FETCH_RETRIES);
+const RETRY_BASE_DELAY_MS = Number(process.env.FETCH_RETRY_DELAY_MS) || 500;
+const MAX_RETRY_WAIT_MS = 10 * 1000;
+
+const fetchRemote = async (
+  targetUrl,
+  { accept = HTML_ACCEPT, headers = {}, method = 'GET', body } = {}
+) => {
+  const response = await fetchWithPolicy(targetUrl, {
+    method,
+    body,
+    headers: {
+      'User-Agent': USER_AGENT,
+      Accept: accept,
+      ...headers,
+    },
+  });
+
+  const isConditional = Boolean(headers['If-None-Match'] || headers['If-Modified-Since']);
+  if (!response.ok && !(isConditional && response.status === 304)) {
+    await response.body?.cancel();
+    throw errorForResponse(response, targetUrl);
+  }
+
+  return response;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retries transient failures (rate limits, 5xx, timeouts, dropped
+// connections) with exponential backoff and jitter. A Retry-After longer
+// than MAX_RETRY_WAIT_MS is left to the caller instead of waited out.
+const fetchWithRetries = async (targetUrl, options) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fetchRemote(targetUrl, options);
+    } catch (rawError) {
+      const error = toFetchError(rawError);
+      if (!error.retryable || attempt >= MAX_RETRIES) {
+        throw error;
+      }
+      const delay =
+        error.retryAfter !== undefined
+          ? error.retryAfter * 1000
+          : RETRY_BASE_DELAY_MS * 2 ** attempt * (1 + Math.random() / 2);
+      if (delay > MAX_RETRY_WAIT_MS) {
+        throw error;
+      }
+      await sleep(delay);
+    }
+  }
+};
+
+const describeCache = (status, entry) => ({
+  status,
+  fetchedAt: entry.fetchedAt,
+  validatedAt: entry.validatedAt,
+});
+
+// Fetches a response body through the on-disk cache and reports how it was
+// served. `cache` uses the fetch() RequestCache names: 'default' serves
+// entries younger than the TTL and revalidates older ones, 'no-cache'
+// always revalidates, and 'reload' ignores the stored copy (the new one is
+// still saved).
+const fetchCached = async (targetUrl, { accept = HTML_ACCEPT, cache = 'default' } = {}) => {
+  const entry = cache === 'reload' ? null : httpCache.readEntry(targetUrl, accept);
+  const now = new Date();
+
+  if (entry && cache === 'default' && now - new Date(entry.validatedAt) < CACHE_TTL_MS) {
+    // The host policy may have changed since the copy was stored.
+    await assertAllowedUrl(targetUrl);
+    return { body: entry.body, cache: describeCache('hit', entry) };
+  }
+
+  const headers = {};
+  if (entry?.etag) {
+    headers['If-None-Match'] = entry.etag;
+  }
+  if (entry?.lastModified) {
+    headers['If-Modified-Since'] = entry.lastModified;
+  }
+
+  const response = await fetchWithRetries(targetUrl, { accept, headers });
+
+  if (response.status === 304) {
+    const revalidated = httpCache.writeEntry(targetUrl, accept, {
+      ...entry,
+      validatedAt: now.toISOString(),
+    });
+    return { body: entry.body, cache: describeCache('revalidated', revalidated) };
+  }
+
+  assertContentType(response, CONTENT_TYPES[accept] ?? [], targetUrl);
+  const body = await readBody(response, targetUrl);
+  const stored = httpCache.writeEntry(targetUrl, accept, {
+    status: response.status,
+    contentType: response.headers.get('content-type') || undefined,
+    etag: response.headers.get('etag') || undefined,
+    lastModified: response.headers.get('last-modified') || undefined,
+    fetchedAt: now.toISOString(),
+    validatedAt: now.toISOString(),
+    body,
+  });
+  return { body, cache: describeCache(cache === 'reload' ? 'bypass' : 'miss', stored) };
+};
+
+// A fetcher for one job load: every request uses the same cache mode, and
+// `lastCache` tells the caller how the most recent body was served.
+// Adapters receive it as their `fetcher` argument.
+const createFetcher = ({ cache = 'default' } = {}) => {
+  const session = { lastCache: null };
+
+  const load = async (targetUrl, accept) => {
+    const result = await fetchCached(targetUrl, { accept, cache });
+    session.lastCache = result.cache;
+    return result.body;
+  };
+
+  session.fetchText = (targetUrl) => load(targetUrl, HTML_ACCEPT);
+  session.fetchJson = async (targetUrl) => JSON.parse(await load(targetUrl, JSON_ACCEPT));
+  // Search endpoints (e.g. Workday's job list) only answer POST requests.
+  // Their responses are not cached.
+  session.postJson = async (targetUrl, payload) => {
+    const response = await fetchWithRetries(targetUrl, {
+      accept: JSON_ACCEPT,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    assertContentType(response, CONTENT_TYPES[JSON_ACCEPT], targetUrl);
+    return JSON.parse(await readBody(response, targetUrl));
+  };
+  return session;
+};
+
+const { fetchText, fetchJson } = createFetcher();
+
+module.exports = {
+  fetchText,
+  fetchJson,
+  createFetcher,
+};
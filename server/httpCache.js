@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonStore');
+const { canonicalizeUrl } = require('./urls');
+
+// Raw response bodies of remote fetches, one JSON file per URL, so repeat
+// fetches can be answered or revalidated without downloading the page again
+// and extraction can be re-run on the stored HTML.
+const CACHE_DIR = path.join(DATA_DIR, 'http_cache');
+
+// Entries not written (fetched or revalidated) for FETCH_CACHE_MAX_AGE_DAYS
+// are dropped, and past FETCH_CACHE_MAX_ENTRIES or FETCH_CACHE_MAX_BYTES the
+// least recently written ones go first.
+const MAX_AGE_MS = (Number(process.env.FETCH_CACHE_MAX_AGE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = Number(process.env.FETCH_CACHE_MAX_ENTRIES) || 5000;
+const MAX_BYTES = Number(process.env.FETCH_CACHE_MAX_BYTES) || 256 * 1024 * 1024;
+// Pruning lists the whole directory, so it runs on the first write and then
+// every PRUNE_INTERVAL_WRITES writes.
+const PRUNE_INTERVAL_WRITES = 100;
+
+// HTML and JSON for the same URL are different documents.
+const cacheKey = (targetUrl, accept = '') =>
+  `${accept.split(',')[0].trim() || '*/*'} ${canonicalizeUrl(targetUrl)}`;
+
+const entryPath = (key) =>
+  path.join(CACHE_DIR, `${crypto.createHash('sha256').update(key).digest('hex').slice(0, 40)}.json`);
+
+// Returns `{ key, url, status, contentType, etag, lastModified, fetchedAt,
+// validatedAt, body }` or null.
+const readEntry = (targetUrl, accept) => {
+  const key = cacheKey(targetUrl, accept);
+  const entry = readJsonFile(entryPath(key), null);
+  return entry && entry.key === key ? entry : null;
+};
+
+const listEntryFiles = () => {
+  let names;
+  try {
+    names = fs.readdirSync(CACHE_DIR);
+  } catch (_err) {
+    return [];
+  }
+  return names
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => {
+      const filePath = path.join(CACHE_DIR, name);
+      try {
+        const { size, mtimeMs } = fs.statSync(filePath);
+        return { filePath, size, mtimeMs };
+      } catch (_err) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+const removeFile = (filePath) => {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (_err) {
+    // Already gone.
+  }
+};
+
+// Deletes expired entries, then the oldest ones until the cache is within
+// its entry and size limits. Returns how many entries were removed.
+const pruneCache = (now = Date.now()) => {
+  const files = listEntryFiles().sort((left, right) => right.mtimeMs - left.mtimeMs);
+  let kept = 0;
+  let keptBytes = 0;
+  let removed = 0;
+  files.forEach((file) => {
+    const withinLimits = kept < MAX_ENTRIES && keptBytes + file.size <= MAX_BYTES;
+    if (withinLimits && now - file.mtimeMs <= MAX_AGE_MS) {
+      kept += 1;
+      keptBytes += file.size;
+      return;
+    }
+    removeFile(file.filePath);
+    removed += 1;
+  });
+  return removed;
+};
+
+let writesUntilPrune = 0;
+
+const writeEntry = (targetUrl, accept, fields) => {
+  const key = cacheKey(targetUrl, accept);
+  const entry = { key, url: targetUrl, ...fields };
+  writeJsonFile(entryPath(key), entry);
+  if (writesUntilPrune === 0) {
+    pruneCache();
+    writesUntilPrune = PRUNE_INTERVAL_WRITES;
+  }
+  writesUntilPrune -= 1;
+  return entry;
+};
+
+module.exports = {
+  readEntry,
+  writeEntry,
+  pruneCache,
+};
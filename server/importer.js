@@ -0,0 +1,268 @@
+// Pulls job links out of uploaded files: CSV and plain-text lists, browser
+// bookmark exports (HTML) and job-alert emails (.eml or mbox). Links are
+// unwrapped from email click-tracking redirects, stripped of tracking
+// parameters and deduplicated by the posting they point to.
+const path = require('path');
+const cheerio = require('cheerio');
+const { canonicalUrlFor, findAdapter } = require('./adapters');
+const { looksLikePosting } = require('./crawler');
+
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+const MAX_LINKS = 1000;
+
+const URL_PATTERN = /https?:\/\/[^\s<>"'`]+/gi;
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}>'"]+$/;
+
+// Query parameters that click-tracking and safe-link redirects use for
+// the destination URL.
+const REDIRECT_PARAMS = ['url', 'u', 'q', 'target', 'dest', 'destination', 'redirect', 'to'];
+
+const EXTENSION_FORMATS = {
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.txt': 'text',
+  '.html': 'html',
+  '.htm': 'html',
+  '.eml': 'email',
+  '.mbox': 'email',
+  '.mbx': 'email',
+};
+
+// Picks the parser from the file extension, or from the content when the
+// extension is missing or unknown.
+const detectFormat = (fileName, text) => {
+  const byExtension = EXTENSION_FORMATS[path.extname(fileName || '').toLowerCase()];
+  if (byExtension) return byExtension;
+
+  const head = text.slice(0, 2000);
+  if (/^From \S+/.test(head) || /^(?:Subject|From|Received|Message-ID|MIME-Version):/i.test(head)) {
+    return 'email';
+  }
+  if (/^\s*<(?:!DOCTYPE|html|dl|a\b)/i.test(head)) return 'html';
+  return 'text';
+};
+
+const findUrlsInText = (text) =>
+  (text.match(URL_PATTERN) || []).map((url) => ({
+    url: url.replace(TRAILING_PUNCTUATION, ''),
+    text: '',
+  }));
+
+// The cells of a CSV or TSV file, in order. Quoted cells may hold the
+// delimiter, line breaks and doubled quotes, so a URL with a comma in its
+// query string stays whole.
+const parseCsvCells = (text) => {
+  const [firstLine = ''] = text.split(/\r?\n/, 1);
+  const delimiter =
+    (firstLine.match(/\t/g) || []).length > (firstLine.match(/,/g) || []).length ? '\t' : ',';
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char !== '"') {
+        cell += char;
+      } else if (text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter || char === '\n' || char === '\r') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells;
+};
+
+const findUrlsInCsv = (text) => parseCsvCells(text).flatMap((cell) => findUrlsInText(cell));
+
+const findUrlsInHtml = (html) => {
+  const $ = cheerio.load(html);
+  return $('a[href]')
+    .map((_, element) => ({
+      url: $(element).attr('href').trim(),
+      text: $(element).text().replace(/\s+/g, ' ').trim(),
+    }))
+    .get();
+};
+
+// --- Email parsing -------------------------------------------------------
+// Emails are handled as latin1 strings so every byte survives until a part
+// is decoded with its own charset.
+
+const splitHeaderBlock = (raw) => {
+  const match = raw.match(/\r?\n\r?\n/);
+  if (!match) return { headers: {}, body: raw };
+
+  const headerText = raw.slice(0, match.index).replace(/\r?\n[ \t]+/g, ' ');
+  const headers = {};
+  headerText.split(/\r?\n/).forEach((line) => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  });
+  return { headers, body: raw.slice(match.index + match[0].length) };
+};
+
+// 'text/html; charset="utf-8"' -> { type: 'text/html', params: { charset: 'utf-8' } }
+const parseContentType = (value = 'text/plain') => {
+  const [type, ...rest] = value.split(';');
+  const params = {};
+  rest.forEach((param) => {
+    const separator = param.indexOf('=');
+    if (separator > 0) {
+      params[param.slice(0, separator).trim().toLowerCase()] = param
+        .slice(separator + 1)
+        .trim()
+        .replace(/^"|"$/g, '');
+    }
+  });
+  return { type: type.trim().toLowerCase(), params };
+};
+
+const decodeQuotedPrintable = (value) =>
+  Buffer.from(
+    value
+      .replace(/=\r?\n/g, '')
+      .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(Number.parseInt(hex, 16))),
+    'latin1'
+  );
+
+const decodeBody = (body, encoding = '', charset = 'utf-8') => {
+  const transfer = encoding.toLowerCase();
+  const bytes =
+    transfer === 'base64'
+      ? Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64')
+      : transfer === 'quoted-printable'
+        ? decodeQuotedPrintable(body)
+        : Buffer.from(body, 'latin1');
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch (_err) {
+    // Unknown charset label.
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+};
+
+// The text and HTML parts of one message, walking nested multiparts.
+const messageParts = (raw, depth = 0) => {
+  const { headers, body } = splitHeaderBlock(raw);
+  const { type, params } = parseContentType(headers['content-type']);
+
+  if (type.startsWith('multipart/') && params.boundary && depth < 10) {
+    const delimiter = `--${params.boundary}`;
+    return body
+      .split(delimiter)
+      .slice(1)
+      .filter((part) => !part.startsWith('--'))
+      .flatMap((part) => messageParts(part.replace(/^\r?\n/, ''), depth + 1));
+  }
+  if (type === 'message/rfc822' && depth < 10) {
+    return messageParts(body, depth + 1);
+  }
+  if (type !== 'text/plain' && type !== 'text/html') {
+    return [];
+  }
+  return [{ type, text: decodeBody(body, headers['content-transfer-encoding'], params.charset) }];
+};
+
+// An mbox file is a series of messages, each starting with a "From " line.
+const splitMailbox = (raw) =>
+  /^From /.test(raw)
+    ? raw
+        .split(/\r?\n(?=From \S+)/)
+        .map((message) => message.replace(/^From [^\n]*\n/, '').replace(/^>(>*From )/gm, '$1'))
+    : [raw];
+
+const findUrlsInEmail = (raw) =>
+  splitMailbox(raw).flatMap((message) =>
+    messageParts(message).flatMap((part) =>
+      part.type === 'text/html' ? findUrlsInHtml(part.text) : findUrlsInText(part.text)
+    )
+  );
+
+// --- Link cleanup --------------------------------------------------------
+
+// Follows click-tracking wrappers ("https://click.example.com/?url=...") to
+// the destination, a few levels deep.
+const unwrapRedirect = (parsed, depth = 0) => {
+  if (depth >= 3) return parsed;
+  for (const param of REDIRECT_PARAMS) {
+    const value = parsed.searchParams.get(param);
+    if (value && /^https?:\/\//i.test(value)) {
+      try {
+        return unwrapRedirect(new URL(value), depth + 1);
+      } catch (_err) {
+        // Not a usable URL; keep looking.
+      }
+    }
+  }
+  return parsed;
+};
+
+const isJobLink = (parsed, text) =>
+  Boolean(findAdapter(parsed.toString())?.normalizeUrl(parsed.toString())) ||
+  looksLikePosting({ parsed, text });
+
+// Returns `{ format, links, otherLinks, duplicates }`. `links` are the
+// canonical URLs of job postings in the order they first appear;
+// `otherLinks` are the remaining http(s) links (home pages, unsubscribe
+// links, ...), and `duplicates` counts links merged into an earlier one.
+const extractLinksFromFile = ({ fileName, content }) => {
+  const latin1 = content.toString('latin1');
+  const utf8 = content.toString('utf8').replace(/^\uFEFF/, '');
+  const format = detectFormat(fileName, utf8);
+
+  const parsers = {
+    email: () => findUrlsInEmail(latin1),
+    html: () => findUrlsInHtml(utf8),
+    csv: () => findUrlsInCsv(utf8),
+    text: () => findUrlsInText(utf8),
+  };
+  const found = parsers[format]();
+
+  const links = new Set();
+  const otherLinks = new Set();
+  let duplicates = 0;
+
+  found.forEach(({ url, text }) => {
+    let parsed;
+    try {
+      parsed = unwrapRedirect(new URL(url));
+    } catch (_err) {
+      return;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return;
+
+    const canonicalUrl = canonicalUrlFor(parsed.toString());
+    if (!isJobLink(parsed, text)) {
+      otherLinks.add(canonicalUrl);
+    } else if (links.has(canonicalUrl)) {
+      duplicates += 1;
+    } else if (links.size < MAX_LINKS) {
+      links.add(canonicalUrl);
+    }
+  });
+
+  return {
+    format,
+    links: Array.from(links),
+    otherLinks: Array.from(otherLinks).slice(0, MAX_LINKS),
+    duplicates,
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_BYTES,
+  extractLinksFromFile,
+};
@@ -1,58 +1,33 @@
 const express = require('express');
 const cors = require('cors');
-const cheerio = require('cheerio');
-const fs = require('fs');
-const path = require('path');
+const { canonicalUrlFor, loadJob } = require('./adapters');
+const auth = require('./auth');
+const library = require('./library');
+const { CATEGORIES, isValidPattern, normalizeTaxonomy } = require('./taxonomy');
+const techStackStore = require('./techStacks');
+const { MAX_BATCH_SIZE, runBatch } = require('./batch');
+const profiles = require('./profile');
+const { scoreJob } = require('./scoring');
+const rules = require('./rules');
+const { groupDuplicates } = require('./duplicates');
+const { closeRenderer } = require('./renderer');
+const watchlists = require('./watchlists');
+const applications = require('./applications');
+const { checkWatchlist, startScheduler } = require('./scheduler');
+const { discoverJobs } = require('./crawler');
+const exporter = require('./exporter');
+const { MAX_IMPORT_BYTES, extractLinksFromFile } = require('./importer');
+const { describeFetchError, toFetchError } = require('./errors');
+const { migrateToUserAccounts } = require('./migrate');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
-const TECH_STACKS_DB_PATH = path.join(__dirname, 'tech_stacks.json');
-
-// Built-in defaults used on first run or if the DB file is missing/corrupt
-const DEFAULT_TECH_STACKS = [
-  'React',
-  'Next.js',
-  'TypeScript',
-  'JavaScript',
-  'Node.js',
-  'Angular',
-  'Vue.js',
-  'Java',
-  'Spring Boot',
-  'Python',
-  'Django',
-  'Flask',
-];
-
-const readTechStacksFromFile = () => {
-  try {
-    const raw = fs.readFileSync(TECH_STACKS_DB_PATH, 'utf8');
-    const parsed = JSON.parse(raw);
-    if (Array.isArray(parsed)) {
-      return parsed;
-    }
-  } catch (_err) {
-    // If the file does not exist or is malformed, fall through to defaults
-  }
-
-  return DEFAULT_TECH_STACKS;
-};
-
-const writeTechStacksToFile = (stacks) => {
-  try {
-    fs.writeFileSync(TECH_STACKS_DB_PATH, JSON.stringify(stacks, null, 2), 'utf8');
-  } catch (err) {
-    // Failing to persist should not crash the server; log for visibility.
-    console.error('Failed to persist tech stacks DB:', err);
-  }
-};
-
-// In-memory cache of tech stacks used when parsing job descriptions.
-let techStacks = readTechStacksFromFile();
-
-// Utility to escape user-provided labels when building regexes
-const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const describeTechStacks = (techStacks) => ({
+  techStacks: techStacks.map((entry) => entry.name),
+  taxonomy: techStacks,
+  categories: CATEGORIES,
+});
 
 const normalizeUrl = (rawUrl) => {
   if (!rawUrl) return null;
@@ -68,134 +43,220 @@ const normalizeUrl = (rawUrl) => {
   }
 };
 
-const extractText = (node) => (node ? node.trim() : '');
+// `render` in the query string or batch body: "true" forces headless
+// rendering, "false" disables it and anything else lets the generic
+// extractor decide.
+const parseRenderOption = (value) => {
+  if (value === true || value === 'true') {
+    return true;
+  }
+  if (value === false || value === 'false') {
+    return false;
+  }
+  return 'auto';
+};
+
+// `fresh=true` skips the fetch cache and downloads the page again.
+const cacheModeFor = (fresh) => (fresh === true || fresh === 'true' ? 'reload' : 'default');
+
+// Scores a job against the user's profile and tech stacks.
+const matchJob = (userId, job) =>
+  scoreJob(job, {
+    profile: profiles.forUser(userId).getProfile(),
+    techNames: techStackStore
+      .forUser(userId)
+      .getTechStacks()
+      .map((entry) => entry.name),
+  });
 
-const pickFirst = (...values) => values.find((value) => !!value && value.length > 0);
+// Applies the user's exclusion rules to a job.
+const filterJob = (userId, job) =>
+  rules.evaluateRules(job, rules.forUser(userId).getRules(), {
+    techStacks: techStackStore.forUser(userId).getTechStacks(),
+  });
+
+// Fetches a posting with the user's tech stacks and records the outcome in
+// their job library, so that re-fetching a known URL updates its history
+// (or flags it as taken down).
+const loadAndRecordJob = async (
+  userId,
+  targetUrl,
+  { render = 'auto', cache = 'default' } = {}
+) => {
+  const canonicalUrl = canonicalUrlFor(targetUrl);
+  const userLibrary = library.forUser(userId);
+  const techStacks = techStackStore.forUser(userId).getTechStacks();
 
-const collectKeywords = ($, pageText = '') => {
-  const keywords = new Set();
-  const metaKeywords = $('meta[name="keywords"]').attr('content');
-  if (metaKeywords) {
-    metaKeywords
-      .split(',')
-      .map((keyword) => keyword.trim())
-      .filter(Boolean)
-      .forEach((keyword) => keywords.add(keyword));
+  try {
+    const job = await loadJob(targetUrl, { techStacks, render, cache });
+    const record = userLibrary.recordFetch({ canonicalUrl, sourceUrl: targetUrl, job });
+    return {
+      ...job,
+      match: matchJob(userId, job),
+      filter: filterJob(userId, job),
+      library: library.summarizeRecord(record),
+    };
+  } catch (error) {
+    const failure = toFetchError(error);
+    userLibrary.recordFailure({ canonicalUrl, error: failure });
+    throw failure;
   }
+};
 
-  $('meta[property="article:tag"]').each((_, element) => {
-    const tag = $(element).attr('content');
-    if (tag) {
-      keywords.add(tag.trim());
-    }
-  });
+// Sends a taxonomy error (see errors.js) with its status, code and
+// Retry-After hint. Unexpected failures are logged with their cause.
+const sendFetchError = (res, error, context) => {
+  if (error.code === 'INTERNAL') {
+    console.error(`${context}:`, error.cause || error);
+  }
+  if (error.retryAfter !== undefined) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.responseStatus).json(describeFetchError(error));
+};
 
-  // Fall back to scanning the full page text for well-known tech stack names.
-  // Many modern job boards (including Workday-hosted pages) embed the full job
-  // description inside JSON blobs in <script> tags, so we also include all
-  // script contents in the text we scan.
-  const scriptText = $('script')
-    .map((_, element) => $(element).text() || '')
-    .get()
-    .join('\n');
-
-  const rawText = `${pageText || $('body').text()}\n${scriptText}`;
-
-  // Build simple case-insensitive "word-ish" matchers based on the current tech stack DB.
-  techStacks.forEach((label) => {
-    if (!label || typeof label !== 'string') return;
-
-    const normalized = label.trim();
-    if (!normalized) return;
-
-    let patternSource = `\\b${escapeRegex(normalized)}\\b`;
-
-    // Heuristics for common tech variants so that, for example, a saved
-    // "React" stack will still match "ReactJS" or "React.js" in job ads,
-    // and "JavaScript" will also match a bare "JS" mention.
-    if (/^React$/i.test(normalized)) {
-      patternSource = '\\bReact(?:JS|\\.js)?\\b';
-    } else if (/^Node(?:\\.js)?$/i.test(normalized)) {
-      patternSource = '\\bNode(?:\\.js|JS)?\\b';
-    } else if (/^JavaScript$/i.test(normalized)) {
-      // Match "JavaScript" or standalone "JS" (not part of words like "NestJS")
-      // Exclude "text/javascript", "application/javascript"
-      // Exclude "enable JavaScript" (common browser warning)
-      // AND exclude .js, /js, 'js', "js" to avoid code artifacts in scripts/urls
-      patternSource = '(?<!(text|application)\\/|enable\\s)\\bJavaScript\\b|(?<![\\w./\'"-])JS(?![\\w])';
-    } else if (/^TypeScript$/i.test(normalized)) {
-      // Match "TypeScript" or standalone "TS" (not part of other words)
-      patternSource = '\\bTypeScript\\b|(?<!\\w)TS(?!\\w)';
-    } else if (/^AWS$/i.test(normalized)) {
-      patternSource = '\\bAWS\\b|\\bAmazon Web Services\\b';
-    }
+// Sessions ride on a cookie, so only the origins listed in CORS_ORIGINS
+// (comma-separated) may call the API from a browser; by default only the
+// page's own origin can, e.g. through the Vite proxy.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+if (CORS_ORIGINS.length > 0) {
+  app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
+}
+// Re-scoring sends back the description text of up to MAX_BATCH_SIZE jobs.
+app.use(express.json({ limit: '5mb' }));
 
-    const pattern = new RegExp(patternSource, 'i');
-    if (pattern.test(rawText)) {
-      keywords.add(label);
-    }
+app.get('/api/health', (_req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// Accounts and sessions (see auth.js). Everything else under /api needs a
+// signed-in user: a session cookie, or a bearer session or access token.
+app.get('/api/auth/session', (req, res) => {
+  const current = auth.authenticateRequest(req);
+  res.json({
+    user: current ? auth.publicUser(current.user) : null,
+    signupEnabled: auth.SIGNUP_ENABLED,
   });
+});
 
-  return Array.from(keywords);
+const startSession = (req, res, user, status = 200) => {
+  auth.setSessionCookie(req, res, auth.createSession(user.id));
+  res.status(status).json({ user: auth.publicUser(user) });
 };
 
-const extractLocationHints = ($) => {
-  const hints = new Set();
-
-  $('p, span, li, div').each((_, element) => {
-    const text = $(element).text().trim();
-    if (!text || text.length < 4 || text.length > 100) return;
+app.post('/api/auth/register', (req, res) => {
+  if (!auth.SIGNUP_ENABLED) {
+    return res.status(403).json({ message: 'Sign-ups are turned off on this server.' });
+  }
+  const { value, error } = auth.validateRegistration(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  startSession(req, res, auth.createUser(value), 201);
+});
 
-    // Generic "location-ish" descriptors we want to surface
-    if (/on[-\s]?site|onsite|in[-\s]?office|hybrid/i.test(text)) {
-      hints.add(text);
+// Body: `{ username, password }`, or `{ token }` with a personal access
+// token.
+app.post('/api/auth/login', (req, res) => {
+  if (typeof req.body?.token === 'string') {
+    const user = auth.resolveAccessToken(req.body.token.trim());
+    if (!user) {
+      return res.status(401).json({ message: 'That access token is not valid.' });
     }
+    return startSession(req, res, user);
+  }
 
-    // Simple city/state or state/city patterns, e.g. "CA, San Jose" or "San Jose, CA"
-    if (text.includes(',')) {
-      const cityStateMatch = text.match(/\b[A-Z][a-zA-Z.\s]+,\s*[A-Z]{2}\b/);
-      const stateCityMatch = text.match(/\b[A-Z]{2},\s*[A-Z][a-zA-Z.\s]+\b/);
+  const { user, error, status } = auth.authenticatePassword(
+    req.body?.username,
+    req.body?.password,
+    { client: req.ip }
+  );
+  if (error) {
+    return res.status(status).json({ message: error });
+  }
+  startSession(req, res, user);
+});
 
-      if (cityStateMatch) {
-        hints.add(cityStateMatch[0].trim());
-      }
-      if (stateCityMatch) {
-        hints.add(stateCityMatch[0].trim());
-      }
-    }
-  });
+app.post('/api/auth/logout', (req, res) => {
+  const current = auth.authenticateRequest(req);
+  if (current?.sessionToken) {
+    auth.deleteSession(current.sessionToken);
+  }
+  auth.clearSessionCookie(res);
+  res.status(204).end();
+});
 
-  return Array.from(hints);
-};
+app.use('/api', auth.requireUser);
 
-app.use(cors());
-app.use(express.json());
+// Changing the password signs out the user's other sessions.
+app.put('/api/auth/password', (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  if (
+    typeof currentPassword !== 'string' ||
+    !auth.verifyPassword(currentPassword, req.user.passwordHash)
+  ) {
+    return res.status(400).json({ message: 'The current password is wrong.' });
+  }
+  const passwordError = auth.validatePassword(newPassword);
+  if (passwordError) {
+    return res.status(400).json({ message: passwordError });
+  }
+  auth.setPassword(req.user.id, newPassword);
+  auth.deleteUserSessions(req.user.id, req.sessionToken);
+  res.status(204).end();
+});
 
-app.get('/api/health', (_req, res) => {
-  res.json({ status: 'ok' });
+// Personal access tokens for scripts: `Authorization: Bearer <token>`.
+app.get('/api/auth/tokens', (req, res) => {
+  res.json({ tokens: auth.listAccessTokens(req.user.id) });
+});
+
+app.post('/api/auth/tokens', (req, res) => {
+  res.status(201).json(auth.createAccessToken(req.user.id, req.body?.label));
 });
 
-// Tech stacks CRUD (used by the client modal)
-app.get('/api/tech-stacks', (_req, res) => {
-  res.json({ techStacks });
+app.delete('/api/auth/tokens/:id', (req, res) => {
+  if (!auth.deleteAccessToken(req.user.id, req.params.id)) {
+    return res.status(404).json({ message: 'No access token with that id.' });
+  }
+  res.status(204).end();
 });
 
+// The signed-in user's tech stacks (used by the client modal). `techStacks`
+// lists the canonical names; `taxonomy` carries the full entries.
+app.get('/api/tech-stacks', (req, res) => {
+  res.json(describeTechStacks(techStackStore.forUser(req.user.id).getTechStacks()));
+});
+
+// Accepts `{ taxonomy: entry[] }`, or the older `{ techStacks: string[] }`
+// where each label picks up its built-in preset.
 app.put('/api/tech-stacks', (req, res) => {
-  const incoming = Array.isArray(req.body?.techStacks) ? req.body.techStacks : null;
+  const incoming = Array.isArray(req.body?.taxonomy)
+    ? req.body.taxonomy
+    : Array.isArray(req.body?.techStacks)
+      ? req.body.techStacks
+      : null;
 
   if (!incoming) {
     return res.status(400).json({
-      message: 'Expected body: { "techStacks": string[] }',
+      message: 'Expected body: { "taxonomy": object[] } or { "techStacks": string[] }',
     });
   }
 
-  const cleaned = Array.from(
-    new Set(
-      incoming
-        .map((entry) => (typeof entry === 'string' ? entry.trim() : ''))
-        .filter(Boolean)
-    )
-  );
+  const invalidPatterns = incoming
+    .flatMap((entry) => (Array.isArray(entry?.patterns) ? entry.patterns : []))
+    .filter((pattern) => typeof pattern === 'string' && !isValidPattern(pattern));
+
+  if (invalidPatterns.length > 0) {
+    return res.status(400).json({
+      message: `Invalid or too complex regex pattern(s): ${invalidPatterns.join(', ')}`,
+    });
+  }
+
+  const cleaned = normalizeTaxonomy(incoming);
 
   if (cleaned.length === 0) {
     return res.status(400).json({
@@ -203,10 +264,84 @@ app.put('/api/tech-stacks', (req, res) => {
     });
   }
 
-  techStacks = cleaned;
-  writeTechStacksToFile(techStacks);
+  res.json(describeTechStacks(techStackStore.forUser(req.user.id).saveTechStacks(cleaned)));
+});
+
+// Marks a tech match as a false positive. Body: `{ name, phrase }`; the
+// phrase (the mention plus some surrounding text) becomes a negative
+// context of that tech, so later fetches ignore it.
+app.post('/api/tech-stacks/ignore', (req, res) => {
+  const userTechStacks = techStackStore.forUser(req.user.id);
+  const { value, error, status } = techStackStore.validateIgnoreRule(
+    userTechStacks.getTechStacks(),
+    req.body
+  );
+  if (error) {
+    return res.status(status).json({ message: error });
+  }
+  res.json(describeTechStacks(userTechStacks.addNegativeContext(value.name, value.phrase)));
+});
+
+// The signed-in user's candidate profile, used for match scoring.
+app.get('/api/profile', (req, res) => {
+  res.json(profiles.forUser(req.user.id).getProfile());
+});
+
+app.put('/api/profile', (req, res) => {
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({ message: 'Expected a JSON profile object.' });
+  }
+
+  const profileStore = profiles.forUser(req.user.id);
+  res.json(profileStore.saveProfile({ ...profileStore.getProfile(), ...req.body }));
+});
+
+// The signed-in user's exclusion rules (see rules.js). PUT replaces the
+// whole rule set.
+app.get('/api/rules', (req, res) => {
+  res.json({ rules: rules.forUser(req.user.id).getRules() });
+});
+
+app.put('/api/rules', (req, res) => {
+  const { value, error } = rules.validateRules(req.body?.rules);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  res.json({ rules: rules.forUser(req.user.id).saveRules(value) });
+});
+
+// Re-scores jobs the client already has, e.g. after the profile, tech
+// stack or rules changed. Body: { jobs: job[] }; returns `matches` and
+// `filters` in the same order.
+app.post('/api/match', (req, res) => {
+  const jobs = req.body?.jobs;
+
+  if (!Array.isArray(jobs) || jobs.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({
+      message: `Expected body: { "jobs": object[] } with at most ${MAX_BATCH_SIZE} jobs.`,
+    });
+  }
+
+  const cleanJobs = jobs.map((job) => (job && typeof job === 'object' ? job : {}));
+  res.json({
+    matches: cleanJobs.map((job) => matchJob(req.user.id, job)),
+    filters: cleanJobs.map((job) => filterJob(req.user.id, job)),
+  });
+});
+
+// Groups jobs the client already has that are the same role cross-posted
+// on several boards. Body: { jobs: job[] }; returns `{ groups }` with
+// indexes into `jobs` (see duplicates.js).
+app.post('/api/duplicates', (req, res) => {
+  const jobs = req.body?.jobs;
+
+  if (!Array.isArray(jobs) || jobs.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({
+      message: `Expected body: { "jobs": object[] } with at most ${MAX_BATCH_SIZE} jobs.`,
+    });
+  }
 
-  res.json({ techStacks });
+  res.json(groupDuplicates(jobs.map((job) => (job && typeof job === 'object' ? job : {}))));
 });
 
 app.get('/api/job', async (req, res) => {
@@ -219,97 +354,421 @@ app.get('/api/job', async (req, res) => {
       });
     }
 
-    const response = await fetch(targetUrl, {
-      headers: {
-        'User-Agent':
-          'JD-Filter/1.0 (+https://github.com/openai) Mozilla/5.0',
-        Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9',
-      },
+    const payload = await loadAndRecordJob(req.user.id, targetUrl, {
+      render: parseRenderOption(req.query.render),
+      cache: cacheModeFor(req.query.fresh),
     });
+    res.json(payload);
+  } catch (error) {
+    sendFetchError(res, toFetchError(error), 'Failed to load job data');
+  }
+});
 
-    if (!response.ok) {
-      throw new Error(
-        `Remote source responded with ${response.status} while fetching ${targetUrl}`
-      );
-    }
+// Fetches many postings at once and streams each outcome back as NDJSON
+// (one JSON event per line) as soon as it settles.
+app.post('/api/jobs/batch', async (req, res) => {
+  const urls = req.body?.urls;
+
+  if (!Array.isArray(urls) || urls.length === 0 || urls.some((url) => typeof url !== 'string')) {
+    return res.status(400).json({
+      message:
+        'Expected body: { "urls": string[], "concurrency"?: number, "render"?: boolean, "fresh"?: boolean }',
+    });
+  }
+
+  if (urls.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({
+      message: `A batch can contain at most ${MAX_BATCH_SIZE} links.`,
+    });
+  }
 
-    const html = await response.text();
-    const $ = cheerio.load(html);
-
-    const ogTitle = $('meta[property="og:title"]').attr('content');
-    const h1Title = $('h1').first().text();
-    const pageTitle = $('title').first().text();
-    const title = extractText(pickFirst(h1Title, ogTitle, pageTitle)) || 'Untitled role';
-
-    const company =
-      extractText($('meta[property="og:site_name"]').attr('content') || '') ||
-      extractText($('[data-company-name]').first().text());
-
-    // Collect various text sources once so we can reuse them for both
-    // location and tech stack detection.
-    const pageText = $('body').text();
-    const metaDescription = $('meta[name="description"]').attr('content');
-    const ogDescription = $('meta[property="og:description"]').attr('content');
-
-    const scriptTextForRemote = $('script')
-      .map((_, element) => $(element).text() || '')
-      .get()
-      .join('\n');
-
-    const textForRemoteScan = [
-      pageText,
-      metaDescription,
-      ogDescription,
-      h1Title,
-      ogTitle,
-      pageTitle,
-      scriptTextForRemote,
-    ]
-      .filter(Boolean)
-      .join('\n');
-
-    // Location logic:
-    // - If we see strong evidence of "remote" (including meta tags, title, or
-    //   JSON blobs in <script> tags) and no obvious "not remote" phrasing,
-    //   mark as Remote.
-    // - Otherwise mark as "Not Remote" and append any obvious location hints.
-    const hasPositiveRemote = /\bremote\b/i.test(textForRemoteScan);
-    const hasNegativeRemote = /\b(?:no|not|non)[-\s]?remote\b/i.test(textForRemoteScan);
-    let location;
-
-    if (hasPositiveRemote && !hasNegativeRemote) {
-      location = 'Remote';
-    } else {
-      const hints = extractLocationHints($);
-      location = hints.length > 0 ? `Not Remote\n${hints.join(' / ')}` : 'Not Remote';
+  const render = parseRenderOption(req.body.render);
+  const cache = cacheModeFor(req.body.fresh);
+  let cancelled = false;
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      cancelled = true;
     }
+  });
 
-    // Feed an enriched text source (including meta descriptions) into the
-    // tech-stack collector so that JDs rendered via client-side frameworks
-    // still have a chance to be parsed.
-    const textForStacksScan = [pageText, metaDescription, ogDescription].filter(Boolean).join('\n');
-    const techStacks = collectKeywords($, textForStacksScan);
-    const hostname = new URL(targetUrl).hostname.replace(/^www\./, '');
-
-    const payload = {
-      title,
-      location,
-      techStacks: techStacks.length > 0 ? techStacks : ['Not provided'],
-      jobPlatform: hostname,
-      company: company || undefined,
-      url: targetUrl,
-    };
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  await runBatch(urls, {
+    concurrency: req.body.concurrency,
+    isCancelled: () => cancelled,
+    onEvent: (event) => {
+      if (!cancelled) {
+        res.write(`${JSON.stringify(event)}\n`);
+      }
+    },
+    // runBatch has already rejected anything but http(s) links.
+    loadJob: (url) => loadAndRecordJob(req.user.id, normalizeUrl(url), { render, cache }),
+  });
 
-    res.json(payload);
+  res.end();
+});
+
+// Finds job links on a careers page or ATS board without fetching the
+// postings themselves. `depth` limits how many listing pages deep a generic
+// careers site is crawled, and `q` keeps titles containing any of its
+// comma-separated keywords.
+app.get('/api/discover', async (req, res) => {
+  const startUrl = normalizeUrl(req.query.url);
+
+  if (!startUrl) {
+    return res.status(400).json({
+      message: 'Please provide a careers page or job board URL via the "url" query parameter.',
+    });
+  }
+
+  try {
+    res.json(
+      await discoverJobs(startUrl, {
+        depth: req.query.depth,
+        keywords: typeof req.query.q === 'string' ? req.query.q : '',
+        cache: cacheModeFor(req.query.fresh),
+      })
+    );
   } catch (error) {
-    console.error('Failed to load job data:', error);
-    res.status(500).json({
-      message: 'Unable to fetch job data at the moment.',
+    sendFetchError(res, toFetchError(error), 'Failed to discover job links');
+  }
+});
+
+// Bulk import: the request body is the raw uploaded file (CSV, text,
+// bookmarks HTML, .eml or mbox) and `fileName` helps pick the parser. Only
+// the extracted links are returned; nothing is fetched yet.
+const readImportBody = express.raw({ type: () => true, limit: MAX_IMPORT_BYTES });
+
+app.post('/api/import', (req, res) => {
+  readImportBody(req, res, (error) => {
+    if (error) {
+      return res.status(error.status || 400).json({
+        message:
+          error.type === 'entity.too.large'
+            ? `Files can be at most ${MAX_IMPORT_BYTES / (1024 * 1024)} MB.`
+            : 'Unable to read the uploaded file.',
+      });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ message: 'Expected the file contents as the request body.' });
+    }
+
+    const fileName = typeof req.query.fileName === 'string' ? req.query.fileName : '';
+    res.json(extractLinksFromFile({ fileName, content: req.body }));
+  });
+});
+
+// Job library: every posting the user fetched through /api/job or the
+// batch endpoint.
+app.get('/api/library', (req, res) => {
+  res.json({ jobs: library.forUser(req.user.id).listJobs() });
+});
+
+app.get('/api/library/:id', (req, res) => {
+  const record = library.forUser(req.user.id).getJob(req.params.id);
+  if (!record) {
+    return res.status(404).json({ message: 'No saved job with that id.' });
+  }
+  res.json(record);
+});
+
+app.delete('/api/library/:id', (req, res) => {
+  if (!library.forUser(req.user.id).deleteJob(req.params.id)) {
+    return res.status(404).json({ message: 'No saved job with that id.' });
+  }
+  res.status(204).end();
+});
+
+// Re-fetches a saved posting and returns the updated record. A posting that
+// has been taken down comes back with `status: "removed"`.
+app.post('/api/library/:id/recheck', async (req, res) => {
+  const userLibrary = library.forUser(req.user.id);
+  const record = userLibrary.getJob(req.params.id);
+  if (!record) {
+    return res.status(404).json({ message: 'No saved job with that id.' });
+  }
+
+  try {
+    // A re-check always asks the remote whether the cached copy is current.
+    await loadAndRecordJob(req.user.id, record.sourceUrls[0] || record.canonicalUrl, {
+      cache: 'no-cache',
     });
+  } catch (error) {
+    if (userLibrary.getJob(record.id)?.status !== 'removed') {
+      return sendFetchError(res, toFetchError(error), 'Failed to re-check saved job');
+    }
   }
+
+  res.json(userLibrary.getJob(record.id));
 });
 
+// Export: `format` is csv, json, md or xlsx; `columns` and `ids` are
+// comma-separated. Without `ids`, the whole library is exported.
+app.get('/api/export/columns', (_req, res) => {
+  res.json({
+    columns: exporter.COLUMNS.map(({ id, label }) => ({ id, label })),
+    defaultColumns: exporter.DEFAULT_COLUMNS,
+    formats: Object.keys(exporter.FORMATS),
+  });
+});
+
+app.get('/api/export', (req, res) => {
+  const { format, columns, error } = exporter.parseExportOptions(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const userLibrary = library.forUser(req.user.id);
+  const records =
+    typeof req.query.ids === 'string'
+      ? req.query.ids
+          .split(',')
+          .map((id) => userLibrary.getJob(id.trim()))
+          .filter(Boolean)
+      : userLibrary.listJobs();
+
+  const { body, contentType, extension } = exporter.exportJobs(records, {
+    format,
+    columns,
+    scoreJob: (job) => matchJob(req.user.id, job).score,
+  });
+  const fileName = `jobs-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(body);
+});
+
+// Watchlists: named sets of URLs re-checked on a schedule, each with a
+// change log. Checks revalidate cached pages rather than trusting the TTL.
+// A watchlist can be shared with the team: everyone can read and check it,
+// only its owner can edit or delete it.
+const watchlistDeps = {
+  loadJob: (url, userId) => loadAndRecordJob(userId, url, { cache: 'no-cache' }),
+  canonicalUrlFor,
+};
+
+const summarizeWatchlistFor = (watchlist, userId) => ({
+  ...watchlists.summarizeWatchlist(watchlist, userId),
+  owner: auth.getUser(watchlist.ownerId)?.username ?? null,
+});
+
+// Full view: the watchlist plus the latest snapshot of each URL in the
+// owner's library.
+const describeWatchlist = (watchlist, userId) => {
+  const ownerLibrary = library.forUser(watchlist.ownerId);
+  return {
+    ...summarizeWatchlistFor(watchlist, userId),
+    urls: watchlist.urls,
+    postings: watchlist.urls.map((url) => {
+      const record = ownerLibrary.findJobByUrl(canonicalUrlFor(url));
+      return {
+        url,
+        libraryId: record?.id,
+        title: record?.job?.title,
+        company: record?.job?.company,
+        status: record?.status,
+        lastCheckedAt: record?.lastCheckedAt,
+        lastError: record?.lastError,
+      };
+    }),
+    changeLog: watchlist.changeLog,
+  };
+};
+
+const findWatchlistOr404 = (req, res) => {
+  const watchlist = watchlists.getWatchlist(req.params.id, req.user.id);
+  if (!watchlist) {
+    res.status(404).json({ message: 'No watchlist with that id.' });
+  }
+  return watchlist;
+};
+
+// Like findWatchlistOr404, but teammates get a 403 for shared watchlists.
+const findOwnWatchlistOr404 = (req, res) => {
+  const watchlist = findWatchlistOr404(req, res);
+  if (watchlist && watchlist.ownerId !== req.user.id) {
+    res.status(403).json({ message: 'Only the owner can change a shared watchlist.' });
+    return null;
+  }
+  return watchlist;
+};
+
+app.get('/api/watchlists', (req, res) => {
+  res.json({
+    watchlists: watchlists
+      .listWatchlists(req.user.id)
+      .map((watchlist) => summarizeWatchlistFor(watchlist, req.user.id)),
+  });
+});
+
+app.post('/api/watchlists', (req, res) => {
+  const { value, error } = watchlists.validateWatchlist(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  res
+    .status(201)
+    .json(describeWatchlist(watchlists.createWatchlist(req.user.id, value), req.user.id));
+});
+
+app.get('/api/watchlists/:id', (req, res) => {
+  const watchlist = findWatchlistOr404(req, res);
+  if (watchlist) {
+    res.json(describeWatchlist(watchlist, req.user.id));
+  }
+});
+
+app.put('/api/watchlists/:id', (req, res) => {
+  const watchlist = findOwnWatchlistOr404(req, res);
+  if (!watchlist) return;
+
+  const { value, error } = watchlists.validateWatchlist(req.body, watchlist);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  res.json(describeWatchlist(watchlists.updateWatchlist(watchlist.id, value), req.user.id));
+});
+
+app.delete('/api/watchlists/:id', (req, res) => {
+  const watchlist = findOwnWatchlistOr404(req, res);
+  if (!watchlist) return;
+
+  watchlists.deleteWatchlist(watchlist.id);
+  res.status(204).end();
+});
+
+// Runs a check right away instead of waiting for the schedule.
+app.post('/api/watchlists/:id/check', async (req, res) => {
+  const watchlist = findWatchlistOr404(req, res);
+  if (!watchlist) return;
+
+  const updated = await checkWatchlist(watchlist, watchlistDeps);
+  if (!updated) {
+    return res.status(404).json({ message: 'The watchlist was deleted during the check.' });
+  }
+  res.json(describeWatchlist(updated, req.user.id));
+});
+
+// The client calls this after showing the feed; entries newer than
+// `lastVisitedAt` are the "changed since your last visit" ones. Every
+// viewer of a shared watchlist has their own last visit.
+app.post('/api/watchlists/:id/visit', (req, res) => {
+  const watchlist = findWatchlistOr404(req, res);
+  if (watchlist) {
+    res.json(
+      summarizeWatchlistFor(watchlists.markVisited(watchlist.id, req.user.id), req.user.id)
+    );
+  }
+});
+
+// Application pipeline: saved → applied → screening → interview → offer or
+// rejected, one dated history entry per status change.
+const jobSnapshot = (record) => ({
+  title: record.job?.title,
+  company: record.job?.company,
+  url: record.job?.url || record.canonicalUrl,
+  location:
+    record.job?.location && typeof record.job.location === 'object'
+      ? record.job.location.summary
+      : record.job?.location,
+});
+
+// Prefers the live library record over the snapshot taken when tracking
+// started, and flags postings that were deleted or taken down.
+const describeApplication = (application, userLibrary) => {
+  const record = userLibrary.getJob(application.libraryId);
+  return {
+    ...application,
+    job: record ? jobSnapshot(record) : application.job,
+    postingStatus: record ? record.status : 'deleted',
+  };
+};
+
+app.get('/api/applications', (req, res) => {
+  const pipeline = applications.forUser(req.user.id);
+  const userLibrary = library.forUser(req.user.id);
+  res.json({
+    stages: applications.STAGES,
+    applications: pipeline
+      .listApplications()
+      .map((application) => describeApplication(application, userLibrary)),
+    stats: pipeline.computeStats(),
+  });
+});
+
+// Adds a status change `{ status, date?, notes?, contacts? }`. The first
+// update for a saved job starts tracking it.
+app.post('/api/applications/:libraryId/updates', (req, res) => {
+  const pipeline = applications.forUser(req.user.id);
+  const userLibrary = library.forUser(req.user.id);
+  const existing = pipeline.getApplication(req.params.libraryId);
+  const record = userLibrary.getJob(req.params.libraryId);
+  if (!existing && !record) {
+    return res.status(404).json({ message: 'No saved job with that id.' });
+  }
+
+  const { value, error } = applications.validateUpdate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  const application = pipeline.recordUpdate(
+    req.params.libraryId,
+    value,
+    record ? jobSnapshot(record) : null
+  );
+  res.status(existing ? 200 : 201).json(describeApplication(application, userLibrary));
+});
+
+// Removes one history entry; removing the last one stops tracking the job.
+app.delete('/api/applications/:libraryId/updates/:entryId', (req, res) => {
+  const result = applications
+    .forUser(req.user.id)
+    .deleteEntry(req.params.libraryId, req.params.entryId);
+  if (!result) {
+    return res.status(404).json({ message: 'No application update with that id.' });
+  }
+  if (result.deleted) {
+    return res.status(204).end();
+  }
+  res.json(describeApplication(result.application, library.forUser(req.user.id)));
+});
+
+app.delete('/api/applications/:libraryId', (req, res) => {
+  if (!applications.forUser(req.user.id).deleteApplication(req.params.libraryId)) {
+    return res.status(404).json({ message: 'No application for that job.' });
+  }
+  res.status(204).end();
+});
+
+// First start with user accounts: existing data moves into a default user.
+const migration = migrateToUserAccounts();
+if (migration) {
+  console.log(`Created the default user "${migration.user.username}".`);
+  if (migration.moved.length > 0) {
+    console.log(`Moved existing data into it: ${migration.moved.join(', ')}.`);
+  }
+  if (migration.passwordFile) {
+    console.log(`Its password is in ${migration.passwordFile}.`);
+    console.log('Change it after signing in, then delete the file.');
+  }
+}
+
+startScheduler(watchlistDeps);
+
 app.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT}`);
 });
 
+// Shut the headless browser down with the server, if one was started.
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.once(signal, async () => {
+    await closeRenderer();
+    process.exit(0);
+  });
+});
+
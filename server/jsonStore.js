@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+// Runtime data (job library, caches, ...) lives here and is git-ignored.
+const DATA_DIR = process.env.JD_FILTER_DATA_DIR || path.join(__dirname, 'data');
+
+const readJsonFile = (filePath, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (_err) {
+    // Missing or malformed files fall back to the caller's defaults.
+    return fallback;
+  }
+};
+
+// Writes through a temp file so a crash mid-write never leaves half a JSON
+// document behind.
+const writeJsonFile = (filePath, data) => {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    // Failing to persist should not crash the server; log for visibility.
+    console.error(`Failed to persist ${path.basename(filePath)}:`, err);
+  }
+};
+
+// Each user's library, settings and pipeline live in their own directory.
+const userDataDir = (userId) => path.join(DATA_DIR, 'users', userId);
+
+// Returns `forUser(userId)`, which builds that user's store with
+// `createStore(dataDir)` on first use and hands back the same one after.
+const perUserStore = (createStore) => {
+  const stores = new Map();
+  return (userId) => {
+    if (!stores.has(userId)) {
+      stores.set(userId, createStore(userDataDir(userId)));
+    }
+    return stores.get(userId);
+  };
+};
+
+module.exports = {
+  DATA_DIR,
+  readJsonFile,
+  writeJsonFile,
+  userDataDir,
+  perUserStore,
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const path = require('path');
+const { perUserStore, readJsonFile, writeJsonFile } = require('./jsonStore');
+
+// Persistent library of every posting a user has fetched, keyed by canonical
+// URL. Stored as a single JSON document in the user's data directory.
+const LIBRARY_FILE_NAME = 'job_library.json';
+
+// Fields compared between fetches to decide whether a posting changed.
+const TRACKED_FIELDS = [
+  'title',
+  'company',
+  'location',
+  'techStacks',
+  'employmentType',
+  'baseSalary',
+  'validThrough',
+];
+
+const createLibraryId = (canonicalUrl) =>
+  crypto.createHash('sha1').update(canonicalUrl).digest('hex').slice(0, 12);
+
+// Fields compared through a reduced form. Evidence snippets shift with
+// every copy edit, so techs are compared by name and importance only, and
+// locations by their summary line. Older records stored bare tech names and
+// a plain location string.
+const COMPARABLE = {
+  location: (value) => (value && typeof value === 'object' ? value.summary : value),
+  techStacks: (value) =>
+    Array.isArray(value)
+      ? value
+          .filter((tech) => tech !== 'Not provided')
+          .map((tech) => (typeof tech === 'string' ? tech : `${tech.name} (${tech.importance})`))
+      : value,
+};
+
+const toComparable = (field, value) => (COMPARABLE[field] ? COMPARABLE[field](value) : value);
+
+// The tracked fields of a job in their compared form; diffing a snapshot
+// against a full job gives the same result as diffing the two jobs.
+const snapshotJob = (job = {}) =>
+  Object.fromEntries(
+    TRACKED_FIELDS.map((field) => [field, toComparable(field, job[field] ?? null)])
+  );
+
+const diffJobs = (previous = {}, next = {}) =>
+  TRACKED_FIELDS.reduce((changes, field) => {
+    const before = toComparable(field, previous[field] ?? null);
+    const after = toComparable(field, next[field] ?? null);
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes[field] = { before, after };
+    }
+    return changes;
+  }, {});
+
+// Compact view attached to /api/job responses.
+const summarizeRecord = (record) => ({
+  id: record.id,
+  firstSeenAt: record.firstSeenAt,
+  lastCheckedAt: record.lastCheckedAt,
+  status: record.status,
+  changes: record.changes,
+});
+
+const readLibraryFromFile = (filePath) => {
+  const parsed = readJsonFile(filePath, null);
+  if (parsed && parsed.jobs && typeof parsed.jobs === 'object') {
+    return parsed;
+  }
+  return { jobs: {} };
+};
+
+// One user's library; `forUser(userId)` below creates and caches it.
+const createLibrary = (dataDir) => {
+  const filePath = path.join(dataDir, LIBRARY_FILE_NAME);
+  const library = readLibraryFromFile(filePath);
+
+  const persist = () => writeJsonFile(filePath, library);
+
+  const recordFetch = ({ canonicalUrl, sourceUrl, job }) => {
+    const id = createLibraryId(canonicalUrl);
+    const now = new Date().toISOString();
+    const existing = library.jobs[id];
+
+    let record;
+    if (!existing) {
+      record = {
+        id,
+        canonicalUrl,
+        sourceUrls: [sourceUrl],
+        firstSeenAt: now,
+        lastCheckedAt: now,
+        lastChangedAt: null,
+        status: 'active',
+        changes: {},
+        job,
+      };
+    } else {
+      const changes = diffJobs(existing.job, job);
+      // A posting that comes back after being taken down counts as changed too.
+      const hasChanged = Object.keys(changes).length > 0 || existing.status === 'removed';
+
+      record = {
+        ...existing,
+        sourceUrls: Array.from(new Set([...existing.sourceUrls, sourceUrl])),
+        lastCheckedAt: now,
+        lastChangedAt: hasChanged ? now : existing.lastChangedAt,
+        status: 'active',
+        changes,
+        lastError: undefined,
+        lastErrorCode: undefined,
+        job,
+      };
+    }
+
+    library.jobs[id] = record;
+    persist();
+    return record;
+  };
+
+  // Only known postings are updated on failure; a 404/410 marks them removed.
+  const recordFailure = ({ canonicalUrl, error }) => {
+    const id = createLibraryId(canonicalUrl);
+    const existing = library.jobs[id];
+    if (!existing) return null;
+
+    const now = new Date().toISOString();
+    // An upstream 404/410 means the posting was taken down.
+    const isRemoved = error?.code === 'POSTING_CLOSED';
+
+    const record = {
+      ...existing,
+      lastCheckedAt: now,
+      lastError: error instanceof Error ? error.message : 'Unable to fetch this link.',
+      lastErrorCode: error?.code,
+    };
+
+    if (isRemoved && existing.status !== 'removed') {
+      record.status = 'removed';
+      record.removedAt = now;
+      record.lastChangedAt = now;
+      record.changes = {};
+    }
+
+    library.jobs[id] = record;
+    persist();
+    return record;
+  };
+
+  const listJobs = () =>
+    Object.values(library.jobs).sort((left, right) =>
+      String(right.lastCheckedAt).localeCompare(String(left.lastCheckedAt))
+    );
+
+  const getJob = (id) => library.jobs[id] || null;
+
+  const findJobByUrl = (canonicalUrl) => getJob(createLibraryId(canonicalUrl));
+
+  const deleteJob = (id) => {
+    if (!library.jobs[id]) return false;
+    delete library.jobs[id];
+    persist();
+    return true;
+  };
+
+  return {
+    recordFetch,
+    recordFailure,
+    listJobs,
+    getJob,
+    findJobByUrl,
+    deleteJob,
+  };
+};
+
+module.exports = {
+  LIBRARY_FILE_NAME,
+  diffJobs,
+  snapshotJob,
+  summarizeRecord,
+  forUser: perUserStore(createLibrary),
+};
@@ -0,0 +1,618 @@
+// Structured job location: work mode, where remote candidates may live,
+// time-zone requirements, office cities and days in the office.
+//
+// Shape:
+//   workMode       'remote' | 'hybrid' | 'onsite' | 'unknown'
+//   remoteRegions  countries or regions remote candidates must be based in
+//   timezones      time-zone requirements as written ("CET ±3h", "UTC-5")
+//   offices        [{ city, region, country }] (any part may be missing)
+//   daysInOffice   { min, max } days per week, for hybrid roles
+//   summary        one-line description for display and change tracking
+
+const WORK_MODES = ['remote', 'hybrid', 'onsite', 'unknown'];
+
+// Canonical country names with the spellings we accept. Two- and
+// three-letter codes are matched case-sensitively.
+const COUNTRIES = {
+  'United States': ['US', 'USA', 'U.S.', 'U.S.A.', 'United States of America', 'America'],
+  Canada: ['CA', 'CAN'],
+  Mexico: ['MX', 'México'],
+  Brazil: ['BR', 'Brasil'],
+  Argentina: ['AR'],
+  Colombia: ['CO'],
+  Chile: ['CL'],
+  'United Kingdom': ['UK', 'U.K.', 'GB', 'Great Britain', 'England', 'Scotland', 'Wales'],
+  Ireland: ['IE'],
+  Germany: ['DE', 'Deutschland'],
+  Austria: ['AT', 'Österreich'],
+  Switzerland: ['CH', 'Schweiz', 'Suisse'],
+  France: ['FR'],
+  Belgium: ['BE'],
+  Netherlands: ['NL', 'The Netherlands', 'Holland'],
+  Luxembourg: ['LU'],
+  Spain: ['ES', 'España'],
+  Portugal: ['PT'],
+  Italy: ['IT', 'Italia'],
+  Poland: ['PL', 'Polska'],
+  'Czech Republic': ['CZ', 'Czechia'],
+  Romania: ['RO'],
+  Hungary: ['HU'],
+  Greece: ['GR'],
+  Sweden: ['SE', 'Sverige'],
+  Norway: ['NO', 'Norge'],
+  Denmark: ['DK', 'Danmark'],
+  Finland: ['FI', 'Suomi'],
+  Estonia: ['EE'],
+  Lithuania: ['LT'],
+  Latvia: ['LV'],
+  Ukraine: ['UA'],
+  Turkey: ['TR', 'Türkiye'],
+  Israel: ['IL'],
+  'United Arab Emirates': ['UAE', 'AE'],
+  India: ['IN'],
+  Pakistan: ['PK'],
+  Singapore: ['SG'],
+  Japan: ['JP'],
+  'South Korea': ['KR', 'Korea'],
+  China: ['CN'],
+  Philippines: ['PH'],
+  Vietnam: ['VN'],
+  Indonesia: ['ID'],
+  Australia: ['AU', 'AUS'],
+  'New Zealand': ['NZ'],
+  'South Africa': ['ZA'],
+  Nigeria: ['NG'],
+  Kenya: ['KE'],
+  Egypt: ['EG'],
+};
+
+const REGIONS = {
+  Worldwide: ['worldwide', 'anywhere', 'global', 'globally', 'any location'],
+  Europe: ['Europe', 'European Union', 'EU', 'EEA'],
+  EMEA: ['EMEA'],
+  APAC: ['APAC', 'Asia Pacific', 'Asia-Pacific'],
+  LATAM: ['LATAM', 'Latin America', 'South America'],
+  'North America': ['North America', 'NA', 'NORAM'],
+  Americas: ['Americas'],
+};
+
+const US_STATES = new Set(
+  (
+    'AL AK AZ AR CA CO CT DE FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO MT NE NV NH NJ ' +
+    'NM NY NC ND OH OK OR PA RI SC SD TN TX UT VT VA WA WV WI WY DC'
+  ).split(' ')
+);
+
+// Countries for well-known hubs that are often listed without one.
+const CITY_COUNTRIES = {
+  Berlin: 'Germany',
+  Munich: 'Germany',
+  München: 'Germany',
+  Hamburg: 'Germany',
+  Frankfurt: 'Germany',
+  Cologne: 'Germany',
+  Köln: 'Germany',
+  London: 'United Kingdom',
+  Manchester: 'United Kingdom',
+  Edinburgh: 'United Kingdom',
+  Paris: 'France',
+  Amsterdam: 'Netherlands',
+  Rotterdam: 'Netherlands',
+  Dublin: 'Ireland',
+  Madrid: 'Spain',
+  Barcelona: 'Spain',
+  Lisbon: 'Portugal',
+  Milan: 'Italy',
+  Stockholm: 'Sweden',
+  Copenhagen: 'Denmark',
+  Oslo: 'Norway',
+  Helsinki: 'Finland',
+  Zurich: 'Switzerland',
+  Zürich: 'Switzerland',
+  Geneva: 'Switzerland',
+  Vienna: 'Austria',
+  Wien: 'Austria',
+  Warsaw: 'Poland',
+  Krakow: 'Poland',
+  Kraków: 'Poland',
+  Prague: 'Czech Republic',
+  Bucharest: 'Romania',
+  'Tel Aviv': 'Israel',
+  Dubai: 'United Arab Emirates',
+  Toronto: 'Canada',
+  Vancouver: 'Canada',
+  Montreal: 'Canada',
+  'New York': 'United States',
+  'New York City': 'United States',
+  NYC: 'United States',
+  'San Francisco': 'United States',
+  Seattle: 'United States',
+  Austin: 'United States',
+  Boston: 'United States',
+  Chicago: 'United States',
+  'Los Angeles': 'United States',
+  Denver: 'United States',
+  'Mexico City': 'Mexico',
+  'São Paulo': 'Brazil',
+  'Sao Paulo': 'Brazil',
+  'Buenos Aires': 'Argentina',
+  Bogotá: 'Colombia',
+  Bangalore: 'India',
+  Bengaluru: 'India',
+  Hyderabad: 'India',
+  Pune: 'India',
+  Singapore: 'Singapore',
+  Tokyo: 'Japan',
+  Seoul: 'South Korea',
+  Sydney: 'Australia',
+  Melbourne: 'Australia',
+  Auckland: 'New Zealand',
+  'Cape Town': 'South Africa',
+  Lagos: 'Nigeria',
+  Nairobi: 'Kenya',
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Codes ("US", "DE") are only trusted in upper case; names in any case.
+const isCode = (alias) => /^[A-Z.]{2,6}$/.test(alias);
+
+const buildPlaceMatchers = (table) =>
+  Object.entries(table).map(([name, aliases]) => {
+    const names = [name, ...aliases.filter((alias) => !isCode(alias))];
+    const codes = aliases.filter(isCode);
+    return {
+      name,
+      pattern: new RegExp(`(?<![\\w])(?:${names.map(escapeRegex).join('|')})(?![\\w])`, 'i'),
+      codePattern:
+        codes.length > 0
+          ? new RegExp(`(?<![\\w.])(?:${codes.map(escapeRegex).join('|')})(?![\\w])`)
+          : null,
+    };
+  });
+
+const COUNTRY_MATCHERS = buildPlaceMatchers(COUNTRIES);
+const REGION_MATCHERS = buildPlaceMatchers(REGIONS);
+
+const matchesPlace = (matcher, text) =>
+  matcher.pattern.test(text) || Boolean(matcher.codePattern?.test(text));
+
+// Exact lookup for a single address part ("DE", "Deutschland" -> Germany).
+const toCountry = (part = '') => {
+  const trimmed = part.trim();
+  const matcher = COUNTRY_MATCHERS.find(
+    (entry) =>
+      entry.name.toLowerCase() === trimmed.toLowerCase() ||
+      COUNTRIES[entry.name].some((alias) =>
+        isCode(alias) ? alias === trimmed : alias.toLowerCase() === trimmed.toLowerCase()
+      )
+  );
+  return matcher ? matcher.name : null;
+};
+
+const toRegion = (part = '') => {
+  const trimmed = part.trim();
+  const entry = Object.entries(REGIONS).find(
+    ([name, aliases]) =>
+      name.toLowerCase() === trimmed.toLowerCase() ||
+      aliases.some((alias) =>
+        isCode(alias) ? alias === trimmed : alias.toLowerCase() === trimmed.toLowerCase()
+      )
+  );
+  return entry ? entry[0] : null;
+};
+
+// Countries in each region, for rules such as "on-site outside the EU".
+// Europe stands in for the EU, EEA and the rest of the continent alike.
+const EUROPE = [
+  'United Kingdom',
+  'Ireland',
+  'Germany',
+  'Austria',
+  'Switzerland',
+  'France',
+  'Belgium',
+  'Netherlands',
+  'Luxembourg',
+  'Spain',
+  'Portugal',
+  'Italy',
+  'Poland',
+  'Czech Republic',
+  'Romania',
+  'Hungary',
+  'Greece',
+  'Sweden',
+  'Norway',
+  'Denmark',
+  'Finland',
+  'Estonia',
+  'Lithuania',
+  'Latvia',
+  'Ukraine',
+];
+const LATAM = ['Mexico', 'Brazil', 'Argentina', 'Colombia', 'Chile'];
+const REGION_COUNTRIES = {
+  Europe: EUROPE,
+  EMEA: [
+    ...EUROPE,
+    'Turkey',
+    'Israel',
+    'United Arab Emirates',
+    'South Africa',
+    'Nigeria',
+    'Kenya',
+    'Egypt',
+  ],
+  APAC: [
+    'India',
+    'Pakistan',
+    'Singapore',
+    'Japan',
+    'South Korea',
+    'China',
+    'Philippines',
+    'Vietnam',
+    'Indonesia',
+    'Australia',
+    'New Zealand',
+  ],
+  LATAM,
+  'North America': ['United States', 'Canada', 'Mexico'],
+  Americas: ['United States', 'Canada', ...LATAM],
+};
+const REGION_PARTS = { EMEA: ['Europe'], Americas: ['North America', 'LATAM'] };
+
+// Whether a place lies within `area` (a country, a region such as "EU" or
+// "LATAM", or a city or state name). `place` is an office
+// `{ city, region, country }` or a remote region or country name; a
+// worldwide remote role is within every area.
+const isPlaceWithin = (place, area = '') => {
+  const label = String(area).trim();
+  const placeRegion = typeof place === 'string' ? toRegion(place) : null;
+  const placeCountry =
+    typeof place === 'string' ? toCountry(place) : place?.country && toCountry(place.country);
+  if (placeRegion === 'Worldwide') return true;
+
+  const areaRegion = toRegion(label);
+  if (areaRegion) {
+    if (areaRegion === 'Worldwide') return true;
+    if (placeRegion) {
+      return placeRegion === areaRegion || (REGION_PARTS[areaRegion] ?? []).includes(placeRegion);
+    }
+    return Boolean(placeCountry) && (REGION_COUNTRIES[areaRegion] ?? []).includes(placeCountry);
+  }
+
+  const areaCountry = toCountry(label);
+  if (areaCountry) return placeCountry === areaCountry;
+
+  return (
+    typeof place === 'object' &&
+    [place?.city, place?.region].some((part) => part && part.toLowerCase() === label.toLowerCase())
+  );
+};
+
+// Every country or region mentioned anywhere in the text.
+const findPlacesIn = (text = '') =>
+  [...REGION_MATCHERS, ...COUNTRY_MATCHERS]
+    .filter((matcher) => matchesPlace(matcher, text))
+    .map((matcher) => matcher.name);
+
+const REMOTE_PATTERN = /\bremote(?:ly)?\b|\bwork from (?:home|anywhere)\b|\bWFH\b/i;
+// "No remote", "remote is not possible", "we do not offer remote work".
+const NEGATED_REMOTE_PATTERN = new RegExp(
+  [
+    /\b(?:no|not|non)[-\s](?:an?\s+|fully\s+)?remote(?:ly)?\b/,
+    /\bremote(?:ly)?(?:\s+work(?:ing)?)?\s+(?:is\s+not|isn't|not)\s+(?:possible|available|an option|offered|supported)\b/,
+    /(?:\b(?:do|does|can|will|are|is)\s*not|\b(?:don|doesn|can|won|aren|isn)'t)\s+(?:able\s+to\s+)?(?:offer|allow|support|provide|consider|hire)\s+(?:for\s+)?(?:any\s+)?(?:fully\s+)?remote(?:ly)?\b/,
+    /\b(?:unable to|without)\s+(?:offer(?:ing)?\s+|support(?:ing)?\s+)?(?:any\s+)?remote(?:ly)?\b/,
+  ]
+    .map((pattern) => pattern.source)
+    .join('|'),
+  'gi'
+);
+// "Remote" in the tech sense ("remote caching", "remote debugging") says
+// nothing about where the job is done.
+const INCIDENTAL_REMOTE_PATTERN =
+  /\bremote(?:ly)?[-\s](?:cach(?:e|ing)|builds?|execution|sensing|procedures?|servers?|hosts?|machines?|repositor(?:y|ies)|branch(?:es)?|debugging|access|control(?:led|s)?|monitoring|desktops?|devices?|sensors?|storage|backends?|APIs?|calls?|patients?|shells?|connections?|configuration|management)\b/gi;
+const HYBRID_PATTERN = /\bhybrid\b(?![-\s](?:cloud|apps?|mobile|infrastructure|environments?))/i;
+const ONSITE_PATTERN = /\bon[-\s]?site\b|\bin[-\s](?:the[-\s])?office\b|\boffice[-\s]based\b|\bin[-\s]person\b/i;
+// On-site as a statement about the role itself, which outweighs a stray
+// "remote" elsewhere in the text.
+const EXPLICIT_ONSITE_PATTERN =
+  /\b(?:fully|100%|strictly|entirely|exclusively)\s+(?:on[-\s]?site|in[-\s]office|office[-\s]based|in[-\s]person)\b|\b(?:on[-\s]?site|in[-\s]office|office[-\s]based|in[-\s]person)\s+(?:role|position|job|only)\b|\b(?:role|position|job) is (?:based )?(?:on[-\s]?site|in[-\s]office|office[-\s]based|in[-\s]person)\b/i;
+
+const modeOf = (text = '') => {
+  if (HYBRID_PATTERN.test(text)) return 'hybrid';
+  if (EXPLICIT_ONSITE_PATTERN.test(text)) return 'onsite';
+  const workText = text
+    .replace(NEGATED_REMOTE_PATTERN, ' ')
+    .replace(INCIDENTAL_REMOTE_PATTERN, ' ');
+  if (REMOTE_PATTERN.test(workText)) return 'remote';
+  if (ONSITE_PATTERN.test(text)) return 'onsite';
+  return null;
+};
+
+// UK ("EC2A 4NE") and numeric ("10115", "75008") postal codes.
+const stripPostalCode = (part) =>
+  part
+    .replace(/^\d{4,6}\s+/, '')
+    .replace(/\s+\d{4,6}$/, '')
+    .replace(/\s+[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}$/, '')
+    .trim();
+
+const MODE_WORDS =
+  /\b(?:fully\s+)?remote(?:ly)?(?:[-\s]first|[-\s]friendly)?\b|\bhybrid\b|\bon[-\s]?site\b|\bin[-\s]office\b|\banywhere in\b|\bonly\b|\bbased\b/gi;
+
+// Parses one location label as written by an ATS or a page: "Berlin,
+// Germany", "San Jose, CA", "Remote - US", "Hybrid (London, UK)",
+// "10115 Berlin", "Munich | Bavaria | DE". Returns
+// { workMode, office, regions }.
+const parsePlace = (raw = '') => {
+  const text = String(raw).replace(/\s+/g, ' ').trim();
+  if (!text) return { workMode: null, office: null, regions: [] };
+
+  const workMode = modeOf(text);
+  const parts = text
+    .replace(MODE_WORDS, ' ')
+    .split(/\s*[,|·;/()&]\s*|\s+[-–—]\s+|\s+(?:or|and)\s+|^\s*[-–—]\s*|\s*[-–—]\s*$/)
+    .map((part) => stripPostalCode(part.replace(/\s+/g, ' ')))
+    .filter((part) => part && /\p{L}/u.test(part));
+
+  if (parts.length === 0) return { workMode, office: null, regions: [] };
+
+  // "Remote - US", "Remote (EMEA)": the rest says where candidates may live.
+  const asRegions = parts.map((part) => toRegion(part) || toCountry(part));
+  if (asRegions.every(Boolean) && (workMode === 'remote' || parts.length === 1)) {
+    return workMode === 'remote'
+      ? { workMode, office: null, regions: asRegions }
+      : { workMode, office: { country: asRegions[0] }, regions: [] };
+  }
+
+  const last = parts[parts.length - 1];
+  let country;
+  let region;
+  let cityParts = parts;
+
+  // "San Jose, CA" is California, not Canada, unless the city is a known
+  // hub elsewhere ("Berlin, DE").
+  const knownCountry = CITY_COUNTRIES[parts[0]];
+  if (
+    parts.length === 2 &&
+    US_STATES.has(last) &&
+    (!knownCountry || knownCountry === 'United States')
+  ) {
+    region = last;
+    country = 'United States';
+    cityParts = parts.slice(0, -1);
+  } else if (toCountry(last)) {
+    country = toCountry(last);
+    cityParts = parts.slice(0, -1);
+  }
+
+  const [city, ...rest] = cityParts;
+  if (!region && rest.length > 0) {
+    region = rest.join(', ');
+  }
+
+  return {
+    workMode,
+    office: {
+      city,
+      region,
+      country: country || CITY_COUNTRIES[city] || undefined,
+    },
+    regions: [],
+  };
+};
+
+const formatOffice = ({ city, region, country } = {}) =>
+  [city, region, country].filter(Boolean).join(', ');
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+const DAY_COUNT = '(\\d|one|two|three|four|five)';
+const DAYS_IN_OFFICE_PATTERNS = [
+  // "3 days a week in the office", "2-3 days per week on-site"
+  new RegExp(
+    `${DAY_COUNT}(?:\\s*(?:-|–|to|or)\\s*${DAY_COUNT})?\\s*days?\\s*(?:(?:a|per|each|/)\\s*week\\s*)?(?:in|at|from|on)[-\\s]*(?:the\\s+|our\\s+)?(?:office|on[-\\s]?site|site|hub|studio)`,
+    'i'
+  ),
+  // "in the office 3 days a week", "on-site two days per week"
+  new RegExp(
+    `(?:(?:in|at)\\s+(?:the\\s+|our\\s+)?(?:office|hub|studio)|on[-\\s]?site)\\s+(?:for\\s+)?${DAY_COUNT}(?:\\s*(?:-|–|to|or)\\s*${DAY_COUNT})?\\s*days?`,
+    'i'
+  ),
+];
+
+const toDayCount = (value) =>
+  value === undefined ? undefined : NUMBER_WORDS[value.toLowerCase()] ?? Number(value);
+
+const parseDaysInOffice = (text = '') => {
+  for (const pattern of DAYS_IN_OFFICE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const min = toDayCount(match[1]);
+      const max = toDayCount(match[2]) ?? min;
+      if (min >= 1 && max <= 5) {
+        return { min: Math.min(min, max), max: Math.max(min, max) };
+      }
+    }
+  }
+  return undefined;
+};
+
+const TIMEZONE_NAME =
+  '(?:(?:UTC|GMT)\\s?[+\\-−–]\\s?\\d{1,2}(?::\\d{2})?|\\b(?:PST|PDT|PT|EST|EDT|ET|CST|CDT|CT|MST|MDT|MT|CET|CEST|EET|EEST|WET|WEST|BST|GMT|UTC|IST|AEST|AEDT|JST|SGT)\\b|\\b(?:US\\s+)?(?:Eastern|Pacific|Central|Mountain|Central European|Eastern European|Western European)(?:\\s+Standard)?\\s+Time\\b)';
+const TIMEZONE_CONTEXT = /time[-\s]?zones?|\bhours?\b|overlap|working hours|\b(?:UTC|GMT)\s?[+\-−–]/i;
+const TIMEZONE_WITH_OFFSET = new RegExp(
+  `(?:(?:±|\\+/-|\\+-|within|plus or minus)\\s*(\\d{1,2})\\s*(?:h|hrs?|hours?)\\s+(?:of\\s+)?)?(${TIMEZONE_NAME})(?:\\s*(?:±|\\+/-|\\+-)\\s*(\\d{1,2})\\s*(?:h|hrs?|hours?)?)?`,
+  'gi'
+);
+
+// Time-zone requirements, e.g. "within 3 hours of CET" -> "CET ±3h".
+const parseTimezones = (text = '') => {
+  const found = new Set();
+  text
+    .split(/(?<=[.!?\n])\s+/)
+    .filter((sentence) => TIMEZONE_CONTEXT.test(sentence))
+    .forEach((sentence) => {
+      for (const match of sentence.matchAll(TIMEZONE_WITH_OFFSET)) {
+        const name = match[2].replace(/\s+/g, ' ').replace(/[−–]/, '-');
+        const spread = match[1] || match[3];
+        found.add(spread ? `${name} ±${spread}h` : name);
+      }
+    });
+  return Array.from(found);
+};
+
+// Sentences that restrict where remote candidates may live.
+const REMOTE_SCOPE_PATTERN =
+  /\bremote\b|\bbased in\b|\blocated in\b|\breside in\b|\bliving in\b|\beligible to work in\b|\bwork authori[sz]ation\b|\banywhere\b/i;
+
+const findRemoteRegionsInText = (text = '') =>
+  Array.from(
+    new Set(
+      text
+        .split(/(?<=[.!?\n])\s+/)
+        .filter((sentence) => REMOTE_SCOPE_PATTERN.test(sentence) && sentence.length <= 300)
+        .flatMap(findPlacesIn)
+    )
+  );
+
+const toGlobal = (pattern) => new RegExp(pattern.source, `${pattern.flags}g`);
+
+const MODE_PHRASE_PATTERNS = [
+  REMOTE_PATTERN,
+  HYBRID_PATTERN,
+  ONSITE_PATTERN,
+  ...DAYS_IN_OFFICE_PATTERNS,
+].map(toGlobal);
+const CITY_MATCHERS = buildPlaceMatchers(
+  Object.fromEntries(Object.keys(CITY_COUNTRIES).map((city) => [city, []]))
+);
+const PLACE_PHRASE_PATTERNS = [...REGION_MATCHERS, ...COUNTRY_MATCHERS, ...CITY_MATCHERS]
+  .flatMap((matcher) => [matcher.pattern, matcher.codePattern])
+  .filter(Boolean)
+  .map(toGlobal);
+
+// Location phrases as written in the text (work mode, days in office, time
+// zones, places), for highlighting.
+const findLocationPhrases = (text = '') => {
+  const phrases = new Set();
+  const addMatches = (pattern, source) => {
+    for (const match of source.matchAll(pattern)) {
+      phrases.add(match[0].trim());
+    }
+  };
+
+  [...MODE_PHRASE_PATTERNS, ...PLACE_PHRASE_PATTERNS].forEach((pattern) =>
+    addMatches(pattern, text)
+  );
+  text
+    .split(/(?<=[.!?\n])\s+/)
+    .filter((sentence) => TIMEZONE_CONTEXT.test(sentence))
+    .forEach((sentence) => addMatches(TIMEZONE_WITH_OFFSET, sentence));
+  return Array.from(phrases).filter(Boolean);
+};
+
+const MODE_LABELS = {
+  remote: 'Remote',
+  hybrid: 'Hybrid',
+  onsite: 'On-site',
+  unknown: 'Location not stated',
+};
+
+const summarizeLocation = ({ workMode, remoteRegions, offices, daysInOffice, timezones }) => {
+  const days =
+    daysInOffice &&
+    (daysInOffice.min === daysInOffice.max
+      ? `${daysInOffice.min} days/week in office`
+      : `${daysInOffice.min}–${daysInOffice.max} days/week in office`);
+
+  return [
+    MODE_LABELS[workMode],
+    remoteRegions.length > 0 ? remoteRegions.join(', ') : null,
+    offices.length > 0 ? offices.map(formatOffice).join(' / ') : null,
+    days,
+    timezones.length > 0 ? timezones.join(', ') : null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+};
+
+// Builds the location object from whatever each extraction path knows:
+//   workMode  mode stated by a platform API, if any
+//   isRemote  JSON-LD TELECOMMUTE flag
+//   places    location labels ("Berlin, Germany", "Remote - US")
+//   regions   explicit applicant location requirements
+//   text      description text (no page chrome) for mode, days in office,
+//             time zones and remote-region hints
+const buildLocation = ({
+  workMode,
+  isRemote = false,
+  places = [],
+  regions = [],
+  text = '',
+} = {}) => {
+  const parsedPlaces = places.filter(Boolean).map(parsePlace);
+  const offices = [];
+  const seenOffices = new Set();
+  parsedPlaces.forEach(({ office }) => {
+    const key = office && formatOffice(office).toLowerCase();
+    if (key && !seenOffices.has(key)) {
+      seenOffices.add(key);
+      offices.push(office);
+    }
+  });
+
+  const placeModes = parsedPlaces.map((place) => place.workMode).filter(Boolean);
+  const daysInOffice = parseDaysInOffice(text);
+  const textMode = daysInOffice ? 'hybrid' : modeOf(text);
+
+  const resolvedMode =
+    (WORK_MODES.includes(workMode) && workMode !== 'unknown' && workMode) ||
+    (isRemote && (textMode === 'hybrid' ? 'hybrid' : 'remote')) ||
+    ['hybrid', 'remote', 'onsite'].find((mode) => placeModes.includes(mode)) ||
+    textMode ||
+    (offices.length > 0 ? 'onsite' : 'unknown');
+
+  // Stated requirements win; otherwise fall back to remote labels and the
+  // sentences around "remote" / "based in" in the description.
+  const statedRegions = [
+    ...regions.map((region) => toRegion(region) || toCountry(region) || region),
+    ...parsedPlaces.flatMap((place) => place.regions),
+  ];
+  const remoteRegions =
+    resolvedMode === 'remote' || resolvedMode === 'hybrid'
+      ? Array.from(
+          new Set(
+            statedRegions.length > 0 || resolvedMode === 'hybrid'
+              ? statedRegions
+              : findRemoteRegionsInText(text)
+          )
+        )
+      : [];
+
+  const location = {
+    workMode: resolvedMode,
+    remoteRegions,
+    timezones: parseTimezones(text),
+    offices: resolvedMode === 'remote' ? offices.filter((office) => office.city) : offices,
+    daysInOffice: resolvedMode === 'hybrid' ? daysInOffice : undefined,
+  };
+
+  return { ...location, summary: summarizeLocation(location) };
+};
+
+module.exports = {
+  WORK_MODES,
+  toCountry,
+  findPlacesIn,
+  isPlaceWithin,
+  parsePlace,
+  parseDaysInOffice,
+  parseTimezones,
+  findLocationPhrases,
+  formatOffice,
+  buildLocation,
+};
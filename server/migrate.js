@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const auth = require('./auth');
+const { DATA_DIR, userDataDir } = require('./jsonStore');
+const { LIBRARY_FILE_NAME } = require('./library');
+const { PROFILE_FILE_NAME } = require('./profile');
+const { APPLICATIONS_FILE_NAME } = require('./applications');
+const { TECH_STACKS_FILE_NAME } = require('./techStacks');
+const watchlists = require('./watchlists');
+
+// Before user accounts, the library, profile and pipeline were single files
+// in DATA_DIR and the tech stacks lived next to the server code. The first
+// start with accounts creates a default user and moves that data into it.
+const LEGACY_USER_FILES = [LIBRARY_FILE_NAME, PROFILE_FILE_NAME, APPLICATIONS_FILE_NAME];
+const LEGACY_TECH_STACKS_PATH = path.join(__dirname, TECH_STACKS_FILE_NAME);
+
+// A generated password is written here, readable only by the server's user,
+// rather than to the console where logs would keep it.
+const DEFAULT_PASSWORD_PATH = path.join(DATA_DIR, 'default-password.txt');
+
+const writePasswordFile = (password) => {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(DEFAULT_PASSWORD_PATH, `${password}\n`, { mode: 0o600 });
+  fs.chmodSync(DEFAULT_PASSWORD_PATH, 0o600);
+};
+
+// The default user's name and password from JD_FILTER_DEFAULT_USER and
+// JD_FILTER_DEFAULT_PASSWORD. Values a sign-up would refuse stop the start
+// rather than create an account nobody can sign in to.
+const readDefaultCredentials = () => {
+  const username = (process.env.JD_FILTER_DEFAULT_USER || 'default').trim().toLowerCase();
+  const usernameError = auth.validateUsername(username);
+  if (usernameError) {
+    throw new Error(`JD_FILTER_DEFAULT_USER is not a valid username. ${usernameError}`);
+  }
+  const password = process.env.JD_FILTER_DEFAULT_PASSWORD || undefined;
+  const passwordError = password === undefined ? null : auth.validatePassword(password);
+  if (passwordError) {
+    throw new Error(`JD_FILTER_DEFAULT_PASSWORD is not a valid password. ${passwordError}`);
+  }
+  return { username, password };
+};
+
+// Runs once, when there are no users yet. Returns null when there was
+// nothing to do, or `{ user, passwordFile, moved }`; `passwordFile` is set
+// only when the password was generated and the operator has to look it up.
+const migrateToUserAccounts = () => {
+  if (auth.listUsers().length > 0) return null;
+
+  const credentials = readDefaultCredentials();
+  const generated = credentials.password === undefined;
+  const password = generated ? crypto.randomBytes(12).toString('base64url') : credentials.password;
+  const user = auth.createUser({ username: credentials.username, password });
+  if (generated) {
+    writePasswordFile(password);
+  }
+  const targetDir = userDataDir(user.id);
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  const moved = LEGACY_USER_FILES.filter((fileName) => {
+    const legacyPath = path.join(DATA_DIR, fileName);
+    if (!fs.existsSync(legacyPath)) return false;
+    fs.renameSync(legacyPath, path.join(targetDir, fileName));
+    return true;
+  });
+
+  // The legacy tech stacks file is part of the checkout, so it is copied
+  // rather than moved.
+  if (fs.existsSync(LEGACY_TECH_STACKS_PATH)) {
+    fs.copyFileSync(LEGACY_TECH_STACKS_PATH, path.join(targetDir, TECH_STACKS_FILE_NAME));
+    moved.push(TECH_STACKS_FILE_NAME);
+  }
+  if (watchlists.assignUnowned(user.id) > 0) {
+    moved.push('watchlists');
+  }
+
+  return { user, passwordFile: generated ? DEFAULT_PASSWORD_PATH : null, moved };
+};
+
+module.exports = {
+  migrateToUserAccounts,
+};
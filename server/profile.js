@@ -0,0 +1,87 @@
+const path = require('path');
+const { SENIORITY_LEVELS } = require('./attributes');
+const { perUserStore, readJsonFile, writeJsonFile } = require('./jsonStore');
+
+// The candidate profile jobs are scored against, one per user. The tech
+// side of the profile is the user's tech-stack taxonomy; everything else
+// lives here.
+const PROFILE_FILE_NAME = 'profile.json';
+
+const REMOTE_PREFERENCES = ['any', 'remote', 'hybrid', 'onsite'];
+
+// Relative weights of each criterion in the 0-100 score.
+const DEFAULT_WEIGHTS = {
+  tech: 50,
+  location: 20,
+  seniority: 15,
+  salary: 15,
+};
+
+const DEFAULT_PROFILE = {
+  remotePreference: 'any',
+  locations: [],
+  seniority: null,
+  salary: { min: null, currency: 'USD' },
+  weights: DEFAULT_WEIGHTS,
+};
+
+const toPositiveNumber = (value) => {
+  const number = typeof value === 'string' ? Number(value.replace(/[,\s]/g, '')) : value;
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+// Fills in defaults and drops anything we do not understand, so a partial
+// PUT body (or an old file) always yields a complete profile.
+const normalizeProfile = (raw = {}) => {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const weights = { ...DEFAULT_WEIGHTS };
+  Object.keys(DEFAULT_WEIGHTS).forEach((key) => {
+    const weight = Number(source.weights?.[key]);
+    if (Number.isFinite(weight) && weight >= 0) {
+      weights[key] = weight;
+    }
+  });
+
+  const currency =
+    typeof source.salary?.currency === 'string' && /^[a-z]{3}$/i.test(source.salary.currency)
+      ? source.salary.currency.toUpperCase()
+      : DEFAULT_PROFILE.salary.currency;
+
+  return {
+    remotePreference: REMOTE_PREFERENCES.includes(source.remotePreference)
+      ? source.remotePreference
+      : DEFAULT_PROFILE.remotePreference,
+    locations: Array.from(
+      new Set(
+        (Array.isArray(source.locations) ? source.locations : [])
+          .map((location) => (typeof location === 'string' ? location.trim() : ''))
+          .filter(Boolean)
+      )
+    ),
+    seniority: SENIORITY_LEVELS.includes(source.seniority) ? source.seniority : null,
+    salary: { min: toPositiveNumber(source.salary?.min), currency },
+    weights,
+  };
+};
+
+const createProfileStore = (dataDir) => {
+  const filePath = path.join(dataDir, PROFILE_FILE_NAME);
+  let profile = normalizeProfile(readJsonFile(filePath, DEFAULT_PROFILE));
+
+  return {
+    getProfile: () => profile,
+    saveProfile: (raw) => {
+      profile = normalizeProfile(raw);
+      writeJsonFile(filePath, profile);
+      return profile;
+    },
+  };
+};
+
+module.exports = {
+  REMOTE_PREFERENCES,
+  DEFAULT_WEIGHTS,
+  PROFILE_FILE_NAME,
+  normalizeProfile,
+  forUser: perUserStore(createProfileStore),
+};
@@ -0,0 +1,270 @@
+// Optional headless-browser rendering for job boards that build the
+// description client-side. Playwright is an optional dependency in
+// package.json and needs a browser (`npx playwright install chromium`, or
+// RENDER_BROWSER_PATH pointing at an installed Chrome/Chromium); without
+// either, the generic extractor keeps the static HTML.
+
+const fs = require('fs');
+const { createFetchError, errorForResponse } = require('./errors');
+const { POLICY, assertAllowedUrl, tooLargeError } = require('./fetchPolicy');
+
+const RENDER_TIMEOUT_MS = Number(process.env.RENDER_TIMEOUT_MS) || 15000;
+const RENDER_POOL_SIZE = Number(process.env.RENDER_POOL_SIZE) || 2;
+// How long the page may keep fetching after DOMContentLoaded before the
+// current DOM is taken as is.
+const NETWORK_IDLE_TIMEOUT_MS = Math.min(5000, RENDER_TIMEOUT_MS);
+
+const USER_AGENT =
+  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+const unavailableError = (reason) =>
+  createFetchError('RENDERER_UNAVAILABLE', `Headless rendering is not available: ${reason}`);
+
+let playwright;
+const loadPlaywright = () => {
+  if (playwright === undefined) {
+    try {
+      playwright = require('playwright');
+    } catch (_err) {
+      playwright = null;
+    }
+  }
+  return playwright;
+};
+
+// An installed Chrome/Chromium to use instead of Playwright's download.
+// Read on every launch, so tests can point it elsewhere.
+const browserPath = () => process.env.RENDER_BROWSER_PATH || undefined;
+
+// Why rendering cannot start, or null. Playwright's own browser is only
+// found by launching it (headless runs use a separate shell build), so a
+// missing download shows up as a launch failure.
+const findUnavailableReason = () => {
+  if (!loadPlaywright()) {
+    return 'the "playwright" package is not installed.';
+  }
+  const executable = browserPath();
+  if (executable && !fs.existsSync(executable)) {
+    return `RENDER_BROWSER_PATH points to ${executable}, which does not exist.`;
+  }
+  return null;
+};
+
+// Set when the browser is there but fails to launch. Every thin page would
+// retry and fail the same way, so renders fail fast with this error until
+// closeRenderer() resets it.
+let launchError = null;
+
+const isRenderingAvailable = () => !launchError && !findUnavailableReason();
+
+// One shared browser; each render borrows an isolated context from a small
+// pool, so cookies and storage never leak between postings while the
+// browser process itself is reused.
+let browserPromise = null;
+const idleContexts = [];
+const waiting = [];
+let openContexts = 0;
+
+const resetPool = () => {
+  browserPromise = null;
+  idleContexts.length = 0;
+  openContexts = 0;
+  waiting.splice(0).forEach(({ reject }) => reject(new Error('The headless browser closed.')));
+};
+
+const getBrowser = () => {
+  if (launchError) {
+    return Promise.reject(launchError);
+  }
+  if (!browserPromise) {
+    const reason = findUnavailableReason();
+    if (reason) {
+      return Promise.reject(unavailableError(reason));
+    }
+    browserPromise = loadPlaywright()
+      .chromium.launch({ headless: true, executablePath: browserPath() })
+      .then((browser) => {
+        browser.on('disconnected', resetPool);
+        return browser;
+      })
+      .catch((error) => {
+        browserPromise = null;
+        launchError = unavailableError(error.message.split('\n')[0]);
+        throw launchError;
+      });
+  }
+  return browserPromise;
+};
+
+// Requests the page starts (navigations, XHR, iframes, assets) fall under
+// the same outbound policy as server-side fetches. Playwright only routes
+// the first URL of a redirect chain; later hops are checked by
+// watchRedirects.
+const guardRequest = async (route) => {
+  const requestUrl = route.request().url();
+  if (!/^https?:/i.test(requestUrl)) {
+    return route.continue();
+  }
+  try {
+    await assertAllowedUrl(requestUrl);
+    return route.continue();
+  } catch (_err) {
+    return route.abort('blockedbyclient');
+  }
+};
+
+const acquireContext = async () => {
+  const idle = idleContexts.pop();
+  if (idle) {
+    return idle;
+  }
+
+  if (openContexts < RENDER_POOL_SIZE) {
+    openContexts += 1;
+    try {
+      const browser = await getBrowser();
+      // Service workers fetch outside of routing, so they are not allowed.
+      const context = await browser.newContext({
+        userAgent: USER_AGENT,
+        javaScriptEnabled: true,
+        serviceWorkers: 'block',
+      });
+      await context.route('**/*', guardRequest);
+      return context;
+    } catch (error) {
+      openContexts -= 1;
+      throw error;
+    }
+  }
+
+  // Every context is busy: wait for one to be released.
+  return new Promise((resolve, reject) => {
+    const entry = {};
+    const timer = setTimeout(() => {
+      const index = waiting.indexOf(entry);
+      if (index !== -1) {
+        waiting.splice(index, 1);
+      }
+      reject(new Error(`No browser context became free within ${RENDER_TIMEOUT_MS}ms.`));
+    }, RENDER_TIMEOUT_MS);
+    entry.resolve = (context) => {
+      clearTimeout(timer);
+      resolve(context);
+    };
+    entry.reject = (error) => {
+      clearTimeout(timer);
+      reject(error);
+    };
+    waiting.push(entry);
+  });
+};
+
+const releaseContext = async (context) => {
+  try {
+    await context.clearCookies();
+  } catch (_err) {
+    // The context is unusable. If the browser went away the pool has
+    // already been reset; otherwise free its slot.
+    if (context.browser()?.isConnected()) {
+      openContexts -= 1;
+      await context.close().catch(() => {});
+    }
+    return;
+  }
+
+  const next = waiting.shift();
+  if (next) {
+    next.resolve(context);
+  } else {
+    idleContexts.push(context);
+  }
+};
+
+// Checks every redirect hop the page follows. The check cannot hold the
+// request back, so the returned function throws the policy error of any
+// refused hop and the render fails instead of returning what it reached.
+const watchRedirects = (page) => {
+  const checks = [];
+  page.on('request', (request) => {
+    if (request.redirectedFrom() && /^https?:/i.test(request.url())) {
+      const check = assertAllowedUrl(request.url());
+      checks.push(check.then(() => null).catch((error) => error));
+    }
+  });
+  return async () => {
+    const refused = (await Promise.all(checks)).find(Boolean);
+    if (refused) {
+      throw refused;
+    }
+  };
+};
+
+// Loads `targetUrl` in a pooled browser context and returns the rendered
+// DOM as HTML. Navigation is bounded by RENDER_TIMEOUT_MS; pages that keep
+// polling after load are captured once the network-idle wait runs out. The
+// DOM is subject to the same size limit as a fetched page.
+const renderPage = async (targetUrl) => {
+  await assertAllowedUrl(targetUrl);
+  const context = await acquireContext();
+  let page = null;
+
+  try {
+    page = await context.newPage();
+    const assertRedirectsAllowed = watchRedirects(page);
+    const response = await page
+      .goto(targetUrl, { waitUntil: 'domcontentloaded', timeout: RENDER_TIMEOUT_MS })
+      .catch(async (error) => {
+        await assertRedirectsAllowed();
+        throw error;
+      });
+    await assertRedirectsAllowed();
+    if (response && !response.ok()) {
+      throw errorForResponse(
+        { status: response.status(), headers: { get: (name) => response.headers()[name] } },
+        targetUrl
+      );
+    }
+
+    await page
+      .waitForLoadState('networkidle', { timeout: NETWORK_IDLE_TIMEOUT_MS })
+      .catch(() => {});
+    // Characters are a lower bound on UTF-8 bytes, so oversized pages are
+    // caught before their markup is copied out of the browser.
+    const length = await page.evaluate(() => document.documentElement?.outerHTML.length ?? 0);
+    if (length > POLICY.maxBytes) {
+      throw tooLargeError(targetUrl);
+    }
+    const html = await page.content();
+    if (Buffer.byteLength(html) > POLICY.maxBytes) {
+      throw tooLargeError(targetUrl);
+    }
+    await assertRedirectsAllowed();
+    return html;
+  } finally {
+    if (page) {
+      await page.close().catch(() => {});
+    }
+    await releaseContext(context);
+  }
+};
+
+const closeRenderer = async () => {
+  launchError = null;
+  if (!browserPromise) {
+    return;
+  }
+  const pending = browserPromise;
+  resetPool();
+  try {
+    const browser = await pending;
+    await browser.close();
+  } catch (_err) {
+    // Never launched or already gone.
+  }
+};
+
+module.exports = {
+  isRenderingAvailable,
+  renderPage,
+  closeRenderer,
+};
@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const path = require('path');
+const { IMPORTANCE_LEVELS, detectTechStacks } = require('./sections');
+const { TECH_PRESETS, normalizeTaxonomy } = require('./taxonomy');
+const { WORK_MODES, formatOffice, isPlaceWithin } = require('./location');
+const { describeJobLocation, formatAmount, toYearly } = require('./scoring');
+const { perUserStore, readJsonFile, writeJsonFile } = require('./jsonStore');
+
+// Each user's deal-breakers: rules evaluated on every extracted job that
+// decide whether it is hidden. A rule is
+//
+//   { id, action: "exclude" | "include", enabled, condition }
+//
+// An exclude rule hides the jobs its condition matches; an include rule
+// hides the jobs it does not match, so every include rule is a must-have.
+// Conditions:
+//
+//   { type: "keyword", keywords }                  title or description
+//                                                  mentions any keyword
+//   { type: "tech", name, importance }             the tech was detected at
+//                                                  `importance` or stronger,
+//                                                  whether or not the user
+//                                                  saved it (see ruleTechs)
+//   { type: "location", workModes, places, scope } the work mode is one of
+//                                                  `workModes` (any when
+//                                                  empty) and a place is
+//                                                  "inside" / all places are
+//                                                  "outside" `places`
+//   { type: "salary", min, currency }              pays at least `min` a year
+//   { type: "company", names }                     company is on the list
+//
+// A condition the posting gives no answer to (no salary, unknown work mode)
+// never hides a job; it is reported as unchecked instead.
+const RULES_FILE_NAME = 'rules.json';
+
+const RULE_ACTIONS = ['exclude', 'include'];
+const CONDITION_TYPES = ['keyword', 'tech', 'location', 'salary', 'company'];
+const LOCATION_SCOPES = ['inside', 'outside'];
+const MAX_RULES = 50;
+const MAX_VALUES = 30;
+const MAX_VALUE_LENGTH = 100;
+
+const MODE_LABELS = { remote: 'Remote', hybrid: 'Hybrid', onsite: 'On-site' };
+const IMPORTANCE_LABELS = {
+  required: 'required',
+  preferred: 'a nice-to-have',
+  mentioned: 'mentioned',
+  boilerplate: 'only in the company blurb',
+};
+
+// A list of short strings, deduplicated case-insensitively.
+const toValueList = (raw) => {
+  const values = new Map();
+  (Array.isArray(raw) ? raw : [])
+    .map((value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : ''))
+    .filter((value) => value && value.length <= MAX_VALUE_LENGTH)
+    .forEach((value) => {
+      if (!values.has(value.toLowerCase())) values.set(value.toLowerCase(), value);
+    });
+  return Array.from(values.values()).slice(0, MAX_VALUES);
+};
+
+const toPositiveNumber = (value) => {
+  const number = typeof value === 'string' ? Number(value.replace(/[,\s]/g, '')) : value;
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+// Returns `{ value }` with a cleaned condition or `{ error }`.
+const validateCondition = (raw) => {
+  const type = raw?.type;
+  if (!CONDITION_TYPES.includes(type)) {
+    return { error: `Condition type must be one of ${CONDITION_TYPES.join(', ')}.` };
+  }
+
+  if (type === 'keyword' || type === 'company') {
+    const field = type === 'keyword' ? 'keywords' : 'names';
+    const values = toValueList(raw[field]);
+    if (values.length === 0) {
+      return { error: `A ${type} condition needs at least one entry in "${field}".` };
+    }
+    return { value: { type, [field]: values } };
+  }
+
+  if (type === 'tech') {
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    if (!name || name.length > MAX_VALUE_LENGTH) {
+      return { error: 'A tech condition needs the tech "name".' };
+    }
+    const importance = IMPORTANCE_LEVELS.includes(raw.importance) ? raw.importance : 'mentioned';
+    return { value: { type, name, importance } };
+  }
+
+  if (type === 'location') {
+    const workModes = (Array.isArray(raw.workModes) ? raw.workModes : []).filter(
+      (mode, index, modes) =>
+        WORK_MODES.includes(mode) && mode !== 'unknown' && modes.indexOf(mode) === index
+    );
+    const places = toValueList(raw.places);
+    if (workModes.length === 0 && places.length === 0) {
+      return { error: 'A location condition needs work modes, places or both.' };
+    }
+    const scope = LOCATION_SCOPES.includes(raw.scope) ? raw.scope : 'inside';
+    return { value: { type, workModes, places, scope } };
+  }
+
+  const min = toPositiveNumber(raw.min);
+  if (!min) {
+    return { error: 'A salary condition needs a yearly "min" above zero.' };
+  }
+  const currency =
+    typeof raw.currency === 'string' && /^[a-z]{3}$/i.test(raw.currency.trim())
+      ? raw.currency.trim().toUpperCase()
+      : 'USD';
+  return { value: { type, min, currency } };
+};
+
+// Validates a full rule set (`PUT /api/rules`). Returns `{ value }` with the
+// cleaned rules, or `{ error }` naming the first bad rule.
+const validateRules = (raw) => {
+  if (!Array.isArray(raw)) {
+    return { error: 'Expected body: { "rules": object[] }' };
+  }
+  if (raw.length > MAX_RULES) {
+    return { error: `You can save at most ${MAX_RULES} rules.` };
+  }
+
+  const rules = [];
+  for (const [index, rule] of raw.entries()) {
+    if (!rule || typeof rule !== 'object' || !RULE_ACTIONS.includes(rule.action)) {
+      return { error: `Rule ${index + 1}: "action" must be "exclude" or "include".` };
+    }
+    const condition = validateCondition(rule.condition);
+    if (condition.error) {
+      return { error: `Rule ${index + 1}: ${condition.error}` };
+    }
+    rules.push({
+      id: typeof rule.id === 'string' && rule.id.trim() ? rule.id.trim() : crypto.randomUUID(),
+      action: rule.action,
+      enabled: rule.enabled !== false,
+      condition: condition.value,
+    });
+  }
+  return { value: rules };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word, case-insensitive; "C++" and "TS/SCI" work too.
+const mentions = (text, phrase) =>
+  new RegExp(`(?<![\\w])${escapeRegex(phrase)}(?![\\w])`, 'i').test(text);
+
+const quoteList = (values) => values.map((value) => `"${value}"`).join(', ');
+
+// `job.techStacks` only lists the techs the user saved, so tech rules run
+// their own detection over the description with the saved taxonomy (and
+// its ignore rules), every preset and every tech a rule names. Jobs without
+// a description fall back to the techs they carry.
+const ruleTechs = (job, rules, techStacks) => {
+  const carried = (Array.isArray(job.techStacks) ? job.techStacks : [])
+    .map((entry) => (typeof entry === 'string' ? { name: entry, importance: 'mentioned' } : entry))
+    .filter((entry) => typeof entry?.name === 'string' && entry.name !== 'Not provided');
+  const description = [job.description?.html, job.description?.text].find(
+    (value) => typeof value === 'string' && value.trim()
+  );
+  if (!description) return carried;
+
+  const taxonomy = normalizeTaxonomy([
+    ...techStacks,
+    ...TECH_PRESETS,
+    ...rules.filter((rule) => rule.condition?.type === 'tech').map((rule) => rule.condition.name),
+  ]);
+  const detected = detectTechStacks({ html: description, source: 'rules', taxonomy });
+  const detectedNames = new Set(detected.map((tech) => tech.name.toLowerCase()));
+  return [...detected, ...carried.filter((tech) => !detectedNames.has(tech.name.toLowerCase()))];
+};
+
+// Each evaluator returns `{ matched, detail }`, with `matched` null when the
+// posting does not say. `context.techs()` lists the techs found for tech
+// rules.
+const EVALUATORS = {
+  keyword: (job, { keywords }) => {
+    const description = job.description?.text || '';
+    const found = keywords.filter((keyword) =>
+      mentions(`${job.title || ''}\n${description}`, keyword)
+    );
+    if (found.length > 0) return { matched: true, detail: `Mentions ${quoteList(found)}.` };
+    if (!description) {
+      return { matched: null, detail: 'No description to search for keywords.' };
+    }
+    return { matched: false, detail: `Does not mention ${quoteList(keywords)}.` };
+  },
+
+  tech: (job, { name, importance }, context) => {
+    const tech = context.techs().find((entry) => entry.name.toLowerCase() === name.toLowerCase());
+    if (!tech) return { matched: false, detail: `${name} is not mentioned.` };
+
+    const level = tech.importance || 'mentioned';
+    return {
+      matched: IMPORTANCE_LEVELS.indexOf(level) <= IMPORTANCE_LEVELS.indexOf(importance),
+      detail: `${tech.name} is ${IMPORTANCE_LABELS[level] ?? level}.`,
+    };
+  },
+
+  location: (job, { workModes, places: areas, scope }) => {
+    const { workMode, offices, regions } = describeJobLocation(job.location);
+    const places = [...offices, ...regions];
+    const where = places
+      .map((place) => (typeof place === 'string' ? place : formatOffice(place)))
+      .join(' / ');
+    const described = [MODE_LABELS[workMode], where].filter(Boolean).join(' in ');
+
+    if (workModes.length > 0) {
+      if (workMode === 'unknown') {
+        return { matched: null, detail: 'The work mode is not stated.' };
+      }
+      if (!workModes.includes(workMode)) return { matched: false, detail: `${described}.` };
+    }
+    if (areas.length === 0) return { matched: true, detail: `${described}.` };
+    if (places.length === 0) {
+      return { matched: null, detail: 'The posting does not say where the role is based.' };
+    }
+
+    const isInside = places.some((place) => areas.some((area) => isPlaceWithin(place, area)));
+    const matched = scope === 'inside' ? isInside : !isInside;
+    return {
+      matched,
+      detail: `${described}, ${isInside ? 'within' : 'outside'} ${areas.join(', ')}.`,
+    };
+  },
+
+  salary: (job, { min, currency }) => {
+    const salary = job.baseSalary;
+    const top = salary?.max ?? salary?.min;
+    if (!salary || typeof top !== 'number') {
+      return { matched: null, detail: 'The salary is not disclosed.' };
+    }
+    const salaryCurrency =
+      typeof salary.currency === 'string' ? salary.currency.trim().toUpperCase() : '';
+    if (salaryCurrency && salaryCurrency !== currency) {
+      return { matched: null, detail: `The salary is in ${salaryCurrency}, not ${currency}.` };
+    }
+    const yearlyTop = toYearly(top, salary.unit);
+    const label = `${formatAmount(yearlyTop, salaryCurrency)} / year at most`;
+    return yearlyTop >= min
+      ? { matched: true, detail: `${label}.` }
+      : { matched: false, detail: `${label}, below ${formatAmount(min, currency)}.` };
+  },
+
+  company: (job, { names }) => {
+    if (!job.company) return { matched: null, detail: 'The company is not known.' };
+    const listed = names.find((name) => mentions(job.company, name));
+    return listed
+      ? { matched: true, detail: `${job.company} is on your company list.` }
+      : { matched: false, detail: `${job.company} is not on your company list.` };
+  },
+};
+
+// Applies the enabled rules to one job. `techStacks` is the user's saved
+// taxonomy. Returns `{ hidden, reasons, unchecked }`: `reasons` are the
+// rules that hide the job, `unchecked` the ones the posting gave no answer
+// to, each as `{ ruleId, action, detail }`.
+const evaluateRules = (job, rules = [], { techStacks = [] } = {}) => {
+  const reasons = [];
+  const unchecked = [];
+  const enabledRules = rules.filter((rule) => rule.enabled !== false);
+  let techs = null;
+  const context = {
+    techs: () => {
+      techs = techs ?? ruleTechs(job, enabledRules, techStacks);
+      return techs;
+    },
+  };
+
+  enabledRules.forEach((rule) => {
+    const evaluate = EVALUATORS[rule.condition?.type];
+    if (!evaluate) return;
+    const { matched, detail } = evaluate(job, rule.condition, context);
+    const entry = { ruleId: rule.id, action: rule.action, detail };
+    if (matched === null) {
+      unchecked.push(entry);
+    } else if (matched === (rule.action === 'exclude')) {
+      reasons.push(entry);
+    }
+  });
+
+  return { hidden: reasons.length > 0, reasons, unchecked };
+};
+
+const createRuleStore = (dataDir) => {
+  const filePath = path.join(dataDir, RULES_FILE_NAME);
+  const stored = readJsonFile(filePath, null);
+  let rules = validateRules(stored?.rules ?? []).value ?? [];
+
+  return {
+    getRules: () => rules,
+    saveRules: (nextRules) => {
+      rules = nextRules;
+      writeJsonFile(filePath, { rules });
+      return rules;
+    },
+  };
+};
+
+module.exports = {
+  RULES_FILE_NAME,
+  RULE_ACTIONS,
+  CONDITION_TYPES,
+  validateRules,
+  evaluateRules,
+  forUser: perUserStore(createRuleStore),
+};
@@ -0,0 +1,157 @@
+// In-process scheduler that re-checks due watchlists. Each check re-runs
+// the normal fetch pipeline for every URL (so the job library keeps the
+// latest snapshot) and turns what differs from the watchlist's own snapshot
+// of the posting into change-log entries. The library's `changes` cannot be
+// used for this: any other fetch of the same URL (a manual fetch, a batch,
+// another watchlist) replaces them before this watchlist sees them. Checks
+// run as the watchlist's owner, so shared watchlists update the owner's
+// library.
+const { runBatch } = require('./batch');
+const library = require('./library');
+const watchlists = require('./watchlists');
+
+const TICK_MS = Number(process.env.WATCHLIST_TICK_MS) || 60 * 1000;
+const CHECK_CONCURRENCY = 2;
+
+// A watchlist's snapshot of one URL: `{ libraryId, job, status,
+// lastErrorCode }`, with `job` the tracked fields (library.snapshotJob) as
+// of the last successful check and `status` "active" or "removed".
+const snapshotFromRecord = (record) =>
+  record && {
+    libraryId: record.id,
+    job: library.snapshotJob(record.job),
+    status: record.status === 'removed' ? 'removed' : 'active',
+    lastErrorCode: record.lastErrorCode ?? null,
+  };
+
+const describePosting = (snapshot, url) => ({
+  url,
+  libraryId: snapshot?.libraryId,
+  title: snapshot?.job?.title,
+  company: snapshot?.job?.company,
+});
+
+// Change-log entries for one URL, given the watchlist's snapshot from the
+// previous check and the outcome, plus the snapshot to keep. Types: added
+// (first snapshot), changed, reopened, removed and failed. A failure is
+// only logged when its code differs from the previous one, so a posting
+// that stays unreachable logs it once.
+const checkOutcome = (url, before, { job, error }) => {
+  if (error) {
+    const posting = describePosting(before, url);
+    if (error.code === 'POSTING_CLOSED') {
+      const isNewlyRemoved = Boolean(before?.job) && before.status !== 'removed';
+      return {
+        entries: isNewlyRemoved ? [{ type: 'removed', ...posting }] : [],
+        snapshot: { ...before, status: 'removed', lastErrorCode: error.code },
+      };
+    }
+    const snapshot = { ...before, lastErrorCode: error.code };
+    if (before?.lastErrorCode === error.code) {
+      return { entries: [], snapshot };
+    }
+    return {
+      entries: [{ type: 'failed', ...posting, code: error.code, message: error.message }],
+      snapshot,
+    };
+  }
+
+  const snapshot = {
+    libraryId: job.library?.id,
+    job: library.snapshotJob(job),
+    status: 'active',
+    lastErrorCode: null,
+  };
+  const posting = describePosting(snapshot, url);
+  if (!before?.job) {
+    return { entries: [{ type: 'added', ...posting }], snapshot };
+  }
+  if (before.status === 'removed') {
+    return { entries: [{ type: 'reopened', ...posting }], snapshot };
+  }
+  const changes = library.diffJobs(before.job, snapshot.job);
+  return {
+    entries: Object.keys(changes).length > 0 ? [{ type: 'changed', ...posting, changes }] : [],
+    snapshot,
+  };
+};
+
+const runningChecks = new Map();
+
+// `loadJob(url, userId)` fetches and records one posting in that user's
+// library (index.js passes loadAndRecordJob); `canonicalUrlFor` finds its
+// library record. Watchlists from before per-watchlist snapshots start from
+// the library record instead.
+const runCheck = async (watchlist, { loadJob, canonicalUrlFor }) => {
+  const entries = [];
+  const snapshots = {};
+  const ownerLibrary = library.forUser(watchlist.ownerId);
+  const previousSnapshot = (url) =>
+    watchlist.snapshots
+      ? watchlist.snapshots[url] || null
+      : snapshotFromRecord(ownerLibrary.findJobByUrl(canonicalUrlFor(url)));
+
+  await runBatch(watchlist.urls, {
+    concurrency: CHECK_CONCURRENCY,
+    onEvent: () => {},
+    loadJob: async (url) => {
+      const before = previousSnapshot(url);
+      try {
+        const job = await loadJob(url, watchlist.ownerId);
+        const outcome = checkOutcome(url, before, { job });
+        entries.push(...outcome.entries);
+        snapshots[url] = outcome.snapshot;
+        return job;
+      } catch (error) {
+        const outcome = checkOutcome(url, before, { error });
+        entries.push(...outcome.entries);
+        snapshots[url] = outcome.snapshot;
+        throw error;
+      }
+    },
+  });
+
+  return watchlists.recordCheck(watchlist.id, entries, snapshots);
+};
+
+// A "check now" request and the timer can ask for the same watchlist at
+// once; both then share one run.
+const checkWatchlist = (watchlist, deps) => {
+  if (!runningChecks.has(watchlist.id)) {
+    const run = runCheck(watchlist, deps).finally(() => runningChecks.delete(watchlist.id));
+    runningChecks.set(watchlist.id, run);
+  }
+  return runningChecks.get(watchlist.id);
+};
+
+// Starts the timer. Due watchlists are checked one after another, and a
+// tick is skipped while the previous one is still running.
+const startScheduler = (deps) => {
+  let isRunning = false;
+
+  const tick = async () => {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+      for (const watchlist of watchlists.listDueWatchlists()) {
+        try {
+          await checkWatchlist(watchlist, deps);
+        } catch (error) {
+          console.error(`Scheduled check of watchlist "${watchlist.name}" failed:`, error);
+        }
+      }
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  const timer = setInterval(tick, TICK_MS);
+  // The scheduler alone should not keep the process alive.
+  timer.unref();
+  return { stop: () => clearInterval(timer) };
+};
+
+module.exports = {
+  checkWatchlist,
+  startScheduler,
+};
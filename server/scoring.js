@@ -0,0 +1,294 @@
+const { SENIORITY_LEVELS, detectSeniority } = require('./attributes');
+const { WORK_MODES, formatOffice, isPlaceWithin, parsePlace } = require('./location');
+const { DEFAULT_WEIGHTS } = require('./profile');
+
+// Scores a fetched job against the candidate profile. Each criterion yields
+// a status and a 0-1 score; the overall 0-100 score is the weighted average
+// of the criteria we could actually evaluate. A criterion is left out
+// (status "unknown" or "skipped") when the posting does not say or the
+// profile does not care, so a missing salary never drags a job down.
+
+// How much a tech counts towards the overlap, by detected importance.
+// Techs only mentioned in the company blurb are ignored.
+const TECH_IMPORTANCE_WEIGHTS = {
+  required: 1,
+  preferred: 0.5,
+  mentioned: 0.5,
+  boilerplate: 0,
+};
+
+// Multipliers that turn a salary figure into a yearly amount.
+const SALARY_UNITS_PER_YEAR = {
+  HOUR: 2080,
+  DAY: 260,
+  WEEK: 52,
+  MONTH: 12,
+  YEAR: 1,
+};
+
+const STATUS_SCORES = { pass: 1, partial: 0.5, fail: 0 };
+
+const isOffice = (office) =>
+  Boolean(office) && typeof office === 'object' && !Array.isArray(office);
+const textOrUndefined = (value) => (typeof value === 'string' ? value : undefined);
+
+// Flattens the location object (or the legacy "Remote" / "Not Remote\n
+// Berlin / Paris" string of older library records) for matching. `offices`
+// are `{ city, region, country }` objects and `places` their labels. Jobs
+// sent back by the client are not trusted to have the expected shape.
+const describeJobLocation = (location) => {
+  if (location && typeof location === 'object') {
+    const offices = (Array.isArray(location.offices) ? location.offices : [])
+      .filter(isOffice)
+      .map(({ city, region, country }) => ({
+        city: textOrUndefined(city),
+        region: textOrUndefined(region),
+        country: textOrUndefined(country),
+      }));
+    return {
+      workMode: WORK_MODES.includes(location.workMode) ? location.workMode : 'unknown',
+      offices,
+      places: offices.map(formatOffice).filter(Boolean),
+      regions: (Array.isArray(location.remoteRegions) ? location.remoteRegions : []).filter(
+        (region) => typeof region === 'string'
+      ),
+    };
+  }
+
+  const [headline = '', placesLine = ''] = String(location || '').split('\n');
+  const places = placesLine
+    .split('/')
+    .map((place) => place.trim())
+    .filter(Boolean);
+  const isRemote = /^remote\b/i.test(headline.trim());
+  return {
+    workMode: isRemote ? 'remote' : places.length > 0 ? 'onsite' : 'unknown',
+    offices: places.map((place) => parsePlace(place).office).filter(Boolean),
+    places,
+    regions: [],
+  };
+};
+
+const result = (status, detail) => ({ status, score: STATUS_SCORES[status] ?? null, detail });
+
+const scoreTech = (job, techNames) => {
+  const saved = new Set(techNames.map((name) => name.toLowerCase()));
+  if (saved.size === 0) return result('skipped', 'No saved tech stack.');
+
+  const techs = (Array.isArray(job.techStacks) ? job.techStacks : [])
+    .map((tech) => (typeof tech === 'string' ? { name: tech, importance: 'mentioned' } : tech))
+    .filter((tech) => typeof tech?.name === 'string' && tech.name && tech.name !== 'Not provided')
+    .filter((tech) => (TECH_IMPORTANCE_WEIGHTS[tech.importance] ?? 0.5) > 0);
+
+  if (techs.length === 0) return result('unknown', 'The posting does not list any tech.');
+
+  let total = 0;
+  let matched = 0;
+  const matchedNames = [];
+  const missingRequired = [];
+
+  techs.forEach((tech) => {
+    const weight = TECH_IMPORTANCE_WEIGHTS[tech.importance] ?? 0.5;
+    total += weight;
+    if (saved.has(tech.name.toLowerCase())) {
+      matched += weight;
+      matchedNames.push(tech.name);
+    } else if (tech.importance === 'required') {
+      missingRequired.push(tech.name);
+    }
+  });
+
+  const score = matched / total;
+  const parts = [
+    matchedNames.length > 0 ? `Matches ${matchedNames.join(', ')}` : 'No overlap with your stack',
+  ];
+  if (missingRequired.length > 0) {
+    parts.push(`missing required ${missingRequired.join(', ')}`);
+  }
+
+  return {
+    status: score >= 0.75 ? 'pass' : score > 0 ? 'partial' : 'fail',
+    score,
+    detail: `${parts.join('; ')}.`,
+  };
+};
+
+const MODE_LABELS = { remote: 'Remote', hybrid: 'Hybrid', onsite: 'On-site' };
+
+// A wanted location as a place: an office for cities ("Berlin" ->
+// Berlin, Germany), otherwise the country or region name ("US" -> United
+// States, "Europe").
+const toWantedPlace = (label) => {
+  const { office } = parsePlace(label);
+  if (!office) return label;
+  return office.city ? office : office.country;
+};
+
+// Whether an office or remote region of the job fits a wanted place. Remote
+// regions also fit the places inside them, so a role open to "Europe" suits
+// someone who wants "Berlin".
+const fitsWantedPlace = (jobPlace, wanted) => {
+  if (typeof jobPlace === 'string' && isPlaceWithin(wanted, jobPlace)) return true;
+  if (typeof wanted === 'string') return isPlaceWithin(jobPlace, wanted);
+  if (typeof jobPlace === 'string') return false;
+  return (
+    isPlaceWithin(jobPlace, wanted.city) &&
+    (!wanted.country || !jobPlace.country || isPlaceWithin(jobPlace, wanted.country))
+  );
+};
+
+const scoreLocation = (job, profile) => {
+  const { remotePreference, locations } = profile;
+  const wanted = locations.map(toWantedPlace);
+  if (remotePreference === 'any' && wanted.length === 0) {
+    return result('skipped', 'No location preference set.');
+  }
+
+  const { workMode, offices, regions } = describeJobLocation(job.location);
+  if (workMode === 'unknown') {
+    return result('unknown', 'The posting does not say where the role is based.');
+  }
+
+  const isWanted = (jobPlace) => wanted.some((place) => fitsWantedPlace(jobPlace, place));
+  const matchingOffice = offices.find(isWanted);
+  const placeOk = wanted.length === 0 || Boolean(matchingOffice);
+  // Remote roles limited to other countries are only partly a fit.
+  const regionOk =
+    wanted.length === 0 ||
+    regions.length === 0 ||
+    regions.includes('Worldwide') ||
+    regions.some(isWanted);
+
+  const modeLabel = MODE_LABELS[workMode];
+  const where = matchingOffice
+    ? formatOffice(matchingOffice)
+    : offices.map(formatOffice).join(' / ');
+  const described = where ? `${modeLabel} in ${where}` : modeLabel;
+
+  if (workMode === 'remote') {
+    if (!regionOk) {
+      return result(
+        remotePreference === 'remote' ? 'partial' : 'fail',
+        `Remote, but limited to ${regions.join(', ')}.`
+      );
+    }
+    if (remotePreference === 'remote' || remotePreference === 'any') {
+      return result('pass', remotePreference === 'remote' ? 'Remote, as preferred.' : 'Remote.');
+    }
+    return result('partial', `Remote, while you prefer ${MODE_LABELS[remotePreference]}.`);
+  }
+
+  if (!placeOk) {
+    return result('fail', `${described}, outside your preferred locations.`);
+  }
+
+  if (remotePreference === 'remote') {
+    return result(workMode === 'hybrid' ? 'partial' : 'fail', `${described}, not remote.`);
+  }
+  if (remotePreference === 'hybrid' && workMode === 'onsite') {
+    return result('partial', `${described}; hybrid is not mentioned.`);
+  }
+
+  return result('pass', `${described}.`);
+};
+
+const scoreSeniority = (job, profile) => {
+  if (!profile.seniority) return result('skipped', 'No target seniority set.');
+
+  const level = job.seniority || detectSeniority(job.title);
+  if (!level || !SENIORITY_LEVELS.includes(level)) {
+    return result('unknown', 'Seniority is not stated in the title.');
+  }
+
+  const distance = Math.abs(
+    SENIORITY_LEVELS.indexOf(level) - SENIORITY_LEVELS.indexOf(profile.seniority)
+  );
+  if (distance === 0) return result('pass', `${level} level, as targeted.`);
+  if (distance === 1) {
+    return result('partial', `${level} level, one step from ${profile.seniority}.`);
+  }
+  return result('fail', `${level} level, you target ${profile.seniority}.`);
+};
+
+const toYearly = (amount, unit) => amount * (SALARY_UNITS_PER_YEAR[unit] ?? 1);
+
+const formatAmount = (amount, currency) =>
+  `${currency ? `${currency} ` : ''}${Math.round(amount).toLocaleString('en-US')}`;
+
+const scoreSalary = (job, profile) => {
+  const { min: floor, currency } = profile.salary;
+  if (!floor) return result('skipped', 'No salary floor set.');
+
+  const salary = job.baseSalary;
+  const top = salary?.max ?? salary?.min;
+  if (!salary || typeof top !== 'number') {
+    return result('unknown', 'The posting does not disclose a salary.');
+  }
+  // Jobs sent back by the client may carry anything here.
+  const salaryCurrency =
+    typeof salary.currency === 'string' ? salary.currency.trim().toUpperCase() : '';
+  if (salaryCurrency && salaryCurrency !== currency) {
+    return result('unknown', `Salary is in ${salaryCurrency}, your floor is in ${currency}.`);
+  }
+
+  const yearlyTop = toYearly(top, salary.unit);
+  const label = `${formatAmount(yearlyTop, salaryCurrency)} / year at most`;
+
+  if (yearlyTop >= floor) return result('pass', `${label}, meets your floor.`);
+  if (yearlyTop >= floor * 0.9) return result('partial', `${label}, just under your floor.`);
+  return result('fail', `${label}, below your floor of ${formatAmount(floor, currency)}.`);
+};
+
+const CRITERIA = [
+  {
+    id: 'tech',
+    label: 'Tech overlap',
+    evaluate: (job, { techNames }) => scoreTech(job, techNames),
+  },
+  {
+    id: 'location',
+    label: 'Remote / location fit',
+    evaluate: (job, { profile }) => scoreLocation(job, profile),
+  },
+  {
+    id: 'seniority',
+    label: 'Seniority',
+    evaluate: (job, { profile }) => scoreSeniority(job, profile),
+  },
+  {
+    id: 'salary',
+    label: 'Salary range',
+    evaluate: (job, { profile }) => scoreSalary(job, profile),
+  },
+];
+
+// Returns { score, breakdown }. `score` is null when no criterion could be
+// evaluated.
+const scoreJob = (job, { profile, techNames = [] }) => {
+  const weights = { ...DEFAULT_WEIGHTS, ...profile.weights };
+  const breakdown = CRITERIA.map(({ id, label, evaluate }) => ({
+    id,
+    label,
+    weight: weights[id],
+    ...evaluate(job, { profile, techNames }),
+  }));
+
+  const scored = breakdown.filter((criterion) => criterion.score !== null && criterion.weight > 0);
+  const totalWeight = scored.reduce((sum, criterion) => sum + criterion.weight, 0);
+  const score =
+    totalWeight > 0
+      ? Math.round(
+          (100 * scored.reduce((sum, criterion) => sum + criterion.weight * criterion.score, 0)) /
+            totalWeight
+        )
+      : null;
+
+  return { score, breakdown };
+};
+
+module.exports = {
+  describeJobLocation,
+  toYearly,
+  formatAmount,
+  scoreJob,
+};
@@ -0,0 +1,359 @@
+const cheerio = require('cheerio');
+const { findTechMentions } = require('./taxonomy');
+
+// Splits a job description into sections (requirements, preferred,
+// responsibilities, about, benefits) from its headings and list structure,
+// so a tech listed under "Nice to have" or in the company blurb does not
+// weigh the same as a hard requirement.
+
+// Order matters: "Preferred qualifications" must be classified before the
+// generic "qualifications" rule claims it.
+const SECTION_RULES = [
+  {
+    type: 'preferred',
+    pattern:
+      /nice[-\s]to[-\s]haves?|preferred|bonus|desir(?:ed|able)|good[-\s]to[-\s]have|pluses|a plus|extra credit|would be (?:great|nice)|not required/i,
+  },
+  {
+    type: 'benefits',
+    pattern: /benefits|perks|what we offer|we offer|compensation|why (?:join|work)|salary|what's in it/i,
+  },
+  {
+    type: 'responsibilities',
+    pattern:
+      /responsibilit|what you(?:'ll| will) (?:do|work on)|your (?:role|mission|impact)|the role|day[-\s]to[-\s]day|duties|in this role|you will|what you'll be doing/i,
+  },
+  {
+    type: 'requirements',
+    pattern:
+      /requirement|required|qualifications|must[-\s]haves?|what you(?:'ll| will)? (?:need|bring)|who you are|you have|you bring|skills|experience|what we(?:'re| are) looking for|about you|your profile|ideal candidate/i,
+  },
+  {
+    type: 'about',
+    // "About the job" on LinkedIn wraps the whole description, so it is not
+    // treated as a company blurb.
+    pattern:
+      /about (?!the (?:job|role|position|opportunity)\b)\S+|who we are|our (?:mission|story|company|team|values)|company overview|equal opportunity|diversity/i,
+  },
+];
+
+// How much a mention counts, strongest first.
+const IMPORTANCE_LEVELS = ['required', 'preferred', 'mentioned', 'boilerplate'];
+
+const IMPORTANCE_BY_SECTION = {
+  requirements: 'required',
+  preferred: 'preferred',
+  responsibilities: 'mentioned',
+  other: 'mentioned',
+  metadata: 'mentioned',
+  about: 'boilerplate',
+  benefits: 'boilerplate',
+};
+
+// Page chrome that never belongs to the job description itself, including
+// "similar jobs" teasers for other postings.
+const BOILERPLATE_SELECTOR = [
+  'script',
+  'style',
+  'noscript',
+  'template',
+  'nav',
+  'header',
+  'footer',
+  'aside',
+  'form',
+  '[role="navigation"]',
+  '[role="banner"]',
+  '[role="contentinfo"]',
+  '[class*="cookie" i]',
+  '[id*="cookie" i]',
+  '[class*="footer" i]',
+  '[class*="similar" i]',
+  '[class*="related" i]',
+  '[class*="other-jobs" i]',
+  '[class*="more-jobs" i]',
+].join(', ');
+
+const BLOCK_TAGS = new Set([
+  'address',
+  'article',
+  'blockquote',
+  'br',
+  'dd',
+  'div',
+  'dl',
+  'dt',
+  'figcaption',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'hr',
+  'li',
+  'main',
+  'ol',
+  'p',
+  'pre',
+  'section',
+  'table',
+  'td',
+  'th',
+  'tr',
+  'ul',
+]);
+
+const EMPHASIS_TAGS = new Set(['strong', 'b', 'u']);
+const MAX_HEADING_LENGTH = 80;
+// Fully emphasised lines longer than this, or ending like a sentence, are
+// emphasised body text rather than headings.
+const MAX_EMPHASIZED_HEADING_WORDS = 8;
+
+const classifyHeading = (text) => {
+  const rule = SECTION_RULES.find(({ pattern }) => pattern.test(text));
+  return rule ? rule.type : null;
+};
+
+const escapeHtml = (value) =>
+  value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Plain-text descriptions become one paragraph per line.
+const toHtml = (input) =>
+  /<[a-z][\s\S]*>/i.test(input)
+    ? input
+    : input
+        .split(/\n+/)
+        .map((line) => `<p>${escapeHtml(line)}</p>`)
+        .join('');
+
+// Flattens the DOM into text lines, remembering whether each line came from
+// a heading, a fully emphasised paragraph, or a list item.
+const toLines = (root) => {
+  const lines = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) {
+      const text = current.text.replace(/\s+/g, ' ').trim();
+      if (text) {
+        lines.push({ ...current, text });
+      }
+    }
+    current = null;
+  };
+
+  const walk = (node, context) => {
+    if (node.type === 'text') {
+      if (!current) {
+        current = {
+          text: '',
+          inHeading: context.inHeading,
+          isListItem: context.isListItem,
+          hasPlainText: false,
+        };
+      }
+      current.text += node.data;
+      if (!context.emphasized && node.data.trim()) {
+        current.hasPlainText = true;
+      }
+      return;
+    }
+
+    if (node.type !== 'tag') return;
+
+    const name = node.name.toLowerCase();
+    const isBlock = BLOCK_TAGS.has(name);
+    if (isBlock) flush();
+
+    const nextContext = {
+      inHeading: context.inHeading || /^h[1-6]$/.test(name),
+      isListItem: context.isListItem || name === 'li',
+      emphasized: context.emphasized || EMPHASIS_TAGS.has(name),
+    };
+    (node.children || []).forEach((child) => walk(child, nextContext));
+
+    if (isBlock) flush();
+  };
+
+  root.forEach((node) => walk(node, { inHeading: false, isListItem: false, emphasized: false }));
+  flush();
+  return lines;
+};
+
+const isHeadingLine = (line) => {
+  if (line.text.length > MAX_HEADING_LENGTH) return false;
+  if (line.inHeading) return true;
+  if (line.isListItem) return false;
+  // <p><strong>Requirements</strong></p>, "What you'll need:" or a bare
+  // "Benefits" paragraph.
+  if (/:\s*$/.test(line.text)) return true;
+  if (!line.hasPlainText) {
+    return (
+      line.text.split(/\s+/).length <= MAX_EMPHASIZED_HEADING_WORDS && !/[.!?]$/.test(line.text)
+    );
+  }
+  return (
+    !line.text.includes(':') &&
+    line.text.split(/\s+/).length <= 5 &&
+    classifyHeading(line.text) !== null
+  );
+};
+
+// Returns [{ type, heading, text }]. Text before the first recognised heading,
+// or under headings we cannot classify, lands in "other".
+const splitIntoSections = (input) => {
+  if (!input || typeof input !== 'string') return [];
+
+  const $ = cheerio.load(toHtml(input), null, false);
+  $(BOILERPLATE_SELECTOR).remove();
+
+  const sections = [];
+  let current = { type: 'other', heading: '', lines: [] };
+
+  const pushCurrent = () => {
+    if (current.lines.length > 0) {
+      sections.push({
+        type: current.type,
+        heading: current.heading,
+        text: current.lines.join('\n'),
+      });
+    }
+  };
+
+  toLines($.root().contents().toArray()).forEach((line) => {
+    if (isHeadingLine(line)) {
+      pushCurrent();
+      const heading = line.text.replace(/:\s*$/, '');
+      current = { type: classifyHeading(heading) || 'other', heading, lines: [] };
+      return;
+    }
+
+    // Inline labels such as "Bonus: experience with Go" only apply to their
+    // own line.
+    const inlineLabel = line.text.match(/^([^:]{3,40}):\s+\S/);
+    const inlineType = inlineLabel ? classifyHeading(inlineLabel[1]) : null;
+    if (inlineType && inlineType !== current.type) {
+      pushCurrent();
+      sections.push({ type: inlineType, heading: inlineLabel[1].trim(), text: line.text });
+      current = { ...current, lines: [] };
+      return;
+    }
+
+    current.lines.push(line.text);
+  });
+
+  pushCurrent();
+  return sections;
+};
+
+// Plain text of a description without page chrome, one line per block.
+const descriptionToText = (input) =>
+  splitIntoSections(input)
+    .map((section) => section.text)
+    .join('\n');
+
+const strongerImportance = (left, right) =>
+  IMPORTANCE_LEVELS.indexOf(left) <= IMPORTANCE_LEVELS.indexOf(right) ? left : right;
+
+const MAX_SNIPPETS = 3;
+
+// Detects techs section by section and keeps, for each tech, the strongest
+// importance it was seen with plus a few evidence snippets. Each snippet is
+// `{ section, source, text, before, match, after }`, where `source` says
+// which part of the page matched.
+//   html          description markup (or plain text)
+//   source        where the description came from: "body", "json-ld" or
+//                 the adapter's API
+//   extraTexts    `[{ source, text }]` outside the description (meta
+//                 descriptions, script blobs); techs found only there count
+//                 as "mentioned"
+//   extraKeywords `[{ source, keyword }]` free-form labels (meta keywords,
+//                 article:tag)
+const detectTechStacks = ({
+  html,
+  source = 'body',
+  extraTexts = [],
+  extraKeywords = [],
+  taxonomy = [],
+}) => {
+  const byName = new Map();
+
+  const addMention = (name, category, section, snippets = []) => {
+    const importance = IMPORTANCE_BY_SECTION[section] || 'mentioned';
+    const existing = byName.get(name);
+
+    if (!existing) {
+      byName.set(name, {
+        name,
+        category,
+        importance,
+        section,
+        snippets: snippets.map((snippet) => ({ section, ...snippet })),
+      });
+      return;
+    }
+
+    const strongest = strongerImportance(existing.importance, importance);
+    if (strongest !== existing.importance) {
+      existing.importance = strongest;
+      existing.section = section;
+    }
+    existing.snippets.push(...snippets.map((snippet) => ({ section, ...snippet })));
+  };
+
+  const withSource = (snippets, snippetSource) =>
+    snippets.map((snippet) => ({ source: snippetSource, ...snippet }));
+  // Text outside the description only adds techs the description lacks.
+  const isOnlyMetadata = (name) => !byName.has(name) || byName.get(name).section === 'metadata';
+
+  splitIntoSections(html).forEach((section) => {
+    findTechMentions(section.text, taxonomy, { maxSnippets: MAX_SNIPPETS }).forEach((mention) => {
+      const snippets = withSource(mention.snippets, source);
+      addMention(mention.name, mention.category, section.type, snippets);
+    });
+  });
+
+  extraTexts
+    .filter((extra) => extra.text)
+    .forEach((extra) => {
+      findTechMentions(extra.text, taxonomy, { maxSnippets: MAX_SNIPPETS })
+        .filter((mention) => isOnlyMetadata(mention.name))
+        .forEach((mention) => {
+          const snippets = withSource(mention.snippets, extra.source);
+          addMention(mention.name, mention.category, 'metadata', snippets);
+        });
+    });
+
+  extraKeywords
+    .filter(({ keyword }) => isOnlyMetadata(keyword))
+    .forEach(({ keyword, source: keywordSource }) =>
+      addMention(keyword, undefined, 'metadata', [
+        { source: keywordSource, text: keyword, before: '', match: keyword, after: '' },
+      ])
+    );
+
+  return Array.from(byName.values())
+    .map((tech) => ({
+      ...tech,
+      // Evidence from the section that decided the importance comes first.
+      snippets: [
+        ...tech.snippets.filter((snippet) => snippet.section === tech.section),
+        ...tech.snippets.filter((snippet) => snippet.section !== tech.section),
+      ].slice(0, MAX_SNIPPETS),
+    }))
+    .sort(
+      (left, right) =>
+        IMPORTANCE_LEVELS.indexOf(left.importance) - IMPORTANCE_LEVELS.indexOf(right.importance)
+    );
+};
+
+module.exports = {
+  BOILERPLATE_SELECTOR,
+  IMPORTANCE_LEVELS,
+  classifyHeading,
+  toHtml,
+  splitIntoSections,
+  descriptionToText,
+  detectTechStacks,
+};
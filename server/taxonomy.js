@@ -0,0 +1,306 @@
+const path = require('path');
+const { readJsonFile } = require('./jsonStore');
+
+// Tech-stack taxonomy: every tech we look for is described by data rather
+// than by special cases in the matcher.
+//
+// Entry shape:
+//   name              canonical label reported in job payloads
+//   category          one of CATEGORIES
+//   aliases           alternative spellings, matched as whole tokens
+//   patterns          raw regex sources for variants aliases cannot express
+//   negativeContexts  phrases that must not count as a mention (stripped
+//                     from the text before matching this entry)
+//   caseSensitive     for short, ambiguous names such as "Go" or "R"
+//
+// Users' taxonomies live in their tech_stacks.json; the presets for
+// well-known techs, special cases included, in tech_presets.json next to
+// this file. Both are read by readTaxonomyFile.
+
+const CATEGORIES = ['language', 'framework', 'cloud', 'database', 'other'];
+
+const DEFAULT_TAXONOMY_NAMES = [
+  'React',
+  'Next.js',
+  'TypeScript',
+  'JavaScript',
+  'Node.js',
+  'Angular',
+  'Vue.js',
+  'Java',
+  'Spring Boot',
+  'Python',
+  'Django',
+  'Flask',
+];
+
+// Utility to escape user-provided labels when building regexes
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// User patterns run against every fetched description, so besides
+// compiling they have to stay short and free of the constructs that make a
+// backtracking engine go exponential: a repeated group that itself repeats or
+// alternates ("(a+)+", "(a|aa)*"), two unbounded atoms in a row ("\w+\w*"),
+// and backreferences.
+const MAX_PATTERN_LENGTH = 200;
+
+const QUANTIFIER = /^(?:[*+?]|\{(\d+)(?:,(\d*))?\})\??/;
+const GROUP_PREFIX = /^\?(?::|=|!|<=|<!|<[^>]*>)/;
+
+// `{ length, repeats, unbounded }` for a quantifier at `index`, where "?"
+// and "{0,1}" do not count as repeating.
+const readQuantifier = (source, index) => {
+  const match = source.slice(index).match(QUANTIFIER);
+  if (!match) return null;
+  const [text, min, max] = match;
+  const limit =
+    text[0] === '{'
+      ? Number(max === undefined ? min : max || Infinity)
+      : text[0] === '?'
+        ? 1
+        : Infinity;
+  return { length: text.length, repeats: limit > 1, unbounded: limit === Infinity };
+};
+
+// Index just past the character class that starts at `index`.
+const skipClass = (source, index) => {
+  let end = index + 1;
+  if (source[end] === '^') end += 1;
+  if (source[end] === ']') end += 1;
+  while (end < source.length && source[end] !== ']') {
+    end += source[end] === '\\' ? 2 : 1;
+  }
+  return end + 1;
+};
+
+const hasAmbiguousRepetition = (source) => {
+  // `complex` marks a group holding a quantifier or an alternation.
+  const groups = [{ complex: false }];
+  let previousUnbounded = false;
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    let atom = { complex: false };
+
+    if (char === '(') {
+      groups.push({ complex: false });
+      index += 1;
+      const prefix = source.slice(index).match(GROUP_PREFIX);
+      index += prefix ? prefix[0].length : 0;
+      previousUnbounded = false;
+      continue;
+    }
+    if (char === '|') {
+      groups[groups.length - 1].complex = true;
+      previousUnbounded = false;
+      index += 1;
+      continue;
+    }
+    if (char === '\\') {
+      if (/[1-9k]/.test(source[index + 1])) return true;
+      index += 2;
+    } else if (char === '[') {
+      index = skipClass(source, index);
+    } else if (char === ')') {
+      atom = groups.length > 1 ? groups.pop() : atom;
+      index += 1;
+    } else {
+      index += 1;
+    }
+
+    const quantifier = readQuantifier(source, index);
+    const parent = groups[groups.length - 1];
+    if (!quantifier) {
+      parent.complex = parent.complex || atom.complex;
+      previousUnbounded = false;
+      continue;
+    }
+    if ((quantifier.repeats && atom.complex) || (quantifier.unbounded && previousUnbounded)) {
+      return true;
+    }
+    parent.complex = true;
+    previousUnbounded = quantifier.unbounded;
+    index += quantifier.length;
+  }
+  return false;
+};
+
+const isValidPattern = (source) => {
+  if (source.length > MAX_PATTERN_LENGTH) return false;
+  try {
+    new RegExp(source);
+  } catch (_err) {
+    return false;
+  }
+  return !hasAmbiguousRepetition(source);
+};
+
+const cleanList = (value) =>
+  Array.from(
+    new Set(
+      (Array.isArray(value) ? value : [])
+        .map((item) => (typeof item === 'string' ? item.trim() : ''))
+        .filter(Boolean)
+    )
+  );
+
+const findPreset = (presets, name) =>
+  presets.find((preset) => preset.name.toLowerCase() === name.toLowerCase());
+
+// Accepts a bare label (the legacy tech_stacks.json format) or a partial
+// entry and fills in anything missing from the matching preset.
+const normalizeTaxonomyEntry = (raw, presets = TECH_PRESETS) => {
+  const base = typeof raw === 'string' ? { name: raw } : raw;
+  if (!base || typeof base !== 'object') return null;
+
+  const name = typeof base.name === 'string' ? base.name.trim() : '';
+  if (!name) return null;
+
+  const preset = findPreset(presets, name) || {};
+  const pick = (key) => (base[key] !== undefined ? base[key] : preset[key]);
+  const category = pick('category');
+
+  return {
+    name,
+    category: CATEGORIES.includes(category) ? category : 'other',
+    aliases: cleanList(pick('aliases')).filter(
+      (alias) => alias.toLowerCase() !== name.toLowerCase()
+    ),
+    patterns: cleanList(pick('patterns')).filter(isValidPattern),
+    negativeContexts: cleanList(pick('negativeContexts')),
+    caseSensitive: Boolean(pick('caseSensitive')),
+  };
+};
+
+// Drops invalid entries and merges duplicates (by case-insensitive name).
+const normalizeTaxonomy = (entries, { presets = TECH_PRESETS } = {}) => {
+  const byName = new Map();
+  (Array.isArray(entries) ? entries : []).forEach((raw) => {
+    const entry = normalizeTaxonomyEntry(raw, presets);
+    if (entry && !byName.has(entry.name.toLowerCase())) {
+      byName.set(entry.name.toLowerCase(), entry);
+    }
+  });
+  return Array.from(byName.values());
+};
+
+// Reads a taxonomy file: a list of entries or bare labels. Returns the
+// normalized taxonomy, or null when the file is missing, corrupt or empty.
+const readTaxonomyFile = (filePath, options) => {
+  const parsed = readJsonFile(filePath, null);
+  if (!Array.isArray(parsed)) return null;
+  const taxonomy = normalizeTaxonomy(parsed, options);
+  return taxonomy.length > 0 ? taxonomy : null;
+};
+
+// Rules for well-known techs. A saved entry with just a name picks up the
+// preset with the same name, so adding "C#" in the modal works out of the box.
+const TECH_PRESETS_PATH = path.join(__dirname, 'tech_presets.json');
+const TECH_PRESETS = readTaxonomyFile(TECH_PRESETS_PATH, { presets: [] }) || [];
+
+const DEFAULT_TAXONOMY = normalizeTaxonomy(DEFAULT_TAXONOMY_NAMES);
+
+// Token boundaries that work for names ending in symbols ("C++", "C#") or
+// starting with one (".NET"), where `\b` either never or always matches.
+const BOUNDARY_BEFORE = '(?<![\\w])';
+const BOUNDARY_AFTER = '(?![\\w+#])';
+
+const termToPattern = (term) =>
+  `${BOUNDARY_BEFORE}${escapeRegex(term).replace(/\s+/g, '\\s+')}${BOUNDARY_AFTER}`;
+
+const compileEntry = (entry) => {
+  const sources = [entry.name, ...entry.aliases].map(termToPattern).concat(entry.patterns);
+  const negativeSources = entry.negativeContexts.map((context) =>
+    escapeRegex(context).replace(/\s+/g, '\\s+')
+  );
+
+  return {
+    entry,
+    pattern: new RegExp(
+      sources.map((source) => `(?:${source})`).join('|'),
+      entry.caseSensitive ? 'g' : 'gi'
+    ),
+    negative: negativeSources.length > 0 ? new RegExp(negativeSources.join('|'), 'gi') : null,
+  };
+};
+
+// Compiled entries per taxonomy array, so detecting techs section by section
+// normalizes and compiles the taxonomy once. Taxonomies are replaced, never
+// changed in place, so the array itself is a safe key.
+const compiledTaxonomies = new WeakMap();
+
+const compileTaxonomy = (taxonomy) => {
+  if (!Array.isArray(taxonomy)) return [];
+  if (!compiledTaxonomies.has(taxonomy)) {
+    compiledTaxonomies.set(taxonomy, normalizeTaxonomy(taxonomy).map(compileEntry));
+  }
+  return compiledTaxonomies.get(taxonomy);
+};
+
+const SNIPPET_RADIUS = 60;
+
+const collapseWhitespace = (value) => value.replace(/\s+/g, ' ');
+
+// Surrounding text on the same line as the match, so a snippet never runs
+// into the neighbouring bullet: `{ text, before, match, after }`, where
+// `text` is the three parts joined.
+const buildSnippet = (text, index, length) => {
+  const lineStart = text.lastIndexOf('\n', index) + 1;
+  const lineEnd = text.indexOf('\n', index + length);
+  const lineStop = lineEnd === -1 ? text.length : lineEnd;
+  const start = Math.max(lineStart, index - SNIPPET_RADIUS);
+  const end = Math.min(lineStop, index + length + SNIPPET_RADIUS);
+  const before = collapseWhitespace(text.slice(start, index));
+  const match = collapseWhitespace(text.slice(index, index + length));
+  const after = collapseWhitespace(text.slice(index + length, end));
+  const lead = start > lineStart ? '…' : '';
+  const trail = end < lineStop ? '…' : '';
+  return {
+    text: `${lead}${`${before}${match}${after}`.trim()}${trail}`,
+    before: `${lead}${before.trimStart()}`,
+    match,
+    after: `${after.trimEnd()}${trail}`,
+  };
+};
+
+// Finds every taxonomy entry mentioned in the text, with up to
+// `maxSnippets` snippets (see buildSnippet) per entry.
+const findTechMentions = (rawText, taxonomy = [], { maxSnippets = 3 } = {}) =>
+  compileTaxonomy(taxonomy)
+    .map(({ entry, pattern, negative }) => {
+      // Blank out negative contexts with same-length padding so match
+      // offsets still line up with the original text.
+      const text = negative
+        ? rawText.replace(negative, (phrase) => ' '.repeat(phrase.length))
+        : rawText;
+      const snippets = [];
+      let count = 0;
+
+      for (const match of text.matchAll(pattern)) {
+        if (count < maxSnippets) {
+          snippets.push(buildSnippet(rawText, match.index, match[0].length));
+        }
+        count += 1;
+      }
+
+      return { name: entry.name, category: entry.category, count, snippets };
+    })
+    .filter((mention) => mention.count > 0);
+
+// Returns the canonical names of every taxonomy entry mentioned in the text.
+const matchTechStacks = (rawText, taxonomy = []) =>
+  findTechMentions(rawText, taxonomy, { maxSnippets: 0 }).map((mention) => mention.name);
+
+module.exports = {
+  CATEGORIES,
+  TECH_PRESETS,
+  DEFAULT_TAXONOMY,
+  escapeRegex,
+  isValidPattern,
+  normalizeTaxonomyEntry,
+  normalizeTaxonomy,
+  readTaxonomyFile,
+  findTechMentions,
+  matchTechStacks,
+};
@@ -0,0 +1,82 @@
+const path = require('path');
+const { DEFAULT_TAXONOMY, findTechMentions, readTaxonomyFile } = require('./taxonomy');
+const { perUserStore, writeJsonFile } = require('./jsonStore');
+
+// Each user's tech-stack taxonomy, used when parsing job descriptions and
+// scoring matches.
+const TECH_STACKS_FILE_NAME = 'tech_stacks.json';
+
+// Older files hold plain labels; normalizing upgrades them to taxonomy
+// entries using the built-in presets. The defaults are used on first run or
+// if the file is missing or corrupt.
+const readTechStacksFromFile = (filePath) => readTaxonomyFile(filePath) || DEFAULT_TAXONOMY;
+
+const MAX_IGNORE_PHRASE_LENGTH = 200;
+
+// Validates a false-positive report `{ name, phrase }` against the user's
+// taxonomy. The phrase becomes a negative context of that tech, so it has
+// to contain the mention it is meant to hide. Returns `{ value }` or
+// `{ error, status }`.
+const validateIgnoreRule = (taxonomy, raw) => {
+  const name = typeof raw?.name === 'string' ? raw.name.trim().toLowerCase() : '';
+  const entry = taxonomy.find((candidate) => candidate.name.toLowerCase() === name);
+  if (!entry) {
+    return { status: 404, error: 'That tech is not in your tech stacks.' };
+  }
+
+  const phrase = typeof raw.phrase === 'string' ? raw.phrase.replace(/\s+/g, ' ').trim() : '';
+  if (!phrase || phrase.length > MAX_IGNORE_PHRASE_LENGTH) {
+    return {
+      status: 400,
+      error: `The phrase must be 1-${MAX_IGNORE_PHRASE_LENGTH} characters long.`,
+    };
+  }
+  // Existing negative contexts would hide the mention inside the phrase.
+  const [mention] = findTechMentions(phrase, [{ ...entry, negativeContexts: [] }], {
+    maxSnippets: 1,
+  });
+  if (!mention) {
+    return { status: 400, error: `The phrase has to include the "${entry.name}" mention.` };
+  }
+  // A bare mention would hide the tech everywhere.
+  if (mention.snippets[0].match.toLowerCase() === phrase.toLowerCase()) {
+    return {
+      status: 400,
+      error: 'Add some of the surrounding text, so only this kind of mention is ignored.',
+    };
+  }
+  return { value: { name: entry.name, phrase } };
+};
+
+const createTechStackStore = (dataDir) => {
+  const filePath = path.join(dataDir, TECH_STACKS_FILE_NAME);
+  // In-memory copy of the user's taxonomy.
+  let techStacks = readTechStacksFromFile(filePath);
+
+  return {
+    getTechStacks: () => techStacks,
+    saveTechStacks: (taxonomy) => {
+      techStacks = taxonomy;
+      writeJsonFile(filePath, techStacks);
+      return techStacks;
+    },
+    // Adds a phrase that must not count as a mention of the tech `name`.
+    addNegativeContext: (name, phrase) => {
+      const isKnown = (entry) =>
+        entry.negativeContexts.some((context) => context.toLowerCase() === phrase.toLowerCase());
+      techStacks = techStacks.map((entry) =>
+        entry.name === name && !isKnown(entry)
+          ? { ...entry, negativeContexts: [...entry.negativeContexts, phrase] }
+          : entry
+      );
+      writeJsonFile(filePath, techStacks);
+      return techStacks;
+    },
+  };
+};
+
+module.exports = {
+  TECH_STACKS_FILE_NAME,
+  validateIgnoreRule,
+  forUser: perUserStore(createTechStackStore),
+};
@@ -0,0 +1,228 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+
+const ashby = require('../adapters/ashby');
+const greenhouse = require('../adapters/greenhouse');
+const lever = require('../adapters/lever');
+const workday = require('../adapters/workday');
+const { TECH_PRESETS } = require('../taxonomy');
+
+// Saved API responses for each adapter, parsed without touching the network.
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'adapters');
+const TECH_STACKS = TECH_PRESETS.map((preset) => preset.name);
+
+const loadFixture = (name) =>
+  JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+
+const parseFixture = (adapter, url, name) =>
+  adapter.parse(loadFixture(name), {
+    target: adapter.normalizeUrl(url),
+    sourceUrl: url,
+    techStacks: TECH_STACKS,
+  });
+
+const parseBoardFixture = (adapter, url, name) =>
+  adapter.parseBoard([loadFixture(name)], { board: adapter.normalizeBoardUrl(url) });
+
+const techImportances = (job) =>
+  Object.fromEntries(job.techStacks.map((tech) => [tech.name, tech.importance]));
+
+test('greenhouse: normalizes board and embed links', () => {
+  const expected = {
+    board: 'tidewater',
+    jobId: '4012345006',
+    canonicalUrl: 'https://job-boards.greenhouse.io/tidewater/jobs/4012345006',
+    apiUrl: 'https://boards-api.greenhouse.io/v1/boards/tidewater/jobs/4012345006',
+  };
+  assert.deepEqual(
+    greenhouse.normalizeUrl('https://boards.greenhouse.io/tidewater/jobs/4012345006?gh_src=abc'),
+    expected
+  );
+  assert.deepEqual(
+    greenhouse.normalizeUrl(
+      'https://boards.greenhouse.io/embed/job_app?for=tidewater&token=4012345006'
+    ),
+    expected
+  );
+  assert.equal(greenhouse.normalizeUrl('https://boards.greenhouse.io/tidewater'), null);
+});
+
+test('greenhouse: parses a job from the boards API', () => {
+  const job = parseFixture(
+    greenhouse,
+    'https://boards.greenhouse.io/tidewater/jobs/4012345006',
+    'greenhouse-job'
+  );
+  assert.equal(job.title, 'Senior Backend Engineer');
+  assert.equal(job.company, 'Tidewater Analytics');
+  assert.equal(job.location.workMode, 'remote');
+  assert.equal(job.datePosted, '2026-09-02');
+  assert.equal(job.url, 'https://job-boards.greenhouse.io/tidewater/jobs/4012345006');
+  assert.equal(job.description.source, 'greenhouse-api');
+  assert.deepEqual(techImportances(job), {
+    Python: 'required',
+    Go: 'required',
+    PostgreSQL: 'required',
+    AWS: 'preferred',
+  });
+});
+
+test('greenhouse: lists a board, building links the API leaves out', () => {
+  const links = parseBoardFixture(
+    greenhouse,
+    'https://boards.greenhouse.io/tidewater',
+    'greenhouse-board'
+  );
+  assert.deepEqual(
+    links.map((link) => link.url),
+    [
+      'https://job-boards.greenhouse.io/tidewater/jobs/4012345006',
+      'https://job-boards.greenhouse.io/tidewater/jobs/4012399001',
+    ]
+  );
+});
+
+test('lever: normalizes posting links on both regions', () => {
+  const postingId = '5f0c2a8e-1b7d-4c3e-9a6f-2d8b7e4c1a90';
+  assert.deepEqual(lever.normalizeUrl(`https://jobs.lever.co/northwind/${postingId}/apply`), {
+    site: 'northwind',
+    postingId,
+    canonicalUrl: `https://jobs.lever.co/northwind/${postingId}`,
+    apiUrl: `https://api.lever.co/v0/postings/northwind/${postingId}`,
+  });
+  assert.equal(
+    lever.normalizeUrl(`https://jobs.eu.lever.co/northwind/${postingId}`).apiUrl,
+    `https://api.eu.lever.co/v0/postings/northwind/${postingId}`
+  );
+  assert.equal(lever.normalizeUrl('https://jobs.lever.co/northwind/not-a-posting'), null);
+});
+
+test('lever: parses a posting from the postings API', () => {
+  const job = parseFixture(
+    lever,
+    'https://jobs.lever.co/northwind/5f0c2a8e-1b7d-4c3e-9a6f-2d8b7e4c1a90',
+    'lever-posting'
+  );
+  assert.equal(job.title, 'Full-Stack Engineer');
+  assert.equal(job.location.workMode, 'hybrid');
+  assert.deepEqual(job.employmentType, ['Full-time']);
+  assert.equal(job.description.source, 'lever-api');
+  assert.deepEqual(techImportances(job), {
+    React: 'required',
+    TypeScript: 'required',
+    'Node.js': 'required',
+    GCP: 'preferred',
+  });
+});
+
+test('lever: lists a board', () => {
+  const links = parseBoardFixture(lever, 'https://jobs.lever.co/northwind', 'lever-board');
+  assert.deepEqual(
+    links.map((link) => link.title),
+    ['Full-Stack Engineer', 'Support Lead']
+  );
+  assert.equal(
+    links[1].url,
+    'https://jobs.lever.co/northwind/8a1e4b2c-6d3f-4e5a-b7c8-9d0e1f2a3b4c'
+  );
+});
+
+test('ashby: normalizes posting links to the job board API', () => {
+  const target = ashby.normalizeUrl(
+    'https://jobs.ashbyhq.com/lumen-labs/0b9d6c1e-2f3a-4b5c-8d7e-6f5a4b3c2d1e/application'
+  );
+  assert.equal(
+    target.canonicalUrl,
+    'https://jobs.ashbyhq.com/lumen-labs/0b9d6c1e-2f3a-4b5c-8d7e-6f5a4b3c2d1e'
+  );
+  assert.equal(
+    target.apiUrl,
+    'https://api.ashbyhq.com/posting-api/job-board/lumen-labs?includeCompensation=true'
+  );
+  assert.equal(ashby.normalizeUrl('https://jobs.ashbyhq.com/lumen-labs'), null);
+});
+
+test('ashby: picks the posting out of the job board response', () => {
+  const job = parseFixture(
+    ashby,
+    'https://jobs.ashbyhq.com/lumen-labs/0b9d6c1e-2f3a-4b5c-8d7e-6f5a4b3c2d1e',
+    'ashby-board'
+  );
+  assert.equal(job.title, 'Data Engineer');
+  assert.equal(job.company, 'Lumen Labs');
+  assert.equal(job.location.workMode, 'hybrid');
+  assert.equal(job.location.offices.length, 2);
+  assert.deepEqual(job.employmentType, ['Full-time']);
+  assert.equal(job.datePosted, '2026-08-28');
+  assert.deepEqual(techImportances(job), {
+    Python: 'required',
+    Azure: 'required',
+    Django: 'preferred',
+  });
+
+  assert.throws(() =>
+    parseFixture(
+      ashby,
+      'https://jobs.ashbyhq.com/lumen-labs/11111111-2222-4333-8444-555555555555',
+      'ashby-board'
+    )
+  );
+});
+
+test('ashby: lists a board', () => {
+  const links = parseBoardFixture(ashby, 'https://jobs.ashbyhq.com/lumen-labs', 'ashby-board');
+  assert.deepEqual(
+    links.map((link) => link.title),
+    ['Data Engineer', 'Office Manager']
+  );
+});
+
+test('workday: normalizes localized links to the CXS API', () => {
+  assert.deepEqual(
+    workday.normalizeUrl(
+      'https://fincorp.wd3.myworkdayjobs.com/en-US/Careers/job/Toronto-Ontario/Java-Developer_R-104522'
+    ),
+    {
+      tenant: 'fincorp',
+      site: 'Careers',
+      canonicalUrl:
+        'https://fincorp.wd3.myworkdayjobs.com/Careers/job/Toronto-Ontario/Java-Developer_R-104522',
+      apiUrl:
+        'https://fincorp.wd3.myworkdayjobs.com/wday/cxs/fincorp/Careers/job/Toronto-Ontario/Java-Developer_R-104522',
+    }
+  );
+  assert.equal(workday.normalizeUrl('https://fincorp.wd3.myworkdayjobs.com/Careers'), null);
+});
+
+test('workday: parses a job from the CXS API', () => {
+  const job = parseFixture(
+    workday,
+    'https://fincorp.wd3.myworkdayjobs.com/Careers/job/Toronto-Ontario/Java-Developer_R-104522',
+    'workday-job'
+  );
+  assert.equal(job.title, 'Java Developer');
+  assert.equal(job.company, 'FinCorp Canada');
+  assert.equal(job.location.workMode, 'hybrid');
+  assert.deepEqual(job.employmentType, ['Full-time']);
+  assert.equal(job.datePosted, '2026-08-15');
+  assert.equal(job.description.source, 'workday-api');
+  assert.deepEqual(techImportances(job), {
+    Java: 'required',
+    'Spring Boot': 'required',
+    MySQL: 'required',
+  });
+});
+
+test('workday: lists a board, skipping postings without a path', () => {
+  const links = parseBoardFixture(
+    workday,
+    'https://fincorp.wd3.myworkdayjobs.com/Careers',
+    'workday-board'
+  );
+  assert.deepEqual(
+    links.map((link) => link.url),
+    ['https://fincorp.wd3.myworkdayjobs.com/Careers/job/Toronto-Ontario/Java-Developer_R-104522']
+  );
+});
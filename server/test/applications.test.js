@@ -0,0 +1,122 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, test } = require('node:test');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jd-filter-applications-'));
+process.env.JD_FILTER_DATA_DIR = dataDir;
+
+const applications = require('../applications');
+const { userDataDir } = require('../jsonStore');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const JOB = { title: 'Backend Engineer', company: 'Acme' };
+
+const update = (status, date, extra = {}) =>
+  applications.validateUpdate({ status, date, ...extra }).value;
+
+test('validates status updates', () => {
+  const { value } = applications.validateUpdate({
+    status: 'applied',
+    date: '2026-03-02',
+    notes: '  Sent via referral  ',
+    contacts: [{ name: ' Dana ', email: 'dana@acme.example', team: 'ignored' }, { name: ' ' }, 'x'],
+  });
+  assert.deepEqual(value, {
+    status: 'applied',
+    date: '2026-03-02',
+    notes: 'Sent via referral',
+    contacts: [{ name: 'Dana', email: 'dana@acme.example' }],
+  });
+  assert.match(
+    applications.validateUpdate({ status: 'applied' }).value.date,
+    /^\d{4}-\d{2}-\d{2}$/
+  );
+
+  const errorFor = (raw) => applications.validateUpdate(raw).error;
+  assert.match(errorFor([]), /JSON status update/);
+  assert.match(errorFor({ status: 'ghosted' }), /"status" must be one of/);
+  assert.match(errorFor({ status: 'applied', date: '2026-02-30' }), /"date"/);
+  assert.match(errorFor({ status: 'applied', date: '02/03/2026' }), /"date"/);
+  assert.match(errorFor({ status: 'applied', notes: 'x'.repeat(5001) }), /"notes"/);
+  assert.match(errorFor({ status: 'applied', contacts: {} }), /"contacts"/);
+});
+
+test('the last recorded entry decides the status, even when back-dated', () => {
+  const pipeline = applications.forUser('history');
+  pipeline.recordUpdate('job-1', update('applied', '2026-03-10'), JOB);
+  const application = pipeline.recordUpdate('job-1', update('screening', '2026-03-02'));
+  assert.equal(application.status, 'screening');
+  assert.deepEqual(application.job, JOB);
+  assert.deepEqual(
+    application.history.map((entry) => entry.status),
+    ['applied', 'screening']
+  );
+
+  const [, screening] = application.history;
+  const { application: afterDelete } = pipeline.deleteEntry('job-1', screening.id);
+  assert.equal(afterDelete.status, 'applied');
+  assert.equal(pipeline.deleteEntry('job-1', screening.id), null);
+
+  const stored = JSON.parse(
+    fs.readFileSync(path.join(userDataDir('history'), applications.APPLICATIONS_FILE_NAME), 'utf8')
+  );
+  assert.deepEqual(stored.applications['job-1'].history, afterDelete.history);
+
+  // Removing the only entry removes the application.
+  assert.deepEqual(pipeline.deleteEntry('job-1', afterDelete.history[0].id), { deleted: true });
+  assert.equal(pipeline.getApplication('job-1'), null);
+  assert.equal(pipeline.deleteApplication('job-1'), false);
+});
+
+test('keeps each user pipeline separate', () => {
+  applications.forUser('first').recordUpdate('job-1', update('saved'), JOB);
+  assert.equal(applications.forUser('second').getApplication('job-1'), null);
+  assert.equal(applications.forUser('first').listApplications().length, 1);
+});
+
+test('computes counts, weekly applications and the response rate', () => {
+  const pipeline = applications.forUser('stats');
+  // Wednesday 2026-03-18; its week starts on Monday 2026-03-16.
+  const now = new Date('2026-03-18T12:00:00Z');
+
+  pipeline.recordUpdate('saved-only', update('saved', '2026-03-17'), JOB);
+  pipeline.recordUpdate('ghosted', update('applied', '2026-03-16'), JOB);
+  pipeline.recordUpdate('rejected', update('saved', '2026-02-20'), JOB);
+  pipeline.recordUpdate('rejected', update('applied', '2026-03-09'));
+  pipeline.recordUpdate('rejected', update('rejected', '2026-03-12'));
+  pipeline.recordUpdate('offer', update('applied', '2026-03-08'), JOB);
+  pipeline.recordUpdate('offer', update('interview', '2026-03-11'));
+  pipeline.recordUpdate('offer', update('offer', '2026-03-17'));
+  pipeline.recordUpdate('old', update('applied', '2025-06-02'), JOB);
+
+  const stats = pipeline.computeStats(now);
+  assert.equal(stats.total, 5);
+  assert.deepEqual(stats.byStatus, {
+    saved: 1,
+    applied: 2,
+    screening: 0,
+    interview: 0,
+    offer: 1,
+    rejected: 1,
+  });
+  assert.equal(stats.applied, 4);
+  assert.equal(stats.responded, 2);
+  assert.equal(stats.responseRate, 0.5);
+  assert.equal(stats.interviewed, 1);
+
+  assert.equal(stats.applicationsPerWeek.length, 12);
+  assert.deepEqual(stats.applicationsPerWeek.slice(-3), [
+    { weekStart: '2026-03-02', count: 1 },
+    { weekStart: '2026-03-09', count: 1 },
+    { weekStart: '2026-03-16', count: 1 },
+  ]);
+  assert.equal(
+    stats.applicationsPerWeek.reduce((sum, week) => sum + week.count, 0),
+    3
+  );
+
+  assert.equal(applications.forUser('nobody').computeStats(now).responseRate, null);
+});
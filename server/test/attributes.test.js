@@ -0,0 +1,71 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const {
+  canonicalEmploymentType,
+  detectEmploymentTypes,
+  detectSeniority,
+  parseSalary,
+  parseYearsOfExperience,
+} = require('../attributes');
+
+test('parses salary ranges in common formats', () => {
+  assert.deepEqual(parseSalary('Pay: $120k–$150k plus equity'), {
+    currency: 'USD',
+    min: 120000,
+    max: 150000,
+    unit: 'YEAR',
+  });
+  assert.deepEqual(parseSalary('Gehalt: €70.000 p.a.'), {
+    currency: 'EUR',
+    min: 70000,
+    max: 70000,
+    unit: 'YEAR',
+  });
+  assert.deepEqual(parseSalary('Rate: £500/day outside IR35'), {
+    currency: 'GBP',
+    min: 500,
+    max: 500,
+    unit: 'DAY',
+  });
+  assert.deepEqual(parseSalary('CHF 95 000 - 110 000 per year'), {
+    currency: 'CHF',
+    min: 95000,
+    max: 110000,
+    unit: 'YEAR',
+  });
+});
+
+test('ignores figures that are not salaries', () => {
+  assert.equal(parseSalary('We raised $25M in 2024 and offer 10% equity.'), undefined);
+  assert.equal(parseSalary('Lunch is $15 on Fridays.'), undefined);
+});
+
+test('detects employment types only in employment phrasing', () => {
+  assert.deepEqual(detectEmploymentTypes('This is a full-time, permanent contract.'), [
+    'Full-time',
+  ]);
+  assert.deepEqual(detectEmploymentTypes('A 6-month contract on a B2B basis.'), ['Contract']);
+  assert.deepEqual(detectEmploymentTypes('Temporary position, temp-to-perm.'), ['Temporary']);
+  assert.deepEqual(
+    detectEmploymentTypes('We are a temp agency for contractors building B2B software.'),
+    []
+  );
+});
+
+test('maps platform labels onto employment types', () => {
+  assert.equal(canonicalEmploymentType('FULL_TIME'), 'Full-time');
+  assert.equal(canonicalEmploymentType('Contractor'), 'Contract');
+  assert.equal(canonicalEmploymentType('Temp'), 'Temporary');
+  assert.equal(canonicalEmploymentType('Volunteer'), undefined);
+});
+
+test('reads seniority from titles and years of experience from text', () => {
+  assert.equal(detectSeniority('Senior Staff Engineer'), 'staff');
+  assert.equal(detectSeniority('Sr. Backend Developer'), 'senior');
+  assert.equal(detectSeniority('Software Engineer II'), 'mid');
+  assert.deepEqual(parseYearsOfExperience('You bring 3-5 years of experience.'), {
+    min: 3,
+    max: 5,
+  });
+  assert.equal(parseYearsOfExperience('Founded 10 years ago in Berlin.'), undefined);
+});
@@ -0,0 +1,137 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, test } = require('node:test');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jd-filter-auth-'));
+process.env.JD_FILTER_DATA_DIR = dataDir;
+
+const auth = require('../auth');
+const { userDataDir } = require('../jsonStore');
+const { LIBRARY_FILE_NAME } = require('../library');
+const { migrateToUserAccounts } = require('../migrate');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Sets the default-user variables for one call, restoring them afterwards.
+const withDefaultUser = (env, run) => {
+  const saved = {
+    JD_FILTER_DEFAULT_USER: process.env.JD_FILTER_DEFAULT_USER,
+    JD_FILTER_DEFAULT_PASSWORD: process.env.JD_FILTER_DEFAULT_PASSWORD,
+  };
+  Object.assign(process.env, env);
+  try {
+    return run();
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+};
+
+const cookieRequest = (token) => ({ headers: { cookie: `theme=dark; jd_session=${token}` } });
+const bearerRequest = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+// Runs first: the migration only happens while there are no users.
+test('refuses invalid default credentials, then moves legacy data into the default user', () => {
+  assert.throws(
+    () => withDefaultUser({ JD_FILTER_DEFAULT_USER: 'no spaces allowed' }, migrateToUserAccounts),
+    /JD_FILTER_DEFAULT_USER/
+  );
+  assert.throws(
+    () => withDefaultUser({ JD_FILTER_DEFAULT_PASSWORD: 'short' }, migrateToUserAccounts),
+    /JD_FILTER_DEFAULT_PASSWORD/
+  );
+  assert.deepEqual(auth.listUsers(), []);
+
+  fs.writeFileSync(path.join(dataDir, LIBRARY_FILE_NAME), '{"jobs":{}}');
+  const migration = withDefaultUser(
+    { JD_FILTER_DEFAULT_USER: ' Admin ', JD_FILTER_DEFAULT_PASSWORD: 'correct horse' },
+    migrateToUserAccounts
+  );
+  assert.equal(migration.user.username, 'admin');
+  assert.equal(migration.passwordFile, null);
+  assert.ok(migration.moved.includes(LIBRARY_FILE_NAME));
+  assert.ok(fs.existsSync(path.join(userDataDir(migration.user.id), LIBRARY_FILE_NAME)));
+  assert.equal(fs.existsSync(path.join(dataDir, LIBRARY_FILE_NAME)), false);
+
+  assert.equal(auth.authenticatePassword('ADMIN', 'correct horse').user.id, migration.user.id);
+  assert.equal(migrateToUserAccounts(), null);
+});
+
+test('hashes passwords with a salt', () => {
+  const user = auth.createUser({ username: 'hasher', password: 'hunter2hunter2' });
+  const [scheme, salt, hash] = user.passwordHash.split('$');
+  assert.equal(scheme, 'scrypt');
+  assert.equal(salt.length, 32);
+  assert.equal(hash.length, 128);
+  assert.equal(auth.verifyPassword('hunter2hunter2', user.passwordHash), true);
+  assert.equal(auth.verifyPassword('hunter3hunter3', user.passwordHash), false);
+  assert.notEqual(
+    auth.createUser({ username: 'hasher2', password: 'hunter2hunter2' }).passwordHash,
+    user.passwordHash
+  );
+  assert.equal(JSON.stringify(auth.publicUser(user)).includes('scrypt'), false);
+});
+
+test('checks a password even for unknown usernames', (t) => {
+  const scrypt = t.mock.method(crypto, 'scryptSync');
+  const known = auth.authenticatePassword('hasher', 'wrong password', { client: 'timing' });
+  const unknown = auth.authenticatePassword('nobody', 'wrong password', { client: 'timing' });
+  assert.deepEqual(unknown, known);
+  assert.equal(scrypt.mock.callCount(), 2);
+});
+
+test('locks out a client after repeated failures, not the account', () => {
+  auth.createUser({ username: 'target', password: 'right password' });
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    assert.equal(
+      auth.authenticatePassword('target', 'guess', { client: '203.0.113.9' }).status,
+      401
+    );
+  }
+  assert.equal(
+    auth.authenticatePassword('target', 'right password', { client: '203.0.113.9' }).status,
+    429
+  );
+  assert.ok(auth.authenticatePassword('target', 'right password', { client: '198.51.100.7' }).user);
+});
+
+test('sessions work as a cookie or a bearer token until deleted', () => {
+  const user = auth.createUser({ username: 'sessions', password: 'session password' });
+  const first = auth.createSession(user.id);
+  const second = auth.createSession(user.id);
+
+  assert.equal(auth.authenticateRequest(cookieRequest(first)).user.id, user.id);
+  assert.deepEqual(auth.authenticateRequest(bearerRequest(first)), {
+    user: auth.getUser(user.id),
+    sessionToken: first,
+  });
+  assert.equal(auth.authenticateRequest(cookieRequest('made-up')), null);
+
+  auth.deleteUserSessions(user.id, second);
+  assert.equal(auth.authenticateRequest(cookieRequest(first)), null);
+  assert.ok(auth.authenticateRequest(cookieRequest(second)));
+  assert.equal(auth.deleteSession(second), true);
+  assert.equal(auth.authenticateRequest(cookieRequest(second)), null);
+});
+
+test('access tokens are shown once and can be revoked', () => {
+  const user = auth.createUser({ username: 'scripts', password: 'script password' });
+  const created = auth.createAccessToken(user.id, '  CI job  ');
+  assert.match(created.token, /^jdf_/);
+  assert.equal(created.label, 'CI job');
+
+  const signedIn = auth.authenticateRequest(bearerRequest(created.token));
+  assert.equal(signedIn.user.id, user.id);
+  assert.equal(signedIn.sessionToken, null);
+  const [listed] = auth.listAccessTokens(user.id);
+  assert.deepEqual(Object.keys(listed).sort(), ['createdAt', 'id', 'label', 'lastUsedAt']);
+  assert.notEqual(listed.lastUsedAt, null);
+
+  assert.equal(auth.deleteAccessToken(user.id, created.id), true);
+  assert.equal(auth.authenticateRequest(bearerRequest(created.token)), null);
+});
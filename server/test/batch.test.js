@@ -0,0 +1,48 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+process.env.BATCH_HOST_INTERVAL_MS = '200';
+
+const { runBatch } = require('../batch');
+
+const collectBatch = async (urls, loadJob = async (url) => ({ url })) => {
+  const events = [];
+  await runBatch(urls, { loadJob, onEvent: (event) => events.push(event) });
+  return events;
+};
+
+test('rejects invalid links as validation errors without loading them', async () => {
+  const loaded = [];
+  const events = await collectBatch(['not a url', 'ftp://jobs.example/1'], async (url) => {
+    loaded.push(url);
+    return {};
+  });
+
+  const errors = events.filter((event) => event.type === 'error');
+  assert.deepEqual(
+    errors.map((event) => [event.url, event.code]),
+    [
+      ['not a url', 'UNSUPPORTED_PROTOCOL'],
+      ['ftp://jobs.example/1', 'UNSUPPORTED_PROTOCOL'],
+    ]
+  );
+  assert.deepEqual(loaded, []);
+});
+
+test('spaces requests to one host across concurrent batches', async () => {
+  const startedAt = [];
+  const loadJob = async () => {
+    startedAt.push(Date.now());
+    return {};
+  };
+
+  await Promise.all([
+    collectBatch(['https://jobs.example/1'], loadJob),
+    collectBatch(['https://jobs.example/2'], loadJob),
+    collectBatch(['https://jobs.example/3'], loadJob),
+  ]);
+
+  startedAt.sort((left, right) => left - right);
+  assert.ok(startedAt[1] - startedAt[0] >= 190);
+  assert.ok(startedAt[2] - startedAt[1] >= 190);
+});
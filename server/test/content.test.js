@@ -0,0 +1,71 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { buildDescription } = require('../content');
+
+const PAGE = `<html><body>
+  <div id="cookie-notice">
+    <p>We use cookies to analyze traffic, personalize content, and more.</p>
+  </div>
+  <nav><a href="/">Home</a> <a href="/jobs">Jobs</a></nav>
+  <div class="layout">
+    <div class="col-main">
+      <h1>Senior Data Engineer</h1>
+      <p>Acme builds data tools for retailers, brands, and marketplaces across Europe.</p>
+      <h2>Requirements</h2>
+      <ul>
+        <li>5+ years with Python, SQL, and a cloud warehouse</li>
+        <li>Experience with dbt, Snowflake, or BigQuery in production</li>
+      </ul>
+      <p>Salary: €70,000 – €90,000 per year.
+        Hybrid in Amsterdam, 2 days a week in the office.</p>
+      <p><img src="x.png" onerror="alert(1)"><a href="javascript:alert(1)">Details</a>
+        <a href="/apply" onclick="track()">Apply now</a></p>
+      <script>window.tracking = true;</script>
+    </div>
+    <div class="sidebar"><h3>More jobs</h3><ul>
+      <li><a href="/1">Backend engineer, Berlin, Germany, full time</a></li>
+      <li><a href="/2">Frontend engineer, Paris, France, full time</a></li>
+    </ul></div>
+  </div>
+  <footer><p>© Acme, Inc. All rights reserved, everywhere, forever and ever.</p></footer>
+</body></html>`;
+
+test('picks the main content block of a page', () => {
+  const description = buildDescription({ page: PAGE, baseUrl: 'https://acme.example/jobs/9' });
+
+  assert.equal(description.source, 'main-content');
+  assert.match(description.text, /^Senior Data Engineer\n/);
+  assert.match(description.text, /• Experience with dbt, Snowflake, or BigQuery in production/);
+  assert.doesNotMatch(description.text, /cookies|More jobs|Frontend engineer|All rights reserved/);
+});
+
+test('sanitizes the markup', () => {
+  const { html } = buildDescription({ page: PAGE, baseUrl: 'https://acme.example/jobs/9' });
+
+  assert.doesNotMatch(html, /<script|<img|onerror|onclick|javascript:|class=/);
+  assert.match(html, /<h3>Requirements<\/h3>/);
+  assert.match(html, /Details\s+<a href="https:\/\/acme\.example\/apply" target="_blank"/);
+});
+
+test('finds salary and location phrases', () => {
+  const { highlights } = buildDescription({ page: PAGE, baseUrl: 'https://acme.example/jobs/9' });
+
+  assert.deepEqual(
+    highlights.filter((highlight) => highlight.type === 'salary'),
+    [{ type: 'salary', text: '€70,000 – €90,000 per year' }]
+  );
+  const locations = highlights.map((highlight) => highlight.text);
+  assert.ok(locations.includes('2 days a week in the office'));
+  assert.ok(locations.includes('Amsterdam'));
+});
+
+test('keeps a description the source already isolated', () => {
+  const description = buildDescription({
+    html: 'Line one\nRemote within the US',
+    source: 'greenhouse-api',
+  });
+
+  assert.equal(description.source, 'greenhouse-api');
+  assert.equal(description.html, '<p>Line one</p><p>Remote within the US</p>');
+  assert.equal(description.text, 'Line one\nRemote within the US');
+});
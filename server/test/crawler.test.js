@@ -0,0 +1,134 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { after, before, test } = require('node:test');
+
+// The careers site is served from this machine; fetched pages land in a
+// throwaway HTTP cache.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jd-filter-crawler-'));
+process.env.JD_FILTER_DATA_DIR = dataDir;
+process.env.FETCH_ALLOW_PRIVATE_ADDRESSES = 'true';
+
+const { discoverJobs, looksLikePosting } = require('../crawler');
+
+const link = (href, text) => `<a href="${href}">${text}</a>`;
+
+let port;
+const PAGES = {
+  '/careers': () =>
+    [
+      link('/jobs/101', 'Data Analyst'),
+      link('/jobs/senior-backend-engineer', 'Senior Backend Engineer'),
+      link('/careers/open-roles', 'See all jobs'),
+      link('/careers/teams', 'Engineering jobs'),
+      link('/careers?page=2', 'Next'),
+      link(`http://localhost:${port}/jobs/999`, 'Elsewhere'),
+      link('https://www.example.org/jobs/5', 'Partner job'),
+      link('mailto:jobs@example.com', 'Email us'),
+    ].join(''),
+  '/careers?page=2': () => link('/jobs/102', 'QA Engineer'),
+  '/careers/open-roles': () => link('/jobs/101', 'Data Analyst'),
+  '/careers/teams': () =>
+    [
+      link('/jobs/201', 'Backend Engineer, Payments'),
+      link('/careers/teams/platform', 'Platform jobs'),
+    ].join(''),
+  '/careers/teams/platform': () => link('/jobs/301', 'Platform Engineer'),
+};
+
+const requested = [];
+const server = http.createServer((req, res) => {
+  requested.push(req.url);
+  const page = PAGES[req.url];
+  if (!page) {
+    res.writeHead(404).end();
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end(`<html><body>${page()}</body></html>`);
+});
+
+let baseUrl;
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+  baseUrl = `http://127.0.0.1:${port}`;
+});
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const discover = (options) => discoverJobs(`${baseUrl}/careers`, { cache: 'reload', ...options });
+
+const candidatePaths = (result) =>
+  result.candidates.map((candidate) => new URL(candidate.url).pathname).sort();
+
+test('tells posting links from listing pages', () => {
+  const posting = (href, text = '') => looksLikePosting({ parsed: new URL(href, baseUrl), text });
+  assert.equal(posting('/jobs/1234'), true);
+  assert.equal(posting('/careers/senior-backend-engineer', 'Senior Backend Engineer'), true);
+  assert.equal(posting('/careers/open-roles', 'See all jobs'), false);
+  assert.equal(posting('/apply?gh_jid=4012345006'), true);
+  assert.equal(posting('/about/team-members'), false);
+});
+
+test('stays on the starting page, plus its pagination, at depth 0', async () => {
+  requested.length = 0;
+  const result = await discover({ depth: 0 });
+  assert.deepEqual(candidatePaths(result), [
+    '/jobs/101',
+    '/jobs/102',
+    '/jobs/senior-backend-engineer',
+  ]);
+  assert.equal(result.pagesVisited, 2);
+  assert.equal(result.truncated, false);
+  assert.deepEqual(result.failures, []);
+  assert.deepEqual(requested, ['/careers', '/careers?page=2']);
+});
+
+test('follows same-site listing pages up to the requested depth', async () => {
+  const oneLevel = await discover({ depth: 1 });
+  assert.deepEqual(candidatePaths(oneLevel), [
+    '/jobs/101',
+    '/jobs/102',
+    '/jobs/201',
+    '/jobs/senior-backend-engineer',
+  ]);
+  assert.equal(oneLevel.pagesVisited, 4);
+
+  requested.length = 0;
+  const deepest = await discover({ depth: 99 });
+  assert.ok(candidatePaths(deepest).includes('/jobs/301'));
+  // Links to other sites are neither fetched nor listed.
+  assert.equal(
+    deepest.candidates.some((candidate) => !candidate.url.startsWith(baseUrl)),
+    false
+  );
+  assert.equal(
+    requested.some((url) => url.startsWith('/jobs/')),
+    false
+  );
+});
+
+test('filters candidates by keyword and reports pages that fail', async () => {
+  PAGES['/careers/teams/platform'] = undefined;
+  try {
+    const result = await discover({ depth: 2, keywords: 'backend, nonexistent' });
+    assert.deepEqual(candidatePaths(result), ['/jobs/201', '/jobs/senior-backend-engineer']);
+    assert.equal(result.total, 4);
+    assert.deepEqual(
+      result.failures.map(({ url, code }) => [new URL(url).pathname, code]),
+      [['/careers/teams/platform', 'POSTING_CLOSED']]
+    );
+  } finally {
+    PAGES['/careers/teams/platform'] = () => link('/jobs/301', 'Platform Engineer');
+  }
+
+  await assert.rejects(discoverJobs(`${baseUrl}/missing`, { cache: 'reload' }), {
+    code: 'POSTING_CLOSED',
+  });
+});
@@ -0,0 +1,98 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const {
+  estimateSimilarity,
+  groupDuplicates,
+  minHashSignature,
+  normalizeCompany,
+  normalizeTitle,
+} = require('../duplicates');
+
+const DESCRIPTION = `Acme builds data tools for retailers, brands and marketplaces across
+Europe. As a Senior Data Engineer you will design and run the pipelines that move billions of
+events a day from our ingestion layer into the warehouse, own data quality checks, and work
+with analysts to model the core business entities. You have five or more years with Python
+and SQL, have run dbt and Snowflake or BigQuery in production, and care about testing, code
+review and documentation. We offer a yearly learning budget, flexible hours and two days a
+week in our Amsterdam office.`;
+
+const OTHER_DESCRIPTION = `Acme is hiring a Frontend Engineer to build the dashboards our
+customers use every day. You will work in React and TypeScript, own accessibility and
+performance, pair with designers on new features, and help us grow a shared component library.
+Experience with charts, design systems and end-to-end testing is a plus, and so is a keen eye
+for detail and a habit of writing things down for the rest of the team.`;
+
+const job = (overrides) => ({
+  title: 'Senior Data Engineer',
+  company: 'Acme',
+  location: { workMode: 'hybrid', offices: [{ city: 'Amsterdam', country: 'Netherlands' }] },
+  description: { text: DESCRIPTION, source: 'json-ld' },
+  ...overrides,
+});
+
+test('normalizes titles and company names', () => {
+  assert.equal(normalizeTitle('Sr. Data Engineer (m/w/d) - Remote'), 'senior data engineer');
+  assert.equal(normalizeTitle('Senior Data Engineer | LinkedIn'), 'senior data engineer');
+  assert.equal(normalizeCompany('ACME, Inc.'), 'acme');
+  assert.equal(normalizeCompany('Acme GmbH'), 'acme');
+});
+
+test('estimates description similarity with MinHash', () => {
+  const original = minHashSignature(DESCRIPTION);
+  const reposted = minHashSignature(`Apply on our partner board today. ${DESCRIPTION}`);
+  assert.ok(estimateSimilarity(original, reposted) > 0.8);
+  assert.ok(estimateSimilarity(original, minHashSignature(OTHER_DESCRIPTION)) < 0.2);
+  assert.equal(minHashSignature('Too short to compare.'), null);
+});
+
+test('groups cross-posts and picks the most complete copy', () => {
+  const { groups } = groupDuplicates([
+    job({ title: 'Sr. Data Engineer (m/f/d)', company: 'Acme B.V.', location: null }),
+    job({
+      baseSalary: { currency: 'EUR', min: 70000, max: 90000, unit: 'YEAR' },
+      seniority: 'senior',
+      datePosted: '2024-05-01',
+    }),
+    job({ title: 'Frontend Engineer', description: { text: OTHER_DESCRIPTION } }),
+    job({ description: { text: `Apply on our partner board. ${DESCRIPTION}` }, company: '' }),
+  ]);
+
+  assert.equal(groups.length, 1);
+  assert.deepEqual(
+    groups[0].members.map((member) => member.index),
+    [0, 1, 3]
+  );
+  assert.equal(groups[0].primary, 1);
+  assert.ok(groups[0].similarity > 0.5);
+});
+
+test('keeps similar postings apart when a detail contradicts them', () => {
+  const { groups } = groupDuplicates([
+    job(),
+    job({ company: 'Initech' }),
+    job({ location: { workMode: 'onsite', offices: [{ city: 'Berlin', country: 'Germany' }] } }),
+    job({ title: 'Staff Data Engineer', seniority: 'staff' }),
+    job({ seniority: 'senior' }),
+  ]);
+
+  assert.deepEqual(
+    groups.map((group) => group.members.map((member) => member.index)),
+    [[0, 4]]
+  );
+});
+
+test('groups client-supplied jobs with malformed fields without throwing', () => {
+  const { groups } = groupDuplicates([
+    job({ location: { workMode: 'hybrid', offices: 'Amsterdam', remoteRegions: [{}] } }),
+    job({
+      location: { workMode: 42, offices: [null, { city: ['Amsterdam'], country: 7 }] },
+      techStacks: 'Python',
+    }),
+    job(),
+  ]);
+
+  assert.deepEqual(
+    groups.map((group) => group.members.map((member) => member.index)),
+    [[0, 1, 2]]
+  );
+});
@@ -0,0 +1,92 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const {
+  FETCH_ERRORS,
+  createFetchError,
+  describeFetchError,
+  errorForResponse,
+  parseRetryAfter,
+  toFetchError,
+} = require('../errors');
+
+const URL = 'https://jobs.example/postings/1';
+
+const responseWith = (status, headers = {}) => ({ status, headers: new Headers(headers) });
+
+const classify = (error) => ({
+  code: error.code,
+  status: error.responseStatus,
+  retryable: error.retryable,
+});
+
+test('creates errors with the status and retry hint of their code', () => {
+  const error = createFetchError('RATE_LIMITED', 'Slow down.', { retryAfter: 30 });
+  assert.ok(error instanceof Error);
+  assert.deepEqual(classify(error), { code: 'RATE_LIMITED', status: 429, retryable: true });
+  assert.deepEqual(describeFetchError(error), {
+    code: 'RATE_LIMITED',
+    message: 'Slow down.',
+    retryable: true,
+    retryAfter: 30,
+  });
+  Object.entries(FETCH_ERRORS).forEach(([code, { status, retryable }]) => {
+    assert.ok(status >= 400 && status < 600, code);
+    assert.equal(typeof retryable, 'boolean', code);
+  });
+});
+
+test('maps upstream statuses onto the taxonomy', () => {
+  const mapped = (status, headers) =>
+    classify(errorForResponse(responseWith(status, headers), URL));
+  assert.deepEqual(mapped(404), { code: 'POSTING_CLOSED', status: 404, retryable: false });
+  assert.deepEqual(mapped(410), { code: 'POSTING_CLOSED', status: 404, retryable: false });
+  assert.deepEqual(mapped(403), { code: 'UPSTREAM_BLOCKED', status: 502, retryable: false });
+  assert.deepEqual(mapped(401), { code: 'UPSTREAM_BLOCKED', status: 502, retryable: false });
+  assert.deepEqual(mapped(418), { code: 'UPSTREAM_BLOCKED', status: 502, retryable: false });
+  assert.deepEqual(mapped(503), { code: 'UPSTREAM_ERROR', status: 502, retryable: true });
+  assert.deepEqual(mapped(429), { code: 'RATE_LIMITED', status: 429, retryable: true });
+
+  const limited = errorForResponse(responseWith(429, { 'Retry-After': '120' }), URL);
+  assert.equal(limited.retryAfter, 120);
+  assert.equal(limited.upstreamStatus, 429);
+  assert.match(limited.message, /429 while fetching https:\/\/jobs\.example\/postings\/1/);
+});
+
+test('reads Retry-After as seconds or an HTTP date', () => {
+  assert.equal(parseRetryAfter(undefined), undefined);
+  assert.equal(parseRetryAfter('7'), 7);
+  assert.equal(parseRetryAfter('-3'), 0);
+  assert.equal(parseRetryAfter('soon'), undefined);
+  const inAMinute = new Date(Date.now() + 60 * 1000).toUTCString();
+  assert.ok(Math.abs(parseRetryAfter(inAMinute) - 60) <= 1);
+  assert.equal(parseRetryAfter(new Date(0).toUTCString()), 0);
+});
+
+test('classifies network failures and keeps known errors as they are', () => {
+  const failed = (cause) => Object.assign(new TypeError('fetch failed'), { cause });
+  const known = createFetchError('HOST_BLOCKED', 'Blocked.');
+  assert.equal(toFetchError(known), known);
+
+  assert.deepEqual(classify(toFetchError(failed({ code: 'ENOTFOUND' }))), {
+    code: 'DNS_LOOKUP_FAILED',
+    status: 422,
+    retryable: false,
+  });
+  assert.deepEqual(classify(toFetchError(failed({ code: 'UND_ERR_CONNECT_TIMEOUT' }))), {
+    code: 'TIMEOUT',
+    status: 408,
+    retryable: true,
+  });
+  const dualStack = failed(
+    new AggregateError([{ code: 'ECONNREFUSED' }, { code: 'ECONNREFUSED' }])
+  );
+  const refused = toFetchError(dualStack);
+  assert.deepEqual(classify(refused), { code: 'NETWORK_ERROR', status: 502, retryable: true });
+  assert.match(refused.message, /ECONNREFUSED/);
+  assert.equal(toFetchError(failed(undefined)).code, 'NETWORK_ERROR');
+
+  const bug = new RangeError('Unexpected');
+  const internal = toFetchError(bug);
+  assert.deepEqual(classify(internal), { code: 'INTERNAL', status: 500, retryable: false });
+  assert.equal(internal.cause, bug);
+});
@@ -0,0 +1,135 @@
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { test } = require('node:test');
+const { COLUMNS, DEFAULT_COLUMNS, exportJobs, parseExportOptions } = require('../exporter');
+const { buildWorkbook } = require('../xlsx');
+
+const RECORD = {
+  canonicalUrl: 'https://jobs.example/postings/1',
+  status: 'active',
+  job: {
+    title: 'Engineer, "Platform"',
+    company: '=HYPERLINK("https://evil.example")',
+    location: { workMode: 'remote', summary: 'Remote\nEurope' },
+    baseSalary: { currency: 'EUR', min: 70000, max: 90000, unit: 'YEAR' },
+    techStacks: [
+      { name: 'Go', importance: 'required' },
+      { name: 'AWS', importance: 'preferred' },
+    ],
+  },
+};
+
+const exportAs = (format, columns, records = [RECORD]) =>
+  exportJobs(records, { ...parseExportOptions({ format, columns }), scoreJob: () => 87 });
+
+// Reads a zip through its central directory, checking every entry's CRC.
+const unzip = (buffer) => {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(end >= 0, 'end of central directory record');
+  const count = buffer.readUInt16LE(end + 10);
+  let cursor = buffer.readUInt32LE(end + 16);
+  const files = {};
+  for (let entry = 0; entry < count; entry += 1) {
+    assert.equal(buffer.readUInt32LE(cursor), 0x02014b50);
+    const method = buffer.readUInt16LE(cursor + 10);
+    const crc = buffer.readUInt32LE(cursor + 16);
+    const compressedSize = buffer.readUInt32LE(cursor + 20);
+    const size = buffer.readUInt32LE(cursor + 24);
+    const nameLength = buffer.readUInt16LE(cursor + 28);
+    const offset = buffer.readUInt32LE(cursor + 42);
+    const name = buffer.toString('utf8', cursor + 46, cursor + 46 + nameLength);
+
+    assert.equal(buffer.readUInt32LE(offset), 0x04034b50, name);
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26);
+    assert.equal(method, 8, name);
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+    assert.equal(data.length, size, name);
+    assert.equal(zlib.crc32(data), crc, name);
+    files[name] = data.toString('utf8');
+    cursor += 46 + nameLength;
+  }
+  return files;
+};
+
+test('validates the format and column list', () => {
+  assert.deepEqual(
+    parseExportOptions().columns.map((column) => column.id),
+    DEFAULT_COLUMNS
+  );
+  assert.deepEqual(
+    parseExportOptions({ format: 'json', columns: ' title , url,' }).columns.map(
+      (column) => column.id
+    ),
+    ['title', 'url']
+  );
+  assert.match(parseExportOptions({ format: 'pdf' }).error, /Unknown export format "pdf"/);
+  assert.match(parseExportOptions({ columns: 'title,secret' }).error, /secret/);
+  assert.equal(new Set(COLUMNS.map((column) => column.id)).size, COLUMNS.length);
+});
+
+test('escapes CSV cells and neutralizes formulas', () => {
+  const { body, contentType, extension } = exportAs(
+    'csv',
+    'title,company,location,salaryMin,techStacks,matchScore,validThrough'
+  );
+  assert.equal(contentType, 'text/csv; charset=utf-8');
+  assert.equal(extension, 'csv');
+  assert.ok(body.startsWith('\uFEFF'));
+  assert.equal(
+    body.slice(1),
+    'Title,Company,Location,Salary min,Tech stacks,Match score,Valid through\r\n' +
+      '"Engineer, ""Platform""","\'=HYPERLINK(""https://evil.example"")","Remote\nEurope",' +
+      '70000,Go; AWS,87,\r\n'
+  );
+  assert.equal(
+    exportAs('csv', 'title', [{ job: { title: '-1 day ago' } }]).body,
+    "\uFEFFTitle\r\n'-1 day ago\r\n"
+  );
+});
+
+test('keeps lists as arrays in JSON and flattens Markdown cells', () => {
+  const [row] = JSON.parse(exportAs('json', 'requiredTech,salary,seniority').body);
+  assert.deepEqual(row, {
+    requiredTech: ['Go'],
+    salary: '70000-90000 EUR / year',
+    seniority: null,
+  });
+
+  const markdown = exportAs('md', 'title,location', [
+    { job: { title: 'A | B', location: 'Remote\n  Europe' } },
+  ]).body;
+  assert.equal(markdown, '| Title | Location |\n| --- | --- |\n| A \\| B | Remote Europe |\n');
+});
+
+test('writes a workbook that unzips into a valid spreadsheet package', () => {
+  const { body, extension } = exportAs('xlsx', 'title,company,salaryMax,techStacks');
+  assert.equal(extension, 'xlsx');
+  const files = unzip(body);
+  assert.deepEqual(Object.keys(files).sort(), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml',
+    'xl/workbook.xml',
+    'xl/worksheets/sheet1.xml',
+  ]);
+  assert.match(files['xl/workbook.xml'], /<sheet name="Jobs" sheetId="1" r:id="rId1"\/>/);
+
+  const sheet = files['xl/worksheets/sheet1.xml'];
+  assert.match(sheet, /<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Title<\/t>/);
+  assert.match(sheet, /<c r="B2" t="inlineStr"><is><t xml:space="preserve">=HYPERLINK\(&quot;/);
+  assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">Engineer, &quot;/);
+  assert.match(sheet, /<c r="C2"><v>90000<\/v><\/c>/);
+  assert.match(sheet, />Go; AWS</);
+});
+
+test('names columns past Z and drops characters XML cannot hold', () => {
+  const header = Array.from({ length: 28 }, (_, index) => `col${index}`);
+  const sheet = unzip(buildWorkbook([header, ['a\u0000<b>&\u001Fc', null, 1.5]]))[
+    'xl/worksheets/sheet1.xml'
+  ];
+  assert.match(sheet, /<c r="AB1" s="1" t="inlineStr">/);
+  assert.match(sheet, /<t xml:space="preserve">a&lt;b&gt;&amp;c<\/t>/);
+  assert.doesNotMatch(sheet, /r="B2"/);
+  assert.match(sheet, /<c r="C2"><v>1.5<\/v><\/c>/);
+});
@@ -0,0 +1,17 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { diffSummaries, listFixtures, runFixture } = require('./harness');
+
+const formatDiff = ({ field, expected, actual }) =>
+  `  ${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`;
+
+listFixtures().forEach((fixture) => {
+  test(`extracts ${fixture.name}`, () => {
+    const diffs = diffSummaries(fixture.expected, runFixture(fixture));
+    assert.equal(
+      diffs.length,
+      0,
+      `${fixture.name} no longer matches ${fixture.name}.json:\n${diffs.map(formatDiff).join('\n')}`
+    );
+  });
+});
@@ -0,0 +1,175 @@
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const { after, before, test } = require('node:test');
+const {
+  POLICY,
+  assertAllowedUrl,
+  assertContentType,
+  fetchWithPolicy,
+  isPrivateAddress,
+  lookupPublicAddress,
+  readBody,
+} = require('../fetchPolicy');
+
+const BIG_BODY = 'x'.repeat(5000);
+
+// Redirect chains, echoes and oversized bodies, served from this machine.
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const loop = pathname.match(/^\/loop\/(\d+)$/);
+  if (loop) {
+    res.writeHead(302, { Location: `/loop/${Number(loop[1]) + 1}` }).end();
+  } else if (pathname === '/to-localhost') {
+    res.writeHead(302, { Location: `http://localhost:${server.address().port}/echo` }).end();
+  } else if (pathname === '/see-other' || pathname === '/temporary') {
+    req.resume();
+    res.writeHead(pathname === '/see-other' ? 303 : 307, { Location: '/echo' }).end();
+  } else if (pathname === '/echo') {
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+    });
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(
+        JSON.stringify({
+          method: req.method,
+          size,
+          contentType: req.headers['content-type'] ?? null,
+        })
+      );
+    });
+  } else if (pathname === '/big') {
+    res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Length': BIG_BODY.length });
+    res.end(BIG_BODY);
+  } else if (pathname === '/big-chunked') {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.write(BIG_BODY.slice(0, 2500));
+    res.end(BIG_BODY.slice(2500));
+  } else {
+    res.writeHead(404).end();
+  }
+});
+
+let baseUrl;
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// Runs `run` with some policy settings changed, restoring them afterwards.
+const withPolicy = async (overrides, run) => {
+  const saved = { ...POLICY };
+  Object.assign(POLICY, overrides);
+  try {
+    return await run();
+  } finally {
+    Object.assign(POLICY, saved);
+  }
+};
+
+const rejectsWith = (promise, code) => assert.rejects(promise, (error) => error.code === code);
+
+test('treats private, loopback, link-local and mapped addresses as private', () => {
+  [
+    '10.1.2.3',
+    '127.0.0.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '172.20.0.1',
+    '192.168.1.1',
+    '0.0.0.0',
+    '::1',
+    '::',
+    'fe80::1',
+    'fd12:3456::1',
+    '::ffff:127.0.0.1',
+    '::ffff:a9fe:a9fe',
+    '64:ff9b::a9fe:a9fe',
+    'not-an-address',
+  ].forEach((address) => assert.equal(isPrivateAddress(address), true, address));
+  ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111'].forEach((address) =>
+    assert.equal(isPrivateAddress(address), false, address)
+  );
+});
+
+test('refuses other protocols, private hosts and blocked hosts', async () => {
+  await rejectsWith(assertAllowedUrl('ftp://example.com/job'), 'UNSUPPORTED_PROTOCOL');
+  await rejectsWith(assertAllowedUrl('http://169.254.169.254/latest'), 'PRIVATE_ADDRESS');
+  await rejectsWith(assertAllowedUrl('http://[::ffff:7f00:1]/'), 'PRIVATE_ADDRESS');
+  await rejectsWith(assertAllowedUrl('http://localhost/'), 'PRIVATE_ADDRESS');
+  await withPolicy({ blockedHosts: ['example.com'] }, () =>
+    rejectsWith(assertAllowedUrl('https://jobs.example.com/1'), 'HOST_BLOCKED')
+  );
+  await withPolicy({ allowedHosts: ['example.org'] }, () =>
+    rejectsWith(assertAllowedUrl('https://example.com/1'), 'HOST_NOT_ALLOWED')
+  );
+});
+
+test('checks the address the connection resolves, not just the first lookup', async (t) => {
+  await new Promise((resolve) =>
+    lookupPublicAddress('localhost', { all: true }, (error) => {
+      assert.equal(error?.code, 'PRIVATE_ADDRESS');
+      resolve();
+    })
+  );
+
+  // The check sees a public address, the connect would reach this machine.
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+  await rejectsWith(
+    fetchWithPolicy(`http://localhost:${server.address().port}/echo`),
+    'PRIVATE_ADDRESS'
+  );
+});
+
+test('checks every redirect hop and caps the chain', () =>
+  withPolicy({ allowPrivateAddresses: true, maxRedirects: 2 }, async () => {
+    await rejectsWith(fetchWithPolicy(`${baseUrl}/loop/1`), 'TOO_MANY_REDIRECTS');
+    await withPolicy({ blockedHosts: ['localhost'], maxRedirects: 5 }, () =>
+      rejectsWith(fetchWithPolicy(`${baseUrl}/to-localhost`), 'HOST_BLOCKED')
+    );
+  }));
+
+test('follows a 303 as a GET without the body, and a 307 as it was sent', () =>
+  withPolicy({ allowPrivateAddresses: true }, async () => {
+    const post = (path) =>
+      fetchWithPolicy(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"query":"engineer"}',
+      }).then((response) => response.json());
+
+    assert.deepEqual(await post('/see-other'), { method: 'GET', size: 0, contentType: null });
+    assert.deepEqual(await post('/temporary'), {
+      method: 'POST',
+      size: 20,
+      contentType: 'application/json',
+    });
+  }));
+
+test('stops reading bodies over the size limit', () =>
+  withPolicy({ allowPrivateAddresses: true, maxBytes: 1000 }, async () => {
+    for (const path of ['/big', '/big-chunked']) {
+      const response = await fetchWithPolicy(`${baseUrl}${path}`);
+      await rejectsWith(readBody(response, `${baseUrl}${path}`), 'RESPONSE_TOO_LARGE');
+    }
+  }));
+
+test('accepts only the listed content types', () => {
+  const responseWith = (contentType) => ({
+    headers: new Headers(contentType ? { 'Content-Type': contentType } : {}),
+  });
+  const allowed = ['text/html', '+json'];
+  assert.doesNotThrow(() => assertContentType(responseWith('text/html; charset=utf-8'), allowed));
+  assert.doesNotThrow(() => assertContentType(responseWith('application/ld+json'), allowed));
+  assert.doesNotThrow(() => assertContentType(responseWith(''), allowed));
+  assert.throws(
+    () => assertContentType(responseWith('application/pdf'), allowed, 'https://example.com/1'),
+    (error) => error.code === 'UNSUPPORTED_CONTENT_TYPE'
+  );
+});
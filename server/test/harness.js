@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { extractJobFromHtml } = require('../extraction');
+const { TECH_PRESETS, normalizeTaxonomy } = require('../taxonomy');
+
+// Golden-file harness for the generic extractor. Each fixture is a saved
+// posting page, `<name>.html`, next to `<name>.json`:
+//
+//   { "url": "...", "recordedAt": "...", "expected": { title, company,
+//     location: { workMode, summary }, techStacks: { <name>: <importance> } } }
+//
+// Pages are extracted with every preset tech, so results exercise all the
+// matching rules and do not depend on anyone's saved tech stacks.
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const FIXTURE_TAXONOMY = normalizeTaxonomy(TECH_PRESETS.map((preset) => preset.name));
+
+const fixturePaths = (name) => ({
+  htmlPath: path.join(FIXTURES_DIR, `${name}.html`),
+  expectedPath: path.join(FIXTURES_DIR, `${name}.json`),
+});
+
+const listFixtures = () =>
+  fs
+    .readdirSync(FIXTURES_DIR)
+    .filter((fileName) => fileName.endsWith('.json'))
+    .map((fileName) => path.basename(fileName, '.json'))
+    .sort()
+    .map((name) => {
+      const paths = fixturePaths(name);
+      const { url, expected } = JSON.parse(fs.readFileSync(paths.expectedPath, 'utf8'));
+      return { name, url, expected, ...paths };
+    });
+
+const extractFixture = (html, url) =>
+  extractJobFromHtml(html, { url, techStacks: FIXTURE_TAXONOMY });
+
+// The fields a fixture pins down, in the shape of `expected`.
+const summarizeExtraction = (job) => ({
+  title: job.title,
+  company: job.company ?? null,
+  location: {
+    workMode: job.location?.workMode ?? null,
+    summary: job.location?.summary ?? null,
+  },
+  techStacks: Object.fromEntries(
+    [...job.techStacks]
+      .sort((left, right) => left.name.localeCompare(right.name))
+      .map((tech) => [tech.name, tech.importance])
+  ),
+});
+
+const runFixture = (fixture) =>
+  summarizeExtraction(extractFixture(fs.readFileSync(fixture.htmlPath, 'utf8'), fixture.url));
+
+// Differences between two summaries as `[{ field, expected, actual }]`;
+// tech stacks are compared one tech at a time.
+const diffSummaries = (expected, actual) => {
+  const diffs = [];
+  const compare = (field, left, right) => {
+    if ((left ?? null) !== (right ?? null)) {
+      diffs.push({ field, expected: left ?? null, actual: right ?? null });
+    }
+  };
+
+  compare('title', expected.title, actual.title);
+  compare('company', expected.company, actual.company);
+  compare('location.workMode', expected.location?.workMode, actual.location.workMode);
+  compare('location.summary', expected.location?.summary, actual.location.summary);
+
+  const techNames = new Set([
+    ...Object.keys(expected.techStacks || {}),
+    ...Object.keys(actual.techStacks),
+  ]);
+  [...techNames].sort().forEach((name) => {
+    compare(`techStacks.${name}`, expected.techStacks?.[name], actual.techStacks[name]);
+  });
+  return diffs;
+};
+
+const ratio = (numerator, denominator) => (denominator === 0 ? null : numerator / denominator);
+
+// Per-tech precision and recall of the detected tech names (importance
+// aside) across fixtures: `[{ name, truePositives, falsePositives,
+// falseNegatives, precision, recall }]`, worst first.
+const scoreTechStacks = (results) => {
+  const counts = new Map();
+  const countFor = (name) => {
+    if (!counts.has(name)) {
+      counts.set(name, { name, truePositives: 0, falsePositives: 0, falseNegatives: 0 });
+    }
+    return counts.get(name);
+  };
+
+  results.forEach(({ expected, actual }) => {
+    const expectedNames = new Set(Object.keys(expected.techStacks || {}));
+    const actualNames = new Set(Object.keys(actual.techStacks));
+    actualNames.forEach((name) => {
+      if (expectedNames.has(name)) countFor(name).truePositives += 1;
+      else countFor(name).falsePositives += 1;
+    });
+    expectedNames.forEach((name) => {
+      if (!actualNames.has(name)) countFor(name).falseNegatives += 1;
+    });
+  });
+
+  return Array.from(counts.values())
+    .map((entry) => ({
+      ...entry,
+      precision: ratio(entry.truePositives, entry.truePositives + entry.falsePositives),
+      recall: ratio(entry.truePositives, entry.truePositives + entry.falseNegatives),
+    }))
+    .sort(
+      (left, right) =>
+        Math.min(left.precision ?? 1, left.recall ?? 1) -
+          Math.min(right.precision ?? 1, right.recall ?? 1) || left.name.localeCompare(right.name)
+    );
+};
+
+module.exports = {
+  FIXTURES_DIR,
+  fixturePaths,
+  listFixtures,
+  extractFixture,
+  summarizeExtraction,
+  runFixture,
+  diffSummaries,
+  scoreTechStacks,
+};
@@ -0,0 +1,42 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, test } = require('node:test');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jd-filter-http-cache-'));
+process.env.JD_FILTER_DATA_DIR = dataDir;
+process.env.FETCH_CACHE_MAX_ENTRIES = '3';
+process.env.FETCH_CACHE_MAX_AGE_DAYS = '1';
+
+const httpCache = require('../httpCache');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACCEPT = 'text/html';
+
+// Writes an entry and backdates its file by `ageMs`.
+const writeAged = (url, ageMs) => {
+  httpCache.writeEntry(url, ACCEPT, { status: 200, body: `<p>${url}</p>` });
+  const files = fs.readdirSync(path.join(dataDir, 'http_cache'));
+  const filePath = files
+    .map((name) => path.join(dataDir, 'http_cache', name))
+    .find((candidate) => JSON.parse(fs.readFileSync(candidate, 'utf8')).url === url);
+  const time = new Date(Date.now() - ageMs);
+  fs.utimesSync(filePath, time, time);
+};
+
+test('drops expired entries and the oldest ones past the entry limit', () => {
+  writeAged('https://jobs.example/expired', 2 * DAY_MS);
+  ['oldest', 'older', 'old', 'new'].forEach((name, index) =>
+    writeAged(`https://jobs.example/${name}`, (4 - index) * 60 * 1000)
+  );
+
+  assert.equal(httpCache.pruneCache(), 2);
+  assert.equal(httpCache.readEntry('https://jobs.example/expired', ACCEPT), null);
+  assert.equal(httpCache.readEntry('https://jobs.example/oldest', ACCEPT), null);
+  ['older', 'old', 'new'].forEach((name) =>
+    assert.equal(httpCache.readEntry(`https://jobs.example/${name}`, ACCEPT).status, 200)
+  );
+});
@@ -0,0 +1,83 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const { extractLinksFromFile } = require('../importer');
+
+// Saved uploads of every supported format.
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'import');
+
+const importFixture = (fileName, { keepName = true } = {}) =>
+  extractLinksFromFile({
+    fileName: keepName ? fileName : '',
+    content: fs.readFileSync(path.join(FIXTURES_DIR, fileName)),
+  });
+
+const GREENHOUSE_JOB = 'https://job-boards.greenhouse.io/tidewater/jobs/4012345006';
+const LEVER_JOB = 'https://jobs.lever.co/northwind/5f0c2a8e-1b7d-4c3e-9a6f-2d8b7e4c1a90';
+const ACME_JOB = 'https://careers.acme.example/jobs/1234';
+
+test('reads quoted CSV cells whole and merges links to the same posting', () => {
+  assert.deepEqual(importFixture('jobs.csv'), {
+    format: 'csv',
+    links: [
+      GREENHOUSE_JOB,
+      LEVER_JOB,
+      'https://careers.acme.example/jobs/data-engineer?teams=data%2Cplatform',
+    ],
+    otherLinks: [],
+    duplicates: 1,
+  });
+});
+
+test('splits TSV files on tabs', () => {
+  const content = Buffer.from(
+    `title\tlink\nFull-Stack Engineer\t${LEVER_JOB}?lever-origin=applied\nPlatform\t${ACME_JOB}\n`
+  );
+  assert.deepEqual(extractLinksFromFile({ fileName: 'jobs.tsv', content }).links, [
+    LEVER_JOB,
+    ACME_JOB,
+  ]);
+});
+
+test('finds links in plain text without the surrounding punctuation', () => {
+  assert.deepEqual(importFixture('links.txt'), {
+    format: 'text',
+    links: [
+      'https://jobs.ashbyhq.com/lumen-labs/0b9d6c1e-2f3a-4b5c-8d7e-6f5a4b3c2d1e',
+      'https://fincorp.wd3.myworkdayjobs.com/Careers/job/Toronto-Ontario/Java-Developer_R-104522',
+    ],
+    otherLinks: ['https://www.lumenlabs.example/'],
+    duplicates: 0,
+  });
+});
+
+test('reads bookmark exports, leaving listing pages out', () => {
+  assert.deepEqual(importFixture('bookmarks.html'), {
+    format: 'html',
+    links: [LEVER_JOB, ACME_JOB],
+    otherLinks: ['https://careers.acme.example/careers/open-roles'],
+    duplicates: 0,
+  });
+});
+
+test('decodes email parts and unwraps click-tracking redirects', () => {
+  const result = importFixture('alert.eml');
+  assert.deepEqual(result, {
+    format: 'email',
+    links: [GREENHOUSE_JOB, LEVER_JOB],
+    otherLinks: [
+      'https://alerts.jobmail.example/settings',
+      'https://alerts.jobmail.example/unsubscribe?token=abc123',
+    ],
+    duplicates: 1,
+  });
+  assert.deepEqual(importFixture('alert.eml', { keepName: false }), result);
+});
+
+test('reads every message of an mbox file', () => {
+  const { format, links, duplicates } = importFixture('alerts.mbox');
+  assert.equal(format, 'email');
+  assert.deepEqual(links, [GREENHOUSE_JOB, LEVER_JOB, ACME_JOB]);
+  assert.equal(duplicates, 2);
+});
@@ -0,0 +1,111 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, test } = require('node:test');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jd-filter-library-'));
+process.env.JD_FILTER_DATA_DIR = dataDir;
+
+const library = require('../library');
+const { createFetchError } = require('../errors');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const URL = 'https://jobs.example/postings/7';
+
+const JOB = {
+  title: 'Backend Engineer',
+  company: 'Acme',
+  location: { workMode: 'remote', summary: 'Remote · Europe', remoteRegions: ['Europe'] },
+  techStacks: [
+    { name: 'Go', importance: 'required', snippets: [{ text: 'Go' }] },
+    { name: 'AWS', importance: 'preferred', snippets: [] },
+  ],
+  baseSalary: { currency: 'EUR', min: 70000, max: 90000, unit: 'YEAR' },
+  description: { text: 'We build things.' },
+};
+
+test('diffs only the tracked fields that changed', () => {
+  const next = {
+    ...JOB,
+    title: 'Senior Backend Engineer',
+    techStacks: [
+      { name: 'Go', importance: 'required', snippets: [{ text: 'Go, daily' }] },
+      { name: 'AWS', importance: 'required', snippets: [] },
+    ],
+    description: { text: 'We build other things.' },
+  };
+  assert.deepEqual(library.diffJobs(JOB, next), {
+    title: { before: 'Backend Engineer', after: 'Senior Backend Engineer' },
+    techStacks: {
+      before: ['Go (required)', 'AWS (preferred)'],
+      after: ['Go (required)', 'AWS (required)'],
+    },
+  });
+  assert.deepEqual(library.diffJobs(JOB, { ...JOB, baseSalary: undefined }), {
+    baseSalary: { before: JOB.baseSalary, after: null },
+  });
+});
+
+test('compares locations by their summary and reads older records', () => {
+  const moved = { ...JOB, location: { ...JOB.location, summary: 'Remote · Worldwide' } };
+  assert.deepEqual(library.diffJobs(JOB, moved).location, {
+    before: 'Remote · Europe',
+    after: 'Remote · Worldwide',
+  });
+
+  const legacy = { ...JOB, location: 'Remote · Europe', techStacks: ['Go', 'Not provided'] };
+  const current = { ...JOB, techStacks: [{ name: 'Go', importance: 'required' }] };
+  assert.deepEqual(library.diffJobs(legacy, current), {
+    techStacks: { before: ['Go'], after: ['Go (required)'] },
+  });
+});
+
+test('a snapshot diffs like the job it was taken from', () => {
+  const snapshot = library.snapshotJob(JOB);
+  assert.deepEqual(Object.keys(snapshot), [
+    'title',
+    'company',
+    'location',
+    'techStacks',
+    'employmentType',
+    'baseSalary',
+    'validThrough',
+  ]);
+  assert.equal(snapshot.employmentType, null);
+  assert.deepEqual(library.diffJobs(snapshot, JOB), {});
+
+  const next = { ...JOB, company: 'Acme GmbH' };
+  assert.deepEqual(library.diffJobs(snapshot, next), library.diffJobs(JOB, next));
+});
+
+test('records changes between fetches and postings that were taken down', () => {
+  const userLibrary = library.forUser('reader');
+  const first = userLibrary.recordFetch({ canonicalUrl: URL, sourceUrl: URL, job: JOB });
+  assert.deepEqual(first.changes, {});
+  assert.equal(first.lastChangedAt, null);
+
+  const second = userLibrary.recordFetch({
+    canonicalUrl: URL,
+    sourceUrl: `${URL}?ref=board`,
+    job: { ...JOB, title: 'Staff Engineer' },
+  });
+  assert.deepEqual(Object.keys(second.changes), ['title']);
+  assert.equal(second.sourceUrls.length, 2);
+
+  const removed = userLibrary.recordFailure({
+    canonicalUrl: URL,
+    error: createFetchError('POSTING_CLOSED', 'Gone.'),
+  });
+  assert.equal(removed.status, 'removed');
+  assert.equal(removed.lastErrorCode, 'POSTING_CLOSED');
+
+  const back = userLibrary.recordFetch({ canonicalUrl: URL, sourceUrl: URL, job: JOB });
+  assert.equal(back.status, 'active');
+  assert.equal(back.lastChangedAt, back.lastCheckedAt);
+  assert.equal(
+    userLibrary.recordFailure({ canonicalUrl: 'https://jobs.example/unknown', error: null }),
+    null
+  );
+});
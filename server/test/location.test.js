@@ -0,0 +1,92 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const {
+  buildLocation,
+  findPlacesIn,
+  isPlaceWithin,
+  parseDaysInOffice,
+  parsePlace,
+} = require('../location');
+
+const modeOf = (text) => buildLocation({ text }).workMode;
+
+test('parses location labels into an office or remote regions', () => {
+  assert.deepEqual(parsePlace('Remote - US'), {
+    workMode: 'remote',
+    office: null,
+    regions: ['United States'],
+  });
+  assert.deepEqual(parsePlace('10115 Berlin').office, {
+    city: 'Berlin',
+    region: undefined,
+    country: 'Germany',
+  });
+  assert.deepEqual(parsePlace('Munich | Bavaria | DE').office, {
+    city: 'Munich',
+    region: 'Bavaria',
+    country: 'Germany',
+  });
+  assert.deepEqual(parsePlace('San Jose, CA').office, {
+    city: 'San Jose',
+    region: 'CA',
+    country: 'United States',
+  });
+  assert.equal(parsePlace('Hybrid (London, UK)').workMode, 'hybrid');
+});
+
+test('reads the work mode from the description text', () => {
+  assert.equal(modeOf('Fully remote within Europe.'), 'remote');
+  assert.equal(modeOf('Remote-first team with quarterly on-site meetups.'), 'remote');
+  assert.equal(modeOf('Hybrid: 3 days a week in the office.'), 'hybrid');
+  assert.equal(modeOf('You will work in the office in Munich.'), 'onsite');
+});
+
+test('lets on-site statements outrank negated or incidental remote mentions', () => {
+  assert.equal(modeOf('This is an on-site role in Austin. We do not offer remote.'), 'onsite');
+  assert.equal(modeOf("We don't offer remote work. You will work in the office."), 'onsite');
+  assert.equal(modeOf('Remote work is not an option. Office in Berlin, on-site.'), 'onsite');
+  assert.equal(
+    modeOf('You will build remote control software. This is an in-office job.'),
+    'onsite'
+  );
+  assert.equal(modeOf('We use remote caching for fast builds. Office in Berlin.'), 'unknown');
+  assert.equal(modeOf('This is not a remote position.'), 'unknown');
+});
+
+test('combines structured places, regions and the text', () => {
+  assert.deepEqual(
+    buildLocation({
+      places: ['Hybrid (London, UK)'],
+      text: 'We work hybrid, 2 days per week in the office.',
+    }),
+    {
+      workMode: 'hybrid',
+      remoteRegions: [],
+      timezones: [],
+      offices: [{ city: 'London', region: undefined, country: 'United Kingdom' }],
+      daysInOffice: { min: 2, max: 2 },
+      summary: 'Hybrid · London, United Kingdom · 2 days/week in office',
+    }
+  );
+  assert.equal(
+    buildLocation({ places: ['Austin, TX'], text: 'We do not offer remote.' }).summary,
+    'On-site · Austin, TX, United States'
+  );
+});
+
+test('parses office days and places mentioned in the text', () => {
+  assert.deepEqual(parseDaysInOffice('3 days a week in the office'), { min: 3, max: 3 });
+  assert.deepEqual(parseDaysInOffice('in office 2-3 days per week'), { min: 2, max: 3 });
+  assert.deepEqual(findPlacesIn('Open to candidates in Germany or the UK'), [
+    'United Kingdom',
+    'Germany',
+  ]);
+});
+
+test('matches places against countries and regions', () => {
+  const austin = { city: 'Austin', region: 'TX', country: 'United States' };
+  assert.equal(isPlaceWithin(austin, 'US'), true);
+  assert.equal(isPlaceWithin(austin, 'Europe'), false);
+  assert.equal(isPlaceWithin({ city: 'Berlin', country: 'Germany' }, 'EU'), true);
+  assert.equal(isPlaceWithin('Worldwide', 'Germany'), true);
+});
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const { findAdapter } = require('../adapters');
+const { createFetcher } = require('../fetcher');
+const { FIXTURES_DIR, extractFixture, fixturePaths, summarizeExtraction } = require('./harness');
+
+// Records a fixture from a live posting:
+//
+//   npm run record-fixture -- <url> [name] [--html saved-page.html] [--force]
+//
+// The page is fetched (or read from --html, e.g. a page saved from the
+// browser when the site needs a login) and the current extraction becomes
+// the expected output. Review and correct `<name>.json` before committing:
+// the golden file is only as good as that review.
+const USAGE = 'Usage: npm run record-fixture -- <url> [name] [--html saved-page.html] [--force]';
+
+const parseArgs = (argv) => {
+  const options = { force: false, htmlFile: null, positional: [] };
+  for (let index = 0; index < argv.length; index += 1) {
+    if (argv[index] === '--force') options.force = true;
+    else if (argv[index] === '--html') options.htmlFile = argv[(index += 1)];
+    else options.positional.push(argv[index]);
+  }
+  return options;
+};
+
+// "https://jobs.example.com/careers/123-backend" -> "jobs-example-com-careers-123-backend"
+const nameFromUrl = (targetUrl) => {
+  const { hostname, pathname } = new URL(targetUrl);
+  return `${hostname.replace(/^www\./, '')}${pathname}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+};
+
+const main = async () => {
+  const { force, htmlFile, positional } = parseArgs(process.argv.slice(2));
+  const [targetUrl, rawName] = positional;
+  if (!targetUrl || !/^https?:\/\//i.test(targetUrl)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const name = rawName || nameFromUrl(targetUrl);
+  const { htmlPath, expectedPath } = fixturePaths(name);
+  if (!force && (fs.existsSync(htmlPath) || fs.existsSync(expectedPath))) {
+    console.error(`Fixture "${name}" already exists; pass --force to record it again.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const adapter = findAdapter(targetUrl);
+  if (adapter) {
+    console.warn(
+      `${adapter.name} postings are read through its API adapter; this fixture covers the ` +
+        'generic HTML extraction only.'
+    );
+  }
+
+  const html = htmlFile
+    ? fs.readFileSync(htmlFile, 'utf8')
+    : await createFetcher({ cache: 'reload' }).fetchText(targetUrl);
+  const expected = summarizeExtraction(extractFixture(html, targetUrl));
+
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  fs.writeFileSync(htmlPath, html);
+  const fixture = { url: targetUrl, recordedAt: new Date().toISOString(), expected };
+  fs.writeFileSync(expectedPath, `${JSON.stringify(fixture, null, 2)}\n`);
+
+  console.log(`Recorded ${name}:`);
+  console.log(JSON.stringify(expected, null, 2));
+  console.log(`Check ${expectedPath} against the posting and correct any mistakes.`);
+};
+
+main().catch((error) => {
+  console.error(`Recording failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,149 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { after, before, test } = require('node:test');
+
+// The fixtures are served from this machine, with a size limit the
+// oversized page exceeds once rendered, and a single browser context so a
+// context that is not released blocks the next render.
+process.env.FETCH_ALLOW_PRIVATE_ADDRESSES = 'true';
+process.env.FETCH_MAX_BYTES = String(256 * 1024);
+process.env.RENDER_POOL_SIZE = '1';
+
+const { extractJobFromHtml } = require('../extraction');
+const { POLICY } = require('../fetchPolicy');
+const renderer = require('../renderer');
+const { TECH_PRESETS } = require('../taxonomy');
+
+const SPA_DIR = path.join(__dirname, 'fixtures', 'spa');
+const CONTENT_TYPES = { '.html': 'text/html', '.json': 'application/json' };
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://x');
+  if (pathname === '/to-localhost') {
+    res.writeHead(302, { Location: `http://localhost:${server.address().port}/posting.html` });
+    res.end();
+    return;
+  }
+  const filePath = path.join(SPA_DIR, path.basename(pathname));
+  if (!fs.existsSync(filePath)) {
+    res.writeHead(404).end('Not found');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] });
+  fs.createReadStream(filePath).pipe(res);
+});
+
+let baseUrl;
+// Rendering needs Playwright and an installed browser; without them only
+// the fallback is checked.
+let unavailable = null;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const probe = await renderer.renderPage(`${baseUrl}/posting.html`).catch((error) => error);
+  if (probe?.code === 'RENDERER_UNAVAILABLE') {
+    unavailable = probe;
+  }
+});
+
+after(async () => {
+  await renderer.closeRenderer();
+  server.close();
+});
+
+test('reports a missing browser as RENDERER_UNAVAILABLE', (t) => {
+  if (!unavailable) return t.skip('a browser is installed');
+  assert.match(unavailable.message, /^Headless rendering is not available/);
+});
+
+// These run without a browser: only the playwright package is needed.
+const hasPlaywright = (() => {
+  try {
+    return Boolean(require.resolve('playwright'));
+  } catch (_err) {
+    return false;
+  }
+})();
+
+// Points RENDER_BROWSER_PATH at `executable` for one test, starting and
+// ending with a fresh renderer.
+const withBrowserPath = async (executable, run) => {
+  await renderer.closeRenderer();
+  process.env.RENDER_BROWSER_PATH = executable;
+  try {
+    await run();
+  } finally {
+    delete process.env.RENDER_BROWSER_PATH;
+    await renderer.closeRenderer();
+  }
+};
+
+test('reports a configured browser that does not exist', async (t) => {
+  if (!hasPlaywright) return t.skip('playwright is not installed');
+
+  await withBrowserPath(path.join(__dirname, 'no-such-browser'), async () => {
+    assert.equal(renderer.isRenderingAvailable(), false);
+    await assert.rejects(renderer.renderPage(`${baseUrl}/posting.html`), {
+      code: 'RENDERER_UNAVAILABLE',
+      message: /RENDER_BROWSER_PATH points to .*no-such-browser/,
+    });
+  });
+});
+
+test('remembers a failed browser launch instead of retrying it', async (t) => {
+  if (!hasPlaywright) return t.skip('playwright is not installed');
+
+  // This file exists but cannot be started as a browser.
+  await withBrowserPath(__filename, async () => {
+    assert.equal(renderer.isRenderingAvailable(), true);
+    const first = await renderer.renderPage(`${baseUrl}/posting.html`).catch((error) => error);
+    assert.equal(first.code, 'RENDERER_UNAVAILABLE');
+    assert.equal(renderer.isRenderingAvailable(), false);
+    const second = await renderer.renderPage(`${baseUrl}/posting.html`).catch((error) => error);
+    assert.equal(second, first);
+  });
+});
+
+test('renders a posting built client-side', async (t) => {
+  if (unavailable) return t.skip(unavailable.message);
+
+  const html = await renderer.renderPage(`${baseUrl}/posting.html`);
+  const job = extractJobFromHtml(html, {
+    url: `${baseUrl}/posting.html`,
+    techStacks: TECH_PRESETS.map((preset) => preset.name),
+  });
+  assert.equal(job.title, 'Platform Engineer');
+  assert.equal(job.techStacks.find((tech) => tech.name === 'PostgreSQL')?.importance, 'required');
+});
+
+test('rejects rendered pages over the size limit', async (t) => {
+  if (unavailable) return t.skip(unavailable.message);
+
+  await assert.rejects(renderer.renderPage(`${baseUrl}/oversized.html`), {
+    code: 'RESPONSE_TOO_LARGE',
+  });
+});
+
+test('releases the browser context after a failed render', async (t) => {
+  if (unavailable) return t.skip(unavailable.message);
+
+  await assert.rejects(renderer.renderPage(`${baseUrl}/missing.html`));
+  const html = await renderer.renderPage(`${baseUrl}/posting.html`);
+  assert.match(html, /Platform Engineer/);
+});
+
+test('checks every redirect hop the page follows', async (t) => {
+  if (unavailable) return t.skip(unavailable.message);
+
+  // The fixtures are served from private addresses, so a blocked host
+  // stands in for a redirect to one.
+  POLICY.blockedHosts = ['localhost'];
+  try {
+    await assert.rejects(renderer.renderPage(`${baseUrl}/to-localhost`), { code: 'HOST_BLOCKED' });
+  } finally {
+    POLICY.blockedHosts = [];
+  }
+});
@@ -0,0 +1,148 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const { extractJobFromHtml } = require('../extraction');
+const { evaluateRules, validateRules } = require('../rules');
+
+const JOB = {
+  title: 'Backend Engineer',
+  company: 'Initech LLC',
+  description: { text: 'Must hold an active TS/SCI clearance.\n• PHP and MySQL' },
+  location: {
+    workMode: 'onsite',
+    offices: [{ city: 'Austin', region: 'TX', country: 'United States' }],
+    remoteRegions: [],
+  },
+  baseSalary: { currency: 'USD', min: 80000, max: 90000, unit: 'YEAR' },
+};
+
+const rulesFor = (...rules) => {
+  const { value, error } = validateRules(rules);
+  assert.equal(error, undefined);
+  return value;
+};
+
+const hiddenBy = (job, ...rules) =>
+  evaluateRules(job, rulesFor(...rules)).reasons.map((reason) => reason.detail);
+
+test('validates rule sets', () => {
+  assert.match(validateRules({}).error, /rules/);
+  assert.match(validateRules([{ action: 'hide' }]).error, /^Rule 1: "action"/);
+  assert.match(
+    validateRules([{ action: 'include', condition: { type: 'salary', min: 'lots' } }]).error,
+    /^Rule 1: A salary condition/
+  );
+
+  const [rule] = rulesFor({
+    action: 'exclude',
+    condition: { type: 'keyword', keywords: [' Clearance ', 'clearance', ''] },
+  });
+  assert.equal(typeof rule.id, 'string');
+  assert.equal(rule.enabled, true);
+  assert.deepEqual(rule.condition, { type: 'keyword', keywords: ['Clearance'] });
+});
+
+test('exclude rules hide the jobs they match', () => {
+  assert.deepEqual(
+    hiddenBy(
+      JOB,
+      { action: 'exclude', condition: { type: 'keyword', keywords: ['ts/sci', 'polygraph'] } },
+      { action: 'exclude', condition: { type: 'company', names: ['initech'] } }
+    ),
+    ['Mentions "ts/sci".', 'Initech LLC is on your company list.']
+  );
+});
+
+test('tech rules see every tech in the posting, not just the saved ones', () => {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'sectioned-hybrid.html'), 'utf8');
+  const job = extractJobFromHtml(html, {
+    url: 'https://brightline.example/careers/backend-engineer-python',
+    techStacks: [],
+  });
+  assert.deepEqual(job.techStacks, []);
+
+  const techRule = (name, importance) => ({
+    action: 'exclude',
+    condition: { type: 'tech', name, importance },
+  });
+  assert.deepEqual(
+    hiddenBy(
+      job,
+      techRule('postgresql', 'required'),
+      techRule('Kubernetes', 'preferred'),
+      techRule('AWS', 'required'),
+      techRule('PHP', 'mentioned')
+    ),
+    ['PostgreSQL is required.', 'Kubernetes is a nice-to-have.']
+  );
+});
+
+test('location rules understand regions', () => {
+  const onsiteOutsideEu = {
+    action: 'exclude',
+    condition: { type: 'location', workModes: ['onsite'], places: ['EU'], scope: 'outside' },
+  };
+  assert.deepEqual(hiddenBy(JOB, onsiteOutsideEu), [
+    'On-site in Austin, TX, United States, outside EU.',
+  ]);
+
+  const berlin = {
+    ...JOB,
+    location: { workMode: 'onsite', offices: [{ city: 'Berlin', country: 'Germany' }] },
+  };
+  assert.deepEqual(hiddenBy(berlin, onsiteOutsideEu), []);
+
+  const worldwide = { ...JOB, location: { workMode: 'remote', remoteRegions: ['Worldwide'] } };
+  assert.deepEqual(hiddenBy(worldwide, onsiteOutsideEu), []);
+});
+
+test('include rules hide the jobs they do not match', () => {
+  assert.deepEqual(
+    hiddenBy(JOB, { action: 'include', condition: { type: 'salary', min: 100000 } }),
+    ['USD 90,000 / year at most, below USD 100,000.']
+  );
+  assert.deepEqual(
+    hiddenBy(JOB, { action: 'include', condition: { type: 'salary', min: 85000 } }),
+    []
+  );
+});
+
+test('unanswered and disabled rules never hide a job', () => {
+  const bare = { title: 'Engineer', location: { workMode: 'unknown' } };
+  const result = evaluateRules(
+    bare,
+    rulesFor(
+      { action: 'include', condition: { type: 'salary', min: 100000 } },
+      { action: 'exclude', condition: { type: 'location', workModes: ['onsite'] } },
+      { action: 'exclude', condition: { type: 'keyword', keywords: ['clearance'] } }
+    )
+  );
+  assert.equal(result.hidden, false);
+  assert.equal(result.unchecked.length, 3);
+
+  const disabled = rulesFor({
+    action: 'exclude',
+    enabled: false,
+    condition: { type: 'company', names: ['Initech'] },
+  });
+  assert.equal(evaluateRules(JOB, disabled).hidden, false);
+});
+
+test('evaluates malformed client-supplied jobs without throwing', () => {
+  const job = {
+    ...JOB,
+    techStacks: [{ name: 7 }, null],
+    location: { workMode: 'onsite', offices: 'Austin', remoteRegions: [3] },
+    baseSalary: { max: 120000, currency: 5 },
+  };
+  assert.deepEqual(
+    hiddenBy(
+      job,
+      { action: 'include', condition: { type: 'salary', min: 100000 } },
+      { action: 'exclude', condition: { type: 'location', places: ['EU'] } },
+      { action: 'exclude', condition: { type: 'tech', name: 'Rust' } }
+    ),
+    []
+  );
+});
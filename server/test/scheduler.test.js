@@ -0,0 +1,59 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, test } = require('node:test');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jd-filter-scheduler-'));
+process.env.JD_FILTER_DATA_DIR = dataDir;
+
+const library = require('../library');
+const { checkWatchlist } = require('../scheduler');
+const watchlists = require('../watchlists');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const OWNER = 'owner';
+const URL = 'https://jobs.example/postings/42';
+
+let posting = { title: 'Backend Engineer', company: 'Acme', techStacks: [] };
+
+// Stands in for loadAndRecordJob: records the current `posting` in the
+// owner's library, as any fetch of the URL would.
+const fetchPosting = () => {
+  const record = library
+    .forUser(OWNER)
+    .recordFetch({ canonicalUrl: URL, sourceUrl: URL, job: posting });
+  return { ...posting, library: library.summarizeRecord(record) };
+};
+
+const deps = { loadJob: async () => fetchPosting(), canonicalUrlFor: (url) => url };
+
+const newEntryTypes = async (watchlist) => {
+  const before = watchlists.getWatchlist(watchlist.id, OWNER).changeLog.length;
+  const updated = await checkWatchlist(watchlists.getWatchlist(watchlist.id, OWNER), deps);
+  return updated.changeLog.slice(0, updated.changeLog.length - before).map((entry) => entry.type);
+};
+
+test('every watchlist sees a change other fetches already recorded', async () => {
+  const fields = { urls: [URL], intervalMinutes: 60, shared: false };
+  const first = watchlists.createWatchlist(OWNER, { name: 'First', ...fields });
+  const second = watchlists.createWatchlist(OWNER, { name: 'Second', ...fields });
+
+  assert.deepEqual(await newEntryTypes(first), ['added']);
+  assert.deepEqual(await newEntryTypes(second), ['added']);
+
+  // A manual fetch picks up the new title first and uses up the library's
+  // `changes`.
+  posting = { ...posting, title: 'Senior Backend Engineer' };
+  fetchPosting();
+  fetchPosting();
+
+  assert.deepEqual(await newEntryTypes(first), ['changed']);
+  assert.deepEqual(await newEntryTypes(second), ['changed']);
+  assert.deepEqual(watchlists.getWatchlist(second.id, OWNER).changeLog[0].changes.title, {
+    before: 'Backend Engineer',
+    after: 'Senior Backend Engineer',
+  });
+  assert.deepEqual(await newEntryTypes(first), []);
+});
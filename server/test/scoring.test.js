@@ -0,0 +1,59 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { normalizeProfile } = require('../profile');
+const { scoreJob } = require('../scoring');
+
+const criterion = (job, profile, techNames = []) =>
+  Object.fromEntries(
+    scoreJob(job, { profile: normalizeProfile(profile), techNames }).breakdown.map((entry) => [
+      entry.id,
+      entry.status,
+    ])
+  );
+
+const onsiteIn = (...offices) => ({ location: { workMode: 'onsite', offices, remoteRegions: [] } });
+const remoteIn = (...remoteRegions) => ({
+  location: { workMode: 'remote', offices: [], remoteRegions },
+});
+
+test('matches wanted locations by place, not by substring', () => {
+  const wantsUs = { remotePreference: 'onsite', locations: ['US'] };
+  const austin = onsiteIn({ city: 'Austin', region: 'TX', country: 'United States' });
+  const sydney = onsiteIn({ city: 'Sydney', country: 'Australia' });
+  assert.equal(criterion(austin, wantsUs).location, 'pass');
+  assert.equal(criterion(sydney, wantsUs).location, 'fail');
+
+  const wantsBerlin = { remotePreference: 'remote', locations: ['Berlin'] };
+  assert.equal(criterion(remoteIn('Europe'), wantsBerlin).location, 'pass');
+  assert.equal(criterion(remoteIn('United States'), wantsBerlin).location, 'partial');
+  assert.equal(
+    criterion(onsiteIn({ city: 'Munich', country: 'Germany' }), wantsBerlin).location,
+    'fail'
+  );
+  assert.equal(
+    criterion(onsiteIn({ city: 'Berlin', country: 'Germany' }), { locations: ['Europe'] }).location,
+    'pass'
+  );
+});
+
+test('scores malformed client-supplied jobs without throwing', () => {
+  const statuses = criterion(
+    {
+      techStacks: [{ name: 42, importance: 'required' }, { name: 'Go' }, null],
+      location: { workMode: 'onsite', offices: 'Berlin', remoteRegions: [7] },
+    },
+    { remotePreference: 'onsite', locations: ['Berlin'] },
+    ['Go']
+  );
+  assert.equal(statuses.tech, 'pass');
+  assert.equal(statuses.location, 'fail');
+});
+
+test('scores salaries whose currency is not a string', () => {
+  const profile = { salary: { min: 90000, currency: 'USD' } };
+  assert.equal(criterion({ baseSalary: { max: 100000, currency: 5 } }, profile).salary, 'pass');
+  assert.equal(
+    criterion({ baseSalary: { max: 100000, currency: ' eur ' } }, profile).salary,
+    'unknown'
+  );
+});
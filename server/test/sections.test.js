@@ -0,0 +1,65 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { classifyHeading, detectTechStacks, splitIntoSections } = require('../sections');
+
+const outline = (html) => splitIntoSections(html).map(({ type, heading }) => `${type}: ${heading}`);
+
+const importances = (html) =>
+  Object.fromEntries(
+    detectTechStacks({ html, taxonomy: ['Python', 'Go', 'Kubernetes', 'AWS'] }).map((tech) => [
+      tech.name,
+      tech.importance,
+    ])
+  );
+
+test('classifies common section headings', () => {
+  assert.equal(classifyHeading('Preferred qualifications'), 'preferred');
+  assert.equal(classifyHeading('Qualifications'), 'requirements');
+  assert.equal(classifyHeading("What you'll do"), 'responsibilities');
+  assert.equal(classifyHeading('About Acme'), 'about');
+  assert.equal(classifyHeading('About the job'), null);
+  assert.equal(classifyHeading('Perks'), 'benefits');
+});
+
+test('splits on headings, bold paragraphs and colon labels', () => {
+  const html = `
+    <p>Acme builds payment tools.</p>
+    <h3>Requirements</h3>
+    <ul><li>Python</li></ul>
+    <p><strong>Nice to have</strong></p>
+    <ul><li>Go</li></ul>
+    <p>What we offer:</p>
+    <p>An AWS training budget.</p>`;
+  assert.deepEqual(outline(html), [
+    'other: ',
+    'requirements: Requirements',
+    'preferred: Nice to have',
+    'benefits: What we offer',
+  ]);
+  assert.deepEqual(importances(html), { Python: 'required', Go: 'preferred', AWS: 'boilerplate' });
+});
+
+test('keeps emphasised sentences in the section they belong to', () => {
+  const html = `
+    <h3>Requirements</h3>
+    <ul><li>Python</li></ul>
+    <p><strong>Experience with Kubernetes is a big plus, but not required.</strong></p>
+    <p><b>You will own the Go services that run our ledger and its APIs</b></p>
+    <ul><li>Go</li></ul>`;
+  assert.deepEqual(outline(html), ['requirements: Requirements']);
+  assert.deepEqual(importances(html), {
+    Python: 'required',
+    Kubernetes: 'required',
+    Go: 'required',
+  });
+});
+
+test('applies inline labels to their own line only', () => {
+  const text = 'Requirements:\nPython and AWS\nBonus: Go\nKubernetes in production';
+  assert.deepEqual(importances(text), {
+    Python: 'required',
+    AWS: 'required',
+    Kubernetes: 'required',
+    Go: 'preferred',
+  });
+});
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const { listFixtures, runFixture, scoreTechStacks } = require('./harness');
+
+// Tech-stack precision and recall over the fixtures, for judging matcher
+// or taxonomy changes:
+//
+//   npm run stack-report -- [--save before.json] [--baseline before.json]
+//
+// Save a report before changing the matcher, then run it again with
+// --baseline to see which techs gained or lost precision and recall.
+const parseArgs = (argv) => {
+  const options = { save: null, baseline: null };
+  for (let index = 0; index < argv.length; index += 1) {
+    if (argv[index] === '--save') options.save = argv[(index += 1)];
+    else if (argv[index] === '--baseline') options.baseline = argv[(index += 1)];
+  }
+  return options;
+};
+
+const percent = (value) =>
+  value === null || value === undefined ? '-' : `${Math.round(value * 100)}%`;
+
+const delta = (current, previous) => {
+  if (current === null || previous === null || previous === undefined) return '';
+  const change = Math.round((current - previous) * 100);
+  return change === 0 ? '' : ` (${change > 0 ? '+' : ''}${change})`;
+};
+
+const pad = (value, width) => String(value).padEnd(width);
+
+const main = () => {
+  const { save, baseline } = parseArgs(process.argv.slice(2));
+  const results = listFixtures().map((fixture) => ({
+    name: fixture.name,
+    expected: fixture.expected,
+    actual: runFixture(fixture),
+  }));
+  const scores = scoreTechStacks(results);
+  const previous = baseline
+    ? new Map(JSON.parse(fs.readFileSync(baseline, 'utf8')).map((entry) => [entry.name, entry]))
+    : new Map();
+
+  console.log(`Tech stacks over ${results.length} fixture${results.length === 1 ? '' : 's'}\n`);
+  const nameWidth = Math.max(4, ...scores.map((entry) => entry.name.length)) + 2;
+  console.log(
+    `${pad('Tech', nameWidth)}${pad('TP', 5)}${pad('FP', 5)}${pad('FN', 5)}` +
+      `${pad('Precision', 16)}Recall`
+  );
+  scores.forEach((entry) => {
+    const before = previous.get(entry.name) || {};
+    console.log(
+      pad(entry.name, nameWidth) +
+        pad(entry.truePositives, 5) +
+        pad(entry.falsePositives, 5) +
+        pad(entry.falseNegatives, 5) +
+        pad(`${percent(entry.precision)}${delta(entry.precision, before.precision)}`, 16) +
+        `${percent(entry.recall)}${delta(entry.recall, before.recall)}`
+    );
+  });
+
+  const misses = results
+    .map(({ name, expected, actual }) => {
+      const expectedNames = Object.keys(expected.techStacks || {});
+      const actualNames = Object.keys(actual.techStacks);
+      return {
+        name,
+        extra: actualNames.filter((tech) => !expectedNames.includes(tech)),
+        missing: expectedNames.filter((tech) => !actualNames.includes(tech)),
+      };
+    })
+    .filter((entry) => entry.extra.length > 0 || entry.missing.length > 0);
+  if (misses.length > 0) {
+    console.log('\nFixtures with different tech stacks:');
+    misses.forEach(({ name, extra, missing }) => {
+      const parts = [
+        extra.length > 0 && `unexpected ${extra.join(', ')}`,
+        missing.length > 0 && `missing ${missing.join(', ')}`,
+      ].filter(Boolean);
+      console.log(`  ${name}: ${parts.join('; ')}`);
+    });
+  }
+
+  if (save) {
+    fs.writeFileSync(save, `${JSON.stringify(scores, null, 2)}\n`);
+    console.log(`\nSaved the scores to ${save}.`);
+  }
+};
+
+main();
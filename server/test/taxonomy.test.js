@@ -0,0 +1,80 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const {
+  findTechMentions,
+  isValidPattern,
+  matchTechStacks,
+  normalizeTaxonomy,
+} = require('../taxonomy');
+
+const countsOf = (text, taxonomy) =>
+  Object.fromEntries(
+    findTechMentions(text, taxonomy, { maxSnippets: 0 }).map((mention) => [
+      mention.name,
+      mention.count,
+    ])
+  );
+
+test('matches names and aliases as whole tokens', () => {
+  const taxonomy = [{ name: 'Kubernetes', aliases: ['k8s'] }, 'C++', 'C', '.NET'];
+  assert.deepEqual(countsOf('Kubernetes (k8s), C++ and .NET. Not k8ssandra.', taxonomy), {
+    Kubernetes: 2,
+    'C++': 1,
+    '.NET': 1,
+  });
+});
+
+test('matches custom patterns and honours case sensitivity', () => {
+  const taxonomy = [
+    { name: 'PostgreSQL', patterns: ['\\bpostgres(?:ql)?\\b'] },
+    { name: 'Go', aliases: ['golang'], caseSensitive: true },
+  ];
+  assert.deepEqual(countsOf('Postgres and Go. Ready to go? Golang is fine.', taxonomy), {
+    PostgreSQL: 1,
+    Go: 1,
+  });
+});
+
+test('ignores mentions inside negative contexts and keeps snippet offsets', () => {
+  const taxonomy = [{ name: 'Go', caseSensitive: true, negativeContexts: ['Go-to-market'] }];
+  const [mention] = findTechMentions('Our Go-to-market team.\nBackend in Go.', taxonomy);
+  assert.equal(mention.count, 1);
+  assert.deepEqual(mention.snippets, [
+    { text: 'Backend in Go.', before: 'Backend in ', match: 'Go', after: '.' },
+  ]);
+});
+
+test('rejects patterns that could backtrack catastrophically', () => {
+  ['\\bk8s\\b', 'spring\\s+boot', 'react(?:\\.js|js)?', '[a-z]+-db', 'x{2}y+'].forEach((source) =>
+    assert.equal(isValidPattern(source), true, source)
+  );
+  [
+    '(a+)+$',
+    '(a|aa)*',
+    '(\\w+\\s?)*x',
+    '(?:a+){5}',
+    '\\w+\\w*',
+    '(a)\\1',
+    'x'.repeat(201),
+    '[',
+  ].forEach((source) => assert.equal(isValidPattern(source), false, source));
+  assert.deepEqual(
+    normalizeTaxonomy([{ name: 'Evil', patterns: ['(a+)+$', 'evil'] }])[0].patterns,
+    ['evil']
+  );
+});
+
+test('compiles each taxonomy once', () => {
+  let reads = 0;
+  const entry = {
+    get name() {
+      reads += 1;
+      return 'Rust';
+    },
+  };
+  const taxonomy = [entry];
+  assert.deepEqual(matchTechStacks('Rust', taxonomy), ['Rust']);
+  const readsAfterFirstCall = reads;
+  assert.deepEqual(matchTechStacks('More Rust', taxonomy), ['Rust']);
+  assert.equal(reads, readsAfterFirstCall);
+});
@@ -0,0 +1,30 @@
+// Query parameters that only carry campaign or referral tracking and never
+// identify a posting: utm_*, Greenhouse's gh_src, Lever's lever-source and
+// lever-origin, ad click ids and LinkedIn/Mailchimp alert tokens. Anything
+// else (gh_jid, jobId, ...) is kept.
+const TRACKING_PARAM_PATTERN =
+  /^(?:utm_\w+|gh_src|lever-(?:source|origin)(?:\[\])?|fbclid|gclid|mc_[ce]id|trk|trackingid|refid)$/i;
+
+// Canonical form used to recognise the same posting across fetches:
+// lower-case host, no fragment, no tracking params, sorted query, no
+// trailing slash.
+const canonicalizeUrl = (rawUrl) => {
+  const parsed = new URL(rawUrl);
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([key]) => !TRACKING_PARAM_PATTERN.test(key))
+    .sort(([left], [right]) => left.localeCompare(right));
+  parsed.search = new URLSearchParams(params).toString();
+
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.toString();
+};
+
+module.exports = {
+  canonicalizeUrl,
+};
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonStore');
+
+// Named sets of job URLs that the scheduler re-checks on an interval. Each
+// watchlist keeps a change log of what happened to its postings, newest
+// first, the snapshot of each posting its next check compares against, and
+// when each viewer last looked at it. A watchlist belongs to the user who
+// created it; shared ones are visible to the whole team, and their checks
+// run with the owner's library and tech stacks.
+const WATCHLISTS_DB_PATH = path.join(DATA_DIR, 'watchlists.json');
+
+const DEFAULT_INTERVAL_MINUTES = 6 * 60;
+const MIN_INTERVAL_MINUTES = 15;
+const MAX_URLS = 100;
+const MAX_LOG_ENTRIES = 500;
+
+const readWatchlistsFromFile = () => {
+  const parsed = readJsonFile(WATCHLISTS_DB_PATH, null);
+  if (parsed && parsed.watchlists && typeof parsed.watchlists === 'object') {
+    return parsed;
+  }
+  return { watchlists: {} };
+};
+
+const store = readWatchlistsFromFile();
+
+const persist = () => writeJsonFile(WATCHLISTS_DB_PATH, store);
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (_err) {
+    return false;
+  }
+};
+
+// Validates a create/update body. Returns `{ value }` with the cleaned
+// fields, or `{ error }` with a message for the 400 response. On update,
+// missing fields keep their current values.
+const validateWatchlist = (raw, current = null) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'Expected a JSON watchlist object.' };
+  }
+
+  const name = raw.name === undefined && current ? current.name : raw.name;
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'A watchlist needs a name.' };
+  }
+
+  const urls = raw.urls === undefined && current ? current.urls : raw.urls;
+  if (!Array.isArray(urls) || urls.some((url) => typeof url !== 'string')) {
+    return { error: '"urls" must be an array of strings.' };
+  }
+  const cleanUrls = Array.from(new Set(urls.map((url) => url.trim()).filter(Boolean)));
+  const invalid = cleanUrls.find((url) => !isHttpUrl(url));
+  if (invalid) {
+    return { error: `Not a valid http(s) URL: ${invalid}` };
+  }
+  if (cleanUrls.length > MAX_URLS) {
+    return { error: `A watchlist can contain at most ${MAX_URLS} links.` };
+  }
+
+  const interval = Number(
+    raw.intervalMinutes ?? current?.intervalMinutes ?? DEFAULT_INTERVAL_MINUTES
+  );
+  if (!Number.isFinite(interval) || interval < MIN_INTERVAL_MINUTES) {
+    return { error: `"intervalMinutes" must be at least ${MIN_INTERVAL_MINUTES}.` };
+  }
+
+  const shared = raw.shared ?? current?.shared ?? false;
+  if (typeof shared !== 'boolean') {
+    return { error: '"shared" must be true or false.' };
+  }
+
+  return {
+    value: { name: name.trim(), urls: cleanUrls, intervalMinutes: Math.round(interval), shared },
+  };
+};
+
+const isOwner = (watchlist, userId) => watchlist.ownerId === userId;
+
+// The owner's visits are `lastVisitedAt`; teammates viewing a shared
+// watchlist each get an entry in `teamVisits`.
+const lastVisitFor = (watchlist, userId) =>
+  isOwner(watchlist, userId) ? watchlist.lastVisitedAt : watchlist.teamVisits?.[userId] || null;
+
+const countUnseen = (watchlist, userId) => {
+  const lastVisitedAt = lastVisitFor(watchlist, userId);
+  return watchlist.changeLog.filter((entry) => !lastVisitedAt || entry.at > lastVisitedAt).length;
+};
+
+// List view for `userId`: everything but the URLs and the change log itself.
+const summarizeWatchlist = (watchlist, userId) => ({
+  id: watchlist.id,
+  name: watchlist.name,
+  ownerId: watchlist.ownerId,
+  isOwner: isOwner(watchlist, userId),
+  shared: Boolean(watchlist.shared),
+  urlCount: watchlist.urls.length,
+  intervalMinutes: watchlist.intervalMinutes,
+  createdAt: watchlist.createdAt,
+  lastCheckedAt: watchlist.lastCheckedAt,
+  nextCheckAt: watchlist.nextCheckAt,
+  lastVisitedAt: lastVisitFor(watchlist, userId),
+  unseenCount: countUnseen(watchlist, userId),
+});
+
+const sortByName = (list) => list.sort((left, right) => left.name.localeCompare(right.name));
+
+// The user's own watchlists plus the ones teammates share.
+const listWatchlists = (userId) =>
+  sortByName(
+    Object.values(store.watchlists).filter(
+      (watchlist) => isOwner(watchlist, userId) || watchlist.shared
+    )
+  );
+
+// A watchlist `userId` may see, or null.
+const getWatchlist = (id, userId) => {
+  const watchlist = store.watchlists[id];
+  return watchlist && (isOwner(watchlist, userId) || watchlist.shared) ? watchlist : null;
+};
+
+// New watchlists are due straight away, so the first check records a
+// baseline snapshot of every posting.
+const createWatchlist = (ownerId, fields) => {
+  const now = new Date().toISOString();
+  const watchlist = {
+    id: crypto.randomUUID(),
+    ownerId,
+    ...fields,
+    createdAt: now,
+    lastCheckedAt: null,
+    nextCheckAt: now,
+    lastVisitedAt: now,
+    changeLog: [],
+    snapshots: {},
+  };
+  store.watchlists[watchlist.id] = watchlist;
+  persist();
+  return watchlist;
+};
+
+const updateWatchlist = (id, fields) => {
+  const existing = store.watchlists[id];
+  if (!existing) return null;
+
+  const intervalChanged = fields.intervalMinutes !== existing.intervalMinutes;
+  const updated = { ...existing, ...fields };
+  if (intervalChanged && existing.lastCheckedAt) {
+    updated.nextCheckAt = new Date(
+      Date.parse(existing.lastCheckedAt) + fields.intervalMinutes * 60 * 1000
+    ).toISOString();
+  }
+  // Newly added links are picked up by the next check.
+  if (fields.urls.some((url) => !existing.urls.includes(url))) {
+    updated.nextCheckAt = new Date().toISOString();
+  }
+
+  store.watchlists[id] = updated;
+  persist();
+  return updated;
+};
+
+const deleteWatchlist = (id) => {
+  if (!store.watchlists[id]) return false;
+  delete store.watchlists[id];
+  persist();
+  return true;
+};
+
+const listDueWatchlists = (now = new Date()) =>
+  Object.values(store.watchlists).filter(
+    (watchlist) => watchlist.urls.length > 0 && new Date(watchlist.nextCheckAt) <= now
+  );
+
+// Stores the outcome of a check: `entries` are prepended to the change log,
+// `snapshots` (by URL, see scheduler.js) replace the ones the next check
+// diffs against, and the next check is scheduled one interval from now.
+const recordCheck = (id, entries, snapshots = {}) => {
+  const existing = store.watchlists[id];
+  if (!existing) return null;
+
+  const now = new Date();
+  const stamped = entries.map((entry) => ({
+    id: crypto.randomUUID(),
+    at: now.toISOString(),
+    ...entry,
+  }));
+  const updated = {
+    ...existing,
+    lastCheckedAt: now.toISOString(),
+    nextCheckAt: new Date(now.getTime() + existing.intervalMinutes * 60 * 1000).toISOString(),
+    changeLog: [...stamped, ...existing.changeLog].slice(0, MAX_LOG_ENTRIES),
+    // Links removed from the watchlist drop their snapshots.
+    snapshots: Object.fromEntries(
+      existing.urls
+        .map((url) => [url, snapshots[url] ?? existing.snapshots?.[url]])
+        .filter(([, snapshot]) => snapshot)
+    ),
+  };
+  store.watchlists[id] = updated;
+  persist();
+  return updated;
+};
+
+const markVisited = (id, userId) => {
+  const existing = store.watchlists[id];
+  if (!existing) return null;
+  const now = new Date().toISOString();
+  const updated = isOwner(existing, userId)
+    ? { ...existing, lastVisitedAt: now }
+    : { ...existing, teamVisits: { ...existing.teamVisits, [userId]: now } };
+  store.watchlists[id] = updated;
+  persist();
+  return updated;
+};
+
+// Watchlists from before user accounts have no owner; the data migration
+// hands them to the default user.
+const assignUnowned = (ownerId) => {
+  const unowned = Object.values(store.watchlists).filter((watchlist) => !watchlist.ownerId);
+  unowned.forEach((watchlist) => {
+    store.watchlists[watchlist.id] = { ...watchlist, ownerId };
+  });
+  if (unowned.length > 0) {
+    persist();
+  }
+  return unowned.length;
+};
+
+module.exports = {
+  validateWatchlist,
+  summarizeWatchlist,
+  listWatchlists,
+  getWatchlist,
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  listDueWatchlists,
+  recordCheck,
+  markVisited,
+  assignUnowned,
+};